@@ -17,6 +17,39 @@
 SET NAMES utf8mb4;
 SET FOREIGN_KEY_CHECKS = 0;
 
+-- ----------------------------
+-- Table structure for tblaudit
+-- ----------------------------
+DROP TABLE IF EXISTS `tblaudit`;
+CREATE TABLE `tblaudit`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `entity` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL COMMENT 'result fixture standing',
+  `recordKey` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL COMMENT 'fixture ID, or leagueID-teamID for standings',
+  `action` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL COMMENT 'create update delete restore',
+  `oldValues` json NULL COMMENT 'Audited fields before the change',
+  `newValues` json NULL COMMENT 'Audited fields after the change',
+  `changedBy` int NULL DEFAULT NULL COMMENT 'FK tblUsers.id',
+  `dateChanged` datetime NOT NULL,
+  PRIMARY KEY (`id`) USING BTREE,
+  INDEX `idx_audit_record`(`entity`, `recordKey`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
+-- ----------------------------
+-- Table structure for tblfixturedates
+-- ----------------------------
+DROP TABLE IF EXISTS `tblfixturedates`;
+CREATE TABLE `tblfixturedates`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `fixtureID` int NOT NULL COMMENT 'FK tblFixtures.id',
+  `previousDate` datetime NOT NULL COMMENT 'Date the match was arranged for before the change',
+  `newDate` datetime NULL DEFAULT NULL COMMENT 'New date; NULL while a postponed match waits to be rearranged',
+  `reason` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL COMMENT 'Why the match was postponed',
+  `postponed` tinyint NOT NULL DEFAULT 0 COMMENT '1 postponement 0 move',
+  `dateChanged` datetime NOT NULL,
+  PRIMARY KEY (`id`) USING BTREE,
+  INDEX `idx_fixturedates_fixture`(`fixtureID`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
 -- ----------------------------
 -- Table structure for tblfixtures
 -- ----------------------------
@@ -29,7 +62,13 @@ CREATE TABLE `tblfixtures`  (
   `date` datetime NOT NULL,
   `venue` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
   `referee` int NULL DEFAULT NULL COMMENT 'FK tblUsers.id',
-  `status` int NOT NULL DEFAULT 0 COMMENT '0 Forthcoming 1 underway 2 completed 3 cancelled 4 abandoned',
+  `refereeConfirmed` tinyint NOT NULL DEFAULT 0 COMMENT '1 when the referee has confirmed the appointment',
+  `refereeName` varchar(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL COMMENT 'Referee name shown on the public match centre',
+  `statusReason` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL COMMENT 'Why a match was cancelled, abandoned or postponed',
+  `status` int NOT NULL DEFAULT 0 COMMENT '0 Forthcoming 1 underway 2 completed 3 cancelled 4 abandoned 5 postponed',
+  `originalDate` datetime NULL DEFAULT NULL COMMENT 'Date first arranged, set when the match is postponed or moved',
+  `cupRound` int NULL DEFAULT NULL COMMENT 'Knockout cup round, 1 = first round; NULL for league fixtures',
+  `phase` int NULL DEFAULT NULL COMMENT 'Pool phase of a league split into pools, 1 = first phase',
   PRIMARY KEY (`id`) USING BTREE
 ) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
 
@@ -41,6 +80,54 @@ CREATE TABLE `tblleagues`  (
   `id` int NOT NULL AUTO_INCREMENT,
   `leagueName` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
   `leagueSeason` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  `rules` json NULL COMMENT 'Competition rules profile, NULL uses defaults',
+  `competitionType` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL DEFAULT 'league' COMMENT 'league knockout',
+  `seasonClosedAt` datetime NULL DEFAULT NULL COMMENT 'Set when the season is closed; its standings are then frozen',
+  PRIMARY KEY (`id`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
+-- ----------------------------
+-- Table structure for tblplayers
+-- ----------------------------
+DROP TABLE IF EXISTS `tblplayers`;
+CREATE TABLE `tblplayers`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `teamID` int NOT NULL COMMENT 'FK tblTeams.id',
+  `firstName` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  `lastName` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  `squadNumber` int NULL DEFAULT NULL,
+  `position` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL,
+  `active` tinyint NOT NULL DEFAULT 1 COMMENT '0 when the player has left the squad',
+  PRIMARY KEY (`id`) USING BTREE,
+  INDEX `idx_players_team`(`teamID` ASC) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
+-- ----------------------------
+-- Table structure for tblrefereeavailability
+-- ----------------------------
+DROP TABLE IF EXISTS `tblrefereeavailability`;
+CREATE TABLE `tblrefereeavailability`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `refereeID` int NOT NULL COMMENT 'FK tblUsers.id',
+  `unavailableDate` date NOT NULL,
+  `note` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL,
+  PRIMARY KEY (`id`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
+-- ----------------------------
+-- Table structure for tblrefereereports
+-- ----------------------------
+DROP TABLE IF EXISTS `tblrefereereports`;
+CREATE TABLE `tblrefereereports`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `fixtureID` int NOT NULL COMMENT 'FK tblFixtures.id',
+  `refereeID` int NOT NULL COMMENT 'FK tblUsers.id',
+  `homeScore` int NOT NULL DEFAULT 0,
+  `awayScore` int NOT NULL DEFAULT 0,
+  `notes` text CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL,
+  `status` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL DEFAULT 'pending' COMMENT 'pending accepted rejected',
+  `dateSubmitted` datetime NOT NULL,
+  `reviewedBy` int NULL DEFAULT NULL COMMENT 'FK tblUsers.id',
   PRIMARY KEY (`id`) USING BTREE
 ) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
 
@@ -55,11 +142,44 @@ CREATE TABLE `tblresults`  (
   `awayScore` int NOT NULL DEFAULT 0,
   `homeScorers` json NULL,
   `awayScorers` json NULL,
+  `resultType` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL DEFAULT 'played' COMMENT 'played or walkover',
+  `concededBy` int NULL DEFAULT NULL COMMENT 'FK tblTeams.id, side that conceded a walkover',
+  `abandonedMinute` int NULL DEFAULT NULL COMMENT 'Minute an abandoned match was stopped',
   `submittedBy` int NOT NULL COMMENT 'FK tblUsers.id',
   `dateSubmitted` datetime NULL DEFAULT NULL,
+  `submittedByTeam` int NULL DEFAULT NULL COMMENT 'FK tblTeams.id, club that submitted the result',
+  `confirmationStatus` varchar(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL DEFAULT 'confirmed' COMMENT 'submitted confirmed disputed',
+  `confirmedBy` int NULL DEFAULT NULL COMMENT 'FK tblUsers.id',
+  `disputeReason` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL,
+  `validationOverride` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL COMMENT 'Reason for saving scorers that do not match the score',
   PRIMARY KEY (`id`) USING BTREE
 ) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
 
+-- ----------------------------
+-- Table structure for tblsanctions
+-- ----------------------------
+DROP TABLE IF EXISTS `tblsanctions`;
+CREATE TABLE `tblsanctions`  (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `leagueID` int NOT NULL COMMENT 'FK tblLeagues.id',
+  `teamID` int NOT NULL COMMENT 'FK tblTeams.id',
+  `pointsDeducted` int NOT NULL DEFAULT 0,
+  `reason` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  `dateApplied` datetime NOT NULL,
+  `appliedBy` int NOT NULL COMMENT 'FK tblUsers.id',
+  PRIMARY KEY (`id`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
+-- ----------------------------
+-- Table structure for tblsettings
+-- ----------------------------
+DROP TABLE IF EXISTS `tblsettings`;
+CREATE TABLE `tblsettings`  (
+  `settingKey` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL,
+  `settingValue` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL COMMENT 'e.g. currentSeason overrides .config.json',
+  PRIMARY KEY (`settingKey`) USING BTREE
+) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
+
 -- ----------------------------
 -- Table structure for tblstandings
 -- ----------------------------
@@ -77,6 +197,9 @@ CREATE TABLE `tblstandings`  (
   `pointsDifference` int NOT NULL DEFAULT 0,
   `bonusPoints` int NOT NULL DEFAULT 0,
   `points` int NOT NULL DEFAULT 0,
+  `triesFor` int NOT NULL DEFAULT 0,
+  `pool` varchar(50) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NULL DEFAULT NULL COMMENT 'Pool name for a league split into pools, NULL for a single table',
+  `pointsDeducted` int NOT NULL DEFAULT 0 COMMENT 'Total of tblSanctions for the team',
   PRIMARY KEY (`id`) USING BTREE
 ) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
 
@@ -106,6 +229,7 @@ CREATE TABLE `tblusers`  (
   `password` varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci NOT NULL COMMENT 'md5 hash',
   `authority` int NOT NULL DEFAULT 0 COMMENT '0 spectator 1 local admin  2 full admin',
   `authorityOver` int NOT NULL DEFAULT 0 COMMENT '0 None >0 FK tblTeams',
+  `isReferee` tinyint NOT NULL DEFAULT 0 COMMENT '1 can be appointed to referee fixtures',
   PRIMARY KEY (`id`) USING BTREE
 ) ENGINE = InnoDB CHARACTER SET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci ROW_FORMAT = Dynamic;
 
@@ -12,12 +12,19 @@ import Home from './pages/Home.jsx'
 import About from './pages/About.jsx'
 import Tables from './pages/Tables.jsx'
 import Fixtures from './pages/Fixtures.jsx'
+import Leaderboards from './pages/Leaderboards.jsx'
+import MatchCentre from './pages/MatchCentre.jsx'
+import Results from './pages/Results.jsx'
+import TeamProfile from './pages/TeamProfile.jsx'
+import HeadToHead from './pages/HeadToHead.jsx'
+import Cups from './pages/Cups.jsx'
 import Login from './pages/Login.jsx'
 import Register from './pages/Register.jsx'
 import Verify from './pages/Verify.jsx'
 import ForgotPassword from './pages/ForgotPassword.jsx'
 import ResetPassword from './pages/ResetPassword.jsx'
 import Profile from './pages/Profile.jsx'
+import MyMatches from './pages/MyMatches.jsx'
 import Admin from './pages/Admin.jsx'
 import TeamAdmin from './pages/TeamAdmin.jsx'
 import RecalculateStandings from './pages/RecalculateStandings.jsx'
@@ -29,8 +36,8 @@ import ProtectedRoute from './components/ProtectedRoute.jsx'
  * Root application component that defines routing structure.
  * 
  * Route Structure:
- * - Public routes: /, /about, /tables, /fixtures, /login, /register, /verify, /forgot-password, /reset-password
- * - Protected routes: /profile (all authenticated users), /admin (authority ≥ 2), /team-admin (authority ≥ 1)
+ * - Public routes: /, /about, /tables, /leaderboards, /fixtures, /fixtures/:id, /results, /teams/:id, /head-to-head, /cups, /login, /register, /verify, /forgot-password, /reset-password
+ * - Protected routes: /profile (all authenticated users), /my-matches (referees), /admin (authority ≥ 2), /team-admin (authority ≥ 1)
  * 
  * Uses React Router v7 with nested routes under Layout component for consistent navigation.
  * 
@@ -45,7 +52,13 @@ function App() {
           <Route index element={<Home />} />
           <Route path="about" element={<About />} />
           <Route path="tables" element={<Tables />} />
+          <Route path="leaderboards" element={<Leaderboards />} />
           <Route path="fixtures" element={<Fixtures />} />
+          <Route path="fixtures/:id" element={<MatchCentre />} />
+          <Route path="results" element={<Results />} />
+          <Route path="teams/:id" element={<TeamProfile />} />
+          <Route path="head-to-head" element={<HeadToHead />} />
+          <Route path="cups" element={<Cups />} />
           <Route path="login" element={<Login />} />
           <Route path="register" element={<Register />} />
           <Route path="verify" element={<Verify />} />
@@ -59,6 +72,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="my-matches" 
+            element={
+              <ProtectedRoute>
+                <MyMatches />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="admin" 
             element={
@@ -0,0 +1,36 @@
+/**
+ * @file BonusBadges.jsx
+ * @description Bonus point badges shown next to a team's score
+ * @module components/BonusBadges
+ */
+
+import React from 'react';
+import { BONUS_BADGES } from '../utils/resultSummary';
+
+/**
+ * BonusBadges component - a badge per bonus point earned in a match
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.bonuses - Keys of BONUS_BADGES (from summariseResult)
+ *
+ * @example
+ * <BonusBadges bonuses={summary.home.bonuses} />
+ *
+ * @returns {JSX.Element|null} Badges, or nothing when no bonus point was earned
+ */
+function BonusBadges({ bonuses }) {
+  if (!bonuses || bonuses.length === 0) return null;
+
+  return (
+    <span className="bonus-badges">
+      {bonuses.map(bonus => (
+        <span key={bonus} className={`bonus-badge bonus-${bonus}`} title={BONUS_BADGES[bonus].title}>
+          {BONUS_BADGES[bonus].label}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export default BonusBadges;
@@ -0,0 +1,82 @@
+/**
+ * @file CupBracket.jsx
+ * @description Knockout cup bracket, one column per round
+ * @module components/CupBracket
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { TIE_DECIDERS } from '../utils/knockout';
+
+/**
+ * CupBracket component - every round of a cup from the first to the final
+ *
+ * @component
+ * @description Each tie shows both teams and the score once confirmed, with the team that
+ * progresses in bold and a note when the tie was not won on the score. Ties link to the
+ * match centre. Teams with a bye are listed under their round, and rounds not yet drawn
+ * say so.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.bracket - Bracket from buildBracket
+ * @param {Function} props.getTeamName - Returns a team's name from its ID
+ *
+ * @example
+ * <CupBracket bracket={buildBracket(cup, fixtures, results)} getTeamName={getTeamName} />
+ *
+ * @returns {JSX.Element} Bracket
+ */
+function CupBracket({ bracket, getTeamName }) {
+  if (bracket.rounds.length === 0) {
+    return <p className="cup-empty">No teams have been entered yet.</p>;
+  }
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short'
+  });
+
+  return (
+    <div className="cup-bracket">
+      {bracket.rounds.map(round => (
+        <div key={round.round} className="cup-round">
+          <h4>{round.name}</h4>
+
+          {!round.drawn && <p className="cup-empty">Draw to be made</p>}
+
+          {round.ties.map(({ fixture, result, winner, decidedBy }) => (
+            <Link key={fixture.id} to={`/fixtures/${fixture.id}`} className="cup-tie">
+              {[['home', fixture.homeTeam], ['away', fixture.awayTeam]].map(([side, teamID]) => (
+                <div key={side} className={`cup-tie-team${winner === teamID ? ' cup-tie-winner' : ''}`}>
+                  <span>{getTeamName(teamID)}</span>
+                  {winner && <span className="cup-tie-score">{side === 'home' ? result.homeScore : result.awayScore}</span>}
+                </div>
+              ))}
+              <small className="cup-tie-note">
+                {winner && decidedBy !== 'score' ? TIE_DECIDERS[decidedBy] : formatDate(fixture.date)}
+              </small>
+            </Link>
+          ))}
+
+          {round.byes.map(teamID => (
+            <div key={teamID} className="cup-tie cup-bye">
+              <div className="cup-tie-team cup-tie-winner">
+                <span>{getTeamName(teamID)}</span>
+              </div>
+              <small className="cup-tie-note">Bye</small>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {bracket.winner && (
+        <div className="cup-round cup-champion">
+          <h4>Winner</h4>
+          <div className="cup-tie cup-tie-winner">🏆 {getTeamName(bracket.winner)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CupBracket;
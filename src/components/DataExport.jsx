@@ -0,0 +1,177 @@
+/**
+ * @file DataExport.jsx
+ * @description CSV and Excel downloads of fixtures, results and standings
+ * @module components/DataExport
+ */
+
+import React, { useState } from 'react';
+import { filterExportFixtures, buildFixturesSheet, buildResultsSheet, buildStandingsSheet } from '../utils/fixtureExports';
+import { downloadSpreadsheet } from '../utils/spreadsheets';
+import { getSeasons } from '../utils/seasons';
+
+/**
+ * Names of the data sets that can be exported
+ * @type {Object<string, string>}
+ */
+const DATASET_LABELS = {
+  fixtures: 'Fixtures',
+  results: 'Results and scorers',
+  standings: 'Standings'
+};
+
+/**
+ * DataExport component - download the raw data for a club's own tools and website
+ *
+ * @component
+ * @description Offers the chosen data sets filtered by season, league and team, as CSV or as an
+ * Excel (.xlsx) workbook. Results only include confirmed results. Standings are the tables the
+ * page shows, so they follow the page's season.
+ *
+ * Pages with their own season switcher pass the season in; otherwise a season filter is shown,
+ * including all seasons.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.datasets - Keys of DATASET_LABELS to offer
+ * @param {Array<Object>} props.leagues - Leagues from tblleagues
+ * @param {Array<Object>} props.teams - Teams from tblteams
+ * @param {Array<Object>} [props.fixtures=[]] - Fixtures from tblfixtures
+ * @param {Array<Object>} [props.results=[]] - Results from tblresults
+ * @param {Array<Object>} [props.tables=[]] - League tables, as for generateLeagueTablesPDF
+ * @param {string} [props.season] - Season chosen on the page
+ *
+ * @example
+ * <DataExport datasets={['fixtures', 'results']} leagues={leagues} teams={teams}
+ *   fixtures={fixtures} results={results} season={season} />
+ *
+ * @returns {JSX.Element} Export filters and download button
+ */
+function DataExport({ datasets, leagues, teams, fixtures = [], results = [], tables = [], season }) {
+  const [dataset, setDataset] = useState(datasets[0]);
+  const [chosenSeason, setChosenSeason] = useState('');
+  const [leagueID, setLeagueID] = useState('');
+  const [teamID, setTeamID] = useState('');
+  const [format, setFormat] = useState('csv');
+
+  const seasons = getSeasons(leagues);
+  const exportSeason = season ?? chosenSeason;
+
+  const leagueOptions = dataset === 'standings'
+    ? [...new Map(tables.map(table => [table.league.id, table.league])).values()]
+    : leagues.filter(league => !exportSeason || league.leagueSeason === exportSeason);
+
+  const teamIDs = dataset === 'standings'
+    ? tables.filter(table => !leagueID || table.league.id === parseInt(leagueID))
+      .flatMap(table => table.standings.map(standing => standing.teamID))
+    : filterExportFixtures(fixtures, leagues, { season: exportSeason, leagueID })
+      .flatMap(fixture => [fixture.homeTeam, fixture.awayTeam]);
+  const teamOptions = teams
+    .filter(team => teamIDs.includes(team.id))
+    .sort((a, b) => a.teamName.localeCompare(b.teamName));
+
+  const handleDatasetChange = (e) => {
+    setDataset(e.target.value);
+    setLeagueID('');
+    setTeamID('');
+  };
+
+  const handleSeasonChange = (e) => {
+    setChosenSeason(e.target.value);
+    setLeagueID('');
+    setTeamID('');
+  };
+
+  const handleLeagueChange = (e) => {
+    setLeagueID(e.target.value);
+    setTeamID('');
+  };
+
+  const handleDownload = () => {
+    let rows;
+    if (dataset === 'standings') {
+      const leagueTables = tables.filter(table => !leagueID || table.league.id === parseInt(leagueID));
+      rows = buildStandingsSheet(leagueTables, teamID);
+    } else {
+      const selected = filterExportFixtures(fixtures, leagues, { season: exportSeason, leagueID, teamID });
+      rows = dataset === 'results'
+        ? buildResultsSheet(selected, results, teams, leagues)
+        : buildFixturesSheet(selected, teams, leagues);
+    }
+
+    if (rows.length < 2) {
+      alert(`No ${DATASET_LABELS[dataset].toLowerCase()} to export for these filters`);
+      return;
+    }
+
+    const sheetName = dataset === 'standings' ? 'Standings' : dataset === 'results' ? 'Results' : 'Fixtures';
+    const fileName = [
+      'Devon RFU Colts',
+      sheetName,
+      exportSeason || 'All Seasons',
+      leagueOptions.find(l => l.id === parseInt(leagueID))?.leagueName,
+      teams.find(t => t.id === parseInt(teamID))?.teamName
+    ].filter(Boolean).join(' ');
+
+    downloadSpreadsheet(rows, fileName, format, sheetName);
+  };
+
+  return (
+    <div className="data-export">
+      <label>
+        Export
+        <select value={dataset} onChange={handleDatasetChange}>
+          {datasets.map(key => (
+            <option key={key} value={key}>{DATASET_LABELS[key]}</option>
+          ))}
+        </select>
+      </label>
+
+      {season === undefined && (
+        <label>
+          Season
+          <select value={chosenSeason} onChange={handleSeasonChange}>
+            <option value="">All seasons</option>
+            {seasons.map(s => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label>
+        League
+        <select value={leagueID} onChange={handleLeagueChange}>
+          <option value="">All leagues</option>
+          {leagueOptions.map(league => (
+            <option key={league.id} value={league.id}>
+              {league.leagueName}{exportSeason ? '' : ` (${league.leagueSeason})`}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        Team
+        <select value={teamID} onChange={(e) => setTeamID(e.target.value)}>
+          <option value="">All teams</option>
+          {teamOptions.map(team => (
+            <option key={team.id} value={team.id}>{team.teamName}</option>
+          ))}
+        </select>
+      </label>
+
+      <label>
+        Format
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          <option value="csv">CSV</option>
+          <option value="xlsx">Excel (.xlsx)</option>
+        </select>
+      </label>
+
+      <button className="data-export-btn" onClick={handleDownload}>
+        ⬇ Download
+      </button>
+    </div>
+  );
+}
+
+export default DataExport;
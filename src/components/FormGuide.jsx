@@ -0,0 +1,43 @@
+/**
+ * @file FormGuide.jsx
+ * @description Form guide badges for a team's most recent results
+ * @module components/FormGuide
+ */
+
+import React from 'react';
+import { FORM_OUTCOMES } from '../utils/resultSummary';
+
+/**
+ * FormGuide component - one W/D/L badge per result, oldest on the left
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.form - Results from getTeamForm (most recent first)
+ * @param {Function} props.getTeamName - Returns a team's name from its ID, for the badge tooltips
+ *
+ * @example
+ * <FormGuide form={getTeamForm(team.id, fixtures, results, leagues)} getTeamName={getTeamName} />
+ *
+ * @returns {JSX.Element} Form guide badges
+ */
+function FormGuide({ form, getTeamName }) {
+  if (!form || form.length === 0) {
+    return <span className="form-guide-empty">-</span>;
+  }
+
+  return (
+    <span className="form-guide">
+      {[...form].reverse().map(entry => (
+        <span
+          key={entry.fixture.id}
+          className={`form-badge form-${entry.outcome}`}
+          title={`${FORM_OUTCOMES[entry.outcome]} ${entry.teamScore}-${entry.opponentScore} ${entry.isHome ? 'v' : 'at'} ${getTeamName(entry.opponentID)} (${new Date(entry.fixture.date).toLocaleDateString('en-GB')})`}
+        >
+          {entry.outcome}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export default FormGuide;
@@ -0,0 +1,99 @@
+/**
+ * @file PositionChart.jsx
+ * @description Line chart of a team's league position over the season
+ * @module components/PositionChart
+ */
+
+import React from 'react';
+import { formatChartDate } from '../utils/dateHelpers';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 15, right: 20, bottom: 35, left: 35 };
+const MAX_DATE_LABELS = 8;
+
+/**
+ * PositionChart component - a team's position after each round, 1st at the top
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.history - Rounds from buildPositionHistory
+ * @param {number} props.teamID - Team to chart
+ * @param {number} props.teamCount - Number of teams in the league (the bottom of the axis)
+ *
+ * @example
+ * <PositionChart history={buildPositionHistory(fixtures, results, league, sanctions)} teamID={3} teamCount={10} />
+ *
+ * @returns {JSX.Element} SVG chart
+ */
+function PositionChart({ history, teamID, teamCount }) {
+  const rounds = (history || []).filter(round => round.positions[teamID]);
+
+  if (rounds.length === 0) {
+    return <p className="position-chart-empty">No matches played yet.</p>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const bottom = Math.max(teamCount, 2);
+
+  const x = (i) => PADDING.left + (rounds.length === 1 ? plotWidth / 2 : (i / (rounds.length - 1)) * plotWidth);
+  const y = (position) => PADDING.top + ((position - 1) / (bottom - 1)) * plotHeight;
+
+  // Label every position on small leagues, otherwise roughly five evenly spaced positions
+  const step = bottom <= 8 ? 1 : Math.ceil(bottom / 5);
+  const positionLabels = [];
+  for (let position = 1; position <= bottom; position += step) {
+    positionLabels.push(position);
+  }
+  if (positionLabels[positionLabels.length - 1] !== bottom) positionLabels.push(bottom);
+
+  const dateStep = Math.ceil(rounds.length / MAX_DATE_LABELS);
+  const points = rounds.map((round, i) => `${x(i)},${y(round.positions[teamID])}`).join(' ');
+
+  return (
+    <svg
+      className="position-chart"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label="League position after each round"
+    >
+      {positionLabels.map(position => (
+        <g key={position}>
+          <line
+            className="position-chart-grid"
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(position)}
+            y2={y(position)}
+          />
+          <text className="position-chart-label" x={PADDING.left - 8} y={y(position) + 4} textAnchor="end">
+            {position}
+          </text>
+        </g>
+      ))}
+
+      {rounds.map((round, i) => (i % dateStep === 0 || i === rounds.length - 1) && (
+        <text
+          key={round.date}
+          className="position-chart-label"
+          x={x(i)}
+          y={HEIGHT - PADDING.bottom + 20}
+          textAnchor="middle"
+        >
+          {formatChartDate(round.date)}
+        </text>
+      ))}
+
+      <polyline className="position-chart-line" points={points} />
+
+      {rounds.map((round, i) => (
+        <circle key={round.date} className="position-chart-point" cx={x(i)} cy={y(round.positions[teamID])} r={4}>
+          <title>{`${formatChartDate(round.date)}: ${round.positions[teamID]}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+export default PositionChart;
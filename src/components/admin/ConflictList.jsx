@@ -0,0 +1,55 @@
+/**
+ * @file ConflictList.jsx
+ * @description List of fixture scheduling conflicts for the fixtures admin
+ * @module components/admin/ConflictList
+ */
+
+import React from 'react';
+import { CONFLICT_TYPES, describeConflict, hasBlockingConflicts } from '../../utils/fixtureConflicts';
+
+/**
+ * ConflictList component - shows which fixtures clash and why
+ *
+ * @component
+ * @description Lists conflicts found by findConflicts(). Blocking conflicts must be
+ * fixed before saving; warnings can be accepted.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.conflicts - Conflicts from findConflicts
+ * @param {Function} props.getTeamName - Returns a team name for a team ID
+ * @param {Function} [props.getRefereeName] - Returns a referee name for a user ID
+ *
+ * @example
+ * <ConflictList conflicts={conflicts} getTeamName={getTeamName} />
+ *
+ * @returns {JSX.Element|null} Conflict list, or nothing if there are no conflicts
+ */
+function ConflictList({ conflicts, getTeamName, getRefereeName }) {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  const blocking = hasBlockingConflicts(conflicts);
+
+  return (
+    <div className={blocking ? 'admin-error' : 'admin-warning'}>
+      <strong>
+        {blocking
+          ? 'These fixtures clash and cannot be saved:'
+          : 'Possible clashes - check these before saving:'}
+      </strong>
+      <ul className="admin-conflicts">
+        {conflicts.map((conflict, index) => (
+          <li key={index}>
+            <strong>
+              {getTeamName(conflict.fixture.homeTeam)} v {getTeamName(conflict.fixture.awayTeam)}
+            </strong>
+            {' - '}{CONFLICT_TYPES[conflict.type].label}
+            {conflict.severity === 'warn' && ' (warning)'}
+            : {describeConflict(conflict, getTeamName, getRefereeName)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ConflictList;
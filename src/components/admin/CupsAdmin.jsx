@@ -0,0 +1,392 @@
+/**
+ * @file CupsAdmin.jsx
+ * @description Knockout cup management component for admin panel
+ * @module components/admin/CupsAdmin
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { parseRules } from '../../utils/competitionRules';
+import { isKnockout, buildBracket, drawFirstRound, drawNextRound, shuffleDraw } from '../../utils/knockout';
+import { findConflicts, hasBlockingConflicts } from '../../utils/fixtureConflicts';
+import { getDefaultVenue } from '../../utils/fixtureGenerator';
+import ConflictList from './ConflictList';
+import CupBracket from '../CupBracket';
+
+/**
+ * CupsAdmin component - enter teams, seed them and make each round's draw
+ *
+ * @component
+ * @description Works on the knockout cups created in the Leagues tab:
+ * - Entrants and seeding: add teams and order them from the top seed down. The seeding is
+ *   locked once the first round has been drawn.
+ * - Draws: the first round follows the seeding, with byes for the top seeds when the number
+ *   of teams is not a power of two. Later rounds can follow the bracket or be an open draw.
+ *   A round can only be drawn once every tie in the previous round has a confirmed result.
+ *   The draw is previewed, checked for clashes, and then created as fixtures for the round.
+ * - The bracket as it stands, as shown on the public Cups page
+ *
+ * Results for cup ties are entered in the Results tab like any other fixture.
+ *
+ * @example
+ * // Used within Admin.jsx
+ * {activeTab === 'cups' && <CupsAdmin />}
+ *
+ * @returns {JSX.Element} Cups management interface
+ */
+function CupsAdmin() {
+  const [cups, setCups] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [cupID, setCupID] = useState('');
+  const [seeds, setSeeds] = useState([]);
+  const [draw, setDraw] = useState({ type: 'bracket', date: '', time: '15:00' });
+  const [preview, setPreview] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches cups, teams, fixtures and results
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    try {
+      const leaguesResult = await crudRequest('read', {
+        table: 'tblleagues',
+        orderBy: 'leagueSeason DESC, leagueName ASC'
+      });
+      const teamsResult = await crudRequest('read', { table: 'tblteams', orderBy: 'teamName ASC' });
+      const fixturesResult = await crudRequest('read', { table: 'tblfixtures' });
+      const resultsResult = await crudRequest('read', { table: 'tblresults' });
+
+      if (leaguesResult.status_code !== 200) {
+        setError(leaguesResult.message || 'Failed to load cups');
+        return;
+      }
+
+      setCups((leaguesResult.data.records || leaguesResult.data).filter(isKnockout));
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching cups:', err);
+      setError('Failed to load cups');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cup = cups.find(c => c.id === cupID);
+  const bracket = cup ? buildBracket(cup, fixtures, results) : null;
+  const seedingLocked = !!bracket?.rounds[0]?.drawn;
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  const handleCupChange = (e) => {
+    const id = parseInt(e.target.value) || '';
+    setCupID(id);
+    setSeeds(parseRules(cups.find(c => c.id === id)?.rules).seeds);
+    setPreview(null);
+    setConflicts([]);
+    setError('');
+    setSuccess('');
+  };
+
+  /**
+   * Move a team up or down the seeding
+   * @param {number} index - Seed position
+   * @param {number} direction - -1 for up, 1 for down
+   */
+  const moveSeed = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= seeds.length) return;
+
+    const order = [...seeds];
+    [order[index], order[target]] = [order[target], order[index]];
+    setSeeds(order);
+  };
+
+  /**
+   * Save the entrants and seeding to the cup's rules profile
+   * @async
+   */
+  const handleSaveSeeds = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblleagues',
+        data: { rules: JSON.stringify({ ...parseRules(cup.rules), seeds }) },
+        conditions: { id: cup.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess(`Saved ${seeds.length} seeded team(s)`);
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to save the seeding');
+      }
+    } catch (err) {
+      console.error('Error saving seeding:', err);
+      setError('Failed to save the seeding');
+    }
+  };
+
+  /**
+   * Turn drawn ties into fixture records ready to save
+   * @param {Array<Object>} ties - Ties from the draw
+   * @returns {Array<Object>} Fixtures for tblfixtures
+   */
+  const toFixtures = (ties) => ties.map(tie => ({
+    homeTeam: tie.homeTeam,
+    awayTeam: tie.awayTeam,
+    date: `${draw.date} ${draw.time}:00`,
+    venue: getDefaultVenue(tie.homeTeam, teams, fixtures),
+    leagueID: cup.id,
+    cupRound: bracket.nextRound,
+    status: 0
+  }));
+
+  const handleDraw = () => {
+    setError('');
+
+    if (!draw.date) {
+      setError('Choose a date for the round');
+      return;
+    }
+
+    if (bracket.nextRound === 1 && seeds.join() !== parseRules(cup.rules).seeds.join()) {
+      setError('Save the seeding before making the draw');
+      return;
+    }
+
+    const made = bracket.nextRound === 1
+      ? drawFirstRound(parseRules(cup.rules).seeds)
+      : drawNextRound(bracket.nextEntrants, draw.type === 'open' ? shuffleDraw : undefined);
+
+    setPreview(made);
+    setConflicts(findConflicts(toFixtures(made.ties), fixtures));
+  };
+
+  const handleCreateDraw = async () => {
+    if (hasBlockingConflicts(conflicts)) {
+      setError('Resolve the clashes listed below before creating these fixtures');
+      return;
+    }
+
+    const roundName = bracket.rounds[bracket.nextRound - 1].name;
+    if (!window.confirm(`Create ${preview.ties.length} ${roundName} fixture(s) for ${cup.leagueName}?`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    let created = 0;
+
+    try {
+      for (const fixture of toFixtures(preview.ties)) {
+        const result = await crudRequest('create', {
+          table: 'tblfixtures',
+          data: fixture
+        });
+
+        if (result.status_code === 200) {
+          created++;
+        }
+      }
+    } catch (err) {
+      console.error('Error creating cup fixtures:', err);
+    } finally {
+      setIsSaving(false);
+    }
+
+    if (created < preview.ties.length) {
+      setError(`Created ${created} fixtures, but ${preview.ties.length - created} failed to save`);
+    } else {
+      setSuccess(`${roundName} drawn: ${created} fixture(s) created`);
+    }
+
+    setPreview(null);
+    setConflicts([]);
+    await fetchData();
+  };
+
+  if (isLoading && cups.length === 0) {
+    return <div className="admin-loading">Loading cups...</div>;
+  }
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Manage Cups</h3>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      {cups.length === 0 ? (
+        <p className="darkText">
+          No knockout cups yet. Add one in the Leagues tab with the competition type &quot;Knockout cup&quot;.
+        </p>
+      ) : (
+        <div className="admin-form darkText">
+          <div className="admin-form-group">
+            <label>Cup</label>
+            <select value={cupID} onChange={handleCupChange}>
+              <option value="">Select cup</option>
+              {cups.map(c => (
+                <option key={c.id} value={c.id}>{c.leagueName} ({c.leagueSeason})</option>
+              ))}
+            </select>
+          </div>
+
+          {cup && (
+            <>
+              <h4>Entrants and Seeding</h4>
+              {seedingLocked && <p>The first round has been drawn, so the seeding is locked.</p>}
+              <ol className="cup-seeds">
+                {seeds.map((teamID, index) => (
+                  <li key={teamID}>
+                    {getTeamName(teamID)}
+                    {!seedingLocked && (
+                      <span className="cup-seed-actions">
+                        <button type="button" className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => moveSeed(index, -1)} disabled={index === 0}>↑</button>
+                        <button type="button" className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => moveSeed(index, 1)} disabled={index === seeds.length - 1}>↓</button>
+                        <button type="button" className="admin-btn admin-btn-danger admin-btn-small" onClick={() => setSeeds(seeds.filter(id => id !== teamID))}>Remove</button>
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+
+              {!seedingLocked && (
+                <>
+                  <div className="admin-form-group">
+                    <label>Add Team</label>
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && setSeeds([...seeds, parseInt(e.target.value)])}
+                    >
+                      <option value="">Choose a team...</option>
+                      {teams.filter(t => !seeds.includes(t.id)).map(t => (
+                        <option key={t.id} value={t.id}>{t.teamName}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="admin-form-actions">
+                    <button type="button" className="admin-btn admin-btn-primary" onClick={handleSaveSeeds}>
+                      Save Seeding
+                    </button>
+                  </div>
+                </>
+              )}
+
+              {bracket.nextRound !== null && !preview && (
+                <>
+                  <h4 style={{ marginTop: '24px' }}>Draw the {bracket.rounds[bracket.nextRound - 1].name}</h4>
+                  {bracket.nextRound === 1 && parseRules(cup.rules).seeds.length < 2 ? (
+                    <p>Save at least two seeded teams to make the first round draw.</p>
+                  ) : (
+                    <>
+                      {bracket.nextRound > 1 && (
+                        <div className="admin-form-group">
+                          <label>Draw</label>
+                          <select value={draw.type} onChange={(e) => setDraw({ ...draw, type: e.target.value })}>
+                            <option value="bracket">Follow the bracket</option>
+                            <option value="open">Open draw</option>
+                          </select>
+                        </div>
+                      )}
+                      <div style={{ display: 'flex', gap: '12px' }}>
+                        <div className="admin-form-group" style={{ flex: 1 }}>
+                          <label>Date *</label>
+                          <input type="date" value={draw.date} onChange={(e) => setDraw({ ...draw, date: e.target.value })} />
+                        </div>
+                        <div className="admin-form-group" style={{ flex: 1 }}>
+                          <label>Kick-off Time</label>
+                          <input type="time" value={draw.time} onChange={(e) => setDraw({ ...draw, time: e.target.value })} />
+                        </div>
+                      </div>
+                      <div className="admin-form-actions">
+                        <button type="button" className="admin-btn admin-btn-primary" onClick={handleDraw}>
+                          Make the Draw
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+
+              {preview && (
+                <>
+                  <h4 style={{ marginTop: '24px' }}>{bracket.rounds[bracket.nextRound - 1].name} Draw</h4>
+                  <ConflictList conflicts={conflicts} getTeamName={getTeamName} />
+                  <ul>
+                    {preview.ties.map(tie => (
+                      <li key={`${tie.homeTeam}-${tie.awayTeam}`}>
+                        <strong>{getTeamName(tie.homeTeam)}</strong> v {getTeamName(tie.awayTeam)}
+                        <span style={{ color: '#666' }}> @ {getDefaultVenue(tie.homeTeam, teams, fixtures) || 'No venue'}</span>
+                      </li>
+                    ))}
+                    {preview.byes.map(teamID => (
+                      <li key={teamID}>{getTeamName(teamID)} - bye</li>
+                    ))}
+                  </ul>
+                  <div className="admin-form-actions">
+                    <button
+                      type="button"
+                      className="admin-btn admin-btn-primary"
+                      onClick={handleCreateDraw}
+                      disabled={isSaving || hasBlockingConflicts(conflicts)}
+                    >
+                      {isSaving ? 'Creating Fixtures...' : 'Create Fixtures'}
+                    </button>
+                    {draw.type === 'open' && bracket.nextRound > 1 && (
+                      <button type="button" className="admin-btn admin-btn-secondary" onClick={handleDraw} disabled={isSaving}>
+                        Redraw
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="admin-btn admin-btn-secondary"
+                      onClick={() => {
+                        setPreview(null);
+                        setConflicts([]);
+                      }}
+                      disabled={isSaving}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              )}
+
+              <h4 style={{ marginTop: '24px' }}>Bracket</h4>
+              <CupBracket bracket={bracket} getTeamName={getTeamName} />
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CupsAdmin;
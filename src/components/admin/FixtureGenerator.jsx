@@ -0,0 +1,336 @@
+/**
+ * @file FixtureGenerator.jsx
+ * @description Round-robin season fixture generator for the fixtures admin tab
+ * @module components/admin/FixtureGenerator
+ */
+
+import React, { useState } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { generateRoundRobin, getSaturdays, scheduleRounds, getDefaultVenue } from '../../utils/fixtureGenerator';
+import { findConflicts, hasBlockingConflicts } from '../../utils/fixtureConflicts';
+import { isKnockout } from '../../utils/knockout';
+import { getPhases, mergePoolRounds } from '../../utils/pools';
+import ConflictList from './ConflictList';
+
+/**
+ * FixtureGenerator component - builds a league season's fixtures in one go
+ *
+ * @component
+ * @description Generates a single or double round-robin for the teams playing in a
+ * league (tblteams.playsIn), spreads home and away games evenly, gives byes for odd
+ * team counts and assigns one round to each available Saturday. The schedule is shown
+ * as a preview grid before the fixtures are created in bulk.
+ *
+ * The preview is checked for clashes with existing fixtures (see fixtureConflicts.js);
+ * blocking clashes must be resolved before the fixtures can be created.
+ *
+ * For a league split into pools, each pool of its latest phase gets its own round-robin,
+ * played on the same Saturdays, and the fixtures are tagged with that phase (see pools.js).
+ *
+ * Knockout cups are drawn round by round in the Cups tab instead.
+ *
+ * Venues default to the venue the home team last used for a home fixture, falling back
+ * to the team's club name, and can be edited afterwards in the fixtures list.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.leagues - Leagues from tblleagues
+ * @param {Array<Object>} props.teams - Teams from tblteams
+ * @param {Array<Object>} props.fixtures - Existing fixtures from tblfixtures
+ * @param {Function} props.onClose - Called when the generator is closed
+ * @param {Function} props.onGenerated - Called with a success message after fixtures are created
+ *
+ * @example
+ * <FixtureGenerator leagues={leagues} teams={teams} fixtures={fixtures}
+ *   onClose={() => setShowGenerator(false)} onGenerated={handleGenerated} />
+ *
+ * @returns {JSX.Element} Fixture generator form and preview
+ */
+function FixtureGenerator({ leagues, teams, fixtures, onClose, onGenerated }) {
+  const [settings, setSettings] = useState({
+    leagueID: '',
+    startDate: '',
+    time: '15:00',
+    double: true
+  });
+  const [unavailableDates, setUnavailableDates] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const leagueTeams = teams.filter(t => t.playsIn === settings.leagueID);
+  const phases = getPhases(leagues.find(l => l.id === settings.leagueID));
+  const pools = phases[phases.length - 1]?.pools || [];
+  const rounds = pools.length > 0
+    ? mergePoolRounds(pools.map(pool => generateRoundRobin(pool.teams, settings.double)))
+    : generateRoundRobin(leagueTeams.map(t => t.id), settings.double);
+
+  // Offer enough Saturdays to cover the rounds plus some to rule out
+  const saturdays = getSaturdays(settings.startDate, rounds.length + unavailableDates.length + 8);
+  const availableDates = saturdays.filter(date => !unavailableDates.includes(date));
+
+  const handleSettingChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setSettings(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : (name === 'leagueID' ? parseInt(value) || '' : value)
+    }));
+    setPreview(null);
+    setConflicts([]);
+  };
+
+  const toggleDate = (date) => {
+    setUnavailableDates(prev => prev.includes(date)
+      ? prev.filter(d => d !== date)
+      : [...prev, date]);
+    setPreview(null);
+    setConflicts([]);
+  };
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  /**
+   * Flatten previewed rounds into fixture records ready to save
+   * @param {Array<Object>} scheduledRounds - Scheduled rounds with matches
+   * @returns {Array<Object>} Fixtures for tblfixtures
+   */
+  const toFixtures = (scheduledRounds) => scheduledRounds.flatMap(round => round.matches.map(match => ({
+    homeTeam: match.homeTeam,
+    awayTeam: match.awayTeam,
+    date: `${round.date} ${settings.time}:00`,
+    venue: match.venue,
+    leagueID: settings.leagueID,
+    phase: phases.length > 0 ? phases.length : null,
+    status: 0
+  })));
+
+  const handlePreview = () => {
+    setError('');
+
+    if (!settings.leagueID || !settings.startDate) {
+      setError('League and start date are required');
+      return;
+    }
+
+    if (pools.length === 0 && leagueTeams.length < 2) {
+      setError('At least two teams must play in this league to generate fixtures');
+      return;
+    }
+
+    const scheduled = scheduleRounds(rounds, availableDates);
+    if (scheduled.length === 0) {
+      setError(`${rounds.length} Saturdays are needed but only ${availableDates.length} are available`);
+      return;
+    }
+
+    const previewRounds = scheduled.map(round => ({
+      ...round,
+      matches: round.matches.map(match => ({
+        ...match,
+        venue: getDefaultVenue(match.homeTeam, teams, fixtures)
+      }))
+    }));
+
+    setPreview(previewRounds);
+    setConflicts(findConflicts(toFixtures(previewRounds), fixtures));
+  };
+
+  const handleCommit = async () => {
+    if (hasBlockingConflicts(conflicts)) {
+      setError('Resolve the clashes listed below before creating these fixtures');
+      return;
+    }
+
+    const newFixtures = toFixtures(preview);
+    const total = newFixtures.length;
+    const clashWarning = conflicts.length > 0
+      ? `\n\n${conflicts.length} possible clash(es) were found.`
+      : '';
+    const existing = fixtures.filter(f => f.leagueID === settings.leagueID).length;
+    const warning = existing > 0
+      ? `\n\nThis league already has ${existing} fixture(s), which will be kept.`
+      : '';
+
+    if (!window.confirm(`Create ${total} fixtures for this league?${warning}${clashWarning}`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    let created = 0;
+    let failed = 0;
+
+    try {
+      for (const fixture of newFixtures) {
+        const result = await crudRequest('create', {
+          table: 'tblfixtures',
+          data: fixture
+        });
+
+        if (result.status_code === 200) {
+          created++;
+        } else {
+          failed++;
+        }
+      }
+    } catch (err) {
+      console.error('Error creating generated fixtures:', err);
+      failed = total - created;
+    } finally {
+      setIsSaving(false);
+    }
+
+    if (failed > 0) {
+      setError(`Created ${created} fixtures, but ${failed} failed to save`);
+      return;
+    }
+
+    onGenerated(`Created ${created} fixtures`);
+  };
+
+  const formatRoundDate = (date) => {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="admin-form darkText">
+      <h4>Generate Season Fixtures</h4>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      <div className="admin-form-group">
+        <label>League *</label>
+        <select name="leagueID" value={settings.leagueID} onChange={handleSettingChange}>
+          <option value="">Select league</option>
+          {leagues.filter(league => !isKnockout(league)).map(league => (
+            <option key={league.id} value={league.id}>
+              {league.leagueName} {league.leagueSeason && `(${league.leagueSeason})`}
+            </option>
+          ))}
+        </select>
+        {settings.leagueID && pools.length === 0 && (
+          <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+            {leagueTeams.length} team(s): {leagueTeams.map(t => t.teamName).join(', ') || 'none'}
+          </small>
+        )}
+        {pools.map(pool => (
+          <small key={pool.name} style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+            {phases[phases.length - 1].name} - {pool.name}: {pool.teams.map(getTeamName).join(', ')}
+          </small>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="admin-form-group" style={{ flex: 1 }}>
+          <label>Start Date *</label>
+          <input type="date" name="startDate" value={settings.startDate} onChange={handleSettingChange} />
+        </div>
+        <div className="admin-form-group" style={{ flex: 1 }}>
+          <label>Kick-off Time</label>
+          <input type="time" name="time" value={settings.time} onChange={handleSettingChange} />
+        </div>
+      </div>
+
+      <div className="admin-form-group">
+        <label>
+          <input
+            type="checkbox"
+            name="double"
+            checked={settings.double}
+            onChange={handleSettingChange}
+            style={{ width: 'auto', marginRight: '8px' }}
+          />
+          Double round-robin (every team plays each other home and away)
+        </label>
+      </div>
+
+      {settings.startDate && rounds.length > 0 && (
+        <div className="admin-form-group">
+          <label>Available Saturdays ({rounds.length} rounds needed - untick dates with no matches)</label>
+          <div className="generator-dates">
+            {saturdays.map(date => {
+              const roundIndex = availableDates.indexOf(date);
+              return (
+                <label key={date} className="generator-date">
+                  <input
+                    type="checkbox"
+                    checked={!unavailableDates.includes(date)}
+                    onChange={() => toggleDate(date)}
+                    style={{ width: 'auto', marginRight: '6px' }}
+                  />
+                  {formatRoundDate(date)}
+                  {roundIndex !== -1 && roundIndex < rounds.length && (
+                    <span style={{ color: '#666' }}> - Round {roundIndex + 1}</span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="admin-form-actions">
+        <button type="button" className="admin-btn admin-btn-secondary" onClick={handlePreview}>
+          Preview Fixtures
+        </button>
+        <button type="button" className="admin-btn admin-btn-secondary" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+
+      {preview && (
+        <div style={{ marginTop: '20px' }}>
+          <h4>Preview</h4>
+          <ConflictList conflicts={conflicts} getTeamName={getTeamName} />
+          <div style={{ overflowX: 'auto' }}>
+            <table className="admin-table" style={{ fontSize: '0.9em' }}>
+              <thead>
+                <tr>
+                  <th>Round</th>
+                  <th>Date</th>
+                  <th>Fixtures</th>
+                  <th>Bye</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(round => (
+                  <tr key={round.round}>
+                    <td>{round.round}</td>
+                    <td>{formatRoundDate(round.date)}</td>
+                    <td>
+                      {round.matches.map(match => (
+                        <div key={`${match.homeTeam}-${match.awayTeam}`}>
+                          <strong>{getTeamName(match.homeTeam)}</strong> v {getTeamName(match.awayTeam)}
+                          <span style={{ color: '#666' }}> @ {match.venue || 'No venue'}</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td>{(round.byes || [round.bye]).filter(Boolean).map(getTeamName).join(', ') || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-form-actions">
+            <button
+              type="button"
+              className="admin-btn admin-btn-primary"
+              onClick={handleCommit}
+              disabled={isSaving || hasBlockingConflicts(conflicts)}
+            >
+              {isSaving ? 'Creating Fixtures...' : 'Create All Fixtures'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FixtureGenerator;
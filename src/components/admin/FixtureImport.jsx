@@ -0,0 +1,405 @@
+/**
+ * @file FixtureImport.jsx
+ * @description Spreadsheet fixture import for the fixtures admin tab
+ * @module components/admin/FixtureImport
+ */
+
+import React, { useState } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { readSpreadsheet } from '../../utils/spreadsheets';
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  getUnmatchedNames,
+  buildImportRows,
+  validateImport
+} from '../../utils/fixtureImport';
+import { isKnockout } from '../../utils/knockout';
+
+/**
+ * FixtureImport component - creates fixtures from the fixture secretary's spreadsheet
+ *
+ * @component
+ * @description Reads a CSV or Excel (.xlsx) file, maps its columns to league, home team,
+ * away team, date, kick-off time and venue (guessed from the headings, and changeable), and
+ * matches team and league names to tblteams and tblleagues even when they are spelt a little
+ * differently. Names that are not exact matches are listed so the right team can be chosen.
+ *
+ * Checking the import produces a validation report of every row: unknown teams and leagues,
+ * unreadable dates, duplicates (within the file and against existing fixtures) and clashes
+ * (see fixtureConflicts.js). Rows with errors are skipped; the rest can then be created.
+ *
+ * Rows without a league use the default league, rows without a kick-off use the default
+ * time, and rows without a venue use the venue of the home team's latest home fixture.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.leagues - Leagues from tblleagues
+ * @param {Array<Object>} props.teams - Teams from tblteams
+ * @param {Array<Object>} props.fixtures - Existing fixtures from tblfixtures
+ * @param {Function} props.onClose - Called when the import is closed
+ * @param {Function} props.onImported - Called with a success message after fixtures are created
+ *
+ * @example
+ * <FixtureImport leagues={leagues} teams={teams} fixtures={fixtures}
+ *   onClose={() => setShowImport(false)} onImported={handleImported} />
+ *
+ * @returns {JSX.Element} Fixture import form and validation report
+ */
+function FixtureImport({ leagues, teams, fixtures, onClose, onImported }) {
+  const [fileName, setFileName] = useState('');
+  const [sheetRows, setSheetRows] = useState([]);
+  const [hasHeadings, setHasHeadings] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [settings, setSettings] = useState({ defaultLeagueID: '', defaultTime: '15:00' });
+  const [teamChoices, setTeamChoices] = useState({});
+  const [leagueChoices, setLeagueChoices] = useState({});
+  const [report, setReport] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const leagueOptions = leagues.filter(league => !isKnockout(league) && !league.seasonClosedAt);
+  const dataRows = hasHeadings ? sheetRows.slice(1) : sheetRows;
+  const columnCount = Math.max(0, ...sheetRows.map(row => row.length));
+  const columns = Array.from({ length: columnCount }, (_, i) => {
+    const letter = String.fromCharCode(65 + (i % 26));
+    const heading = hasHeadings ? String(sheetRows[0]?.[i] ?? '').trim() : '';
+    return { index: i, label: heading ? `${letter}: ${heading}` : `Column ${letter}` };
+  });
+
+  const unmatchedTeams = [...new Map(
+    [mapping.homeTeam, mapping.awayTeam]
+      .flatMap(column => getUnmatchedNames(dataRows, column, teams, t => t.teamName))
+      .map(match => [match.name, match])
+  ).values()];
+  const unmatchedLeagues = getUnmatchedNames(dataRows, mapping.league, leagueOptions, l => l.leagueName);
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+  const getLeagueName = (leagueID) => leagues.find(l => l.id === leagueID)?.leagueName || '-';
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setError('');
+    setReport(null);
+    setSheetRows([]);
+    setTeamChoices({});
+    setLeagueChoices({});
+    if (!file) return;
+
+    try {
+      const rows = await readSpreadsheet(file);
+      if (rows.length === 0) {
+        setError('The file has no rows');
+        return;
+      }
+
+      setFileName(file.name);
+      setSheetRows(rows);
+      setMapping(guessColumnMapping(hasHeadings ? rows[0] : []));
+    } catch (err) {
+      console.error('Error reading spreadsheet:', err);
+      setError(err.message || 'The file could not be read');
+    }
+  };
+
+  const handleHeadingsChange = (e) => {
+    setHasHeadings(e.target.checked);
+    setMapping(guessColumnMapping(e.target.checked ? sheetRows[0] : []));
+    setReport(null);
+  };
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? '' : parseInt(value) }));
+    setReport(null);
+  };
+
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: name === 'defaultLeagueID' ? parseInt(value) || '' : value }));
+    setReport(null);
+  };
+
+  const handleChoice = (setChoices, name, value) => {
+    setChoices(prev => ({ ...prev, [name]: value === '' ? '' : parseInt(value) }));
+    setReport(null);
+  };
+
+  const handleCheck = () => {
+    setError('');
+
+    const missing = Object.keys(IMPORT_FIELDS).filter(field => IMPORT_FIELDS[field].required && mapping[field] === '');
+    if (missing.length > 0) {
+      setError(`Choose the column for: ${missing.map(field => IMPORT_FIELDS[field].label).join(', ')}`);
+      return;
+    }
+
+    if (mapping.league === '' && !settings.defaultLeagueID) {
+      setError('Choose a league column or a default league');
+      return;
+    }
+
+    const rows = buildImportRows(dataRows, mapping, {
+      teams,
+      leagues: leagueOptions,
+      fixtures,
+      defaultLeagueID: settings.defaultLeagueID,
+      defaultTime: settings.defaultTime,
+      teamChoices,
+      leagueChoices,
+      firstRow: hasHeadings ? 2 : 1
+    });
+
+    setReport(validateImport(rows, fixtures, getTeamName));
+  };
+
+  const isReady = (row) => !row.issues.some(issue => issue.severity === 'error');
+  const readyRows = report ? report.filter(isReady) : [];
+  const warningCount = readyRows.filter(row => row.issues.some(issue => issue.severity === 'warn')).length;
+
+  const handleImport = async () => {
+    const skipped = report.length - readyRows.length;
+    const notes = [
+      skipped > 0 ? `${skipped} row(s) with errors will be skipped.` : '',
+      warningCount > 0 ? `${warningCount} row(s) have warnings.` : ''
+    ].filter(Boolean).join('\n');
+
+    if (!window.confirm(`Create ${readyRows.length} fixtures?${notes ? `\n\n${notes}` : ''}`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    let created = 0;
+    let failed = 0;
+
+    try {
+      for (const row of readyRows) {
+        const result = await crudRequest('create', {
+          table: 'tblfixtures',
+          data: row.fixture
+        });
+
+        if (result.status_code === 200) {
+          created++;
+        } else {
+          failed++;
+        }
+      }
+    } catch (err) {
+      console.error('Error importing fixtures:', err);
+      failed = readyRows.length - created;
+    } finally {
+      setIsSaving(false);
+    }
+
+    if (failed > 0) {
+      setError(`Created ${created} fixtures, but ${failed} failed to save`);
+      return;
+    }
+
+    onImported(`Imported ${created} fixtures from ${fileName}`);
+  };
+
+  const formatFixtureDate = (date) => new Date(date.replace(' ', 'T')).toLocaleString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const NameChoices = ({ title, unmatched, choices, setChoices, options, getName }) => (
+    <div className="admin-form-group">
+      <label>{title}</label>
+      <table className="admin-table import-names">
+        <tbody>
+          {unmatched.map(match => (
+            <tr key={match.name}>
+              <td>"{match.name}"</td>
+              <td>
+                <select
+                  value={match.name in choices ? choices[match.name] : (match.item?.id || '')}
+                  onChange={(e) => handleChoice(setChoices, match.name, e.target.value)}
+                >
+                  <option value="">Not matched - skip these rows</option>
+                  {options.map(option => (
+                    <option key={option.id} value={option.id}>{getName(option)}</option>
+                  ))}
+                </select>
+                {!match.item && match.suggestion && !(match.name in choices) && (
+                  <small style={{ color: '#666', display: 'block' }}>
+                    Closest: {getName(match.suggestion)} ({Math.round(match.score * 100)}% alike)
+                  </small>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="admin-form darkText">
+      <h4>Import Fixtures</h4>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      <div className="admin-form-group">
+        <label>Spreadsheet (CSV or Excel .xlsx) *</label>
+        <input type="file" accept=".csv,.txt,.xlsx" onChange={handleFileChange} />
+        <label style={{ marginTop: '8px' }}>
+          <input
+            type="checkbox"
+            checked={hasHeadings}
+            onChange={handleHeadingsChange}
+            style={{ width: 'auto', marginRight: '8px' }}
+          />
+          The first row holds column headings
+        </label>
+        {sheetRows.length > 0 && (
+          <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+            {fileName}: {dataRows.length} row(s), {columnCount} column(s)
+          </small>
+        )}
+      </div>
+
+      {sheetRows.length > 0 && (
+        <>
+          <div className="import-mapping">
+            {Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => (
+              <div key={field} className="admin-form-group">
+                <label>{label}{required ? ' *' : ''}</label>
+                <select
+                  value={mapping[field] ?? ''}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                >
+                  <option value="">{required ? 'Choose a column' : 'Not in the file'}</option>
+                  {columns.map(column => (
+                    <option key={column.index} value={column.index}>{column.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div className="admin-form-group" style={{ flex: 2 }}>
+              <label>Default League{mapping.league === '' ? ' *' : ' (rows with no league)'}</label>
+              <select name="defaultLeagueID" value={settings.defaultLeagueID} onChange={handleSettingChange}>
+                <option value="">No default league</option>
+                {leagueOptions.map(league => (
+                  <option key={league.id} value={league.id}>
+                    {league.leagueName} {league.leagueSeason && `(${league.leagueSeason})`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="admin-form-group" style={{ flex: 1 }}>
+              <label>Default Kick-off</label>
+              <input type="time" name="defaultTime" value={settings.defaultTime} onChange={handleSettingChange} />
+            </div>
+          </div>
+
+          {unmatchedTeams.length > 0 && (
+            <NameChoices
+              title="Team names to check (closest matches are chosen for you)"
+              unmatched={unmatchedTeams}
+              choices={teamChoices}
+              setChoices={setTeamChoices}
+              options={teams}
+              getName={team => team.teamName}
+            />
+          )}
+
+          {unmatchedLeagues.length > 0 && (
+            <NameChoices
+              title="League names to check"
+              unmatched={unmatchedLeagues}
+              choices={leagueChoices}
+              setChoices={setLeagueChoices}
+              options={leagueOptions}
+              getName={league => `${league.leagueName} (${league.leagueSeason})`}
+            />
+          )}
+        </>
+      )}
+
+      <div className="admin-form-actions">
+        <button
+          type="button"
+          className="admin-btn admin-btn-secondary"
+          onClick={handleCheck}
+          disabled={sheetRows.length === 0}
+        >
+          Check Fixtures
+        </button>
+        <button type="button" className="admin-btn admin-btn-secondary" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+
+      {report && (
+        <div style={{ marginTop: '20px' }}>
+          <h4>Validation Report</h4>
+          <p>
+            <strong>{readyRows.length}</strong> of {report.length} row(s) ready to import
+            {warningCount > 0 && `, ${warningCount} with warnings`}
+            {report.length > readyRows.length && ` - ${report.length - readyRows.length} row(s) with errors will be skipped`}
+          </p>
+          <div style={{ overflowX: 'auto' }}>
+            <table className="admin-table" style={{ fontSize: '0.9em' }}>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>League</th>
+                  <th>Fixture</th>
+                  <th>Date & Kick-off</th>
+                  <th>Venue</th>
+                  <th>Report</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map(row => (
+                  <tr key={row.row} className={isReady(row) ? '' : 'import-row-error'}>
+                    <td>{row.row}</td>
+                    <td>{row.fixture.leagueID ? getLeagueName(row.fixture.leagueID) : '-'}</td>
+                    <td>
+                      <strong>{row.fixture.homeTeam ? getTeamName(row.fixture.homeTeam) : '?'}</strong>
+                      {' v '}
+                      {row.fixture.awayTeam ? getTeamName(row.fixture.awayTeam) : '?'}
+                    </td>
+                    <td>{row.fixture.date ? formatFixtureDate(row.fixture.date) : '-'}</td>
+                    <td>{row.fixture.venue || 'No venue'}</td>
+                    <td>
+                      {row.issues.length === 0 ? (
+                        <span className="import-issue-ok">✓ Ready</span>
+                      ) : (
+                        row.issues.map((issue, i) => (
+                          <div key={i} className={`import-issue-${issue.severity}`}>{issue.message}</div>
+                        ))
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-form-actions">
+            <button
+              type="button"
+              className="admin-btn admin-btn-primary"
+              onClick={handleImport}
+              disabled={isSaving || readyRows.length === 0}
+            >
+              {isSaving ? 'Importing Fixtures...' : `Import ${readyRows.length} Fixtures`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FixtureImport;
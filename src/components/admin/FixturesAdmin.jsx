@@ -6,6 +6,25 @@
 
 import React, { useState, useEffect } from 'react';
 import { crudRequest } from '../../utils/authHelpers';
+import FixtureGenerator from './FixtureGenerator';
+import FixtureImport from './FixtureImport';
+import ConflictList from './ConflictList';
+import DataExport from '../DataExport';
+import { findConflicts, hasBlockingConflicts } from '../../utils/fixtureConflicts';
+import { getReferees, getRefereeAvailability } from '../../utils/referees';
+import { recordAudit } from '../../utils/auditTrail';
+import { getPhases } from '../../utils/pools';
+import {
+  getToBeRearranged,
+  isRearranged,
+  getDateHistory,
+  describeDateChange,
+  recordPostponement,
+  recordDateChange,
+  postponeFixture,
+  rearrangeFixture,
+  sendPostponementNotifications
+} from '../../utils/postponements';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 
@@ -22,9 +41,21 @@ import 'react-datepicker/dist/react-datepicker.css';
  * - Edit existing fixtures
  * - Delete fixtures with confirmation
  * - Team dropdown selection (home/away)
- * - League assignment
- * - Match status management (scheduled, underway, completed, cancelled, abandoned)
+ * - League assignment, and the phase for a league split into pools (see pools.js)
+ * - Match status management (scheduled, underway, completed, cancelled, abandoned, postponed),
+ *   with a public reason for cancelled, abandoned and postponed matches
+ * - Postponing a match with a reason, and a "to be rearranged" list to give postponed matches
+ *   a new date. The first arranged date and every postponement or move are kept (see
+ *   postponements.js), and followers of both teams are emailed about each change
  * - Venue management
+ * - Referee appointment, showing which referees are unavailable or already appointed; the
+ *   referee's name is stored on the fixture (refereeName) for the public match centre
+ * - Round-robin season generator with preview (see FixtureGenerator)
+ * - Import from the fixture secretary's CSV or Excel spreadsheet, with column mapping, team
+ *   name matching and a validation report (see FixtureImport)
+ * - CSV or Excel export of fixtures by season, league and team (see DataExport)
+ * - Clash detection on save: a team playing twice in a day or a referee with overlapping
+ *   matches blocks the save; a double-booked venue asks for confirmation
  * 
  * Date Handling:
  * - Uses react-datepicker for user-friendly date/time selection
@@ -40,11 +71,21 @@ function FixturesAdmin() {
   const [fixtures, setFixtures] = useState([]);
   const [teams, setTeams] = useState([]);
   const [leagues, setLeagues] = useState([]);
+  const [referees, setReferees] = useState([]);
+  const [refereeAvailability, setRefereeAvailability] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [conflicts, setConflicts] = useState([]);
   const [showForm, setShowForm] = useState(false);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
   const [editingFixture, setEditingFixture] = useState(null);
+  const [fixtureDates, setFixtureDates] = useState([]);
+  const [postponing, setPostponing] = useState(null);
+  const [postponeReason, setPostponeReason] = useState('');
+  const [rearrangeDates, setRearrangeDates] = useState({});
   const [formData, setFormData] = useState({
     homeTeam: '',
     awayTeam: '',
@@ -52,7 +93,10 @@ function FixturesAdmin() {
     time: '15:00',
     venue: '',
     leagueID: '',
-    status: 0
+    phase: '',
+    referee: '',
+    status: 0,
+    statusReason: ''
   });
 
   useEffect(() => {
@@ -60,7 +104,7 @@ function FixturesAdmin() {
   }, []);
 
   /**
-   * Fetches fixtures, teams, and leagues data
+   * Fetches fixtures, teams, leagues and referee data
    * @async
    * @description Loads all required data for fixture management
    */
@@ -86,6 +130,20 @@ function FixturesAdmin() {
         orderBy: 'leagueName ASC'
       });
 
+      // Fetch users (for referees) and referee availability
+      const usersResult = await crudRequest('read', {
+        table: 'tblusers'
+      });
+
+      const availabilityResult = await crudRequest('read', {
+        table: 'tblrefereeavailability'
+      });
+
+      // Fetch the history of postponed and moved fixtures
+      const datesResult = await crudRequest('read', {
+        table: 'tblfixturedates'
+      });
+
       if (fixturesResult.status_code === 200) {
         const fixtureData = fixturesResult.data.records || fixturesResult.data;
         setFixtures(fixtureData);
@@ -100,6 +158,18 @@ function FixturesAdmin() {
         const leagueData = leaguesResult.data.records || leaguesResult.data;
         setLeagues(leagueData);
       }
+
+      if (usersResult.status_code === 200) {
+        setReferees(getReferees(usersResult.data.records || usersResult.data));
+      }
+
+      if (availabilityResult.status_code === 200) {
+        setRefereeAvailability(availabilityResult.data.records || availabilityResult.data);
+      }
+
+      if (datesResult.status_code === 200) {
+        setFixtureDates(datesResult.data.records || datesResult.data);
+      }
     } catch (err) {
       console.error('Error fetching data:', err);
       setError('Failed to load data');
@@ -130,7 +200,7 @@ function FixturesAdmin() {
       ...prev,
       [name]: name === 'homeTeam' || name === 'awayTeam' || name === 'leagueID' || name === 'status'
         ? parseInt(value) 
-        : value
+        : name === 'referee' || name === 'phase' ? (parseInt(value) || '') : value
     }));
   };
 
@@ -163,13 +233,52 @@ function FixturesAdmin() {
       time: '15:00',
       venue: '',
       leagueID: '',
-      status: 0
+      phase: '',
+      referee: '',
+      status: 0,
+      statusReason: ''
     });
     setShowForm(true);
+    setShowGenerator(false);
+    setShowImport(false);
+    setPostponing(null);
+    setConflicts([]);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleGenerate = () => {
+    setShowGenerator(true);
+    setShowForm(false);
+    setShowImport(false);
+    setPostponing(null);
+    setConflicts([]);
     setError('');
     setSuccess('');
   };
 
+  const handleImport = () => {
+    setShowImport(true);
+    setShowForm(false);
+    setShowGenerator(false);
+    setPostponing(null);
+    setConflicts([]);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleImported = async (message) => {
+    setShowImport(false);
+    setSuccess(message);
+    await fetchData();
+  };
+
+  const handleGenerated = async (message) => {
+    setShowGenerator(false);
+    setSuccess(message);
+    await fetchData();
+  };
+
   const handleEdit = (fixture) => {
     setEditingFixture(fixture);
     
@@ -185,13 +294,43 @@ function FixturesAdmin() {
       time: timeStr,
       venue: fixture.venue,
       leagueID: fixture.leagueID,
-      status: fixture.status
+      phase: fixture.phase || '',
+      referee: fixture.referee || '',
+      status: fixture.status,
+      statusReason: fixture.statusReason || ''
     });
     setShowForm(true);
+    setShowGenerator(false);
+    setShowImport(false);
+    setPostponing(null);
+    setConflicts([]);
     setError('');
     setSuccess('');
   };
 
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  const getRefereeName = (refereeID) => {
+    const referee = referees.find(r => r.id === refereeID);
+    return referee ? `${referee.firstName} ${referee.lastName}` : 'Unknown referee';
+  };
+
+  /**
+   * Adds the team and league names used in follower emails
+   * @param {Object} fixture - Fixture from tblfixtures
+   * @returns {Object} Fixture with homeTeamName, awayTeamName, leagueName and leagueSeason
+   */
+  const withNames = (fixture) => {
+    const league = leagues.find(l => l.id === fixture.leagueID);
+    return {
+      ...fixture,
+      homeTeamName: getTeamName(fixture.homeTeam),
+      awayTeamName: getTeamName(fixture.awayTeam),
+      leagueName: league?.leagueName || 'Unknown League',
+      leagueSeason: league?.leagueSeason || ''
+    };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -208,11 +347,56 @@ function FixturesAdmin() {
       return;
     }
 
+    // Combine date and time
+    const dateTime = new Date(`${formData.date}T${formData.time}`);
+
+    // Check for clashes with other fixtures
+    const found = findConflicts([{
+      id: editingFixture?.id,
+      homeTeam: formData.homeTeam,
+      awayTeam: formData.awayTeam,
+      date: dateTime,
+      venue: formData.venue,
+      referee: formData.referee || null,
+      status: formData.status
+    }], fixtures);
+    setConflicts(found);
+
+    if (hasBlockingConflicts(found)) {
+      setError('This fixture clashes with existing fixtures - see the list below');
+      return;
+    }
+
+    if (found.length > 0 && !window.confirm('This fixture may clash with other fixtures. Save it anyway?')) {
+      return;
+    }
+
     try {
-      // Combine date and time
-      const dateTime = new Date(`${formData.date}T${formData.time}`);
       const mysqlDateTime = formatDateForMySQL(dateTime);
 
+      // A new referee appointment needs confirming again
+      const refereeConfirmed = editingFixture && editingFixture.referee === (formData.referee || null)
+        ? (editingFixture.refereeConfirmed || 0)
+        : 0;
+
+      // Only cancelled, abandoned and postponed fixtures keep a reason
+      const statusReason = formData.status === 3 || formData.status === 4 || formData.status === 5
+        ? (formData.statusReason.trim() || null)
+        : null;
+
+      // A postponed or moved fixture keeps the date it was first arranged for
+      const dateChanged = Boolean(editingFixture) && formatDateForMySQL(editingFixture.date) !== mysqlDateTime;
+      const postponed = Boolean(editingFixture) && formData.status === 5 && editingFixture.status !== 5;
+      // Taking a fixture off postponed settles its open postponement, even on the same date
+      const reinstated = Boolean(editingFixture) && editingFixture.status === 5 && formData.status !== 5;
+      const originalDate = dateChanged || postponed
+        ? formatDateForMySQL(editingFixture.originalDate || editingFixture.date)
+        : editingFixture?.originalDate || null;
+
+      // Fixtures in a league split into pools default to its latest phase
+      const phases = getPhases(leagues.find(l => l.id === formData.leagueID));
+      const fixturePhase = phases.length > 0 ? (formData.phase || phases.length) : null;
+
       const operation = editingFixture ? 'update' : 'create';
       const requestData = editingFixture
         ? {
@@ -223,7 +407,13 @@ function FixturesAdmin() {
               date: mysqlDateTime,
               venue: formData.venue,
               leagueID: formData.leagueID,
-              status: formData.status
+              phase: fixturePhase,
+              referee: formData.referee || null,
+              refereeName: formData.referee ? getRefereeName(formData.referee) : null,
+              refereeConfirmed: refereeConfirmed,
+              status: formData.status,
+              statusReason: statusReason,
+              originalDate: originalDate
             },
             conditions: { id: editingFixture.id }
           }
@@ -235,15 +425,41 @@ function FixturesAdmin() {
               date: mysqlDateTime,
               venue: formData.venue,
               leagueID: formData.leagueID,
-              status: formData.status
+              phase: fixturePhase,
+              referee: formData.referee || null,
+              refereeName: formData.referee ? getRefereeName(formData.referee) : null,
+              refereeConfirmed: refereeConfirmed,
+              status: formData.status,
+              statusReason: statusReason
             }
           };
 
       const result = await crudRequest(operation, requestData);
 
       if (result.status_code === 200) {
+        if (editingFixture) {
+          await recordAudit({
+            entity: 'fixture',
+            recordKey: editingFixture.id,
+            action: 'update',
+            before: { ...editingFixture, date: formatDateForMySQL(editingFixture.date) },
+            after: { ...editingFixture, ...requestData.data }
+          });
+
+          const updated = withNames({ ...editingFixture, ...requestData.data });
+          if (postponed) {
+            await recordPostponement(editingFixture, statusReason);
+            await sendPostponementNotifications(updated, 'postponed', editingFixture.date, teams);
+          } else if (dateChanged || reinstated) {
+            await recordDateChange(editingFixture, dateTime, fixtureDates);
+            if (formData.status !== 5 && (dateChanged || formData.status === 0)) {
+              await sendPostponementNotifications(updated, 'rearranged', editingFixture.date, teams);
+            }
+          }
+        }
         setSuccess(editingFixture ? 'Fixture updated successfully' : 'Fixture created successfully');
         setShowForm(false);
+        setConflicts([]);
         await fetchData();
       } else {
         setError(result.message || 'Operation failed');
@@ -254,6 +470,80 @@ function FixturesAdmin() {
     }
   };
 
+  const handlePostpone = (fixture) => {
+    setPostponing(fixture);
+    setPostponeReason('');
+    setShowForm(false);
+    setShowGenerator(false);
+    setShowImport(false);
+    setConflicts([]);
+    setError('');
+    setSuccess('');
+  };
+
+  const handlePostponeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const result = await postponeFixture(postponing, postponeReason);
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+
+    await sendPostponementNotifications(
+      withNames({ ...postponing, status: 5, statusReason: postponeReason.trim() || null }),
+      'postponed',
+      postponing.date,
+      teams
+    );
+    setSuccess(`${getTeamName(postponing.homeTeam)} vs ${getTeamName(postponing.awayTeam)} postponed - followers have been emailed`);
+    setPostponing(null);
+    await fetchData();
+  };
+
+  const handleRearrange = async (fixture) => {
+    setError('');
+    setSuccess('');
+
+    const newDate = rearrangeDates[fixture.id];
+    if (!newDate) {
+      setError('Choose the new date and kick-off time');
+      return;
+    }
+
+    // The new date must not clash with other fixtures
+    const found = findConflicts([{ ...fixture, date: newDate, status: 0 }], fixtures);
+    setConflicts(found);
+
+    if (hasBlockingConflicts(found)) {
+      setError('The new date clashes with existing fixtures - see the list below');
+      return;
+    }
+
+    if (found.length > 0 && !window.confirm('The new date may clash with other fixtures. Rearrange it anyway?')) {
+      return;
+    }
+
+    const result = await rearrangeFixture(fixture, newDate, fixtureDates);
+    if (!result.success) {
+      setError(result.message);
+      return;
+    }
+
+    await sendPostponementNotifications(
+      withNames({ ...fixture, date: newDate, status: 0, statusReason: null }),
+      'rearranged',
+      fixture.date,
+      teams
+    );
+    setSuccess(`${result.message} - followers have been emailed`);
+    setConflicts([]);
+    setRearrangeDates(prev => ({ ...prev, [fixture.id]: null }));
+    await fetchData();
+  };
+
   const handleDelete = async (fixture) => {
     const homeTeamName = teams.find(t => t.id === fixture.homeTeam)?.teamName || 'Unknown';
     const awayTeamName = teams.find(t => t.id === fixture.awayTeam)?.teamName || 'Unknown';
@@ -301,7 +591,8 @@ function FixturesAdmin() {
       1: 'Underway',
       2: 'Completed',
       3: 'Cancelled',
-      4: 'Abandoned'
+      4: 'Abandoned',
+      5: 'Postponed'
     };
     return statuses[status] || 'Unknown';
   };
@@ -312,11 +603,16 @@ function FixturesAdmin() {
       1: '#00a755',
       2: '#0066cc',
       3: '#cc0000',
-      4: '#ff6600'
+      4: '#ff6600',
+      5: '#b8860b'
     };
     return colors[status] || '#666';
   };
 
+  // Phases of the selected league, when it is split into pools
+  const formPhases = getPhases(leagues.find(l => l.id === formData.leagueID));
+  const toBeRearranged = getToBeRearranged(fixtures);
+
   if (isLoading) {
     return <div className="admin-loading">Loading fixtures...</div>;
   }
@@ -325,15 +621,98 @@ function FixturesAdmin() {
     <div>
       <div className="admin-header">
         <h3>Manage Fixtures</h3>
-        {!showForm && (
-          <button className="admin-btn admin-btn-primary" onClick={handleAdd}>
-            + Add Fixture
-          </button>
+        {!showForm && !showGenerator && !showImport && !postponing && (
+          <div>
+            <button
+              className="admin-btn admin-btn-secondary"
+              onClick={() => setShowExport(!showExport)}
+              style={{ marginRight: '8px' }}
+            >
+              {showExport ? 'Hide Export' : 'Export'}
+            </button>
+            <button
+              className="admin-btn admin-btn-secondary"
+              onClick={handleImport}
+              style={{ marginRight: '8px' }}
+            >
+              Import Spreadsheet
+            </button>
+            <button
+              className="admin-btn admin-btn-secondary"
+              onClick={handleGenerate}
+              style={{ marginRight: '8px' }}
+            >
+              Generate Season
+            </button>
+            <button className="admin-btn admin-btn-primary" onClick={handleAdd}>
+              + Add Fixture
+            </button>
+          </div>
         )}
       </div>
 
       {error && <div className="admin-error">{error}</div>}
       {success && <div className="admin-success">{success}</div>}
+      <ConflictList conflicts={conflicts} getTeamName={getTeamName} getRefereeName={getRefereeName} />
+
+      {postponing && (
+        <div className="admin-form darkText">
+          <h4>Postpone {getTeamName(postponing.homeTeam)} vs {getTeamName(postponing.awayTeam)}</h4>
+          <p>
+            Arranged for {formatDate(postponing.date)}. The match moves to the "to be rearranged"
+            list and followers of both teams are emailed.
+          </p>
+          <form onSubmit={handlePostponeSubmit}>
+            <div className="admin-form-group">
+              <label>Reason (shown on the public Fixtures page)</label>
+              <input
+                type="text"
+                value={postponeReason}
+                onChange={(e) => setPostponeReason(e.target.value)}
+                placeholder="e.g., Frozen pitch"
+                maxLength={255}
+              />
+            </div>
+
+            <div className="admin-form-actions">
+              <button type="submit" className="admin-btn admin-btn-primary">
+                Postpone Match
+              </button>
+              <button
+                type="button"
+                className="admin-btn admin-btn-secondary"
+                onClick={() => setPostponing(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {showGenerator && (
+        <FixtureGenerator
+          leagues={leagues}
+          teams={teams}
+          fixtures={fixtures}
+          onClose={() => setShowGenerator(false)}
+          onGenerated={handleGenerated}
+        />
+      )}
+
+      {showExport && !showForm && !showGenerator && !showImport && !postponing && (
+        <DataExport datasets={['fixtures']} leagues={leagues} teams={teams} fixtures={fixtures} />
+      )}
+
+      {showImport && (
+        <FixtureImport
+          leagues={leagues}
+          teams={teams}
+          fixtures={fixtures}
+          onClose={() => setShowImport(false)}
+          onImported={handleImported}
+        />
+      )}
 
       {showForm && (
         <div className="admin-form darkText">
@@ -426,6 +805,54 @@ function FixturesAdmin() {
               </select>
             </div>
 
+            {formPhases.length > 0 && (
+              <div className="admin-form-group">
+                <label>Phase</label>
+                <select name="phase" value={formData.phase} onChange={handleInputChange}>
+                  <option value="">Latest phase</option>
+                  {formPhases.map((phase, i) => (
+                    <option key={i} value={i + 1}>{i + 1}. {phase.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="admin-form-group">
+              <label>Referee</label>
+              <select
+                name="referee"
+                value={formData.referee}
+                onChange={handleInputChange}
+              >
+                <option value="">No referee appointed</option>
+                {referees.map(referee => {
+                  const { available, reason } = getRefereeAvailability(
+                    referee.id,
+                    {
+                      id: editingFixture?.id,
+                      date: formData.date ? new Date(`${formData.date}T${formData.time}`) : null
+                    },
+                    refereeAvailability,
+                    fixtures
+                  );
+                  return (
+                    <option
+                      key={referee.id}
+                      value={referee.id}
+                      disabled={!available && referee.id !== editingFixture?.referee}
+                    >
+                      {referee.firstName} {referee.lastName}{reason ? ` - ${reason}` : ''}
+                    </option>
+                  );
+                })}
+              </select>
+              {!formData.date && (
+                <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                  Choose a date to see which referees are available
+                </small>
+              )}
+            </div>
+
             <div className="admin-form-group">
               <label>Status</label>
               <select
@@ -438,9 +865,24 @@ function FixturesAdmin() {
                 <option value={2}>Completed</option>
                 <option value={3}>Cancelled</option>
                 <option value={4}>Abandoned</option>
+                {editingFixture && <option value={5}>Postponed</option>}
               </select>
             </div>
 
+            {(formData.status === 3 || formData.status === 4 || formData.status === 5) && (
+              <div className="admin-form-group">
+                <label>Reason (shown on the public Fixtures page)</label>
+                <input
+                  type="text"
+                  name="statusReason"
+                  value={formData.statusReason}
+                  onChange={handleInputChange}
+                  placeholder="e.g., Waterlogged pitch"
+                  maxLength={255}
+                />
+              </div>
+            )}
+
             <div className="admin-form-actions">
               <button type="submit" className="admin-btn admin-btn-primary">
                 {editingFixture ? 'Update Fixture' : 'Create Fixture'}
@@ -448,7 +890,10 @@ function FixturesAdmin() {
               <button
                 type="button"
                 className="admin-btn admin-btn-secondary"
-                onClick={() => setShowForm(false)}
+                onClick={() => {
+                  setShowForm(false);
+                  setConflicts([]);
+                }}
               >
                 Cancel
               </button>
@@ -457,6 +902,73 @@ function FixturesAdmin() {
         </div>
       )}
 
+      {toBeRearranged.length > 0 && (
+        <div className="rearrange-list">
+          <h4>To Be Rearranged ({toBeRearranged.length})</h4>
+          <div className="admin-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Match</th>
+                  <th>League</th>
+                  <th>Postponed From</th>
+                  <th>Reason</th>
+                  <th>New Date & Kick-off</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="darkText">
+                {toBeRearranged.map(fixture => {
+                  const league = leagues.find(l => l.id === fixture.leagueID);
+                  const history = getDateHistory(fixture.id, fixtureDates);
+
+                  return (
+                    <tr key={fixture.id}>
+                      <td>
+                        <strong>{getTeamName(fixture.homeTeam)}</strong> vs <strong>{getTeamName(fixture.awayTeam)}</strong>
+                      </td>
+                      <td>{league?.leagueName || 'Unknown'}</td>
+                      <td>
+                        {formatDate(fixture.date)}
+                        {history.length > 1 && (
+                          <div
+                            style={{ fontSize: '0.85em', color: '#666' }}
+                            title={history.map(describeDateChange).join('\n')}
+                          >
+                            Date changed {history.length} times
+                          </div>
+                        )}
+                      </td>
+                      <td>{fixture.statusReason || <em style={{ color: '#999' }}>None given</em>}</td>
+                      <td>
+                        <DatePicker
+                          selected={rearrangeDates[fixture.id] || null}
+                          onChange={(date) => setRearrangeDates(prev => ({ ...prev, [fixture.id]: date }))}
+                          showTimeSelect
+                          timeIntervals={15}
+                          dateFormat="dd/MM/yyyy HH:mm"
+                          placeholderText="Choose a date"
+                          className="admin-input"
+                          showPopperArrow={false}
+                        />
+                      </td>
+                      <td>
+                        <button
+                          className="admin-btn admin-btn-primary admin-btn-small"
+                          onClick={() => handleRearrange(fixture)}
+                        >
+                          Rearrange
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       <div className="admin-table-container">
         <table className="admin-table">
           <thead>
@@ -465,6 +977,7 @@ function FixturesAdmin() {
               <th>Home Team</th>
               <th>Away Team</th>
               <th>Venue</th>
+              <th>Referee</th>
               <th>League</th>
               <th>Status</th>
               <th>Actions</th>
@@ -473,7 +986,7 @@ function FixturesAdmin() {
           <tbody className="darkText">
             {fixtures.length === 0 ? (
               <tr>
-                <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                <td colSpan="8" style={{ textAlign: 'center', padding: '20px' }}>
                   No fixtures found. Add your first fixture to get started.
                 </td>
               </tr>
@@ -489,6 +1002,18 @@ function FixturesAdmin() {
                     <td><strong>{homeTeam?.teamName || 'Unknown'}</strong></td>
                     <td><strong>{awayTeam?.teamName || 'Unknown'}</strong></td>
                     <td>{fixture.venue}</td>
+                    <td>
+                      {fixture.referee ? (
+                        <>
+                          {getRefereeName(fixture.referee)}
+                          <span style={{ fontSize: '0.9em', color: fixture.refereeConfirmed ? '#00a755' : '#666' }}>
+                            {fixture.refereeConfirmed ? ' ✓ confirmed' : ' (unconfirmed)'}
+                          </span>
+                        </>
+                      ) : (
+                        <em style={{ color: '#999' }}>None</em>
+                      )}
+                    </td>
                     <td>
                       {league?.leagueName || 'Unknown'}
                       {league?.leagueSeason && <span style={{ fontSize: '0.9em', color: '#666' }}> ({league.leagueSeason})</span>}
@@ -500,6 +1025,17 @@ function FixturesAdmin() {
                       }}>
                         {getStatusLabel(fixture.status)}
                       </span>
+                      {fixture.statusReason && (
+                        <div style={{ fontSize: '0.85em', color: '#666' }}>{fixture.statusReason}</div>
+                      )}
+                      {isRearranged(fixture) && (
+                        <div
+                          style={{ fontSize: '0.85em', color: '#666' }}
+                          title={getDateHistory(fixture.id, fixtureDates).map(describeDateChange).join('\n')}
+                        >
+                          Originally {formatDate(fixture.originalDate)}
+                        </div>
+                      )}
                     </td>
                     <td>
                       <button
@@ -509,6 +1045,15 @@ function FixturesAdmin() {
                       >
                         Edit
                       </button>
+                      {fixture.status === 0 && (
+                        <button
+                          className="admin-btn admin-btn-secondary admin-btn-small"
+                          onClick={() => handlePostpone(fixture)}
+                          style={{ marginRight: '8px' }}
+                        >
+                          Postpone
+                        </button>
+                      )}
                       <button
                         className="admin-btn admin-btn-danger admin-btn-small"
                         onClick={() => handleDelete(fixture)}
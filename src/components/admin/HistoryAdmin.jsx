@@ -0,0 +1,433 @@
+/**
+ * @file HistoryAdmin.jsx
+ * @description Audit trail of result, fixture status and standings changes for admin panel
+ * @module components/admin/HistoryAdmin
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getUser, crudRequest } from '../../utils/authHelpers';
+import { updateStandingsForFixture } from '../../utils/standingsCalculator';
+import {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  buildVersions,
+  formatAuditValue,
+  pickAuditFields,
+  recordAudit
+} from '../../utils/auditTrail';
+
+/**
+ * HistoryAdmin component - versioned history of audited records
+ *
+ * @component
+ * @description Lists every result, fixture and standing that has changed, and for a
+ * selected record shows each version with who changed it, when, and what changed.
+ *
+ * Features:
+ * - Filter changed records by type
+ * - Version list with a field-by-field diff against the previous version
+ * - Restore an earlier version of a result or fixture; the restore is itself recorded
+ *   and the league's standings are recalculated
+ *
+ * @example
+ * // Used within Admin.jsx
+ * {activeTab === 'history' && <HistoryAdmin />}
+ *
+ * @returns {JSX.Element} Audit trail interface
+ */
+function HistoryAdmin() {
+  const user = getUser();
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [entityFilter, setEntityFilter] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches audit entries and the records they refer to
+   * @async
+   * @description Loads tblaudit plus users, teams, leagues, fixtures and results for display
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const auditResult = await crudRequest('read', {
+        table: 'tblaudit',
+        orderBy: 'dateChanged DESC'
+      });
+
+      const usersResult = await crudRequest('read', {
+        table: 'tblusers'
+      });
+
+      const teamsResult = await crudRequest('read', {
+        table: 'tblteams'
+      });
+
+      const leaguesResult = await crudRequest('read', {
+        table: 'tblleagues'
+      });
+
+      const fixturesResult = await crudRequest('read', {
+        table: 'tblfixtures'
+      });
+
+      const resultsResult = await crudRequest('read', {
+        table: 'tblresults'
+      });
+
+      if (auditResult.status_code === 200) {
+        setEntries(auditResult.data.records || auditResult.data);
+      } else {
+        setError('Failed to load history');
+      }
+
+      if (usersResult.status_code === 200) {
+        setUsers(usersResult.data.records || usersResult.data);
+      }
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching history:', err);
+      setError('Failed to load history');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  const getUserName = (userID) => {
+    const found = users.find(u => u.id === userID);
+    return found ? `${found.firstName} ${found.lastName}` : 'Unknown';
+  };
+
+  /**
+   * Describe the record an audit entry refers to
+   * @param {string} entity - Key of AUDIT_ENTITIES
+   * @param {string} recordKey - Record identifier
+   * @returns {string} e.g. "Exeter v Plymouth (Sat 6 Sep 2025)" or "Exeter - Devon Colts"
+   */
+  const describeRecord = (entity, recordKey) => {
+    if (entity === 'standing') {
+      const [leagueID, teamID, ...pool] = recordKey.split('-');
+      const league = leagues.find(l => l.id === Number(leagueID));
+      return `${getTeamName(Number(teamID))} - ${league?.leagueName || 'Unknown league'}${pool.length > 0 ? ` (${pool.join('-')})` : ''}`;
+    }
+
+    const fixture = fixtures.find(f => f.id === parseInt(recordKey));
+    if (!fixture) return `Fixture #${recordKey} (deleted)`;
+    return `${getTeamName(fixture.homeTeam)} v ${getTeamName(fixture.awayTeam)} (${formatDate(fixture.date)})`;
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const formatDateForMySQL = (date) => {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    const seconds = String(d.getSeconds()).padStart(2, '0');
+    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  };
+
+  // One row per changed record, most recently changed first
+  const records = Object.values(entries
+    .filter(entry => !entityFilter || entry.entity === entityFilter)
+    .reduce((grouped, entry) => {
+      const key = `${entry.entity}:${entry.recordKey}`;
+      if (!grouped[key]) {
+        grouped[key] = { key, entity: entry.entity, recordKey: entry.recordKey, entries: [] };
+      }
+      grouped[key].entries.push(entry);
+      return grouped;
+    }, {}))
+    .map(record => ({
+      ...record,
+      lastChanged: record.entries.reduce((latest, entry) =>
+        new Date(entry.dateChanged) > new Date(latest) ? entry.dateChanged : latest, record.entries[0].dateChanged)
+    }))
+    .sort((a, b) => new Date(b.lastChanged) - new Date(a.lastChanged));
+
+  const selectedRecord = selected ? records.find(r => r.key === selected) : null;
+  const versions = selectedRecord ? buildVersions(selectedRecord.entries) : [];
+
+  /**
+   * Restores a result or fixture to an earlier version
+   * @async
+   * @param {Object} version - Version from buildVersions
+   * @description Writes the version's snapshot back, records the restore in the audit trail
+   * and recalculates the league's standings
+   */
+  const handleRestore = async (version) => {
+    const { entity, recordKey } = selectedRecord;
+    const fixtureID = parseInt(recordKey);
+
+    if (!window.confirm(`Restore version ${version.version} of ${describeRecord(entity, recordKey)}? The league table will be recalculated.`)) {
+      return;
+    }
+
+    setIsRestoring(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      let saveResult;
+      let current;
+
+      if (entity === 'result') {
+        current = results.find(r => r.fixtureID === fixtureID) || null;
+
+        if (!version.snapshot) {
+          saveResult = await crudRequest('delete', {
+            table: 'tblresults',
+            conditions: { fixtureID }
+          });
+        } else if (current) {
+          saveResult = await crudRequest('update', {
+            table: 'tblresults',
+            data: version.snapshot,
+            conditions: { fixtureID }
+          });
+        } else {
+          saveResult = await crudRequest('create', {
+            table: 'tblresults',
+            data: {
+              fixtureID,
+              ...version.snapshot,
+              submittedBy: user.id,
+              dateSubmitted: formatDateForMySQL(new Date())
+            }
+          });
+        }
+      } else {
+        current = fixtures.find(f => f.id === fixtureID) || null;
+
+        if (!current) {
+          setError('This fixture has been deleted and cannot be restored');
+          return;
+        }
+
+        // Keep the public referee name in step with the restored appointment
+        const referee = users.find(u => u.id === version.snapshot.referee);
+
+        saveResult = await crudRequest('update', {
+          table: 'tblfixtures',
+          data: {
+            ...version.snapshot,
+            refereeName: referee ? `${referee.firstName} ${referee.lastName}` : null
+          },
+          conditions: { id: fixtureID }
+        });
+      }
+
+      if (saveResult.status_code !== 200) {
+        setError(saveResult.message || 'Failed to restore version');
+        return;
+      }
+
+      await recordAudit({
+        entity,
+        recordKey,
+        action: 'restore',
+        before: pickAuditFields(entity, current),
+        after: version.snapshot
+      });
+
+      const standingsResult = await updateStandingsForFixture(fixtureID);
+      setSuccess(standingsResult.success
+        ? `Version ${version.version} restored and standings recalculated`
+        : `Version ${version.version} restored, but standings could not be recalculated: ${standingsResult.message}`);
+      await fetchData();
+    } catch (err) {
+      console.error('Error restoring version:', err);
+      setError('Failed to restore version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading history...</div>;
+  }
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Change History</h3>
+        <select
+          value={entityFilter}
+          onChange={(e) => {
+            setEntityFilter(e.target.value);
+            setSelected(null);
+          }}
+        >
+          <option value="">All changes</option>
+          {Object.entries(AUDIT_ENTITIES).map(([key, entity]) => (
+            <option key={key} value={key}>{entity.label}s</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      {selectedRecord && (
+        <div className="admin-form darkText">
+          <h4>
+            {AUDIT_ENTITIES[selectedRecord.entity].label} history - {describeRecord(selectedRecord.entity, selectedRecord.recordKey)}
+          </h4>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>When</th>
+                <th>Who</th>
+                <th>Change</th>
+                <th>What Changed</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...versions].reverse().map((version, index) => (
+                <tr key={version.version}>
+                  <td>
+                    v{version.version}
+                    {index === 0 && <span style={{ color: '#00a755' }}> (current)</span>}
+                  </td>
+                  <td>{version.entry ? formatDateTime(version.entry.dateChanged) : '-'}</td>
+                  <td>{version.entry ? getUserName(version.entry.changedBy) : '-'}</td>
+                  <td>{version.entry ? AUDIT_ACTIONS[version.entry.action] : 'Original'}</td>
+                  <td>
+                    {version.changes.length === 0 ? (
+                      <em style={{ color: '#666' }}>{version.entry ? 'No audited fields changed' : 'Before the first recorded change'}</em>
+                    ) : (
+                      <ul className="audit-changes">
+                        {version.changes.map(change => (
+                          <li key={change.field}>
+                            <strong>{change.field}</strong>:{' '}
+                            <span className="audit-before">{formatAuditValue(change.before)}</span>
+                            {' → '}
+                            <span className="audit-after">{formatAuditValue(change.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td>
+                    {AUDIT_ENTITIES[selectedRecord.entity].restorable && index > 0 && (
+                      <button
+                        className="admin-btn admin-btn-secondary admin-btn-small"
+                        onClick={() => handleRestore(version)}
+                        disabled={isRestoring}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="admin-form-actions">
+            <button
+              type="button"
+              className="admin-btn admin-btn-secondary"
+              onClick={() => setSelected(null)}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Record</th>
+              <th>Changes</th>
+              <th>Last Changed</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="darkText">
+            {records.length === 0 ? (
+              <tr>
+                <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
+                  No changes recorded
+                </td>
+              </tr>
+            ) : (
+              records.map(record => (
+                <tr key={record.key}>
+                  <td>{AUDIT_ENTITIES[record.entity]?.label || record.entity}</td>
+                  <td>{describeRecord(record.entity, record.recordKey)}</td>
+                  <td>{record.entries.length}</td>
+                  <td>{formatDateTime(record.lastChanged)}</td>
+                  <td>
+                    <button
+                      className="admin-btn admin-btn-secondary admin-btn-small"
+                      onClick={() => setSelected(record.key)}
+                    >
+                      View History
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryAdmin;
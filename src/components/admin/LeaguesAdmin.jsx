@@ -6,6 +6,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { crudRequest } from '../../utils/authHelpers';
+import { DEFAULT_RULES, RULES_PRESETS, TRY_BONUS_TYPES, parseRules, describeRules } from '../../utils/competitionRules';
+import { TIEBREAKERS } from '../../utils/tiebreakers';
+import { COMPETITION_TYPES, isKnockout } from '../../utils/knockout';
+import PoolManager from './PoolManager';
 
 /**
  * LeaguesAdmin component - CRUD operations for leagues
@@ -18,6 +22,11 @@ import { crudRequest } from '../../utils/authHelpers';
  * - List all leagues with name and season
  * - Add new leagues
  * - Edit existing leagues (update name and season)
+ * - Edit each league's competition rules profile (match points, bonus point variants and thresholds)
+ * - Configure the tiebreak chain and manual/coin-toss ordering for teams level on points
+ * - Set the promotion, play-off and relegation places shaded on the league table
+ * - Choose the competition type: a league, or a knockout cup (drawn in the Cups tab)
+ * - Split a league into pools, phase by phase, with a table per pool (see PoolManager)
  * - Delete leagues with confirmation
  * 
  * @example
@@ -33,9 +42,13 @@ function LeaguesAdmin() {
   const [success, setSuccess] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingLeague, setEditingLeague] = useState(null);
+  const [leagueTeams, setLeagueTeams] = useState([]);
+  const [poolLeague, setPoolLeague] = useState(null);
   const [formData, setFormData] = useState({
     leagueName: '',
-    leagueSeason: ''
+    leagueSeason: '',
+    competitionType: 'league',
+    rules: { ...DEFAULT_RULES }
   });
 
   useEffect(() => {
@@ -78,13 +91,97 @@ function LeaguesAdmin() {
     }));
   };
 
+  const handleRulesChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      rules: {
+        ...prev.rules,
+        [name]: type === 'checkbox' ? checked : (name === 'tryBonusType' ? value : parseInt(value) || 0)
+      }
+    }));
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = RULES_PRESETS[e.target.value];
+    if (!preset) return;
+    setFormData(prev => ({
+      ...prev,
+      // Presets only cover scoring, so keep the league's table zones and pools
+      rules: {
+        ...preset.rules,
+        promotionPlaces: prev.rules.promotionPlaces,
+        playoffPlaces: prev.rules.playoffPlaces,
+        relegationPlaces: prev.rules.relegationPlaces,
+        phases: prev.rules.phases
+      }
+    }));
+  };
+
+  /**
+   * Moves an item within one of the ordered rules lists
+   * @param {string} listName - 'tiebreakers' or 'manualOrder'
+   * @param {number} index - Index of the item to move
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const moveRulesItem = (listName, index, direction) => {
+    setFormData(prev => {
+      const list = [...prev.rules[listName]];
+      const target = index + direction;
+      if (target < 0 || target >= list.length) return prev;
+      [list[index], list[target]] = [list[target], list[index]];
+      return { ...prev, rules: { ...prev.rules, [listName]: list } };
+    });
+  };
+
+  const addTiebreaker = (e) => {
+    const id = e.target.value;
+    if (!id) return;
+    setFormData(prev => ({
+      ...prev,
+      rules: { ...prev.rules, tiebreakers: [...prev.rules.tiebreakers, id] }
+    }));
+  };
+
+  const removeTiebreaker = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      rules: { ...prev.rules, tiebreakers: prev.rules.tiebreakers.filter((_, i) => i !== index) }
+    }));
+  };
+
+  /**
+   * Loads the teams playing in a league, for manual/coin-toss ordering
+   * @async
+   * @param {Object} league - League being edited
+   */
+  const fetchLeagueTeams = async (league) => {
+    try {
+      const result = await crudRequest('read', {
+        table: 'tblteams',
+        orderBy: 'teamName ASC'
+      });
+
+      if (result.status_code === 200) {
+        const teamData = result.data.records || result.data;
+        setLeagueTeams(teamData.filter(team => team.playsIn === league.id));
+      }
+    } catch (err) {
+      console.error('Error fetching league teams:', err);
+    }
+  };
+
   const handleAdd = () => {
     setEditingLeague(null);
+    setLeagueTeams([]);
     setFormData({
       leagueName: '',
-      leagueSeason: ''
+      leagueSeason: '',
+      competitionType: 'league',
+      rules: { ...DEFAULT_RULES }
     });
     setShowForm(true);
+    setPoolLeague(null);
     setError('');
     setSuccess('');
   };
@@ -93,13 +190,30 @@ function LeaguesAdmin() {
     setEditingLeague(league);
     setFormData({
       leagueName: league.leagueName,
-      leagueSeason: league.leagueSeason
+      leagueSeason: league.leagueSeason,
+      competitionType: league.competitionType || 'league',
+      rules: parseRules(league.rules)
     });
     setShowForm(true);
+    setPoolLeague(null);
+    setError('');
+    setSuccess('');
+    fetchLeagueTeams(league);
+  };
+
+  const handlePools = (league) => {
+    setPoolLeague(league);
+    setShowForm(false);
     setError('');
     setSuccess('');
   };
 
+  const handlePoolsSaved = async (message) => {
+    setPoolLeague(null);
+    setSuccess(message);
+    await fetchLeagues();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -118,15 +232,19 @@ function LeaguesAdmin() {
 
     try {
       const operation = editingLeague ? 'update' : 'create';
+      const leagueData = {
+        ...formData,
+        rules: JSON.stringify(parseRules(formData.rules))
+      };
       const requestData = editingLeague
         ? {
             table: 'tblleagues',
-            data: formData,
+            data: leagueData,
             conditions: { id: editingLeague.id }
           }
         : {
             table: 'tblleagues',
-            data: formData
+            data: leagueData
           };
 
       const result = await crudRequest(operation, requestData);
@@ -188,6 +306,15 @@ function LeaguesAdmin() {
       {error && <div className="admin-error">{error}</div>}
       {success && <div className="admin-success">{success}</div>}
 
+      {poolLeague && (
+        <PoolManager
+          key={poolLeague.id}
+          league={poolLeague}
+          onClose={() => setPoolLeague(null)}
+          onSaved={handlePoolsSaved}
+        />
+      )}
+
       {showForm && (
         <div className="admin-form darkText">
           <h4>{editingLeague ? 'Edit League' : 'Add New League'}</h4>
@@ -219,6 +346,321 @@ function LeaguesAdmin() {
               </small>
             </div>
 
+            <div className="admin-form-group">
+              <label>Competition Type</label>
+              <select name="competitionType" value={formData.competitionType} onChange={handleInputChange}>
+                {Object.entries(COMPETITION_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {isKnockout(formData) ? (
+              <p style={{ color: '#666' }}>
+                Knockout ties are decided on the score, then tries scored, then the away side progresses.
+                Enter teams, seed them and make each round's draw in the Cups tab.
+              </p>
+            ) : (
+              <>
+                <h4 style={{ marginTop: '24px' }}>Competition Rules</h4>
+
+                <div className="admin-form-group">
+                  <label>Apply Preset</label>
+                  <select value="" onChange={handlePresetChange}>
+                    <option value="">Choose a preset...</option>
+                    {Object.entries(RULES_PRESETS).map(([key, preset]) => (
+                      <option key={key} value={key}>{preset.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Win Points</label>
+                    <input
+                      type="number"
+                      name="winPoints"
+                      value={formData.rules.winPoints}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Draw Points</label>
+                    <input
+                      type="number"
+                      name="drawPoints"
+                      value={formData.rules.drawPoints}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Loss Points</label>
+                    <input
+                      type="number"
+                      name="lossPoints"
+                      value={formData.rules.lossPoints}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 2 }}>
+                    <label>Try Bonus Point</label>
+                    <select
+                      name="tryBonusType"
+                      value={formData.rules.tryBonusType}
+                      onChange={handleRulesChange}
+                    >
+                      {Object.entries(TRY_BONUS_TYPES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Try Threshold</label>
+                    <input
+                      type="number"
+                      name="tryBonusThreshold"
+                      value={formData.rules.tryBonusThreshold}
+                      onChange={handleRulesChange}
+                      min="1"
+                      disabled={formData.rules.tryBonusType === 'none'}
+                    />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 2 }}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        name="losingBonusEnabled"
+                        checked={formData.rules.losingBonusEnabled}
+                        onChange={handleRulesChange}
+                        style={{ width: 'auto', marginRight: '8px' }}
+                      />
+                      Losing Bonus Point
+                    </label>
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Losing Margin</label>
+                    <input
+                      type="number"
+                      name="losingBonusMargin"
+                      value={formData.rules.losingBonusMargin}
+                      onChange={handleRulesChange}
+                      min="0"
+                      disabled={!formData.rules.losingBonusEnabled}
+                    />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Walkover Points</label>
+                    <input
+                      type="number"
+                      name="walkoverPoints"
+                      value={formData.rules.walkoverPoints}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Notional Score For</label>
+                    <input
+                      type="number"
+                      name="walkoverScoreFor"
+                      value={formData.rules.walkoverScoreFor}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Notional Score Against</label>
+                    <input
+                      type="number"
+                      name="walkoverScoreAgainst"
+                      value={formData.rules.walkoverScoreAgainst}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Conceding Penalty</label>
+                    <input
+                      type="number"
+                      name="walkoverPenalty"
+                      value={formData.rules.walkoverPenalty}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 2 }}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        name="abandonedResultEnabled"
+                        checked={formData.rules.abandonedResultEnabled}
+                        onChange={handleRulesChange}
+                        style={{ width: 'auto', marginRight: '8px' }}
+                      />
+                      Abandoned Matches Count as a Result
+                    </label>
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>From Minute</label>
+                    <input
+                      type="number"
+                      name="abandonedResultMinute"
+                      value={formData.rules.abandonedResultMinute}
+                      onChange={handleRulesChange}
+                      min="0"
+                      disabled={!formData.rules.abandonedResultEnabled}
+                    />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Promotion Places</label>
+                    <input
+                      type="number"
+                      name="promotionPlaces"
+                      value={formData.rules.promotionPlaces}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Play-off Places</label>
+                    <input
+                      type="number"
+                      name="playoffPlaces"
+                      value={formData.rules.playoffPlaces}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                  <div className="admin-form-group" style={{ flex: 1 }}>
+                    <label>Relegation Places</label>
+                    <input
+                      type="number"
+                      name="relegationPlaces"
+                      value={formData.rules.relegationPlaces}
+                      onChange={handleRulesChange}
+                      min="0"
+                    />
+                  </div>
+                </div>
+
+                <div className="admin-form-group">
+                  <label>Tiebreakers (applied in order to teams level on points)</label>
+                  {formData.rules.tiebreakers.length === 0 ? (
+                    <p style={{ color: '#666', fontSize: '0.9em' }}>No tiebreakers - level teams share their order</p>
+                  ) : (
+                    <ol style={{ paddingLeft: '20px' }}>
+                      {formData.rules.tiebreakers.map((id, index) => (
+                        <li key={id} style={{ marginBottom: '6px' }}>
+                          {TIEBREAKERS[id]?.label || id}
+                          <button
+                            type="button"
+                            className="admin-btn admin-btn-secondary admin-btn-small"
+                            onClick={() => moveRulesItem('tiebreakers', index, -1)}
+                            disabled={index === 0}
+                            style={{ marginLeft: '8px' }}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            className="admin-btn admin-btn-secondary admin-btn-small"
+                            onClick={() => moveRulesItem('tiebreakers', index, 1)}
+                            disabled={index === formData.rules.tiebreakers.length - 1}
+                            style={{ marginLeft: '4px' }}
+                          >
+                            ↓
+                          </button>
+                          <button
+                            type="button"
+                            className="admin-btn admin-btn-danger admin-btn-small"
+                            onClick={() => removeTiebreaker(index)}
+                            style={{ marginLeft: '4px' }}
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  <select value="" onChange={addTiebreaker}>
+                    <option value="">Add a tiebreaker...</option>
+                    {Object.entries(TIEBREAKERS)
+                      .filter(([id]) => !formData.rules.tiebreakers.includes(id))
+                      .map(([id, tiebreaker]) => (
+                        <option key={id} value={id}>{tiebreaker.label}</option>
+                      ))}
+                  </select>
+                </div>
+
+                {formData.rules.tiebreakers.includes('manual') && (
+                  <div className="admin-form-group">
+                    <label>Coin Toss / Manual Order</label>
+                    {!editingLeague || leagueTeams.length === 0 ? (
+                      <p style={{ color: '#666', fontSize: '0.9em' }}>
+                        Save the league and assign teams to it before setting a manual order.
+                      </p>
+                    ) : (
+                      <ol style={{ paddingLeft: '20px' }}>
+                        {[
+                          ...formData.rules.manualOrder.filter(id => leagueTeams.some(t => t.id === id)),
+                          ...leagueTeams.map(t => t.id).filter(id => !formData.rules.manualOrder.includes(id))
+                        ].map((teamID, index, ordered) => (
+                          <li key={teamID} style={{ marginBottom: '6px' }}>
+                            {leagueTeams.find(t => t.id === teamID)?.teamName}
+                            <button
+                              type="button"
+                              className="admin-btn admin-btn-secondary admin-btn-small"
+                              onClick={() => {
+                                setFormData(prev => ({ ...prev, rules: { ...prev.rules, manualOrder: ordered } }));
+                                moveRulesItem('manualOrder', index, -1);
+                              }}
+                              disabled={index === 0}
+                              style={{ marginLeft: '8px' }}
+                            >
+                              ↑
+                            </button>
+                            <button
+                              type="button"
+                              className="admin-btn admin-btn-secondary admin-btn-small"
+                              onClick={() => {
+                                setFormData(prev => ({ ...prev, rules: { ...prev.rules, manualOrder: ordered } }));
+                                moveRulesItem('manualOrder', index, 1);
+                              }}
+                              disabled={index === ordered.length - 1}
+                              style={{ marginLeft: '4px' }}
+                            >
+                              ↓
+                            </button>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                    <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                      Used only when every earlier tiebreaker leaves teams level, e.g. to record a coin toss.
+                    </small>
+                  </div>
+                )}
+              </>
+            )}
+
             <div className="admin-form-actions">
               <button type="submit" className="admin-btn admin-btn-primary">
                 {editingLeague ? 'Update League' : 'Create League'}
@@ -241,13 +683,15 @@ function LeaguesAdmin() {
             <tr>
               <th>League Name</th>
               <th>Season</th>
+              <th>Type</th>
+              <th>Rules</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody className="darkText">
             {leagues.length === 0 ? (
               <tr>
-                <td colSpan="3" style={{ textAlign: 'center', padding: '20px' }}>
+                <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
                   No leagues found. Add your first league to get started.
                 </td>
               </tr>
@@ -256,6 +700,12 @@ function LeaguesAdmin() {
                 <tr key={league.id}>
                   <td><strong>{league.leagueName}</strong></td>
                   <td>{league.leagueSeason}</td>
+                  <td>{COMPETITION_TYPES[league.competitionType] || COMPETITION_TYPES.league}</td>
+                  <td style={{ fontSize: '0.85em', color: '#666' }}>
+                    {isKnockout(league)
+                      ? 'Ties: score, then tries, then the away side progresses'
+                      : describeRules(league.rules).join(' · ')}
+                  </td>
                   <td>
                     <button
                       className="admin-btn admin-btn-secondary admin-btn-small"
@@ -264,6 +714,15 @@ function LeaguesAdmin() {
                     >
                       Edit
                     </button>
+                    {!isKnockout(league) && (
+                      <button
+                        className="admin-btn admin-btn-secondary admin-btn-small"
+                        onClick={() => handlePools(league)}
+                        style={{ marginRight: '8px' }}
+                      >
+                        Pools
+                      </button>
+                    )}
                     <button
                       className="admin-btn admin-btn-danger admin-btn-small"
                       onClick={() => handleDelete(league)}
@@ -0,0 +1,310 @@
+/**
+ * @file PlayerNameMigration.jsx
+ * @description Links free-text scorer names in existing results to registered players
+ * @module components/admin/PlayerNameMigration
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { recordAudit } from '../../utils/auditTrail';
+import {
+  getSquad,
+  getPlayerName,
+  normaliseName,
+  matchPlayerName,
+  collectUnlinkedScorers,
+  linkScorers
+} from '../../utils/players';
+
+const NEW_PLAYER = 'new';
+
+const MATCH_LABELS = {
+  exact: 'Exact name',
+  initial: 'Initial and surname',
+  surname: 'Surname only'
+};
+
+/**
+ * PlayerNameMigration component - match old scorer names to the player registry
+ *
+ * @component
+ * @description Lists every scorer name in tblresults that is not linked to a player,
+ * per team, with a suggested match from the team's squad (see matchPlayerName). The
+ * admin confirms or changes each match, or registers the name as a new player, and the
+ * chosen links are written back into the scorers JSON of every affected result.
+ *
+ * @example
+ * <PlayerNameMigration />
+ *
+ * @returns {JSX.Element} Name matching table
+ */
+function PlayerNameMigration() {
+  const [results, setResults] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [players, setPlayers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  /**
+   * Fetches results, fixtures, players and teams, and suggests a match for each name
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const resultsResult = await crudRequest('read', { table: 'tblresults' });
+      const fixturesResult = await crudRequest('read', { table: 'tblfixtures' });
+      const playersResult = await crudRequest('read', { table: 'tblplayers' });
+      const teamsResult = await crudRequest('read', { table: 'tblteams' });
+
+      if (resultsResult.status_code !== 200 || fixturesResult.status_code !== 200 || playersResult.status_code !== 200) {
+        setError('Failed to load results and players');
+        return;
+      }
+
+      const resultsData = resultsResult.data.records || resultsResult.data;
+      const fixturesData = fixturesResult.data.records || fixturesResult.data;
+      const playersData = playersResult.data.records || playersResult.data;
+
+      setResults(resultsData);
+      setFixtures(fixturesData);
+      setPlayers(playersData);
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      const suggested = {};
+      collectUnlinkedScorers(resultsData, fixturesData).forEach(entry => {
+        const { player } = matchPlayerName(entry.playerName, getSquad(playersData, entry.teamID, true));
+        suggested[`${entry.teamID}:${normaliseName(entry.playerName)}`] = player ? String(player.id) : '';
+      });
+      setChoices(suggested);
+    } catch (err) {
+      console.error('Error loading scorer names:', err);
+      setError('Failed to load results and players');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  /**
+   * Split a free-text name into first and last name for a new player
+   * @param {string} name - Name as entered
+   * @returns {{firstName: string, lastName: string}} Name parts
+   */
+  const splitName = (name) => {
+    const parts = name.trim().split(/\s+/);
+    return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+  };
+
+  const unlinked = collectUnlinkedScorers(results, fixtures);
+
+  const handleLink = async () => {
+    const selected = Object.entries(choices).filter(([, choice]) => choice);
+    if (selected.length === 0) {
+      setError('Choose a player for at least one name');
+      return;
+    }
+
+    if (!window.confirm(`Link ${selected.length} name(s) to registered players? Every result using these names will be updated.`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // Register new players first, then re-read the registry to pick up their IDs
+      let created = 0;
+      let registry = players;
+
+      for (const entry of unlinked) {
+        if (choices[`${entry.teamID}:${normaliseName(entry.playerName)}`] !== NEW_PLAYER) continue;
+
+        const createResult = await crudRequest('create', {
+          table: 'tblplayers',
+          data: { teamID: entry.teamID, ...splitName(entry.playerName), squadNumber: null, position: null, active: 1 }
+        });
+
+        if (createResult.status_code !== 200) {
+          setError(`Failed to register ${entry.playerName}: ${createResult.message || 'unknown error'}`);
+          return;
+        }
+        created++;
+      }
+
+      if (created > 0) {
+        const playersResult = await crudRequest('read', { table: 'tblplayers' });
+        if (playersResult.status_code !== 200) {
+          setError('New players were registered, but the registry could not be reloaded - run the tool again');
+          return;
+        }
+        registry = playersResult.data.records || playersResult.data;
+      }
+
+      // Players to link, per team, keyed by normalised scorer name
+      const linksByTeam = {};
+
+      unlinked.forEach(entry => {
+        const choice = choices[`${entry.teamID}:${normaliseName(entry.playerName)}`];
+        if (!choice) return;
+
+        const { firstName, lastName } = splitName(entry.playerName);
+        const player = choice === NEW_PLAYER
+          ? registry.find(p => p.teamID === entry.teamID && p.firstName === firstName && p.lastName === lastName)
+          : registry.find(p => p.id === parseInt(choice));
+        if (!player) return;
+
+        linksByTeam[entry.teamID] = linksByTeam[entry.teamID] || {};
+        linksByTeam[entry.teamID][normaliseName(entry.playerName)] = player;
+      });
+
+      let updatedResults = 0;
+      let linkedScorers = 0;
+
+      for (const result of results) {
+        const fixture = fixtures.find(f => f.id === result.fixtureID);
+        if (!fixture) continue;
+
+        const home = linkScorers(result.homeScorers, linksByTeam[fixture.homeTeam] || {});
+        const away = linkScorers(result.awayScorers, linksByTeam[fixture.awayTeam] || {});
+        if (home.linked + away.linked === 0) continue;
+
+        const data = {
+          homeScorers: JSON.stringify(home.scorers),
+          awayScorers: JSON.stringify(away.scorers)
+        };
+
+        const updateResult = await crudRequest('update', {
+          table: 'tblresults',
+          data,
+          conditions: { fixtureID: result.fixtureID }
+        });
+
+        if (updateResult.status_code === 200) {
+          await recordAudit({
+            entity: 'result',
+            recordKey: result.fixtureID,
+            action: 'update',
+            before: result,
+            after: { ...result, ...data }
+          });
+          updatedResults++;
+          linkedScorers += home.linked + away.linked;
+        } else {
+          console.error(`Failed to update scorers for fixture ${result.fixtureID}:`, updateResult.message);
+        }
+      }
+
+      setSuccess(`Linked ${linkedScorers} scorer(s) in ${updatedResults} result(s)${created > 0 ? `, registering ${created} new player(s)` : ''}`);
+      await fetchData();
+    } catch (err) {
+      console.error('Error linking scorer names:', err);
+      setError('Failed to link scorer names');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading scorer names...</div>;
+  }
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Link Scorer Names to Players</h3>
+        <button
+          className="admin-btn admin-btn-primary"
+          onClick={handleLink}
+          disabled={isSaving || unlinked.length === 0}
+        >
+          {isSaving ? 'Linking...' : 'Link Selected'}
+        </button>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      <p style={{ color: '#666' }}>
+        Scorer names typed into results before players were registered. Check each suggested
+        match, choose another player or register the name as a new player, then link them.
+      </p>
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Team</th>
+              <th>Name in Results</th>
+              <th>Times Used</th>
+              <th>Suggested Match</th>
+              <th>Link To</th>
+            </tr>
+          </thead>
+          <tbody className="darkText">
+            {unlinked.length === 0 ? (
+              <tr>
+                <td colSpan="5" style={{ textAlign: 'center', padding: '20px' }}>
+                  Every scorer is linked to a registered player
+                </td>
+              </tr>
+            ) : (
+              unlinked.map(entry => {
+                const key = `${entry.teamID}:${normaliseName(entry.playerName)}`;
+                const squad = getSquad(players, entry.teamID, true);
+                const suggestion = matchPlayerName(entry.playerName, squad);
+
+                return (
+                  <tr key={key}>
+                    <td>{getTeamName(entry.teamID)}</td>
+                    <td><strong>{entry.playerName}</strong></td>
+                    <td>{entry.count}</td>
+                    <td>
+                      {suggestion.player
+                        ? MATCH_LABELS[suggestion.match]
+                        : suggestion.candidates.length > 1
+                          ? `${suggestion.candidates.length} possible players`
+                          : <em style={{ color: '#999' }}>No match</em>}
+                    </td>
+                    <td>
+                      <select
+                        value={choices[key] || ''}
+                        onChange={(e) => setChoices(prev => ({ ...prev, [key]: e.target.value }))}
+                      >
+                        <option value="">Leave unlinked</option>
+                        {squad.map(player => (
+                          <option key={player.id} value={player.id}>
+                            {getPlayerName(player)}{parseInt(player.active) === 0 ? ' (left squad)' : ''}
+                          </option>
+                        ))}
+                        {entry.playerName.trim().includes(' ') && (
+                          <option value={NEW_PLAYER}>+ Register &quot;{entry.playerName}&quot;</option>
+                        )}
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default PlayerNameMigration;
@@ -0,0 +1,89 @@
+/**
+ * @file PlayerPicker.jsx
+ * @description Scorer player picker for the result forms
+ * @module components/admin/PlayerPicker
+ */
+
+import React, { useState } from 'react';
+import { getPlayerName } from '../../utils/players';
+
+const OTHER = 'other';
+
+/**
+ * PlayerPicker component - choose a scorer from the team's squad
+ *
+ * @component
+ * @description Select of the team's registered players, with an "Other" option that falls
+ * back to a free-text name for players who are not registered yet. Teams without a squad
+ * get the plain text input.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.squad - The team's players (see getSquad)
+ * @param {Object} props.scorer - Scorer with playerID and playerName
+ * @param {Function} props.onChange - Called with (playerID, playerName)
+ * @param {boolean} [props.disabled] - Disable the picker (e.g. for penalty tries)
+ *
+ * @example
+ * <PlayerPicker squad={homeSquad} scorer={scorer}
+ *   onChange={(playerID, playerName) => updateScorerPlayer('home', index, playerID, playerName)} />
+ *
+ * @returns {JSX.Element} Player select or name input
+ */
+function PlayerPicker({ squad, scorer, onChange, disabled }) {
+  const [isOther, setIsOther] = useState(!scorer.playerID && !!scorer.playerName);
+  const inputStyle = { width: '100%', padding: '5px' };
+
+  const textInput = (
+    <input
+      type="text"
+      value={scorer.playerName}
+      onChange={(e) => onChange(null, e.target.value)}
+      placeholder="Player name"
+      disabled={disabled}
+      style={inputStyle}
+    />
+  );
+
+  if (disabled || !squad || squad.length === 0) {
+    return textInput;
+  }
+
+  const handleSelect = (e) => {
+    const { value } = e.target;
+
+    if (value === OTHER) {
+      setIsOther(true);
+      onChange(null, '');
+      return;
+    }
+
+    setIsOther(false);
+    const player = squad.find(p => p.id === parseInt(value));
+    onChange(player ? player.id : null, player ? getPlayerName(player) : '');
+  };
+
+  const selected = scorer.playerID ? String(scorer.playerID) : (isOther ? OTHER : '');
+
+  return (
+    <>
+      <select value={selected} onChange={handleSelect} style={inputStyle}>
+        <option value="">Select player</option>
+        {squad.map(player => (
+          <option key={player.id} value={player.id}>
+            {player.squadNumber ? `${player.squadNumber}. ` : ''}{getPlayerName(player)}
+          </option>
+        ))}
+        {/* Keep showing a linked player who has since left the squad */}
+        {scorer.playerID && !squad.some(p => p.id === scorer.playerID) && (
+          <option value={scorer.playerID}>{scorer.playerName}</option>
+        )}
+        <option value={OTHER}>Other (not registered)</option>
+      </select>
+      {selected === OTHER && (
+        <div style={{ marginTop: '4px' }}>{textInput}</div>
+      )}
+    </>
+  );
+}
+
+export default PlayerPicker;
@@ -0,0 +1,96 @@
+/**
+ * @file PlayersAdmin.jsx
+ * @description Player registry management for admin panel
+ * @module components/admin/PlayersAdmin
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import SquadManager from './SquadManager';
+import PlayerNameMigration from './PlayerNameMigration';
+
+/**
+ * PlayersAdmin component - squads for every team and the scorer name migration
+ *
+ * @component
+ * @description Lets full admins manage any team's squad (team admins manage their own
+ * from TeamAdmin) and link free-text scorer names in existing results to players.
+ *
+ * @example
+ * // Used within Admin.jsx
+ * {activeTab === 'players' && <PlayersAdmin />}
+ *
+ * @returns {JSX.Element} Player registry interface
+ */
+function PlayersAdmin() {
+  const [teams, setTeams] = useState([]);
+  const [teamID, setTeamID] = useState('');
+  const [view, setView] = useState('squads');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTeams = async () => {
+      try {
+        const result = await crudRequest('read', {
+          table: 'tblteams',
+          orderBy: 'teamName ASC'
+        });
+
+        if (result.status_code === 200) {
+          setTeams(result.data.records || result.data);
+        } else {
+          setError('Failed to load teams');
+        }
+      } catch (err) {
+        console.error('Error fetching teams:', err);
+        setError('Failed to load teams');
+      }
+    };
+
+    fetchTeams();
+  }, []);
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Players</h3>
+        <div>
+          <button
+            className={`admin-btn ${view === 'squads' ? 'admin-btn-primary' : 'admin-btn-secondary'}`}
+            onClick={() => setView('squads')}
+            style={{ marginRight: '8px' }}
+          >
+            Squads
+          </button>
+          <button
+            className={`admin-btn ${view === 'migration' ? 'admin-btn-primary' : 'admin-btn-secondary'}`}
+            onClick={() => setView('migration')}
+          >
+            Link Scorer Names
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      {view === 'squads' ? (
+        <>
+          <div className="admin-form-group darkText">
+            <label>Team</label>
+            <select value={teamID} onChange={(e) => setTeamID(parseInt(e.target.value) || '')}>
+              <option value="">Select team</option>
+              {teams.map(team => (
+                <option key={team.id} value={team.id}>{team.teamName}</option>
+              ))}
+            </select>
+          </div>
+          {teamID && <SquadManager key={teamID} teamID={teamID} />}
+        </>
+      ) : (
+        <PlayerNameMigration />
+      )}
+    </div>
+  );
+}
+
+export default PlayersAdmin;
@@ -0,0 +1,435 @@
+/**
+ * @file PoolManager.jsx
+ * @description Pool phases of one league: set up pools, and split them into the next phase
+ * @module components/admin/PoolManager
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { CARRY_FORWARD_TYPES, parseRules } from '../../utils/competitionRules';
+import { getPhases, buildPoolStandings, suggestPoolSplit, validatePhase } from '../../utils/pools';
+import { calculateLeagueStandings } from '../../utils/standingsCalculator';
+
+const DEFAULT_SPLITS = [
+  { name: 'Championship', fromPosition: 1, toPosition: 2 },
+  { name: 'Plate', fromPosition: 3, toPosition: 99 }
+];
+
+/**
+ * PoolManager component - split a league into pools, phase by phase
+ *
+ * @component
+ * @description Phases are stored in the league's rules profile (see pools.js):
+ * - Set up the first phase: name it, name its pools and put each team in a pool
+ * - Edit the latest phase's pools, e.g. to move a team before any matches are played
+ * - Split the pools: the next phase's pools are filled from the finishing positions in the
+ *   current pools (e.g. the top two of every pool into the Championship), can be adjusted,
+ *   and choose whether results or points are carried forward
+ * - Remove the latest phase, if it was started by mistake
+ *
+ * Every save recalculates the league's standings, so each pool's table is stored at once.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.league - League from tblleagues
+ * @param {Function} props.onClose - Called when the manager is closed
+ * @param {Function} props.onSaved - Called with a success message after the phases are saved
+ *
+ * @example
+ * <PoolManager league={league} onClose={() => setPoolLeague(null)} onSaved={handlePoolsSaved} />
+ *
+ * @returns {JSX.Element} Pool phases editor
+ */
+function PoolManager({ league, onClose, onSaved }) {
+  const [teams, setTeams] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [sanctions, setSanctions] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [splits, setSplits] = useState(DEFAULT_SPLITS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const phases = getPhases(league);
+  const latestPhase = phases[phases.length - 1] || null;
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches teams, fixtures, results and sanctions for the pool tables
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    try {
+      const teamsResult = await crudRequest('read', { table: 'tblteams', orderBy: 'teamName ASC' });
+      const fixturesResult = await crudRequest('read', { table: 'tblfixtures' });
+      const resultsResult = await crudRequest('read', { table: 'tblresults' });
+      const sanctionsResult = await crudRequest('read', { table: 'tblsanctions' });
+
+      if (teamsResult.status_code !== 200) {
+        setError('Failed to load teams');
+        return;
+      }
+
+      setTeams(teamsResult.data.records || teamsResult.data);
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      if (sanctionsResult.status_code === 200) {
+        setSanctions(sanctionsResult.data.records || sanctionsResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching pool data:', err);
+      setError('Failed to load pool data');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  // The latest phase's tables, as they stand
+  const currentTables = buildPoolStandings(fixtures, results, league, sanctions)
+    .filter(({ pool }) => pool.phase === phases.length);
+
+  // Teams offered in the editor: the league's teams, plus any already in a pool
+  const draftTeamIDs = draft
+    ? [...new Set([
+        ...teams.filter(t => t.playsIn === league.id).map(t => t.id),
+        ...draft.pools.flatMap(pool => pool.teams)
+      ])]
+    : [];
+
+  const startFirstPhase = () => {
+    setError('');
+    setDraft({ mode: 'edit', name: 'Pool phase', carryForward: 'none', pools: [{ name: 'Pool A', teams: [] }, { name: 'Pool B', teams: [] }] });
+  };
+
+  const editLatestPhase = () => {
+    setError('');
+    setDraft({ mode: 'edit', ...latestPhase, pools: latestPhase.pools.map(pool => ({ ...pool, teams: [...pool.teams] })) });
+  };
+
+  const previewSplit = () => {
+    setError('');
+
+    if (splits.some(split => !split.name.trim())) {
+      setError('Every new pool needs a name');
+      return;
+    }
+
+    setDraft({
+      mode: 'split',
+      name: `Phase ${phases.length + 1}`,
+      carryForward: 'none',
+      pools: suggestPoolSplit(currentTables, splits.map(split => ({
+        ...split,
+        fromPosition: parseInt(split.fromPosition) || 1,
+        toPosition: parseInt(split.toPosition) || 99
+      })))
+    });
+  };
+
+  const updateSplit = (index, field, value) => {
+    setSplits(splits.map((split, i) => (i === index ? { ...split, [field]: value } : split)));
+  };
+
+  const renamePool = (index, name) => {
+    setDraft({ ...draft, pools: draft.pools.map((pool, i) => (i === index ? { ...pool, name } : pool)) });
+  };
+
+  /**
+   * Move a team into a pool, or out of every pool
+   * @param {number} teamID - Team to move
+   * @param {string} poolIndex - Index of the pool in the draft, or '' for no pool
+   */
+  const assignTeam = (teamID, poolIndex) => {
+    setDraft({
+      ...draft,
+      pools: draft.pools.map((pool, i) => ({
+        ...pool,
+        teams: String(i) === poolIndex
+          ? [...pool.teams.filter(id => id !== teamID), teamID]
+          : pool.teams.filter(id => id !== teamID)
+      }))
+    });
+  };
+
+  /**
+   * Save the league's phases and rebuild its pool tables
+   * @async
+   * @param {Array<Object>} newPhases - Every phase of the league
+   * @param {string} message - Success message
+   */
+  const savePhases = async (newPhases, message) => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblleagues',
+        data: { rules: JSON.stringify({ ...parseRules(league.rules), phases: newPhases }) },
+        conditions: { id: league.id }
+      });
+
+      if (result.status_code !== 200) {
+        setError(result.message || 'Failed to save the pools');
+        return;
+      }
+
+      const standingsResult = await calculateLeagueStandings(league.id, league.leagueSeason);
+      onSaved(standingsResult.success
+        ? message
+        : `${message}, but the standings could not be recalculated: ${standingsResult.message}`);
+    } catch (err) {
+      console.error('Error saving pools:', err);
+      setError('Failed to save the pools');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveDraft = async () => {
+    const phase = {
+      name: draft.name.trim(),
+      carryForward: draft.carryForward,
+      pools: draft.pools.map(pool => ({ name: pool.name.trim(), teams: pool.teams }))
+    };
+    const earlierPhases = draft.mode === 'split' ? phases : phases.slice(0, -1);
+
+    const problem = validatePhase(phase, earlierPhases);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    await savePhases(
+      [...earlierPhases, phase],
+      draft.mode === 'split' ? `${phase.name} started` : `${phase.name} saved`
+    );
+  };
+
+  const handleRemoveLatest = async () => {
+    if (!window.confirm(`Remove ${latestPhase.name} from ${league.leagueName}? Its pool tables will no longer be shown. Fixtures already tagged with this phase are kept.`)) {
+      return;
+    }
+
+    await savePhases(phases.slice(0, -1), `${latestPhase.name} removed`);
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading pools...</div>;
+  }
+
+  return (
+    <div className="admin-form darkText">
+      <h4>Pools - {league.leagueName} ({league.leagueSeason})</h4>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      {phases.length === 0 && !draft && (
+        <>
+          <p>This league is a single table. Split it into pools to give each pool its own table.</p>
+          <div className="admin-form-actions">
+            <button type="button" className="admin-btn admin-btn-primary" onClick={startFirstPhase}>
+              Set Up Pools
+            </button>
+            <button type="button" className="admin-btn admin-btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </>
+      )}
+
+      {phases.length > 0 && !draft && (
+        <>
+          <ol className="pool-phases">
+            {phases.map((phase, i) => (
+              <li key={i}>
+                <strong>{phase.name}</strong>
+                {i > 0 && <small> - {CARRY_FORWARD_TYPES[phase.carryForward]}</small>}
+                <ul>
+                  {phase.pools.map(pool => (
+                    <li key={pool.name}>{pool.name}: {pool.teams.map(getTeamName).join(', ')}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+
+          <h4>{latestPhase.name} Tables</h4>
+          <div className="pool-tables">
+            {currentTables.map(({ pool, standings }) => (
+              <table key={pool.name} className="admin-table" style={{ fontSize: '0.9em' }}>
+                <thead>
+                  <tr>
+                    <th colSpan="4">{pool.name}</th>
+                  </tr>
+                  <tr>
+                    <th>Pos</th>
+                    <th>Team</th>
+                    <th>P</th>
+                    <th>Pts</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {standings.map(row => (
+                    <tr key={row.teamID}>
+                      <td>{row.position}</td>
+                      <td>{getTeamName(row.teamID)}</td>
+                      <td>{row.played}</td>
+                      <td>{row.points}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+
+          <h4>Split Into the Next Phase</h4>
+          <p>Each new pool takes the teams that finished between two positions in every {latestPhase.name} pool.</p>
+          {splits.map((split, index) => (
+            <div key={index} className="pool-split">
+              <input
+                type="text"
+                value={split.name}
+                onChange={(e) => updateSplit(index, 'name', e.target.value)}
+                placeholder="Pool name"
+              />
+              <label>
+                Positions
+                <input type="number" min="1" value={split.fromPosition} onChange={(e) => updateSplit(index, 'fromPosition', e.target.value)} />
+              </label>
+              <label>
+                to
+                <input type="number" min="1" value={split.toPosition} onChange={(e) => updateSplit(index, 'toPosition', e.target.value)} />
+              </label>
+              <button
+                type="button"
+                className="admin-btn admin-btn-danger admin-btn-small"
+                onClick={() => setSplits(splits.filter((_, i) => i !== index))}
+                disabled={splits.length === 1}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+
+          <div className="admin-form-actions">
+            <button
+              type="button"
+              className="admin-btn admin-btn-secondary"
+              onClick={() => setSplits([...splits, { name: '', fromPosition: 1, toPosition: 99 }])}
+            >
+              + Add Pool
+            </button>
+            <button type="button" className="admin-btn admin-btn-primary" onClick={previewSplit}>
+              Preview Split
+            </button>
+            <button type="button" className="admin-btn admin-btn-secondary" onClick={editLatestPhase}>
+              Edit {latestPhase.name}
+            </button>
+            <button type="button" className="admin-btn admin-btn-danger" onClick={handleRemoveLatest} disabled={isSaving}>
+              Remove {latestPhase.name}
+            </button>
+            <button type="button" className="admin-btn admin-btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </>
+      )}
+
+      {draft && (
+        <>
+          <div className="admin-form-group">
+            <label>Phase Name *</label>
+            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </div>
+
+          {(draft.mode === 'split' || phases.length > 1) && (
+            <div className="admin-form-group">
+              <label>Carry Forward</label>
+              <select value={draft.carryForward} onChange={(e) => setDraft({ ...draft, carryForward: e.target.value })}>
+                {Object.entries(CARRY_FORWARD_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="admin-form-group">
+            <label>Pools</label>
+            {draft.pools.map((pool, index) => (
+              <div key={index} className="pool-split">
+                <input type="text" value={pool.name} onChange={(e) => renamePool(index, e.target.value)} placeholder="Pool name" />
+                <span>{pool.teams.length} team(s)</span>
+                <button
+                  type="button"
+                  className="admin-btn admin-btn-danger admin-btn-small"
+                  onClick={() => setDraft({ ...draft, pools: draft.pools.filter((_, i) => i !== index) })}
+                  disabled={draft.pools.length === 1}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="admin-btn admin-btn-secondary admin-btn-small"
+              onClick={() => setDraft({ ...draft, pools: [...draft.pools, { name: '', teams: [] }] })}
+            >
+              + Add Pool
+            </button>
+          </div>
+
+          <table className="admin-table" style={{ fontSize: '0.9em' }}>
+            <thead>
+              <tr>
+                <th>Team</th>
+                <th>Pool</th>
+              </tr>
+            </thead>
+            <tbody>
+              {draftTeamIDs.map(teamID => (
+                <tr key={teamID}>
+                  <td>{getTeamName(teamID)}</td>
+                  <td>
+                    <select
+                      value={String(draft.pools.findIndex(pool => pool.teams.includes(teamID)))}
+                      onChange={(e) => assignTeam(teamID, e.target.value === '-1' ? '' : e.target.value)}
+                    >
+                      <option value="-1">Not in a pool</option>
+                      {draft.pools.map((pool, i) => (
+                        <option key={i} value={String(i)}>{pool.name || `Pool ${i + 1}`}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="admin-form-actions">
+            <button type="button" className="admin-btn admin-btn-primary" onClick={handleSaveDraft} disabled={isSaving}>
+              {isSaving ? 'Saving...' : draft.mode === 'split' ? 'Start Phase' : 'Save Pools'}
+            </button>
+            <button type="button" className="admin-btn admin-btn-secondary" onClick={() => setDraft(null)} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PoolManager;
@@ -0,0 +1,105 @@
+/**
+ * @file ResultIssuesReport.jsx
+ * @description Report of stored results whose scorers do not match the score
+ * @module components/admin/ResultIssuesReport
+ */
+
+import React from 'react';
+import { validateResult } from '../../utils/resultValidator';
+
+/**
+ * ResultIssuesReport component - scorer check across all stored results
+ *
+ * @component
+ * @description Runs validateResult() over every stored result and lists those with
+ * issues, including any override reason given when the result was saved.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.fixtures - Fixtures enriched with team names and result
+ * @param {Function} props.onEdit - Called with a fixture to open its result for editing
+ * @param {Function} props.onClose - Called when the report is closed
+ *
+ * @example
+ * <ResultIssuesReport fixtures={fixtures} onEdit={handleEditResult} onClose={() => setShowReport(false)} />
+ *
+ * @returns {JSX.Element} Scorer check report
+ */
+function ResultIssuesReport({ fixtures, onEdit, onClose }) {
+  const flagged = fixtures
+    .filter(fixture => fixture.result)
+    .map(fixture => ({ fixture, issues: validateResult(fixture.result) }))
+    .filter(({ issues }) => issues.length > 0);
+
+  const overridden = flagged.filter(({ fixture }) => fixture.result.validationOverride).length;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="admin-form darkText">
+      <h4>Scorer Check</h4>
+      <p style={{ color: '#666' }}>
+        {flagged.length === 0
+          ? 'Every result with scorers listed matches its score.'
+          : `${flagged.length} result(s) have scorer issues, ${overridden} saved with an override reason.`}
+      </p>
+
+      {flagged.length > 0 && (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Match</th>
+              <th>Score</th>
+              <th>Issues</th>
+              <th>Override Reason</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flagged.map(({ fixture, issues }) => (
+              <tr key={fixture.id}>
+                <td>{formatDate(fixture.date)}</td>
+                <td>
+                  <strong>{fixture.homeTeamName}</strong> v <strong>{fixture.awayTeamName}</strong>
+                </td>
+                <td>{fixture.result.homeScore} - {fixture.result.awayScore}</td>
+                <td>
+                  <ul className="admin-conflicts" style={{ margin: 0 }}>
+                    {issues.map((issue, index) => (
+                      <li key={index}>
+                        {issue.side === 'home' ? fixture.homeTeamName : fixture.awayTeamName}: {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                </td>
+                <td>{fixture.result.validationOverride || <em style={{ color: '#cc0000' }}>None</em>}</td>
+                <td>
+                  <button
+                    className="admin-btn admin-btn-secondary admin-btn-small"
+                    onClick={() => onEdit(fixture)}
+                  >
+                    Edit Result
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="admin-form-actions">
+        <button type="button" className="admin-btn admin-btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ResultIssuesReport;
@@ -0,0 +1,58 @@
+/**
+ * @file ResultValidation.jsx
+ * @description Scorer consistency warnings and override reason for the result forms
+ * @module components/admin/ResultValidation
+ */
+
+import React from 'react';
+
+/**
+ * ResultValidation component - lists scorer issues and asks for an override reason
+ *
+ * @component
+ * @description Shown in the ResultsAdmin and TeamAdmin result forms when validateResult()
+ * finds issues. The result can only be saved once an override reason is entered.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.issues - Issues from validateResult
+ * @param {string} props.homeTeamName - Home team name
+ * @param {string} props.awayTeamName - Away team name
+ * @param {string} props.overrideReason - Current override reason
+ * @param {Function} props.onOverrideChange - Called with the new override reason
+ *
+ * @example
+ * <ResultValidation issues={issues} homeTeamName="Exeter" awayTeamName="Plymouth"
+ *   overrideReason={overrideReason} onOverrideChange={setOverrideReason} />
+ *
+ * @returns {JSX.Element|null} Issue list and override input, or nothing if there are no issues
+ */
+function ResultValidation({ issues, homeTeamName, awayTeamName, overrideReason, onOverrideChange }) {
+  if (!issues || issues.length === 0) return null;
+
+  return (
+    <div className="admin-warning">
+      <strong>The scorers do not match this result:</strong>
+      <ul className="admin-conflicts">
+        {issues.map((issue, index) => (
+          <li key={index}>
+            <strong>{issue.side === 'home' ? homeTeamName : awayTeamName}</strong>: {issue.message}
+          </li>
+        ))}
+      </ul>
+      <div className="admin-form-group" style={{ marginTop: '10px', marginBottom: 0 }}>
+        <label>Override Reason *</label>
+        <input
+          type="text"
+          value={overrideReason}
+          onChange={(e) => onOverrideChange(e.target.value)}
+          placeholder="e.g., Scorer details incomplete on the match card"
+        />
+        <small style={{ display: 'block', marginTop: '5px' }}>
+          Correct the scorers, or give a reason to save the result as it is.
+        </small>
+      </div>
+    </div>
+  );
+}
+
+export default ResultValidation;
@@ -7,6 +7,16 @@
 import React, { useState, useEffect } from 'react';
 import { getUser, crudRequest } from '../../utils/authHelpers';
 import { updateStandingsForFixture } from '../../utils/standingsCalculator';
+import { RESULT_TYPES, getLeagueRules, getWalkoverScore } from '../../utils/competitionRules';
+import { CONFIRMATION_STATUSES, getConfirmationStatus, isResultConfirmed, getResultFixtureStatus } from '../../utils/resultConfirmation';
+import { sendResultNotifications } from '../../utils/resultNotifications';
+import { recordAudit } from '../../utils/auditTrail';
+import { validateResult, calculateScorerTotal } from '../../utils/resultValidator';
+import ResultValidation from './ResultValidation';
+import PlayerPicker from './PlayerPicker';
+import { getSquad } from '../../utils/players';
+import ResultIssuesReport from './ResultIssuesReport';
+import DataExport from '../DataExport';
 
 /**
  * ResultsAdmin component - full result management for all fixtures
@@ -24,6 +34,13 @@ import { updateStandingsForFixture } from '../../utils/standingsCalculator';
  * - Match status management (scheduled, underway, completed, cancelled, abandoned)
  * - Automatic standings update on result save
  * - Visual indicators for fixtures with/without results
+ * - Review official scores submitted by referees from My Matches
+ * - Scorer check: scorers must add up to the score (or be saved with an override
+ *   reason), plus a report of stored results that don't
+ * - Queue of club-submitted results awaiting confirmation or in dispute
+ *   (results saved here are confirmed straight away)
+ * - CSV or Excel export of confirmed results with scorers by season, league and team
+ *   (see DataExport)
  * 
  * Result Recording:
  * - Home and away scores
@@ -42,14 +59,25 @@ import { updateStandingsForFixture } from '../../utils/standingsCalculator';
 function ResultsAdmin() {
   const user = getUser();
   const [fixtures, setFixtures] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [players, setPlayers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [editingFixture, setEditingFixture] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [showReport, setShowReport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [refereeReports, setRefereeReports] = useState([]);
+  const [reviewingReport, setReviewingReport] = useState(null);
   const [resultData, setResultData] = useState({
     homeScore: 0,
     awayScore: 0,
     status: 2, // 0=scheduled, 1=underway, 2=completed, 3=cancelled, 4=abandoned
+    resultType: 'played', // played or walkover
+    concededBy: '', // team ID of the side that conceded a walkover
+    abandonedMinute: '', // minute an abandoned match was stopped
     homeScorers: [],
     awayScorers: []
   });
@@ -95,11 +123,30 @@ function ResultsAdmin() {
         return;
       }
 
+      // Get registered players for the scorer picker
+      const playersResult = await crudRequest('read', {
+        table: 'tblplayers'
+      });
+
+      if (playersResult.status_code === 200) {
+        setPlayers(playersResult.data.records || playersResult.data);
+      }
+
       // Get existing results
       const resultsResult = await crudRequest('read', {
         table: 'tblresults'
       });
 
+      // Get referee reports awaiting review, with referee names
+      const reportsResult = await crudRequest('read', {
+        table: 'tblrefereereports',
+        conditions: { status: 'pending' }
+      });
+
+      const usersResult = await crudRequest('read', {
+        table: 'tblusers'
+      });
+
       const results = resultsResult.status_code === 200 ? (resultsResult.data.records || resultsResult.data) : [];
       console.log('Results fetched:', results);
       const resultsMap = {};
@@ -122,7 +169,8 @@ function ResultsAdmin() {
       leaguesData.forEach(league => {
         leagueMap[league.id] = {
           name: league.leagueName,
-          season: league.leagueSeason
+          season: league.leagueSeason,
+          rules: getLeagueRules(league)
         };
       });
 
@@ -133,10 +181,27 @@ function ResultsAdmin() {
         awayTeamName: teamMap[fixture.awayTeam] || 'Unknown',
         leagueName: leagueMap[fixture.leagueID]?.name || 'Unknown',
         leagueSeason: leagueMap[fixture.leagueID]?.season || '',
+        leagueRules: leagueMap[fixture.leagueID]?.rules || getLeagueRules(null),
         result: resultsMap[fixture.id] || null
       }));
 
       setFixtures(enrichedFixtures);
+      setTeams(teamsData);
+      setLeagues(leaguesData);
+
+      const usersData = usersResult.status_code === 200 ? (usersResult.data.records || usersResult.data) : [];
+      const reportsData = reportsResult.status_code === 200 ? (reportsResult.data.records || reportsResult.data) : [];
+      setRefereeReports(reportsData
+        .map(report => {
+          const referee = usersData.find(u => u.id === report.refereeID);
+          return {
+            ...report,
+            fixture: enrichedFixtures.find(f => f.id === report.fixtureID),
+            refereeName: referee ? `${referee.firstName} ${referee.lastName}` : 'Unknown'
+          };
+        })
+        .filter(report => report.fixture)
+        .sort((a, b) => new Date(a.dateSubmitted) - new Date(b.dateSubmitted)));
     } catch (err) {
       console.error('Error fetching data:', err);
       setError('Failed to load data');
@@ -162,6 +227,7 @@ function ResultsAdmin() {
 
   const handleEditResult = (fixture) => {
     setEditingFixture(fixture);
+    setReviewingReport(null);
     
     // Parse JSON scorers if they exist
     let homeScorers = [];
@@ -185,25 +251,185 @@ function ResultsAdmin() {
     setResultData({
       homeScore: fixture.result?.homeScore || 0,
       awayScore: fixture.result?.awayScore || 0,
-      status: fixture.status,
+      status: fixture.result && !isResultConfirmed(fixture.result) ? getResultFixtureStatus(fixture.result) : fixture.status,
+      resultType: fixture.result?.resultType || 'played',
+      concededBy: fixture.result?.concededBy || '',
+      abandonedMinute: fixture.result?.abandonedMinute ?? '',
       homeScorers: Array.isArray(homeScorers) ? homeScorers : [],
       awayScorers: Array.isArray(awayScorers) ? awayScorers : []
     });
+    setOverrideReason(fixture.result?.validationOverride || '');
     setError('');
     setSuccess('');
   };
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
+  /**
+   * Opens the result editor pre-filled with a referee's official score
+   * @param {Object} report - Pending referee report
+   * @description The report is marked as accepted once the result is saved
+   */
+  const handleAcceptReport = (report) => {
+    handleEditResult(report.fixture);
+    setReviewingReport(report);
     setResultData(prev => ({
       ...prev,
-      [name]: name === 'status' ? parseInt(value) : (parseInt(value) || 0)
+      homeScore: parseInt(report.homeScore) || 0,
+      awayScore: parseInt(report.awayScore) || 0,
+      status: 2,
+      resultType: 'played',
+      concededBy: '',
+      abandonedMinute: ''
     }));
   };
 
+  const handleRejectReport = async (report) => {
+    if (!window.confirm(`Reject the score submitted by ${report.refereeName}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblrefereereports',
+        data: { status: 'rejected', reviewedBy: user.id },
+        conditions: { id: report.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess('Referee report rejected');
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to reject report');
+      }
+    } catch (err) {
+      console.error('Error rejecting referee report:', err);
+      setError('Failed to reject report');
+    }
+  };
+
+  /**
+   * Confirms a result submitted by a club
+   * @async
+   * @param {Object} fixture - Fixture with a submitted or disputed result
+   * @description Confirmed results count in the standings and are emailed to followers
+   */
+  const handleConfirmResult = async (fixture) => {
+    if (!window.confirm(`Confirm ${fixture.homeTeamName} ${fixture.result.homeScore} - ${fixture.result.awayScore} ${fixture.awayTeamName}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblresults',
+        data: { confirmationStatus: 'confirmed', confirmedBy: user.id, disputeReason: null },
+        conditions: { fixtureID: fixture.id }
+      });
+
+      if (result.status_code !== 200) {
+        setError(result.message || 'Failed to confirm result');
+        return;
+      }
+
+      await recordAudit({
+        entity: 'result',
+        recordKey: fixture.id,
+        action: 'update',
+        before: fixture.result,
+        after: { ...fixture.result, confirmationStatus: 'confirmed', disputeReason: null }
+      });
+
+      // The fixture kept its status while the result awaited confirmation
+      const fixtureStatus = getResultFixtureStatus(fixture.result);
+      if (fixture.status !== fixtureStatus) {
+        const fixtureUpdateResult = await crudRequest('update', {
+          table: 'tblfixtures',
+          data: { status: fixtureStatus },
+          conditions: { id: fixture.id }
+        });
+
+        if (fixtureUpdateResult.status_code !== 200) {
+          setError('Result confirmed but failed to update fixture status');
+          await fetchData();
+          return;
+        }
+
+        await recordAudit({
+          entity: 'fixture',
+          recordKey: fixture.id,
+          action: 'update',
+          before: fixture,
+          after: { ...fixture, status: fixtureStatus }
+        });
+      }
+
+      try {
+        await updateStandingsForFixture(fixture.id);
+      } catch (standingsErr) {
+        console.error('Error updating standings:', standingsErr);
+      }
+
+      if (fixtureStatus === 2) {
+        try {
+          const teamsResult = await crudRequest('read', {
+            table: 'tblteams'
+          });
+          const teamsData = teamsResult.status_code === 200
+            ? (teamsResult.data.records || teamsResult.data)
+            : [];
+
+          await sendResultNotifications(fixture, fixture.result, teamsData);
+        } catch (notificationErr) {
+          console.error('Error sending notifications:', notificationErr);
+        }
+      }
+
+      setSuccess('Result confirmed');
+      await fetchData();
+    } catch (err) {
+      console.error('Error confirming result:', err);
+      setError('Failed to confirm result');
+    }
+  };
+
+  const handleCancelEdit = () => {
+    setEditingFixture(null);
+    setReviewingReport(null);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setResultData(prev => {
+      const updated = { ...prev };
+
+      if (name === 'resultType') {
+        updated.resultType = value;
+      } else if (name === 'abandonedMinute' || name === 'concededBy') {
+        updated[name] = value === '' ? '' : (parseInt(value) || 0);
+      } else if (name === 'status') {
+        updated.status = parseInt(value);
+      } else {
+        updated[name] = parseInt(value) || 0;
+      }
+
+      // A walkover records the league's notional score instead of a real one
+      if (updated.status === 2 && updated.resultType === 'walkover' && updated.concededBy) {
+        const concedingSide = updated.concededBy === editingFixture.homeTeam ? 'home' : 'away';
+        Object.assign(updated, getWalkoverScore(concedingSide, editingFixture.leagueRules));
+      }
+
+      return updated;
+    });
+  };
+
   // Scorer management functions
   const addScorer = (team) => {
     const newScorer = {
+      playerID: null,
       playerName: '',
       scoreType: 'try', // try, conversion, penalty, dropGoal
       points: 5,
@@ -220,6 +446,22 @@ function ResultsAdmin() {
     }));
   };
 
+  /**
+   * Sets the player for a scorer row
+   * @param {'home'|'away'} team - Side the scorer played for
+   * @param {number} index - Scorer row
+   * @param {number|null} playerID - Registered player, or null for a free-text name
+   * @param {string} playerName - Player name
+   */
+  const updateScorerPlayer = (team, index, playerID, playerName) => {
+    const scorersKey = team === 'home' ? 'homeScorers' : 'awayScorers';
+    setResultData(prev => {
+      const updatedScorers = [...prev[scorersKey]];
+      updatedScorers[index] = { ...updatedScorers[index], playerID, playerName };
+      return { ...prev, [scorersKey]: updatedScorers };
+    });
+  };
+
   const removeScorer = (team, index) => {
     const scorersKey = team === 'home' ? 'homeScorers' : 'awayScorers';
     setResultData(prev => ({
@@ -251,6 +493,7 @@ function ResultsAdmin() {
       // If penalty try is selected, set playerName to 'Penalty Try'
       if (field === 'isPenaltyTry' && value) {
         updatedScorers[index].playerName = 'Penalty Try';
+        updatedScorers[index].playerID = null;
         updatedScorers[index].scoreType = 'try';
         updatedScorers[index].points = 5;
       }
@@ -262,138 +505,22 @@ function ResultsAdmin() {
     });
   };
 
-  const calculateTotalPoints = (scorers) => {
-    return (scorers || []).reduce((total, scorer) => total + (parseInt(scorer.points) || 0), 0);
-  };
-
-  const sendResultNotifications = async (fixture, teamsData) => {
-    try {
-      // Get all users with authority = 0 and authorityOver matching home or away team
-      const usersResult = await crudRequest('read', {
-        table: 'tblusers'
-      });
-
-      if (usersResult.status_code !== 200) {
-        console.error('Failed to fetch users for notifications');
-        return;
-      }
-
-      const allUsers = usersResult.data.records || usersResult.data;
-      const relevantUsers = allUsers.filter(user => 
-        user.authority === 0 && 
-        (user.authorityOver === fixture.homeTeam || user.authorityOver === fixture.awayTeam)
-      );
-
-      if (relevantUsers.length === 0) {
-        console.log('No users to notify for this result');
-        return;
-      }
-
-      // Load email template
-      const templateResponse = await fetch('/templates/result-notification.html');
-      let emailTemplate = await templateResponse.text();
-
-      // Get team details
-      const homeTeamData = teamsData.find(t => t.id === fixture.homeTeam);
-      const awayTeamData = teamsData.find(t => t.id === fixture.awayTeam);
-
-      // Format date
-      const matchDate = new Date(fixture.date).toLocaleDateString('en-GB', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-
-      // Build home team logo HTML
-      const homeTeamLogo = homeTeamData?.teamLogo 
-        ? `<img src="${homeTeamData.teamLogo}" alt="${fixture.homeTeamName}" class="team-logo" />`
-        : '';
-
-      // Build away team logo HTML
-      const awayTeamLogo = awayTeamData?.teamLogo 
-        ? `<img src="${awayTeamData.teamLogo}" alt="${fixture.awayTeamName}" class="team-logo" />`
-        : '';
-
-      // Build scorers sections
-      const buildScorersSection = (scorers, teamName) => {
-        if (!scorers || scorers.length === 0) return '';
-        
-        const scorersHTML = scorers.map(scorer => 
-          `<div class="scorer-item">
-            <strong>${scorer.name}</strong> - ${scorer.points} points (${scorer.type}${scorer.minute ? ` at ${scorer.minute}'` : ''})
-          </div>`
-        ).join('');
-
-        return `
-          <div class="scorers-section">
-            <h3>${teamName} Scorers:</h3>
-            ${scorersHTML}
-          </div>
-        `;
-      };
-
-      const homeScorersSection = buildScorersSection(resultData.homeScorers, fixture.homeTeamName);
-      const awayScorersSection = buildScorersSection(resultData.awayScorers, fixture.awayTeamName);
-
-      // Send email to each relevant user
-      for (const follower of relevantUsers) {
-        const userTeamName = follower.authorityOver === fixture.homeTeam 
-          ? fixture.homeTeamName 
-          : fixture.awayTeamName;
-
-        // Customize email for this user
-        let personalizedEmail = emailTemplate
-          .replace(/{{firstName}}/g, follower.firstName)
-          .replace(/{{teamName}}/g, userTeamName)
-          .replace(/{{homeTeamName}}/g, fixture.homeTeamName)
-          .replace(/{{awayTeamName}}/g, fixture.awayTeamName)
-          .replace(/{{homeScore}}/g, resultData.homeScore)
-          .replace(/{{awayScore}}/g, resultData.awayScore)
-          .replace(/{{homeTeamLogo}}/g, homeTeamLogo)
-          .replace(/{{awayTeamLogo}}/g, awayTeamLogo)
-          .replace(/{{leagueName}}/g, fixture.leagueName)
-          .replace(/{{leagueSeason}}/g, fixture.leagueSeason)
-          .replace(/{{matchDate}}/g, matchDate)
-          .replace(/{{venue}}/g, fixture.venue)
-          .replace(/{{homeScorersSection}}/g, homeScorersSection)
-          .replace(/{{awayScorersSection}}/g, awayScorersSection);
-
-        // Send email
-        const { getApiUrl } = await import('../../utils/authHelpers');
-        const emailResponse = await fetch(`${getApiUrl()}/api/email/send`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            recipients: [follower.login],
-            subject: `Match Result: ${fixture.homeTeamName} vs ${fixture.awayTeamName}`,
-            htmlBody: personalizedEmail
-          })
-        });
-
-        const emailResult = await emailResponse.json();
-        if (emailResult.status_code === 200) {
-          console.log(`Notification sent to ${follower.login}`);
-        } else {
-          console.error(`Failed to send notification to ${follower.login}:`, emailResult.message);
-        }
-      }
-
-      console.log(`Sent ${relevantUsers.length} result notification(s)`);
-    } catch (err) {
-      console.error('Error sending result notifications:', err);
-      // Don't throw - we don't want to fail the result submission if email fails
-    }
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
 
     try {
-      // For cancelled (3) or abandoned (4) matches, only update fixture status
-      if (resultData.status === 3 || resultData.status === 4) {
+      const isWalkover = resultData.status === 2 && resultData.resultType === 'walkover';
+
+      if (isWalkover && !resultData.concededBy) {
+        setError('Select the team that conceded the walkover');
+        return;
+      }
+
+      // For cancelled (3) matches, or abandoned (4) matches with no minute recorded,
+      // only update fixture status
+      if (resultData.status === 3 || (resultData.status === 4 && resultData.abandonedMinute === '')) {
         const fixtureUpdateResult = await crudRequest('update', {
           table: 'tblfixtures',
           data: { status: resultData.status },
@@ -401,6 +528,13 @@ function ResultsAdmin() {
         });
 
         if (fixtureUpdateResult.status_code === 200) {
+          await recordAudit({
+            entity: 'fixture',
+            recordKey: editingFixture.id,
+            action: 'update',
+            before: editingFixture,
+            after: { ...editingFixture, status: resultData.status }
+          });
           setSuccess(resultData.status === 3 ? 'Match marked as cancelled' : 'Match marked as abandoned');
           setEditingFixture(null);
           await fetchData();
@@ -413,39 +547,59 @@ function ResultsAdmin() {
       // For completed matches (or other statuses), save/update the result
       const operation = editingFixture.result ? 'update' : 'create';
       
-      // Convert scorers to JSON string
-      const homeScorersJSON = JSON.stringify(resultData.homeScorers || []);
-      const awayScorersJSON = JSON.stringify(resultData.awayScorers || []);
+      // Scorers that don't match the score need an override reason
+      const issues = validateResult({ ...resultData, resultType: isWalkover ? 'walkover' : 'played' });
+      if (issues.length > 0 && !overrideReason.trim()) {
+        setError('The scorers do not match the score - correct them or give an override reason');
+        return;
+      }
+
+      // Convert scorers to JSON string (walkovers have no scorers)
+      const homeScorersJSON = JSON.stringify(isWalkover ? [] : (resultData.homeScorers || []));
+      const awayScorersJSON = JSON.stringify(isWalkover ? [] : (resultData.awayScorers || []));
+
+      const resultFields = {
+        homeScore: resultData.homeScore,
+        awayScore: resultData.awayScore,
+        homeScorers: homeScorersJSON,
+        awayScorers: awayScorersJSON,
+        resultType: isWalkover ? 'walkover' : 'played',
+        concededBy: isWalkover ? resultData.concededBy : null,
+        abandonedMinute: resultData.status === 4 ? resultData.abandonedMinute : null,
+        validationOverride: issues.length > 0 ? overrideReason.trim() : null,
+        submittedBy: user.id,
+        dateSubmitted: formatDateForMySQL(new Date()),
+        submittedByTeam: null,
+        confirmationStatus: 'confirmed',
+        confirmedBy: user.id,
+        disputeReason: null
+      };
       
       const requestData = operation === 'update'
         ? {
             table: 'tblresults',
-            data: {
-              homeScore: resultData.homeScore,
-              awayScore: resultData.awayScore,
-              homeScorers: homeScorersJSON,
-              awayScorers: awayScorersJSON,
-              submittedBy: user.id,
-              dateSubmitted: formatDateForMySQL(new Date())
-            },
+            data: resultFields,
             conditions: { fixtureID: editingFixture.id }
           }
         : {
             table: 'tblresults',
             data: {
               fixtureID: editingFixture.id,
-              homeScore: resultData.homeScore,
-              awayScore: resultData.awayScore,
-              homeScorers: homeScorersJSON,
-              awayScorers: awayScorersJSON,
-              submittedBy: user.id,
-              dateSubmitted: formatDateForMySQL(new Date())
+              ...resultFields
             }
           };
 
       const result = await crudRequest(operation, requestData);
 
       if (result.status_code === 200) {
+        await recordAudit({
+          entity: 'result',
+          recordKey: editingFixture.id,
+          action: operation,
+          before: editingFixture.result,
+          after: { ...editingFixture.result, ...resultFields }
+        });
+
         console.log('Result saved, now updating fixture status to:', resultData.status);
         // Update the fixture status in tblfixtures
         const fixtureUpdateResult = await crudRequest('update', {
@@ -459,8 +613,16 @@ function ResultsAdmin() {
         if (fixtureUpdateResult.status_code !== 200) {
           setError('Result saved but failed to update fixture status');
         } else {
-          // Update league standings if result is completed
-          if (resultData.status === 2) {
+          await recordAudit({
+            entity: 'fixture',
+            recordKey: editingFixture.id,
+            action: 'update',
+            before: editingFixture,
+            after: { ...editingFixture, status: resultData.status }
+          });
+
+          // Update league standings if result is completed, or abandoned late enough to count
+          if (resultData.status === 2 || resultData.status === 4) {
             console.log('Updating standings for fixture:', editingFixture.id);
             try {
               await updateStandingsForFixture(editingFixture.id);
@@ -469,7 +631,9 @@ function ResultsAdmin() {
               console.error('Error updating standings:', standingsErr);
               // Don't fail the whole operation if standings update fails
             }
+          }
 
+          if (resultData.status === 2) {
             // Send email notifications to followers
             console.log('Sending result notifications...');
             try {
@@ -481,16 +645,28 @@ function ResultsAdmin() {
                 ? (teamsResult.data.records || teamsResult.data) 
                 : [];
               
-              await sendResultNotifications(editingFixture, teamsData);
+              await sendResultNotifications(editingFixture, resultData, teamsData);
             } catch (notificationErr) {
               console.error('Error sending notifications:', notificationErr);
               // Don't fail the whole operation if notifications fail
             }
           }
+          if (reviewingReport) {
+            const reportUpdateResult = await crudRequest('update', {
+              table: 'tblrefereereports',
+              data: { status: 'accepted', reviewedBy: user.id },
+              conditions: { id: reviewingReport.id }
+            });
+
+            if (reportUpdateResult.status_code !== 200) {
+              console.error('Failed to mark referee report as accepted:', reportUpdateResult.message);
+            }
+          }
           setSuccess(operation === 'update' ? 'Result updated successfully' : 'Result added successfully');
         }
         
         setEditingFixture(null);
+        setReviewingReport(null);
         // Refresh the fixtures list to show the new result
         await fetchData();
       } else {
@@ -517,6 +693,13 @@ function ResultsAdmin() {
       });
 
       if (result.status_code === 200) {
+        await recordAudit({
+          entity: 'result',
+          recordKey: fixture.id,
+          action: 'delete',
+          before: fixture.result,
+          after: null
+        });
         setSuccess('Result deleted successfully');
         await fetchData();
       } else {
@@ -544,7 +727,8 @@ function ResultsAdmin() {
       1: 'Underway',
       2: 'Completed',
       3: 'Cancelled',
-      4: 'Abandoned'
+      4: 'Abandoned',
+      5: 'Postponed'
     };
     return labels[status] || 'Unknown';
   };
@@ -555,7 +739,8 @@ function ResultsAdmin() {
       1: '#00a755',
       2: '#0066cc',
       3: '#cc0000',
-      4: '#ff6600'
+      4: '#ff6600',
+      5: '#b8860b'
     };
     return colors[status] || '#666';
   };
@@ -564,20 +749,171 @@ function ResultsAdmin() {
     return <div className="admin-loading">Loading results...</div>;
   }
 
+  const confirmationQueue = fixtures.filter(f => f.result && getConfirmationStatus(f.result) !== 'confirmed');
+
+  const isWalkover = resultData.status === 2 && resultData.resultType === 'walkover';
+  // Scorers are recorded for played matches, and for abandoned matches that may count
+  const showScorers = (resultData.status === 2 && !isWalkover) || (resultData.status === 4 && resultData.abandonedMinute !== '');
+  const scorerIssues = showScorers ? validateResult(resultData) : [];
+
   return (
     <div>
       <div className="admin-header">
         <h3>Manage Results</h3>
+        <div>
+          <button
+            className="admin-btn admin-btn-secondary"
+            onClick={() => setShowExport(!showExport)}
+            style={{ marginRight: '8px' }}
+          >
+            {showExport ? 'Hide Export' : 'Export'}
+          </button>
+          <button
+            className="admin-btn admin-btn-secondary"
+            onClick={() => setShowReport(!showReport)}
+          >
+            {showReport ? 'Hide Scorer Check' : 'Scorer Check'}
+          </button>
+        </div>
       </div>
 
       {error && <div className="admin-error">{error}</div>}
       {success && <div className="admin-success">{success}</div>}
 
+      {showExport && (
+        <DataExport
+          datasets={['results', 'fixtures']}
+          leagues={leagues}
+          teams={teams}
+          fixtures={fixtures}
+          results={fixtures.filter(f => f.result).map(f => f.result)}
+        />
+      )}
+
+      {showReport && (
+        <ResultIssuesReport
+          fixtures={fixtures}
+          onEdit={(fixture) => {
+            setShowReport(false);
+            handleEditResult(fixture);
+          }}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      {refereeReports.length > 0 && (
+        <div className="admin-warning">
+          <strong>Official scores awaiting review ({refereeReports.length})</strong>
+          <table className="admin-table" style={{ marginTop: '10px' }}>
+            <thead>
+              <tr>
+                <th>Match</th>
+                <th>Referee</th>
+                <th>Score</th>
+                <th>Notes</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="darkText">
+              {refereeReports.map(report => (
+                <tr key={report.id}>
+                  <td>
+                    {formatDate(report.fixture.date)}<br />
+                    <strong>{report.fixture.homeTeamName}</strong> v <strong>{report.fixture.awayTeamName}</strong>
+                  </td>
+                  <td>{report.refereeName}</td>
+                  <td>
+                    <strong>{report.homeScore} - {report.awayScore}</strong>
+                    {report.fixture.result && (
+                      <div style={{ fontSize: '0.9em', color: '#666' }}>
+                        Recorded: {report.fixture.result.homeScore} - {report.fixture.result.awayScore}
+                      </div>
+                    )}
+                  </td>
+                  <td>{report.notes || '-'}</td>
+                  <td>
+                    <button
+                      className="admin-btn admin-btn-primary admin-btn-small"
+                      onClick={() => handleAcceptReport(report)}
+                      style={{ marginRight: '8px' }}
+                    >
+                      Accept
+                    </button>
+                    <button
+                      className="admin-btn admin-btn-danger admin-btn-small"
+                      onClick={() => handleRejectReport(report)}
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {confirmationQueue.length > 0 && (
+        <div className="admin-warning">
+          <strong>Results awaiting confirmation or in dispute ({confirmationQueue.length})</strong>
+          <table className="admin-table" style={{ marginTop: '10px' }}>
+            <thead>
+              <tr>
+                <th>Match</th>
+                <th>Score</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="darkText">
+              {confirmationQueue.map(fixture => {
+                const status = CONFIRMATION_STATUSES[getConfirmationStatus(fixture.result)];
+                return (
+                  <tr key={fixture.id}>
+                    <td>
+                      {formatDate(fixture.date)}<br />
+                      <strong>{fixture.homeTeamName}</strong> v <strong>{fixture.awayTeamName}</strong>
+                    </td>
+                    <td><strong>{fixture.result.homeScore} - {fixture.result.awayScore}</strong></td>
+                    <td>
+                      <span style={{ color: status.color, fontWeight: 'bold' }}>{status.label}</span>
+                      {fixture.result.disputeReason && (
+                        <div style={{ fontSize: '0.9em', color: '#666' }}>{fixture.result.disputeReason}</div>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        className="admin-btn admin-btn-primary admin-btn-small"
+                        onClick={() => handleConfirmResult(fixture)}
+                        style={{ marginRight: '8px' }}
+                      >
+                        Confirm
+                      </button>
+                      <button
+                        className="admin-btn admin-btn-secondary admin-btn-small"
+                        onClick={() => handleEditResult(fixture)}
+                      >
+                        Correct
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {editingFixture && (
         <div className="admin-form darkText">
           <h4>
             {editingFixture.result ? 'Edit Result' : 'Add Result'} - {formatDate(editingFixture.date)}
           </h4>
+          {reviewingReport && (
+            <p style={{ color: '#666' }}>
+              Official score from {reviewingReport.refereeName}. Add the scorers and save to accept it.
+            </p>
+          )}
           <p>
             <strong>{editingFixture.homeTeamName}</strong> vs <strong>{editingFixture.awayTeamName}</strong>
           </p>
@@ -597,6 +933,59 @@ function ResultsAdmin() {
                 <option value={4}>Abandoned</option>
               </select>
             </div>
+            {resultData.status === 2 && (
+              <div className="admin-form-group">
+                <label>Result Type</label>
+                <select
+                  name="resultType"
+                  value={resultData.resultType}
+                  onChange={handleInputChange}
+                >
+                  {Object.entries(RESULT_TYPES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {isWalkover && (
+              <div className="admin-form-group">
+                <label>Conceded By *</label>
+                <select
+                  name="concededBy"
+                  value={resultData.concededBy}
+                  onChange={handleInputChange}
+                  required
+                >
+                  <option value="">Select team</option>
+                  <option value={editingFixture.homeTeam}>{editingFixture.homeTeamName}</option>
+                  <option value={editingFixture.awayTeam}>{editingFixture.awayTeamName}</option>
+                </select>
+                <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                  The other side is awarded {editingFixture.leagueRules.walkoverPoints} points and
+                  a {editingFixture.leagueRules.walkoverScoreFor}-{editingFixture.leagueRules.walkoverScoreAgainst} win
+                  {editingFixture.leagueRules.walkoverPenalty > 0 && `; the conceding side loses ${editingFixture.leagueRules.walkoverPenalty} points`}
+                </small>
+              </div>
+            )}
+            {resultData.status === 4 && (
+              <div className="admin-form-group">
+                <label>Abandoned at Minute</label>
+                <input
+                  type="number"
+                  name="abandonedMinute"
+                  value={resultData.abandonedMinute}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="100"
+                  placeholder="Leave blank if no result should be recorded"
+                />
+                <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                  {editingFixture.leagueRules.abandonedResultEnabled
+                    ? `The score at abandonment counts as a result after ${editingFixture.leagueRules.abandonedResultMinute} minutes`
+                    : 'This league does not count abandoned matches as results'}
+                </small>
+              </div>
+            )}
             <div className="admin-form-group">
               <label>{editingFixture.homeTeamName} Score</label>
               <input
@@ -606,7 +995,7 @@ function ResultsAdmin() {
                 onChange={handleInputChange}
                 min="0"
                 required={resultData.status === 2}
-                disabled={resultData.status === 3 || resultData.status === 4}
+                disabled={resultData.status === 3 || isWalkover || (resultData.status === 4 && resultData.abandonedMinute === '')}
               />
             </div>
             <div className="admin-form-group">
@@ -618,12 +1007,12 @@ function ResultsAdmin() {
                 onChange={handleInputChange}
                 min="0"
                 required={resultData.status === 2}
-                disabled={resultData.status === 3 || resultData.status === 4}
+                disabled={resultData.status === 3 || isWalkover || (resultData.status === 4 && resultData.abandonedMinute === '')}
               />
             </div>
 
             {/* Home Team Scorers */}
-            {resultData.status === 2 && (
+            {showScorers && (
               <div className="admin-form-group" style={{ marginTop: '20px' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
                   <label style={{ marginBottom: 0 }}>{editingFixture.homeTeamName} Scorers</label>
@@ -652,13 +1041,11 @@ function ResultsAdmin() {
                         {resultData.homeScorers.map((scorer, index) => (
                           <tr key={index}>
                             <td>
-                              <input
-                                type="text"
-                                value={scorer.playerName}
-                                onChange={(e) => updateScorer('home', index, 'playerName', e.target.value)}
-                                placeholder="Player name"
+                              <PlayerPicker
+                                squad={getSquad(players, editingFixture.homeTeam)}
+                                scorer={scorer}
+                                onChange={(playerID, playerName) => updateScorerPlayer('home', index, playerID, playerName)}
                                 disabled={scorer.isPenaltyTry}
-                                style={{ width: '100%', padding: '5px' }}
                               />
                             </td>
                             <td>
@@ -714,7 +1101,7 @@ function ResultsAdmin() {
                       </tbody>
                     </table>
                     <div style={{ marginTop: '10px', fontWeight: 'bold' }}>
-                      Total Points: {calculateTotalPoints(resultData.homeScorers)}
+                      Total Points: {calculateScorerTotal(resultData.homeScorers)}
                     </div>
                   </div>
                 ) : (
@@ -724,7 +1111,7 @@ function ResultsAdmin() {
             )}
 
             {/* Away Team Scorers */}
-            {resultData.status === 2 && (
+            {showScorers && (
               <div className="admin-form-group" style={{ marginTop: '20px' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
                   <label style={{ marginBottom: 0 }}>{editingFixture.awayTeamName} Scorers</label>
@@ -753,13 +1140,11 @@ function ResultsAdmin() {
                         {resultData.awayScorers.map((scorer, index) => (
                           <tr key={index}>
                             <td>
-                              <input
-                                type="text"
-                                value={scorer.playerName}
-                                onChange={(e) => updateScorer('away', index, 'playerName', e.target.value)}
-                                placeholder="Player name"
+                              <PlayerPicker
+                                squad={getSquad(players, editingFixture.awayTeam)}
+                                scorer={scorer}
+                                onChange={(playerID, playerName) => updateScorerPlayer('away', index, playerID, playerName)}
                                 disabled={scorer.isPenaltyTry}
-                                style={{ width: '100%', padding: '5px' }}
                               />
                             </td>
                             <td>
@@ -815,7 +1200,7 @@ function ResultsAdmin() {
                       </tbody>
                     </table>
                     <div style={{ marginTop: '10px', fontWeight: 'bold' }}>
-                      Total Points: {calculateTotalPoints(resultData.awayScorers)}
+                      Total Points: {calculateScorerTotal(resultData.awayScorers)}
                     </div>
                   </div>
                 ) : (
@@ -824,6 +1209,14 @@ function ResultsAdmin() {
               </div>
             )}
 
+            <ResultValidation
+              issues={scorerIssues}
+              homeTeamName={editingFixture.homeTeamName}
+              awayTeamName={editingFixture.awayTeamName}
+              overrideReason={overrideReason}
+              onOverrideChange={setOverrideReason}
+            />
+
             <div className="admin-form-actions">
               <button type="submit" className="admin-btn admin-btn-primary">
                 {editingFixture.result ? 'Update Result' : 'Add Result'}
@@ -831,7 +1224,7 @@ function ResultsAdmin() {
               <button
                 type="button"
                 className="admin-btn admin-btn-secondary"
-                onClick={() => setEditingFixture(null)}
+                onClick={handleCancelEdit}
               >
                 Cancel
               </button>
@@ -882,7 +1275,18 @@ function ResultsAdmin() {
                   </td>
                   <td>
                     {fixture.result ? (
-                      <strong>{fixture.result.homeScore} - {fixture.result.awayScore}</strong>
+                      <>
+                        <strong>{fixture.result.homeScore} - {fixture.result.awayScore}</strong>
+                        {fixture.result.resultType === 'walkover' && <em style={{ color: '#666' }}> (walkover)</em>}
+                        {getResultFixtureStatus(fixture.result) === 4 && (
+                          <em style={{ color: '#666' }}> (abandoned {fixture.result.abandonedMinute}&apos;)</em>
+                        )}
+                        {getConfirmationStatus(fixture.result) !== 'confirmed' && (
+                          <div style={{ fontSize: '0.9em', color: CONFIRMATION_STATUSES[getConfirmationStatus(fixture.result)].color }}>
+                            {CONFIRMATION_STATUSES[getConfirmationStatus(fixture.result)].label}
+                          </div>
+                        )}
+                      </>
                     ) : (
                       <em style={{ color: '#999' }}>No result</em>
                     )}
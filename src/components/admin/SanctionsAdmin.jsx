@@ -0,0 +1,454 @@
+/**
+ * @file SanctionsAdmin.jsx
+ * @description Points deductions and sanctions ledger for admin panel
+ * @module components/admin/SanctionsAdmin
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getUser, crudRequest } from '../../utils/authHelpers';
+import { calculateLeagueStandings } from '../../utils/standingsCalculator';
+
+/**
+ * SanctionsAdmin component - CRUD operations for points deductions
+ *
+ * @component
+ * @description Provides the sanctions ledger used by competition committees to deduct
+ * league points from a team (e.g. for fielding an ineligible player or failing to fulfil
+ * a fixture). Deductions are applied by calculateLeagueStandings, so they survive every
+ * recalculation instead of being lost when tblstandings is rebuilt.
+ *
+ * Features:
+ * - List all sanctions with team, league, points deducted, reason, date and who applied it
+ * - Add new sanctions
+ * - Edit existing sanctions
+ * - Delete sanctions with confirmation
+ * - Recalculates the league's standings after every change
+ *
+ * @example
+ * // Used within Admin.jsx
+ * {activeTab === 'sanctions' && <SanctionsAdmin />}
+ *
+ * @returns {JSX.Element} Sanctions management interface
+ */
+function SanctionsAdmin() {
+  const user = getUser();
+  const [sanctions, setSanctions] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingSanction, setEditingSanction] = useState(null);
+  const [formData, setFormData] = useState({
+    leagueID: '',
+    teamID: '',
+    pointsDeducted: 5,
+    reason: '',
+    dateApplied: new Date().toISOString().split('T')[0]
+  });
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches sanctions, teams, leagues and users
+   * @async
+   * @description Loads all data needed to display the sanctions ledger
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const sanctionsResult = await crudRequest('read', {
+        table: 'tblsanctions',
+        orderBy: 'dateApplied DESC'
+      });
+
+      const teamsResult = await crudRequest('read', {
+        table: 'tblteams',
+        orderBy: 'teamName ASC'
+      });
+
+      const leaguesResult = await crudRequest('read', {
+        table: 'tblleagues',
+        orderBy: 'leagueSeason DESC, leagueName ASC'
+      });
+
+      const usersResult = await crudRequest('read', {
+        table: 'tblusers'
+      });
+
+      if (sanctionsResult.status_code === 200) {
+        setSanctions(sanctionsResult.data.records || sanctionsResult.data);
+      } else {
+        setError(sanctionsResult.message || 'Failed to load sanctions');
+      }
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (usersResult.status_code === 200) {
+        setUsers(usersResult.data.records || usersResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching sanctions:', err);
+      setError('Failed to load sanctions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Recalculates standings for the league a sanction belongs to
+   * @async
+   * @param {number} leagueID - League to recalculate
+   */
+  const recalculateLeague = async (leagueID) => {
+    const league = leagues.find(l => l.id === leagueID);
+    if (!league) return;
+
+    try {
+      await calculateLeagueStandings(league.id, league.leagueSeason);
+    } catch (err) {
+      console.error('Error recalculating standings:', err);
+      // Don't fail the sanction change if the recalculation fails
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const updated = {
+        ...prev,
+        [name]: name === 'leagueID' || name === 'teamID' || name === 'pointsDeducted'
+          ? parseInt(value) || ''
+          : value
+      };
+
+      // Changing league clears a team that doesn't play in it
+      if (name === 'leagueID') {
+        const team = teams.find(t => t.id === prev.teamID);
+        if (team && team.playsIn !== updated.leagueID) {
+          updated.teamID = '';
+        }
+      }
+
+      return updated;
+    });
+  };
+
+  const handleAdd = () => {
+    setEditingSanction(null);
+    setFormData({
+      leagueID: '',
+      teamID: '',
+      pointsDeducted: 5,
+      reason: '',
+      dateApplied: new Date().toISOString().split('T')[0]
+    });
+    setShowForm(true);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleEdit = (sanction) => {
+    setEditingSanction(sanction);
+    setFormData({
+      leagueID: sanction.leagueID,
+      teamID: sanction.teamID,
+      pointsDeducted: sanction.pointsDeducted,
+      reason: sanction.reason,
+      dateApplied: new Date(sanction.dateApplied).toISOString().split('T')[0]
+    });
+    setShowForm(true);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    // Validation
+    if (!formData.leagueID || !formData.teamID) {
+      setError('League and team are required');
+      return;
+    }
+
+    if (!formData.pointsDeducted || formData.pointsDeducted < 1) {
+      setError('Points deducted must be at least 1');
+      return;
+    }
+
+    if (!formData.reason.trim()) {
+      setError('A reason is required');
+      return;
+    }
+
+    try {
+      const sanctionData = {
+        leagueID: formData.leagueID,
+        teamID: formData.teamID,
+        pointsDeducted: formData.pointsDeducted,
+        reason: formData.reason.trim(),
+        dateApplied: `${formData.dateApplied} 00:00:00`,
+        appliedBy: editingSanction ? editingSanction.appliedBy : user.id
+      };
+
+      const operation = editingSanction ? 'update' : 'create';
+      const requestData = editingSanction
+        ? {
+            table: 'tblsanctions',
+            data: sanctionData,
+            conditions: { id: editingSanction.id }
+          }
+        : {
+            table: 'tblsanctions',
+            data: sanctionData
+          };
+
+      const result = await crudRequest(operation, requestData);
+
+      if (result.status_code === 200) {
+        await recalculateLeague(formData.leagueID);
+        // An edit may have moved the sanction out of its original league
+        if (editingSanction && editingSanction.leagueID !== formData.leagueID) {
+          await recalculateLeague(editingSanction.leagueID);
+        }
+        setSuccess(editingSanction ? 'Sanction updated successfully' : 'Sanction applied successfully');
+        setShowForm(false);
+        await fetchData();
+      } else {
+        setError(result.message || 'Operation failed');
+      }
+    } catch (err) {
+      console.error('Error saving sanction:', err);
+      setError('Failed to save sanction');
+    }
+  };
+
+  const handleDelete = async (sanction) => {
+    const teamName = teams.find(t => t.id === sanction.teamID)?.teamName || 'Unknown';
+
+    if (!window.confirm(`Are you sure you want to remove the ${sanction.pointsDeducted} point deduction from ${teamName}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('delete', {
+        table: 'tblsanctions',
+        conditions: { id: sanction.id }
+      });
+
+      if (result.status_code === 200) {
+        await recalculateLeague(sanction.leagueID);
+        setSuccess('Sanction removed successfully');
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to remove sanction');
+      }
+    } catch (err) {
+      console.error('Error deleting sanction:', err);
+      setError('Failed to remove sanction');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const getUserName = (userID) => {
+    const appliedBy = users.find(u => u.id === userID);
+    return appliedBy ? `${appliedBy.firstName} ${appliedBy.lastName}` : 'Unknown';
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading sanctions...</div>;
+  }
+
+  const leagueTeams = teams.filter(t => t.playsIn === formData.leagueID);
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Points Deductions &amp; Sanctions</h3>
+        {!showForm && (
+          <button className="admin-btn admin-btn-primary" onClick={handleAdd}>
+            + Add Sanction
+          </button>
+        )}
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      {showForm && (
+        <div className="admin-form darkText">
+          <h4>{editingSanction ? 'Edit Sanction' : 'Add New Sanction'}</h4>
+          <form onSubmit={handleSubmit}>
+            <div className="admin-form-group">
+              <label>League *</label>
+              <select
+                name="leagueID"
+                value={formData.leagueID}
+                onChange={handleInputChange}
+                required
+              >
+                <option value="">Select league</option>
+                {leagues.map(league => (
+                  <option key={league.id} value={league.id}>
+                    {league.leagueName} ({league.leagueSeason})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="admin-form-group">
+              <label>Team *</label>
+              <select
+                name="teamID"
+                value={formData.teamID}
+                onChange={handleInputChange}
+                required
+                disabled={!formData.leagueID}
+              >
+                <option value="">Select team</option>
+                {leagueTeams.map(team => (
+                  <option key={team.id} value={team.id}>
+                    {team.teamName}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="admin-form-group">
+              <label>Points Deducted *</label>
+              <input
+                type="number"
+                name="pointsDeducted"
+                value={formData.pointsDeducted}
+                onChange={handleInputChange}
+                min="1"
+                required
+              />
+            </div>
+
+            <div className="admin-form-group">
+              <label>Reason *</label>
+              <textarea
+                name="reason"
+                value={formData.reason}
+                onChange={handleInputChange}
+                required
+                rows="3"
+                placeholder="e.g., Fielded an ineligible player v Exmouth, 08/11/2025"
+              />
+            </div>
+
+            <div className="admin-form-group">
+              <label>Date Applied *</label>
+              <input
+                type="date"
+                name="dateApplied"
+                value={formData.dateApplied}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+
+            <div className="admin-form-actions">
+              <button type="submit" className="admin-btn admin-btn-primary">
+                {editingSanction ? 'Update Sanction' : 'Apply Sanction'}
+              </button>
+              <button
+                type="button"
+                className="admin-btn admin-btn-secondary"
+                onClick={() => setShowForm(false)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Team</th>
+              <th>League</th>
+              <th>Points</th>
+              <th>Reason</th>
+              <th>Applied By</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="darkText">
+            {sanctions.length === 0 ? (
+              <tr>
+                <td colSpan="7" style={{ textAlign: 'center', padding: '20px' }}>
+                  No sanctions have been applied.
+                </td>
+              </tr>
+            ) : (
+              sanctions.map(sanction => {
+                const team = teams.find(t => t.id === sanction.teamID);
+                const league = leagues.find(l => l.id === sanction.leagueID);
+
+                return (
+                  <tr key={sanction.id}>
+                    <td>{formatDate(sanction.dateApplied)}</td>
+                    <td><strong>{team?.teamName || 'Unknown'}</strong></td>
+                    <td>
+                      {league?.leagueName || 'Unknown'}
+                      {league?.leagueSeason && <span style={{ fontSize: '0.9em', color: '#666' }}> ({league.leagueSeason})</span>}
+                    </td>
+                    <td style={{ color: '#cc0000', fontWeight: 'bold' }}>-{sanction.pointsDeducted}</td>
+                    <td>{sanction.reason}</td>
+                    <td>{getUserName(sanction.appliedBy)}</td>
+                    <td>
+                      <button
+                        className="admin-btn admin-btn-secondary admin-btn-small"
+                        onClick={() => handleEdit(sanction)}
+                        style={{ marginRight: '8px' }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="admin-btn admin-btn-danger admin-btn-small"
+                        onClick={() => handleDelete(sanction)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SanctionsAdmin;
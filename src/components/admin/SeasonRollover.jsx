@@ -0,0 +1,483 @@
+/**
+ * @file SeasonRollover.jsx
+ * @description Wizard for starting the next season
+ * @module components/admin/SeasonRollover
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { closeSeason } from '../../utils/standingsCalculator';
+import { getCurrentTables } from '../../utils/pools';
+import { getSeasonStatus } from '../../utils/seasons';
+import { isKnockout } from '../../utils/knockout';
+import { TEAM_MOVES, getNextSeason, suggestTeamMoves, rolloverSeason } from '../../utils/seasonRollover';
+
+const STEPS = ['Seasons', 'Leagues', 'Teams', 'Confirm'];
+
+/**
+ * SeasonRollover component - clone the leagues into a new season and move the teams
+ *
+ * @component
+ * @description Four steps:
+ * 1. Seasons - the season being finished, the new season's name, and whether to close the
+ *    old season first (freezing its final tables)
+ * 2. Leagues - which leagues to carry over, ordered from the top division down, and how many
+ *    teams go up and down between neighbouring leagues (knockout cups are not carried over)
+ * 3. Teams - each team's new league, pre-filled with promotion and relegation suggested from
+ *    the final tables (see suggestTeamMoves)
+ * 4. Confirm - creates the leagues, moves the teams and switches the current season
+ *    (see rolloverSeason); no .config.json edit or redeploy is needed
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.leagues - All leagues from tblleagues
+ * @param {string} props.currentSeason - The current season
+ * @param {Function} props.onCancel - Called when the wizard is closed without changes
+ * @param {Function} props.onComplete - Called with a message once the new season has started
+ *
+ * @example
+ * <SeasonRollover leagues={leagues} currentSeason="2025-26" onCancel={close} onComplete={done} />
+ *
+ * @returns {JSX.Element} Season rollover wizard
+ */
+function SeasonRollover({ leagues, currentSeason, onCancel, onComplete }) {
+  const [step, setStep] = useState(0);
+  const [teams, setTeams] = useState([]);
+  const [standings, setStandings] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fromSeason, setFromSeason] = useState(currentSeason);
+  const [toSeason, setToSeason] = useState(getNextSeason(currentSeason));
+  const [closeFirst, setCloseFirst] = useState(true);
+  const [tiers, setTiers] = useState([]);
+  const [places, setPlaces] = useState(1);
+  const [assignments, setAssignments] = useState({});
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches teams, standings, fixtures and results for the final tables
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    try {
+      const teamsResult = await crudRequest('read', { table: 'tblteams' });
+      const standingsResult = await crudRequest('read', { table: 'tblstandings' });
+      const fixturesResult = await crudRequest('read', { table: 'tblfixtures' });
+      const resultsResult = await crudRequest('read', { table: 'tblresults' });
+
+      if (teamsResult.status_code !== 200) {
+        setError('Failed to load teams');
+        return;
+      }
+
+      setTeams(teamsResult.data.records || teamsResult.data);
+
+      if (standingsResult.status_code === 200) {
+        setStandings(standingsResult.data.records || standingsResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+    } catch (err) {
+      console.error('Error loading rollover data:', err);
+      setError('Failed to load season data');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Knockout cups have no final table and are set up afresh each season
+  const seasonLeagues = (season) => leagues
+    .filter(l => l.leagueSeason === season && !isKnockout(l))
+    .sort((a, b) => a.leagueName.localeCompare(b.leagueName));
+  const getLeague = (id) => leagues.find(l => l.id === id);
+  const getTeamName = (id) => teams.find(t => t.id === id)?.teamName || 'Unknown';
+
+  /**
+   * A league's teams in finishing order: ranked standings first, then any team
+   * playing in the league without a standings row
+   * @param {Object} league - League from tblleagues
+   * @returns {Array<number>} Team IDs
+   */
+  const getFinishingOrder = (league) => {
+    // A league split into pools finishes in the order of its last phase's pools
+    const ranked = getCurrentTables(league, standings, fixtures, results)
+      .flatMap(table => table.standings)
+      .map(s => s.teamID);
+
+    const unranked = teams
+      .filter(t => t.playsIn === league.id && !ranked.includes(t.id))
+      .map(t => t.id);
+
+    return [...ranked, ...unranked];
+  };
+
+  /**
+   * Suggest every team's new league from the final tables
+   * @param {Array<number>} leagueOrder - Carried-over league IDs, top division first
+   * @param {number} swapPlaces - Teams promoted and relegated between neighbouring leagues
+   * @returns {Object} Suggestions from suggestTeamMoves
+   */
+  const buildSuggestions = (leagueOrder, swapPlaces) => {
+    const tables = {};
+    leagueOrder.forEach(id => {
+      tables[id] = getFinishingOrder(getLeague(id));
+    });
+    return suggestTeamMoves(leagueOrder, tables, swapPlaces);
+  };
+
+  const suggestions = buildSuggestions(tiers, places);
+
+  /**
+   * Every team in the old season's leagues, carried-over leagues first in division order
+   * @returns {Array<{teamID: number, leagueID: number, position: number}>} One row per team
+   */
+  const getTeamRows = () => {
+    const leftOut = seasonLeagues(fromSeason).filter(l => !tiers.includes(l.id)).map(l => l.id);
+    return [...tiers, ...leftOut].flatMap(leagueID =>
+      getFinishingOrder(getLeague(leagueID)).map((teamID, index) => ({ teamID, leagueID, position: index + 1 }))
+    );
+  };
+
+  /**
+   * New leagues suggested for every team; teams in leagues that are not carried over get none
+   * @returns {Object<number, number|string>} Team ID to the old league ID whose clone it joins
+   */
+  const getSuggestedAssignments = () => {
+    const defaults = {};
+    getTeamRows().forEach(({ teamID }) => {
+      defaults[teamID] = suggestions[teamID]?.toLeagueID || '';
+    });
+    return defaults;
+  };
+
+  /**
+   * Move to the next step, validating and preparing it
+   */
+  const handleNext = () => {
+    setError('');
+
+    if (step === 0) {
+      const existing = leagues.some(l => l.leagueSeason === toSeason.trim());
+      if (!toSeason.trim()) {
+        setError('Enter a name for the new season');
+        return;
+      }
+      if (existing) {
+        setError(`The ${toSeason.trim()} season already has leagues`);
+        return;
+      }
+      if (seasonLeagues(fromSeason).length === 0) {
+        setError(`The ${fromSeason} season has no leagues to carry over`);
+        return;
+      }
+      setTiers(seasonLeagues(fromSeason).map(l => l.id));
+    }
+
+    if (step === 1) {
+      if (tiers.length === 0) {
+        setError('Carry over at least one league');
+        return;
+      }
+
+      // Pre-fill the team moves from the suggestions
+      setAssignments(getSuggestedAssignments());
+    }
+
+    setStep(step + 1);
+  };
+
+  /**
+   * Move a league up or down the division order
+   * @param {number} index - Position in the order
+   * @param {number} direction - -1 for up, 1 for down
+   */
+  const moveTier = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= tiers.length) return;
+
+    const order = [...tiers];
+    [order[index], order[target]] = [order[target], order[index]];
+    setTiers(order);
+  };
+
+  /**
+   * Include or leave out a league from the new season
+   * @param {number} leagueID - League in the old season
+   */
+  const toggleTier = (leagueID) => {
+    setTiers(prev => prev.includes(leagueID)
+      ? prev.filter(id => id !== leagueID)
+      : [...prev, leagueID]);
+  };
+
+  /**
+   * Run the rollover
+   * @async
+   */
+  const handleStart = async () => {
+    if (!window.confirm(`Start the ${toSeason} season? This creates ${tiers.length} league(s), moves the teams and makes ${toSeason} the current season.`)) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      if (closeFirst && !getSeasonStatus(fromSeason, leagues).closed) {
+        const closed = await closeSeason(fromSeason);
+        if (!closed.success) {
+          setError(closed.message);
+          return;
+        }
+      }
+
+      const result = await rolloverSeason({
+        toSeason: toSeason.trim(),
+        leagues: tiers.map(getLeague),
+        assignments
+      });
+
+      if (result.success) {
+        onComplete(result.message);
+      } else {
+        setError(result.message);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading season data...</div>;
+  }
+
+  const fromSeasons = [...new Set(leagues.map(l => l.leagueSeason))].sort((a, b) => b.localeCompare(a));
+  const fromClosed = getSeasonStatus(fromSeason, leagues).closed;
+  const teamRows = getTeamRows();
+
+  // Count the chosen moves for the confirmation step
+  const moveCounts = { promoted: 0, relegated: 0, stays: 0, none: 0 };
+  teamRows.forEach(({ teamID, leagueID }) => {
+    const target = assignments[teamID];
+    if (!target) {
+      moveCounts.none++;
+      return;
+    }
+    const change = tiers.indexOf(target) - tiers.indexOf(leagueID);
+    moveCounts[tiers.includes(leagueID) && change < 0 ? 'promoted' : tiers.includes(leagueID) && change > 0 ? 'relegated' : 'stays']++;
+  });
+
+  return (
+    <div className="admin-form darkText">
+      <h4>Start the Next Season - Step {step + 1} of {STEPS.length}: {STEPS[step]}</h4>
+
+      <ol className="rollover-steps">
+        {STEPS.map((label, i) => (
+          <li key={label} className={i === step ? 'active' : i < step ? 'done' : ''}>{label}</li>
+        ))}
+      </ol>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      {step === 0 && (
+        <>
+          <div className="admin-form-group">
+            <label>Season Being Finished</label>
+            <select
+              value={fromSeason}
+              onChange={(e) => {
+                setFromSeason(e.target.value);
+                setToSeason(getNextSeason(e.target.value));
+              }}
+            >
+              {fromSeasons.map(season => (
+                <option key={season} value={season}>{season}{season === currentSeason ? ' (current)' : ''}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="admin-form-group">
+            <label>New Season *</label>
+            <input
+              type="text"
+              value={toSeason}
+              onChange={(e) => setToSeason(e.target.value)}
+              placeholder="e.g., 2026-27"
+            />
+          </div>
+
+          <div className="admin-form-group">
+            {fromClosed ? (
+              <p>The {fromSeason} season is already closed; its final tables are frozen.</p>
+            ) : (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={closeFirst}
+                  onChange={(e) => setCloseFirst(e.target.checked)}
+                />
+                {' '}Close the {fromSeason} season first, freezing its final tables (recommended)
+              </label>
+            )}
+          </div>
+        </>
+      )}
+
+      {step === 1 && (
+        <>
+          <p>Tick the leagues to carry over and order them from the top division down. Their rules are copied to the new season.</p>
+          <div className="admin-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Carry Over</th>
+                  <th>Division</th>
+                  <th>League</th>
+                  <th>Teams</th>
+                  <th>Order</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...tiers.map(getLeague), ...seasonLeagues(fromSeason).filter(l => !tiers.includes(l.id))].map(league => {
+                  const index = tiers.indexOf(league.id);
+                  return (
+                    <tr key={league.id}>
+                      <td>
+                        <input type="checkbox" checked={index !== -1} onChange={() => toggleTier(league.id)} />
+                      </td>
+                      <td>{index !== -1 ? index + 1 : '-'}</td>
+                      <td><strong>{league.leagueName}</strong></td>
+                      <td>{getFinishingOrder(league).length}</td>
+                      <td>
+                        {index !== -1 && (
+                          <>
+                            <button type="button" className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => moveTier(index, -1)} disabled={index === 0}>↑</button>
+                            {' '}
+                            <button type="button" className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => moveTier(index, 1)} disabled={index === tiers.length - 1}>↓</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-form-group">
+            <label>Teams Promoted and Relegated Between Neighbouring Leagues</label>
+            <input
+              type="number"
+              min="0"
+              value={places}
+              onChange={(e) => setPlaces(Math.max(0, parseInt(e.target.value) || 0))}
+            />
+          </div>
+        </>
+      )}
+
+      {step === 2 && (
+        <>
+          <p>
+            Suggested moves come from the {fromSeason} final tables. Change any team&apos;s league, or
+            choose &quot;No league&quot; for a team that is not entering.
+          </p>
+          <button
+            type="button"
+            className="admin-btn admin-btn-secondary admin-btn-small"
+            onClick={() => setAssignments(getSuggestedAssignments())}
+          >
+            Reset to Suggestions
+          </button>
+          <div className="admin-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Team</th>
+                  <th>{fromSeason} League</th>
+                  <th>Pos</th>
+                  <th>Suggested</th>
+                  <th>{toSeason} League</th>
+                </tr>
+              </thead>
+              <tbody>
+                {teamRows.map(({ teamID, leagueID, position }) => {
+                  const suggestion = suggestions[teamID];
+                  return (
+                    <tr key={teamID}>
+                      <td><strong>{getTeamName(teamID)}</strong></td>
+                      <td>{getLeague(leagueID)?.leagueName}</td>
+                      <td>{position}</td>
+                      <td className={suggestion ? `rollover-move rollover-${suggestion.move}` : ''}>
+                        {suggestion ? TEAM_MOVES[suggestion.move] : 'League not carried over'}
+                      </td>
+                      <td>
+                        <select
+                          value={assignments[teamID] || ''}
+                          onChange={(e) => setAssignments(prev => ({ ...prev, [teamID]: parseInt(e.target.value) || '' }))}
+                        >
+                          <option value="">No league</option>
+                          {tiers.map(id => (
+                            <option key={id} value={id}>{getLeague(id)?.leagueName}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {step === 3 && (
+        <ul>
+          {closeFirst && !fromClosed && <li>Close the {fromSeason} season and freeze its final tables</li>}
+          <li>
+            Create {tiers.length} league(s) for {toSeason}: {tiers.map(id => getLeague(id)?.leagueName).join(', ')}
+          </li>
+          <li>
+            Move {teamRows.length} team(s): {moveCounts.promoted} promoted, {moveCounts.relegated} relegated,
+            {' '}{moveCounts.stays} staying, {moveCounts.none} without a league
+          </li>
+          <li>Make {toSeason} the current season</li>
+        </ul>
+      )}
+
+      <div className="admin-form-actions">
+        {step > 0 && (
+          <button type="button" className="admin-btn admin-btn-secondary" onClick={() => setStep(step - 1)} disabled={isSaving}>
+            Back
+          </button>
+        )}
+        {step < STEPS.length - 1 ? (
+          <button type="button" className="admin-btn admin-btn-primary" onClick={handleNext}>
+            Next
+          </button>
+        ) : (
+          <button type="button" className="admin-btn admin-btn-primary" onClick={handleStart} disabled={isSaving}>
+            {isSaving ? 'Starting...' : `Start ${toSeason}`}
+          </button>
+        )}
+        <button type="button" className="admin-btn admin-btn-secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SeasonRollover;
@@ -0,0 +1,209 @@
+/**
+ * @file SeasonsAdmin.jsx
+ * @description Season management component for admin panel
+ * @module components/admin/SeasonsAdmin
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { getCurrentSeason } from '../../utils/fixtureExports';
+import { closeSeason } from '../../utils/standingsCalculator';
+import { getSeasons, getSeasonStatus, isSeasonClosed } from '../../utils/seasons';
+import SeasonRollover from './SeasonRollover';
+
+/**
+ * SeasonsAdmin component - list seasons, close them and start the next one
+ *
+ * @component
+ * @description Lists every season that has leagues, with its leagues and whether it is open
+ * or closed. Closing a season recalculates its leagues one last time and then freezes their
+ * standings (see closeSeason), so the Tables page shows them as archived final tables.
+ * Start Next Season opens the rollover wizard (see SeasonRollover), which clones the leagues,
+ * moves teams up and down, and switches the current season.
+ *
+ * @example
+ * // Used within Admin.jsx
+ * {activeTab === 'seasons' && <SeasonsAdmin />}
+ *
+ * @returns {JSX.Element} Seasons management interface
+ */
+function SeasonsAdmin() {
+  const [leagues, setLeagues] = useState([]);
+  const [currentSeason, setCurrentSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [closingSeason, setClosingSeason] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showRollover, setShowRollover] = useState(false);
+
+  useEffect(() => {
+    fetchLeagues();
+  }, []);
+
+  /**
+   * Fetches all leagues and the current season
+   * @async
+   */
+  const fetchLeagues = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const result = await crudRequest('read', {
+        table: 'tblleagues',
+        orderBy: 'leagueSeason DESC, leagueName ASC'
+      });
+
+      if (result.status_code === 200) {
+        setLeagues(result.data.records || result.data);
+      } else {
+        setError(result.message || 'Failed to load leagues');
+      }
+
+      setCurrentSeason(await getCurrentSeason());
+    } catch (err) {
+      console.error('Error fetching leagues:', err);
+      setError('Failed to load seasons');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Close a season after confirmation
+   * @async
+   * @param {string} season - Season to close
+   */
+  const handleClose = async (season) => {
+    const warning = season === currentSeason
+      ? `${season} is the current season. `
+      : '';
+
+    if (!window.confirm(`${warning}Close the ${season} season? Its standings will be recalculated one last time and then frozen; later result changes will not affect them.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+    setClosingSeason(season);
+
+    try {
+      const result = await closeSeason(season);
+
+      if (result.success) {
+        setSuccess(result.message);
+        await fetchLeagues();
+      } else {
+        setError(result.message || 'Failed to close season');
+      }
+    } finally {
+      setClosingSeason(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading seasons...</div>;
+  }
+
+  const seasons = getSeasons(leagues).map(season => getSeasonStatus(season, leagues));
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Seasons</h3>
+        {!showRollover && leagues.length > 0 && (
+          <button
+            className="admin-btn admin-btn-primary"
+            onClick={() => {
+              setSuccess('');
+              setShowRollover(true);
+            }}
+          >
+            Start Next Season
+          </button>
+        )}
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      {showRollover && (
+        <SeasonRollover
+          leagues={leagues}
+          currentSeason={currentSeason}
+          onCancel={() => setShowRollover(false)}
+          onComplete={(message) => {
+            setShowRollover(false);
+            setSuccess(message);
+            fetchLeagues();
+          }}
+        />
+      )}
+
+      <p className="darkText">
+        Closing a season freezes its league tables as the final standings. Standings in open
+        seasons are recalculated whenever a result or sanction changes.
+      </p>
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Season</th>
+              <th>Leagues</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="darkText">
+            {seasons.length === 0 ? (
+              <tr>
+                <td colSpan="4" style={{ textAlign: 'center', padding: '20px' }}>
+                  No seasons yet. Add a league to start one.
+                </td>
+              </tr>
+            ) : (
+              seasons.map(({ season, leagues: seasonLeagues, closed, closedAt }) => (
+                <tr key={season}>
+                  <td>
+                    <strong>{season}</strong>
+                    {season === currentSeason && <small> (current)</small>}
+                  </td>
+                  <td>
+                    {seasonLeagues.map(league => (
+                      <div key={league.id}>
+                        {league.leagueName}
+                        {!closed && isSeasonClosed(league) && <small> (closed)</small>}
+                      </div>
+                    ))}
+                  </td>
+                  <td>{closed ? `Closed ${formatDate(closedAt)}` : 'Open'}</td>
+                  <td>
+                    {!closed && (
+                      <button
+                        className="admin-btn admin-btn-danger admin-btn-small"
+                        onClick={() => handleClose(season)}
+                        disabled={closingSeason !== null}
+                      >
+                        {closingSeason === season ? 'Closing...' : 'Close Season'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SeasonsAdmin;
@@ -0,0 +1,334 @@
+/**
+ * @file SquadManager.jsx
+ * @description Squad list management for one team
+ * @module components/admin/SquadManager
+ */
+
+import React, { useState, useEffect } from 'react';
+import { crudRequest } from '../../utils/authHelpers';
+import { getSquad, getPlayerName } from '../../utils/players';
+
+/**
+ * SquadManager component - CRUD operations for a team's registered players
+ *
+ * @component
+ * @description Lists a team's players from tblplayers and lets an admin add, edit,
+ * remove from the squad (keeping them linked to past scorers) or delete players.
+ * Used by TeamAdmin for the admin's own team and by PlayersAdmin for any team.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.teamID - Team whose squad is managed
+ *
+ * @example
+ * <SquadManager teamID={user.authorityOver} />
+ *
+ * @returns {JSX.Element} Squad list and player form
+ */
+function SquadManager({ teamID }) {
+  const [players, setPlayers] = useState([]);
+  const [showInactive, setShowInactive] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingPlayer, setEditingPlayer] = useState(null);
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    squadNumber: '',
+    position: ''
+  });
+
+  /**
+   * Fetches the team's players
+   * @async
+   */
+  const fetchPlayers = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const result = await crudRequest('read', {
+        table: 'tblplayers',
+        conditions: { teamID }
+      });
+
+      if (result.status_code === 200) {
+        setPlayers(result.data.records || result.data);
+      } else {
+        setError('Failed to load squad');
+      }
+    } catch (err) {
+      console.error('Error fetching players:', err);
+      setError('Failed to load squad');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (teamID) {
+      fetchPlayers();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [teamID]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = () => {
+    setEditingPlayer(null);
+    setFormData({ firstName: '', lastName: '', squadNumber: '', position: '' });
+    setShowForm(true);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleEdit = (player) => {
+    setEditingPlayer(player);
+    setFormData({
+      firstName: player.firstName,
+      lastName: player.lastName,
+      squadNumber: player.squadNumber ?? '',
+      position: player.position || ''
+    });
+    setShowForm(true);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!formData.firstName.trim() || !formData.lastName.trim()) {
+      setError('First and last name are required');
+      return;
+    }
+
+    const squadNumber = formData.squadNumber === '' ? null : parseInt(formData.squadNumber);
+    const duplicate = players.find(p =>
+      p.id !== editingPlayer?.id &&
+      parseInt(p.active) !== 0 &&
+      p.firstName.toLowerCase() === formData.firstName.trim().toLowerCase() &&
+      p.lastName.toLowerCase() === formData.lastName.trim().toLowerCase()
+    );
+    if (duplicate) {
+      setError(`${getPlayerName(duplicate)} is already in the squad`);
+      return;
+    }
+
+    const playerData = {
+      firstName: formData.firstName.trim(),
+      lastName: formData.lastName.trim(),
+      squadNumber,
+      position: formData.position.trim() || null
+    };
+
+    try {
+      const result = editingPlayer
+        ? await crudRequest('update', {
+            table: 'tblplayers',
+            data: playerData,
+            conditions: { id: editingPlayer.id }
+          })
+        : await crudRequest('create', {
+            table: 'tblplayers',
+            data: { ...playerData, teamID, active: 1 }
+          });
+
+      if (result.status_code === 200) {
+        setSuccess(editingPlayer ? 'Player updated successfully' : 'Player added successfully');
+        setShowForm(false);
+        await fetchPlayers();
+      } else {
+        setError(result.message || 'Operation failed');
+      }
+    } catch (err) {
+      console.error('Error saving player:', err);
+      setError('Failed to save player');
+    }
+  };
+
+  const handleToggleActive = async (player) => {
+    const active = parseInt(player.active) === 0 ? 1 : 0;
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblplayers',
+        data: { active },
+        conditions: { id: player.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess(active ? `${getPlayerName(player)} returned to the squad` : `${getPlayerName(player)} removed from the squad`);
+        await fetchPlayers();
+      } else {
+        setError(result.message || 'Failed to update player');
+      }
+    } catch (err) {
+      console.error('Error updating player:', err);
+      setError('Failed to update player');
+    }
+  };
+
+  const handleDelete = async (player) => {
+    if (!window.confirm(`Delete ${getPlayerName(player)}? Scorers already linked to this player keep their name. To keep the player for past results, remove them from the squad instead.`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('delete', {
+        table: 'tblplayers',
+        conditions: { id: player.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess('Player deleted successfully');
+        await fetchPlayers();
+      } else {
+        setError(result.message || 'Failed to delete player');
+      }
+    } catch (err) {
+      console.error('Error deleting player:', err);
+      setError('Failed to delete player');
+    }
+  };
+
+  if (isLoading) {
+    return <div className="admin-loading">Loading squad...</div>;
+  }
+
+  const squad = getSquad(players, teamID, showInactive);
+
+  return (
+    <div>
+      <div className="admin-header">
+        <h3>Squad</h3>
+        <button className="admin-btn admin-btn-primary" onClick={handleAdd}>
+          + Add Player
+        </button>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+      {success && <div className="admin-success">{success}</div>}
+
+      {showForm && (
+        <div className="admin-form darkText">
+          <h4>{editingPlayer ? 'Edit Player' : 'Add Player'}</h4>
+          <form onSubmit={handleSubmit}>
+            <div style={{ display: 'flex', gap: '12px' }}>
+              <div className="admin-form-group" style={{ flex: 2 }}>
+                <label>First Name *</label>
+                <input type="text" name="firstName" value={formData.firstName} onChange={handleInputChange} required />
+              </div>
+              <div className="admin-form-group" style={{ flex: 2 }}>
+                <label>Last Name *</label>
+                <input type="text" name="lastName" value={formData.lastName} onChange={handleInputChange} required />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '12px' }}>
+              <div className="admin-form-group" style={{ flex: 1 }}>
+                <label>Squad Number</label>
+                <input type="number" name="squadNumber" value={formData.squadNumber} onChange={handleInputChange} min="1" max="99" />
+              </div>
+              <div className="admin-form-group" style={{ flex: 3 }}>
+                <label>Position</label>
+                <input
+                  type="text"
+                  name="position"
+                  value={formData.position}
+                  onChange={handleInputChange}
+                  placeholder="e.g., Fly-half"
+                />
+              </div>
+            </div>
+            <div className="admin-form-actions">
+              <button type="submit" className="admin-btn admin-btn-primary">
+                {editingPlayer ? 'Update Player' : 'Add Player'}
+              </button>
+              <button type="button" className="admin-btn admin-btn-secondary" onClick={() => setShowForm(false)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <label style={{ display: 'block', marginBottom: '10px' }}>
+        <input
+          type="checkbox"
+          checked={showInactive}
+          onChange={(e) => setShowInactive(e.target.checked)}
+          style={{ width: 'auto', marginRight: '8px' }}
+        />
+        Show players no longer in the squad
+      </label>
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>No.</th>
+              <th>Name</th>
+              <th>Position</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="darkText">
+            {squad.length === 0 ? (
+              <tr>
+                <td colSpan="4" style={{ textAlign: 'center', padding: '20px' }}>
+                  No players registered
+                </td>
+              </tr>
+            ) : (
+              squad.map(player => (
+                <tr key={player.id} style={parseInt(player.active) === 0 ? { color: '#999' } : undefined}>
+                  <td>{player.squadNumber ?? '-'}</td>
+                  <td>
+                    <strong>{getPlayerName(player)}</strong>
+                    {parseInt(player.active) === 0 && <em> (left squad)</em>}
+                  </td>
+                  <td>{player.position || '-'}</td>
+                  <td>
+                    <button
+                      className="admin-btn admin-btn-secondary admin-btn-small"
+                      onClick={() => handleEdit(player)}
+                      style={{ marginRight: '8px' }}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      className="admin-btn admin-btn-secondary admin-btn-small"
+                      onClick={() => handleToggleActive(player)}
+                      style={{ marginRight: '8px' }}
+                    >
+                      {parseInt(player.active) === 0 ? 'Restore' : 'Remove'}
+                    </button>
+                    <button
+                      className="admin-btn admin-btn-danger admin-btn-small"
+                      onClick={() => handleDelete(player)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SquadManager;
@@ -22,6 +22,7 @@ import { crudRequest } from '../../utils/authHelpers';
  * - Delete users with confirmation
  * - Manage authority levels (0=follower, 1=team admin, 2=full admin)
  * - Manage team associations (authorityOver field)
+ * - Mark users as referees (isReferee), who can then be appointed to fixtures
  * 
  * Security:
  * - Passwords are hashed with bcrypt before storage
@@ -47,7 +48,8 @@ function UsersAdmin() {
     login: '',
     password: '',
     authority: 0,
-    authorityOver: 0
+    authorityOver: 0,
+    isReferee: 0
   });
 
   useEffect(() => {
@@ -83,10 +85,12 @@ function UsersAdmin() {
   };
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: name === 'authority' || name === 'authorityOver' ? parseInt(value) : value
+      [name]: type === 'checkbox'
+        ? (checked ? 1 : 0)
+        : name === 'authority' || name === 'authorityOver' ? parseInt(value) : value
     }));
   };
 
@@ -99,7 +103,8 @@ function UsersAdmin() {
       login: '',
       password: '',
       authority: 0,
-      authorityOver: 0
+      authorityOver: 0,
+      isReferee: 0
     });
     setShowForm(true);
     setError('');
@@ -115,7 +120,8 @@ function UsersAdmin() {
       login: user.login,
       password: '', // Don't show password
       authority: user.authority,
-      authorityOver: user.authorityOver
+      authorityOver: user.authorityOver,
+      isReferee: user.isReferee ? 1 : 0
     });
     setShowForm(true);
     setError('');
@@ -297,6 +303,18 @@ function UsersAdmin() {
                 onChange={handleInputChange}
               />
             </div>
+            <div className="admin-form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="isReferee"
+                  checked={formData.isReferee === 1}
+                  onChange={handleInputChange}
+                  style={{ width: 'auto', marginRight: '8px' }}
+                />
+                Referee (can be appointed to fixtures)
+              </label>
+            </div>
             <div className="admin-form-actions">
               <button type="submit" className="admin-btn admin-btn-primary">
                 {editingUser ? 'Update' : 'Create'}
@@ -322,6 +340,7 @@ function UsersAdmin() {
               <th>Login</th>
               <th>Authority</th>
               <th>Authority Over</th>
+              <th>Referee</th>
               <th>Actions</th>
             </tr>
           </thead>
@@ -333,6 +352,7 @@ function UsersAdmin() {
                 <td>{user.login}</td>
                 <td>{getAuthorityLabel(user.authority)}</td>
                 <td>{user.authorityOver || '-'}</td>
+                <td>{user.isReferee ? 'Yes' : '-'}</td>
                 <td>
                   <div className="admin-actions">
                     <button
@@ -42,8 +42,8 @@ function MenuItem({ to, children, onClick }) {
  * Features hamburger menu for mobile, authentication-aware display.
  * 
  * Menu Items:
- * - Public: Home, About, Tables, Fixtures
- * - Authenticated: User's name (links to /profile), Admin link (if authority ≥ 1), Logout
+ * - Public: Home, About, Tables, Fixtures, Results
+ * - Authenticated: User's name (links to /profile), My Matches (referees), Admin link (if authority ≥ 1), Logout
  * - Unauthenticated: Login
  * 
  * State Management:
@@ -120,7 +120,10 @@ export default function Menu() {
                 <MenuItem to="/" onClick={closeMenu}>Home</MenuItem>
                 <MenuItem to="/about" onClick={closeMenu}>About</MenuItem>
                 <MenuItem to="/tables" onClick={closeMenu}>Tables</MenuItem>
+                <MenuItem to="/cups" onClick={closeMenu}>Cups</MenuItem>
                 <MenuItem to="/fixtures" onClick={closeMenu}>Fixtures</MenuItem>
+                <MenuItem to="/results" onClick={closeMenu}>Results</MenuItem>
+                <MenuItem to="/head-to-head" onClick={closeMenu}>Head to Head</MenuItem>
                 
                 {authenticated ? (
                     <>
@@ -131,6 +134,9 @@ export default function Menu() {
                         >
                             {user?.firstName} {user?.lastName}
                         </Link>
+                        {parseInt(user?.isReferee) === 1 && (
+                            <MenuItem to="/my-matches" onClick={closeMenu}>My Matches</MenuItem>
+                        )}
                         {user?.authority >= 1 && (
                             <Link 
                                 to={user?.authority === 2 ? "/admin" : "/team-admin"} 
@@ -12,6 +12,11 @@ import TeamsAdmin from '../components/admin/TeamsAdmin';
 import LeaguesAdmin from '../components/admin/LeaguesAdmin';
 import FixturesAdmin from '../components/admin/FixturesAdmin';
 import ResultsAdmin from '../components/admin/ResultsAdmin';
+import SanctionsAdmin from '../components/admin/SanctionsAdmin';
+import HistoryAdmin from '../components/admin/HistoryAdmin';
+import PlayersAdmin from '../components/admin/PlayersAdmin';
+import SeasonsAdmin from '../components/admin/SeasonsAdmin';
+import CupsAdmin from '../components/admin/CupsAdmin';
 
 /**
  * Admin component - system administration dashboard
@@ -23,8 +28,13 @@ import ResultsAdmin from '../components/admin/ResultsAdmin';
  * Features:
  * - Users management tab (create, edit, delete users, manage permissions)
  * - Teams management tab (create, edit, delete teams, manage team data)
+ * - Players tab (squads for each team, link old scorer names to players)
+ * - Cups tab (knockout cup entrants, seeding and round-by-round draws)
  * - Fixtures management tab (create, edit, delete fixtures, schedule matches)
  * - Results management tab (record match results, update scores)
+ * - Sanctions tab (points deductions ledger applied to league standings)
+ * - Seasons tab (close a season to freeze its final league tables)
+ * - History tab (audit trail of results, fixture statuses and standings, with restore)
  * - Utilities section (recalculate league standings)
  * 
  * Authority Requirement: authority = 2 (full admin)
@@ -52,9 +62,14 @@ function Admin() {
   const tabs = [
     { id: 'users', label: 'Users', icon: '👤' },
     { id: 'teams', label: 'Teams', icon: '🏉' },
+    { id: 'players', label: 'Players', icon: '🎽' },
     { id: 'leagues', label: 'Leagues', icon: '🏆' },
+    { id: 'cups', label: 'Cups', icon: '🥇' },
     { id: 'fixtures', label: 'Fixtures', icon: '📅' },
-    { id: 'results', label: 'Results', icon: '📊' }
+    { id: 'results', label: 'Results', icon: '📊' },
+    { id: 'sanctions', label: 'Sanctions', icon: '⚖️' },
+    { id: 'seasons', label: 'Seasons', icon: '🗓️' },
+    { id: 'history', label: 'History', icon: '🕘' }
   ];
 
   return (
@@ -78,9 +93,14 @@ function Admin() {
         <div className="admin-content">
           {activeTab === 'users' && <UsersAdmin />}
           {activeTab === 'teams' && <TeamsAdmin />}
+          {activeTab === 'players' && <PlayersAdmin />}
           {activeTab === 'leagues' && <LeaguesAdmin />}
+          {activeTab === 'cups' && <CupsAdmin />}
           {activeTab === 'fixtures' && <FixturesAdmin />}
           {activeTab === 'results' && <ResultsAdmin />}
+          {activeTab === 'sanctions' && <SanctionsAdmin />}
+          {activeTab === 'seasons' && <SeasonsAdmin />}
+          {activeTab === 'history' && <HistoryAdmin />}
         </div>
 
         <div style={{ marginTop: '30px', padding: '20px', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
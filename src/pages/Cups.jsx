@@ -0,0 +1,143 @@
+/**
+ * @file Cups.jsx
+ * @description Public knockout cup brackets
+ * @module pages/Cups
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { getCurrentSeason } from '../utils/fixtureExports';
+import { getSeasons, pickSeason } from '../utils/seasons';
+import { isKnockout, buildBracket } from '../utils/knockout';
+import CupBracket from '../components/CupBracket';
+
+/**
+ * Cups component - a bracket for each knockout cup in a season
+ *
+ * @component
+ * @description Shows every knockout cup in the chosen season as a bracket, from the first
+ * round to the final, with scores, byes, and rounds still to be drawn (see buildBracket).
+ * Ties level on the score go to the side with more tries, then the away side.
+ *
+ * A season switcher (kept in the query string as ?season=) shows one season at a time,
+ * defaulting to the current season. No authentication required.
+ *
+ * @example
+ * <Route path="/cups" element={<Cups />} />
+ *
+ * @returns {JSX.Element} Cups page
+ */
+function Cups() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [leagues, setLeagues] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [currentSeason, setCurrentSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches competitions, teams, fixtures and results
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const fixturesResult = await publicRead({ table: 'tblfixtures' });
+      const resultsResult = await publicRead({ table: 'tblresults' });
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      setCurrentSeason(await getCurrentSeason());
+    } catch (err) {
+      console.error('Error fetching cups:', err);
+      setError('Failed to load cups');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="tables-loading">Loading cups...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-content">
+        <div className="tables-error">{error}</div>
+      </div>
+    );
+  }
+
+  const cupLeagues = leagues.filter(isKnockout);
+  const seasons = getSeasons(cupLeagues);
+  const season = pickSeason(seasons, searchParams.get('season'), currentSeason);
+  const cups = cupLeagues
+    .filter(cup => cup.leagueSeason === season)
+    .sort((a, b) => a.leagueName.localeCompare(b.leagueName));
+
+  return (
+    <div className="page-content">
+      <h2 className="page-header-title">Cups</h2>
+
+      {seasons.length > 1 && (
+        <div className="page-filters">
+          <label>
+            Season
+            <select value={season} onChange={(e) => setSearchParams({ season: e.target.value })}>
+              {seasons.map(s => (
+                <option key={s} value={s}>{s}{s === currentSeason ? ' (current)' : ''}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {cups.length === 0 ? (
+        <p className="no-tables">No cup competitions this season.</p>
+      ) : (
+        cups.map(cup => (
+          <div key={cup.id} className="league-table-section">
+            <h3>
+              {cup.leagueName}
+              <span style={{ fontSize: '0.9em', color: '#666', marginLeft: '10px' }}>({cup.leagueSeason})</span>
+            </h3>
+            <CupBracket bracket={buildBracket(cup, fixtures, results)} getTeamName={getTeamName} />
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default Cups;
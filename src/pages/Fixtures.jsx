@@ -1,27 +1,42 @@
 /**
  * @file Fixtures.jsx
- * @description Fixtures page showing upcoming and past matches with PDF and calendar export
+ * @description Fixtures page showing upcoming and past matches with PDF, calendar and spreadsheet export
  * @module pages/Fixtures
  */
 
 import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { publicRead } from '../utils/authHelpers';
 import { generateLeagueFixturesPDF, generateTeamCalendar, getCurrentSeason } from '../utils/fixtureExports';
+import { summariseResult } from '../utils/resultSummary';
+import { getSeasons, pickSeason } from '../utils/seasons';
+import { getToBeRearranged, isRearranged } from '../utils/postponements';
+import BonusBadges from '../components/BonusBadges';
+import DataExport from '../components/DataExport';
 
 /**
  * Fixtures component - displays match schedule
  * 
  * @component
  * @description Shows fixtures organized into upcoming and past matches.
+ * Postponed matches are listed separately until they are rearranged.
  * Displays comprehensive match information including:
  * - Match date and time
  * - Home and away teams with logos
  * - League and season
  * - Venue location
  * - Match status (scheduled, played, postponed, cancelled)
- * - Scores (for completed matches)
+ * - Final scores for confirmed results, with the winner highlighted and bonus point badges
+ * - The reason a match was cancelled, abandoned or postponed
+ * - The original date of a rearranged match
  * 
  * Fixtures are enriched with team and league data for complete display.
+ * A season switcher (kept in the query string as ?season=) shows one season at a time,
+ * defaulting to the current season; the PDF export follows the chosen season, as do the CSV
+ * and Excel downloads of fixtures and results (see DataExport), which can also be narrowed to
+ * a league or team.
+ * Each card links to the match centre (/fixtures/:id). Past results can be searched on the
+ * Results page (/results).
  * 
  * @example
  * <Route path="/fixtures" element={<Fixtures />} />
@@ -29,8 +44,10 @@ import { generateLeagueFixturesPDF, generateTeamCalendar, getCurrentSeason } fro
  * @returns {JSX.Element} Fixtures page with match schedule
  */
 function Fixtures() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [upcomingFixtures, setUpcomingFixtures] = useState([]);
   const [pastFixtures, setPastFixtures] = useState([]);
+  const [postponedFixtures, setPostponedFixtures] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   
@@ -38,6 +55,7 @@ function Fixtures() {
   const [allFixtures, setAllFixtures] = useState([]);
   const [allTeams, setAllTeams] = useState([]);
   const [allLeagues, setAllLeagues] = useState([]);
+  const [allResults, setAllResults] = useState([]);
   const [currentSeason, setCurrentSeason] = useState('');
   const [showExportMenu, setShowExportMenu] = useState(false);
   const [selectedTeam, setSelectedTeam] = useState('');
@@ -57,9 +75,10 @@ function Fixtures() {
   };
 
   /**
-   * Fetches fixtures, teams, and leagues data
+   * Fetches fixtures, teams, leagues and results data
    * @async
-   * @description Loads and enriches fixtures with team/league information, splits into upcoming/past
+   * @description Loads and enriches fixtures with team/league information and result summaries,
+   * splits into upcoming/past
    */
   const fetchFixtures = async () => {
     setIsLoading(true);
@@ -99,15 +118,24 @@ function Fixtures() {
         return;
       }
 
+      // Step 4: Get all results (a missing table only hides the scores)
+      const resultsResult = await publicRead({
+        table: 'tblresults'
+      });
+
       // Parse data
       let fixtures = fixturesResult.data.records || fixturesResult.data;
       let teams = teamsResult.data.records || teamsResult.data;
       let leagues = leaguesResult.data.records || leaguesResult.data;
+      const results = resultsResult.status_code === 200
+        ? (resultsResult.data.records || resultsResult.data)
+        : [];
 
       // Store raw data for exports
       setAllFixtures(fixtures);
       setAllTeams(teams);
       setAllLeagues(leagues);
+      setAllResults(results);
 
       // Create lookup maps
       const teamMap = {};
@@ -127,27 +155,35 @@ function Fixtures() {
         };
       });
 
-      // Enrich fixtures with team and league data
-      const enrichedFixtures = fixtures.map(fixture => ({
-        id: fixture.id,
-        date: fixture.date,
-        venue: fixture.venue,
-        status: fixture.status,
-        leagueName: leagueMap[fixture.leagueID]?.name || 'Unknown League',
-        leagueSeason: leagueMap[fixture.leagueID]?.season || '',
-        homeTeamName: teamMap[fixture.homeTeam]?.name || 'Unknown Team',
-        homeTeamClub: teamMap[fixture.homeTeam]?.club || '',
-        homeTeamLogo: teamMap[fixture.homeTeam]?.logo || null,
-        awayTeamName: teamMap[fixture.awayTeam]?.name || 'Unknown Team',
-        awayTeamClub: teamMap[fixture.awayTeam]?.club || '',
-        awayTeamLogo: teamMap[fixture.awayTeam]?.logo || null
-      }));
+      // Enrich fixtures with team, league and result data
+      const enrichedFixtures = fixtures.map(fixture => {
+        const result = results.find(r => r.fixtureID === fixture.id) || null;
+
+        return {
+          id: fixture.id,
+          date: fixture.date,
+          originalDate: fixture.originalDate || null,
+          venue: fixture.venue,
+          status: fixture.status,
+          statusReason: fixture.statusReason || '',
+          abandonedMinute: result?.abandonedMinute || null,
+          summary: summariseResult(fixture, result, leagues.find(l => l.id === fixture.leagueID)),
+          leagueName: leagueMap[fixture.leagueID]?.name || 'Unknown League',
+          leagueSeason: leagueMap[fixture.leagueID]?.season || '',
+          homeTeamName: teamMap[fixture.homeTeam]?.name || 'Unknown Team',
+          homeTeamClub: teamMap[fixture.homeTeam]?.club || '',
+          homeTeamLogo: teamMap[fixture.homeTeam]?.logo || null,
+          awayTeamName: teamMap[fixture.awayTeam]?.name || 'Unknown Team',
+          awayTeamClub: teamMap[fixture.awayTeam]?.club || '',
+          awayTeamLogo: teamMap[fixture.awayTeam]?.logo || null
+        };
+      });
 
       const now = new Date();
       
-      // Split into upcoming and past fixtures
+      // Split into upcoming, past and postponed fixtures
       const upcoming = enrichedFixtures.filter(f => new Date(f.date) >= now && f.status === 0);
-      const past = enrichedFixtures.filter(f => new Date(f.date) < now || f.status >= 2);
+      const past = enrichedFixtures.filter(f => f.status !== 5 && (new Date(f.date) < now || f.status >= 2));
       
       // Sort upcoming ascending (soonest first), past descending (most recent first)
       upcoming.sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -155,6 +191,7 @@ function Fixtures() {
       
       setUpcomingFixtures(upcoming);
       setPastFixtures(past);
+      setPostponedFixtures(getToBeRearranged(enrichedFixtures));
       
     } catch (err) {
       console.error('Error fetching fixtures:', err);
@@ -176,15 +213,19 @@ function Fixtures() {
     });
   };
 
+  const seasons = getSeasons(allLeagues);
+  const season = pickSeason(seasons, searchParams.get('season'), currentSeason);
+  const inSeason = (fixture) => !season || fixture.leagueSeason === season;
+
   /**
-   * Handle PDF export for all leagues
+   * Handle PDF export for all leagues in the chosen season
    */
   const handlePDFExport = () => {
-    if (!currentSeason || allFixtures.length === 0) {
+    if (!season || allFixtures.length === 0) {
       alert('No fixtures available for export');
       return;
     }
-    generateLeagueFixturesPDF(allFixtures, allLeagues, allTeams, currentSeason);
+    generateLeagueFixturesPDF(allFixtures, allLeagues, allTeams, season);
   };
 
   /**
@@ -228,13 +269,14 @@ function Fixtures() {
       1: 'In Progress',
       2: 'Completed',
       3: 'Cancelled',
-      4: 'Abandoned'
+      4: 'Abandoned',
+      5: 'Postponed'
     };
     return labels[status] || 'Unknown';
   };
 
   const FixtureCard = ({ fixture }) => (
-    <div className="fixture-card">
+    <Link to={`/fixtures/${fixture.id}`} className="fixture-card fixture-card-link">
       <div className="fixture-header">
         <span className="fixture-league">{fixture.leagueName}</span>
         <span className={`fixture-status status-${fixture.status}`}>
@@ -243,7 +285,7 @@ function Fixtures() {
       </div>
       
       <div className="fixture-match">
-        <div className="fixture-team">
+        <div className={`fixture-team${fixture.summary?.winner === 'home' ? ' fixture-winner' : ''}`}>
           {fixture.homeTeamLogo && (
             <img 
               src={fixture.homeTeamLogo} 
@@ -252,11 +294,16 @@ function Fixtures() {
             />
           )}
           <span className="team-name">{fixture.homeTeamName}</span>
+          {fixture.summary && <BonusBadges bonuses={fixture.summary.home.bonuses} />}
         </div>
         
-        <div className="fixture-vs">vs</div>
+        {fixture.summary ? (
+          <div className="fixture-score">{fixture.summary.homeScore} - {fixture.summary.awayScore}</div>
+        ) : (
+          <div className="fixture-vs">vs</div>
+        )}
         
-        <div className="fixture-team">
+        <div className={`fixture-team${fixture.summary?.winner === 'away' ? ' fixture-winner' : ''}`}>
           {fixture.awayTeamLogo && (
             <img 
               src={fixture.awayTeamLogo} 
@@ -265,14 +312,34 @@ function Fixtures() {
             />
           )}
           <span className="team-name">{fixture.awayTeamName}</span>
+          {fixture.summary && <BonusBadges bonuses={fixture.summary.away.bonuses} />}
         </div>
       </div>
+
+      {fixture.summary?.walkover && (
+        <div className="fixture-reason">
+          Walkover - {fixture.summary.walkover === 'home' ? fixture.homeTeamName : fixture.awayTeamName} conceded
+        </div>
+      )}
+      {(fixture.status === 3 || fixture.status === 4 || fixture.status === 5) && (fixture.statusReason || fixture.abandonedMinute) && (
+        <div className="fixture-reason">
+          {fixture.status === 4 && fixture.abandonedMinute && `Abandoned after ${fixture.abandonedMinute} minutes`}
+          {fixture.status === 4 && fixture.abandonedMinute && fixture.statusReason && ' - '}
+          {fixture.statusReason}
+        </div>
+      )}
+      {fixture.status === 5 && (
+        <div className="fixture-rearranged">To be rearranged</div>
+      )}
+      {isRearranged(fixture) && (
+        <div className="fixture-rearranged">Rearranged from {formatDate(fixture.originalDate)}</div>
+      )}
       
       <div className="fixture-details">
         <div className="fixture-date">{formatDate(fixture.date)}</div>
         <div className="fixture-venue">{fixture.venue}</div>
       </div>
-    </div>
+    </Link>
   );
 
   if (isLoading) {
@@ -324,7 +391,7 @@ function Fixtures() {
           }}
           disabled={isLoading || allFixtures.length === 0}
         >
-          📄 Download PDF (All Leagues)
+          📄 Download PDF (All Leagues{season ? `, ${season}` : ''})
         </button>
 
         <button
@@ -404,27 +471,62 @@ function Fixtures() {
         )}
       </div>
 
+      {seasons.length > 1 && (
+        <div className="page-filters">
+          <label>
+            Season
+            <select value={season} onChange={(e) => setSearchParams({ season: e.target.value })}>
+              {seasons.map(s => (
+                <option key={s} value={s}>{s}{s === currentSeason ? ' (current)' : ''}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {allFixtures.length > 0 && (
+        <DataExport
+          datasets={['fixtures', 'results']}
+          leagues={allLeagues}
+          teams={allTeams}
+          fixtures={allFixtures}
+          results={allResults}
+          season={season}
+        />
+      )}
+
       <div className="fixtures-container">
         <section className="fixtures-section">
           <h3>Upcoming Fixtures</h3>
           <div className="fixtures-list">
-            {upcomingFixtures.length === 0 ? (
+            {upcomingFixtures.filter(inSeason).length === 0 ? (
               <p className="no-fixtures">No upcoming fixtures scheduled.</p>
             ) : (
-              upcomingFixtures.map(fixture => (
+              upcomingFixtures.filter(inSeason).map(fixture => (
                 <FixtureCard key={fixture.id} fixture={fixture} />
               ))
             )}
           </div>
         </section>
         
+        {postponedFixtures.filter(inSeason).length > 0 && (
+          <section className="fixtures-section">
+            <h3>Postponed - To Be Rearranged</h3>
+            <div className="fixtures-list">
+              {postponedFixtures.filter(inSeason).map(fixture => (
+                <FixtureCard key={fixture.id} fixture={fixture} />
+              ))}
+            </div>
+          </section>
+        )}
+        
         <section className="fixtures-section">
-          <h3>Past Fixtures</h3>
+          <h3>Past Fixtures <Link to="/results" className="standings-link">Search results</Link></h3>
           <div className="fixtures-list">
-            {pastFixtures.length === 0 ? (
+            {pastFixtures.filter(inSeason).length === 0 ? (
               <p className="no-fixtures">No past fixtures to display.</p>
             ) : (
-              pastFixtures.map(fixture => (
+              pastFixtures.filter(inSeason).map(fixture => (
                 <FixtureCard key={fixture.id} fixture={fixture} />
               ))
             )}
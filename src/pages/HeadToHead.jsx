@@ -0,0 +1,312 @@
+/**
+ * @file HeadToHead.jsx
+ * @description Public head-to-head comparison of two teams
+ * @module pages/HeadToHead
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { getCurrentSeason } from '../utils/fixtureExports';
+import { getCurrentTables } from '../utils/pools';
+import { buildHeadToHead } from '../utils/headToHead';
+
+/**
+ * Aggregate record rows, in display order
+ * @type {Object<string, string>}
+ */
+const RECORD_ROWS = {
+  won: 'Won',
+  drawn: 'Drawn',
+  lost: 'Lost',
+  pointsFor: 'Points for',
+  pointsAgainst: 'Points against'
+};
+
+/**
+ * HeadToHead component - every meeting between two teams
+ *
+ * @component
+ * @description Compares any two teams across every season held in tblfixtures/tblresults
+ * (see buildHeadToHead):
+ * - Aggregate wins, draws and losses, and points for and against
+ * - Each team's biggest winning margin
+ * - Both teams' current-season league positions side by side
+ * - Every meeting, most recent first, linking to the match centre
+ *
+ * The teams are kept in the query string (?teamA=&teamB=) so a comparison can be shared,
+ * and team profiles link here with their team already picked.
+ *
+ * @example
+ * <Route path="/head-to-head" element={<HeadToHead />} />
+ *
+ * @returns {JSX.Element} Head-to-head page
+ */
+function HeadToHead() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [standings, setStandings] = useState([]);
+  const [currentSeason, setCurrentSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches teams, leagues, fixtures, results and standings
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+      const fixturesResult = await publicRead({ table: 'tblfixtures' });
+      const resultsResult = await publicRead({ table: 'tblresults' });
+      const standingsResult = await publicRead({ table: 'tblstandings' });
+
+      if (teamsResult.status_code !== 200 || fixturesResult.status_code !== 200 || resultsResult.status_code !== 200) {
+        setError('Failed to load head-to-head records');
+        return;
+      }
+
+      setTeams(teamsResult.data.records || teamsResult.data);
+      setFixtures(fixturesResult.data.records || fixturesResult.data);
+      setResults(resultsResult.data.records || resultsResult.data);
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (standingsResult.status_code === 200) {
+        setStandings(standingsResult.data.records || standingsResult.data);
+      }
+
+      setCurrentSeason(await getCurrentSeason());
+    } catch (err) {
+      console.error('Error fetching head-to-head:', err);
+      setError('Failed to load head-to-head records. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Update a team in the query string
+   * @param {string} key - teamA or teamB
+   * @param {string} value - Team ID, empty to clear
+   */
+  const updateTeam = (key, value) => {
+    const params = Object.fromEntries(searchParams.entries());
+    if (value) {
+      params[key] = value;
+    } else {
+      delete params[key];
+    }
+    setSearchParams(params);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="tables-loading">Loading head-to-head...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-content">
+        <div className="tables-error">{error}</div>
+      </div>
+    );
+  }
+
+  const teamAID = parseInt(searchParams.get('teamA')) || null;
+  const teamBID = parseInt(searchParams.get('teamB')) || null;
+  const teamA = teams.find(t => t.id === teamAID) || null;
+  const teamB = teams.find(t => t.id === teamBID) || null;
+  const sortedTeams = [...teams].sort((a, b) => a.teamName.localeCompare(b.teamName));
+  const getTeamName = (id) => teams.find(t => t.id === id)?.teamName || 'Unknown Team';
+  const getLeagueName = (id) => leagues.find(l => l.id === id)?.leagueName || 'Unknown League';
+
+  /**
+   * A team's ranked row in the current season's league table
+   * @param {number} teamID - Team ID
+   * @returns {Object|null} The standings row with position and leagueName, or null
+   */
+  const getCurrentStanding = (teamID) => {
+    const league = leagues.find(l =>
+      l.leagueSeason === currentSeason && standings.some(s => s.leagueID === l.id && s.teamID === teamID)
+    );
+    if (!league) return null;
+
+    const standing = getCurrentTables(league, standings, fixtures, results)
+      .flatMap(table => table.standings)
+      .find(s => s.teamID === teamID);
+    return standing
+      ? { ...standing, leagueName: standing.pool ? `${league.leagueName} ${standing.pool}` : league.leagueName }
+      : null;
+  };
+
+  const record = teamA && teamB && teamA.id !== teamB.id
+    ? buildHeadToHead(teamA.id, teamB.id, fixtures, results, leagues)
+    : null;
+
+  /**
+   * Describe a team's biggest win
+   * @param {Object|null} meeting - Meeting from buildHeadToHead, from team A's side
+   * @param {boolean} forTeamA - Whether the win was team A's
+   * @returns {string|JSX.Element} Score, margin and date, or a dash
+   */
+  const describeWin = (meeting, forTeamA) => {
+    if (!meeting) return '-';
+    const winnerScore = forTeamA ? meeting.teamScore : meeting.opponentScore;
+    const loserScore = forTeamA ? meeting.opponentScore : meeting.teamScore;
+    return (
+      <Link to={`/fixtures/${meeting.fixture.id}`}>
+        {winnerScore} - {loserScore} (by {meeting.margin}), {formatDate(meeting.fixture.date)}
+      </Link>
+    );
+  };
+
+  const standingA = record ? getCurrentStanding(teamA.id) : null;
+  const standingB = record ? getCurrentStanding(teamB.id) : null;
+  const describeStanding = (standing) => standing
+    ? `${standing.position} in ${standing.leagueName} (${standing.points} pts)`
+    : 'Not in a league this season';
+
+  return (
+    <div className="page-content">
+      <h2 className="page-header-title">Head to Head</h2>
+
+      <div className="page-filters">
+        <label>
+          Team
+          <select value={teamAID || ''} onChange={(e) => updateTeam('teamA', e.target.value)}>
+            <option value="">Select team</option>
+            {sortedTeams.map(team => (
+              <option key={team.id} value={team.id}>{team.teamName}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Against
+          <select value={teamBID || ''} onChange={(e) => updateTeam('teamB', e.target.value)}>
+            <option value="">Select team</option>
+            {sortedTeams.filter(team => team.id !== teamAID).map(team => (
+              <option key={team.id} value={team.id}>{team.teamName}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!record ? (
+        <p className="no-tables">Choose two teams to compare.</p>
+      ) : (
+        <>
+          <div className="table-container" style={{ overflowX: 'auto' }}>
+            <table className="standings-table head-to-head-table">
+              <thead>
+                <tr>
+                  <th><Link to={`/teams/${teamA.id}`}>{teamA.teamName}</Link></th>
+                  <th></th>
+                  <th><Link to={`/teams/${teamB.id}`}>{teamB.teamName}</Link></th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td colSpan={3}>{record.meetings.length} meetings</td>
+                </tr>
+                {Object.entries(RECORD_ROWS).map(([field, label]) => (
+                  <tr key={field}>
+                    <td><strong>{record.teamA[field]}</strong></td>
+                    <td>{label}</td>
+                    <td><strong>{record.teamB[field]}</strong></td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>{describeWin(record.biggestWins.teamA, true)}</td>
+                  <td>Biggest win</td>
+                  <td>{describeWin(record.biggestWins.teamB, false)}</td>
+                </tr>
+                <tr>
+                  <td>{describeStanding(standingA)}</td>
+                  <td>{currentSeason} position</td>
+                  <td>{describeStanding(standingB)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="league-table-section">
+            <h3>Meetings</h3>
+            {record.meetings.length === 0 ? (
+              <p className="no-tables">These teams have not played each other yet.</p>
+            ) : (
+              <div className="table-container" style={{ overflowX: 'auto' }}>
+                <table className="standings-table results-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>League</th>
+                      <th>Home</th>
+                      <th>Score</th>
+                      <th>Away</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.meetings.map(meeting => {
+                      const { fixture } = meeting;
+                      const homeScore = meeting.isHome ? meeting.teamScore : meeting.opponentScore;
+                      const awayScore = meeting.isHome ? meeting.opponentScore : meeting.teamScore;
+                      // Use the outcome rather than the score, so walkovers go to the right side
+                      const teamAWon = meeting.outcome === 'W';
+                      const homeWon = meeting.outcome !== 'D' && teamAWon === meeting.isHome;
+                      const awayWon = meeting.outcome !== 'D' && !homeWon;
+
+                      return (
+                        <tr key={fixture.id}>
+                          <td>{formatDate(fixture.date)}</td>
+                          <td>{getLeagueName(fixture.leagueID)}</td>
+                          <td className="results-home">
+                            {homeWon ? <strong>{getTeamName(fixture.homeTeam)}</strong> : getTeamName(fixture.homeTeam)}
+                          </td>
+                          <td>
+                            <Link to={`/fixtures/${fixture.id}`} className="results-score">
+                              {homeScore} - {awayScore}
+                            </Link>
+                          </td>
+                          <td className="results-away">
+                            {awayWon ? <strong>{getTeamName(fixture.awayTeam)}</strong> : getTeamName(fixture.awayTeam)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HeadToHead;
@@ -0,0 +1,235 @@
+/**
+ * @file Leaderboards.jsx
+ * @description Public player leaderboards - top points scorers, try scorers and kickers
+ * @module pages/Leaderboards
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { getCurrentSeason } from '../utils/fixtureExports';
+import { LEADERBOARDS, buildPlayerStats, rankLeaderboard } from '../utils/leaderboards';
+
+/**
+ * Leaderboards component - player scoring leaderboards for a league and season
+ *
+ * @component
+ * @description Builds the leaderboards from the scorers stored with each result
+ * (see buildPlayerStats) for the chosen league, optionally filtered to one team:
+ * - Top points scorers
+ * - Top try scorers
+ * - Top kickers (conversions, penalties and drop goals)
+ *
+ * The league and team are kept in the query string (?league=&team=) so the Tables page
+ * can link straight to a league. Without a league, the first league of the current
+ * season is shown.
+ *
+ * @example
+ * <Route path="/leaderboards" element={<Leaderboards />} />
+ *
+ * @returns {JSX.Element} Leaderboards page
+ */
+function Leaderboards() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [leagues, setLeagues] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [currentSeason, setCurrentSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches leagues, teams, fixtures and results
+   * @async
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const fixturesResult = await publicRead({ table: 'tblfixtures' });
+      const resultsResult = await publicRead({ table: 'tblresults' });
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      setCurrentSeason(await getCurrentSeason());
+    } catch (err) {
+      console.error('Error fetching leaderboards:', err);
+      setError('Failed to load leaderboards');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Update the league or team filter in the query string
+   * @param {Object} changes - Filters to change, e.g. { league: 3, team: '' }
+   */
+  const updateFilters = (changes) => {
+    const params = Object.fromEntries(searchParams.entries());
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params[key] = value;
+      } else {
+        delete params[key];
+      }
+    });
+    setSearchParams(params);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="tables-loading">Loading leaderboards...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-content">
+        <div className="tables-error">{error}</div>
+      </div>
+    );
+  }
+
+  const sortedLeagues = [...leagues].sort((a, b) =>
+    (b.leagueSeason || '').localeCompare(a.leagueSeason || '') || a.leagueName.localeCompare(b.leagueName)
+  );
+  const league = leagues.find(l => l.id === parseInt(searchParams.get('league'))) ||
+    sortedLeagues.find(l => l.leagueSeason === currentSeason) ||
+    sortedLeagues[0];
+
+  if (!league) {
+    return (
+      <div className="page-content">
+        <h2 className="page-header-title">Leaderboards</h2>
+        <p className="no-tables">No leagues available yet.</p>
+      </div>
+    );
+  }
+
+  // Teams with fixtures in the league, for the team filter
+  const leagueTeamIDs = new Set(
+    fixtures.filter(f => f.leagueID === league.id).flatMap(f => [f.homeTeam, f.awayTeam])
+  );
+  const leagueTeams = teams
+    .filter(t => leagueTeamIDs.has(t.id))
+    .sort((a, b) => a.teamName.localeCompare(b.teamName));
+  const teamID = leagueTeamIDs.has(parseInt(searchParams.get('team'))) ? parseInt(searchParams.get('team')) : null;
+
+  const stats = buildPlayerStats(results, fixtures, league, teamID);
+  const getTeamName = (id) => teams.find(t => t.id === id)?.teamName || 'Unknown';
+
+  return (
+    <div className="page-content">
+      <h2 className="page-header-title">Leaderboards</h2>
+
+      <div className="page-filters">
+        <label>
+          League
+          <select value={league.id} onChange={(e) => updateFilters({ league: e.target.value, team: '' })}>
+            {sortedLeagues.map(l => (
+              <option key={l.id} value={l.id}>
+                {l.leagueName}{l.leagueSeason ? ` (${l.leagueSeason})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Team
+          <select value={teamID || ''} onChange={(e) => updateFilters({ league: league.id, team: e.target.value })}>
+            <option value="">All teams</option>
+            {leagueTeams.map(team => (
+              <option key={team.id} value={team.id}>{team.teamName}</option>
+            ))}
+          </select>
+        </label>
+        <Link to="/tables">Back to League Tables</Link>
+      </div>
+
+      {stats.length === 0 ? (
+        <p className="no-tables">No scorers recorded for this league yet.</p>
+      ) : (
+        Object.entries(LEADERBOARDS).map(([id, board]) => {
+          const rows = rankLeaderboard(stats, board.field);
+
+          return (
+            <div key={id} className="league-table-section">
+              <h3>{board.label}</h3>
+              {rows.length === 0 ? (
+                <p className="no-tables">None recorded yet.</p>
+              ) : (
+                <div className="table-container" style={{ overflowX: 'auto' }}>
+                  <table className="standings-table leaderboard-table">
+                    <thead>
+                      <tr>
+                        <th>Pos</th>
+                        <th>Player</th>
+                        <th>Team</th>
+                        <th title="Matches scored in">M</th>
+                        {id === 'kickers' ? (
+                          <>
+                            <th title="Conversions">Con</th>
+                            <th title="Penalties">Pen</th>
+                            <th title="Drop goals">DG</th>
+                          </>
+                        ) : (
+                          <th>{id === 'tries' ? 'Pts' : 'Tries'}</th>
+                        )}
+                        <th>{board.unit}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.key}>
+                          <td className="standings-position"><strong>{row.position}</strong></td>
+                          <td><strong>{row.playerName}</strong></td>
+                          <td>{getTeamName(row.teamID)}</td>
+                          <td>{row.matches}</td>
+                          {id === 'kickers' ? (
+                            <>
+                              <td>{row.conversions}</td>
+                              <td>{row.penalties}</td>
+                              <td>{row.dropGoals}</td>
+                            </>
+                          ) : (
+                            <td>{id === 'tries' ? row.points : row.tries}</td>
+                          )}
+                          <td>{row[board.field]}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+export default Leaderboards;
@@ -0,0 +1,294 @@
+/**
+ * @file MatchCentre.jsx
+ * @description Public match centre page for a single fixture
+ * @module pages/MatchCentre
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { isResultConfirmed } from '../utils/resultConfirmation';
+import { getConcedingSide } from '../utils/competitionRules';
+import { buildTimeline, SCORE_TYPE_LABELS } from '../utils/matchTimeline';
+import { hasPools, getFixturePool, getPoolTableImpact } from '../utils/pools';
+import { isRearranged } from '../utils/postponements';
+import { isKnockout } from '../utils/knockout';
+
+/**
+ * MatchCentre component - everything about one match
+ *
+ * @component
+ * @description Shows a fixture's teams, logos, kick-off, venue, referee and status, with the
+ * reason a match was postponed and the original date of a rearranged match.
+ * Once a confirmed result exists it also shows:
+ * - The final score (or the walkover, or the minute an abandoned match was stopped)
+ * - A timeline of scoring events in minute order, with the running score
+ * - The league table after the match, with each team's movement and points gained
+ *   (only when the match counts in the table; knockout cup ties have no table). In a league
+ *   split into pools this is the table of the pool the match was played in.
+ *
+ * @example
+ * <Route path="/fixtures/:id" element={<MatchCentre />} />
+ *
+ * @returns {JSX.Element} Match centre page
+ */
+function MatchCentre() {
+  const { id } = useParams();
+  const [fixture, setFixture] = useState(null);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [league, setLeague] = useState(null);
+  const [sanctions, setSanctions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchMatch();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  /**
+   * Fetches the fixture plus its league's fixtures, results, teams and sanctions
+   * @async
+   * @description The whole league is loaded so the table impact can be calculated
+   */
+  const fetchMatch = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const fixtureResult = await publicRead({
+        table: 'tblfixtures',
+        conditions: { id: parseInt(id) }
+      });
+
+      const fixtureData = fixtureResult.status_code === 200
+        ? (fixtureResult.data.records || fixtureResult.data)[0]
+        : null;
+
+      if (!fixtureData) {
+        setError('Match not found');
+        return;
+      }
+
+      const fixturesResult = await publicRead({
+        table: 'tblfixtures',
+        conditions: { leagueID: fixtureData.leagueID }
+      });
+
+      const resultsResult = await publicRead({ table: 'tblresults' });
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+      const sanctionsResult = await publicRead({ table: 'tblsanctions' });
+
+      setFixture(fixtureData);
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (leaguesResult.status_code === 200) {
+        const leaguesData = leaguesResult.data.records || leaguesResult.data;
+        setLeague(leaguesData.find(l => l.id === fixtureData.leagueID) || null);
+      }
+
+      if (sanctionsResult.status_code === 200) {
+        setSanctions(sanctionsResult.data.records || sanctionsResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching match:', err);
+      setError('Failed to load match. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-GB', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const getStatusLabel = (status) => {
+    const labels = {
+      0: 'Scheduled',
+      1: 'In Progress',
+      2: 'Completed',
+      3: 'Cancelled',
+      4: 'Abandoned',
+      5: 'Postponed'
+    };
+    return labels[status] || 'Unknown';
+  };
+
+  const getTeam = (teamID) => teams.find(t => t.id === teamID) || { teamName: 'Unknown Team' };
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="fixtures-loading">Loading match...</div>
+      </div>
+    );
+  }
+
+  if (error || !fixture) {
+    return (
+      <div className="page-content">
+        <div className="fixtures-error">{error || 'Match not found'}</div>
+        <p><Link to="/fixtures">Back to Fixtures</Link></p>
+      </div>
+    );
+  }
+
+  const homeTeam = getTeam(fixture.homeTeam);
+  const awayTeam = getTeam(fixture.awayTeam);
+  const storedResult = results.find(r => r.fixtureID === fixture.id) || null;
+  const result = storedResult && isResultConfirmed(storedResult) ? storedResult : null;
+  const concedingSide = result ? getConcedingSide(fixture, result) : null;
+  const timeline = result && !concedingSide ? buildTimeline(result) : [];
+  const tableImpact = result && league && !isKnockout(league) ? getPoolTableImpact(fixture, fixtures, results, league, sanctions) : null;
+  const pool = league && hasPools(league) ? getFixturePool(fixture, league) : null;
+
+  const TeamBlock = ({ team }) => (
+    <div className="fixture-team">
+      {team.teamLogo && (
+        <img src={team.teamLogo} alt={`${team.teamName} logo`} className="team-logo" />
+      )}
+      {team.id ? (
+        <Link to={`/teams/${team.id}`} className="team-name">{team.teamName}</Link>
+      ) : (
+        <span className="team-name">{team.teamName}</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="page-content">
+      <p><Link to="/fixtures">← Back to Fixtures</Link></p>
+
+      <div className="fixture-card match-centre">
+        <div className="fixture-header">
+          <span className="fixture-league">
+            {league ? `${league.leagueName}${league.leagueSeason ? ` (${league.leagueSeason})` : ''}` : 'Unknown League'}
+          </span>
+          <span className={`fixture-status status-${fixture.status}`}>
+            {getStatusLabel(fixture.status)}
+          </span>
+        </div>
+
+        <div className="fixture-match">
+          <TeamBlock team={homeTeam} />
+          {result ? (
+            <div className="match-centre-score">
+              {result.homeScore} - {result.awayScore}
+            </div>
+          ) : (
+            <div className="fixture-vs">vs</div>
+          )}
+          <TeamBlock team={awayTeam} />
+        </div>
+
+        {concedingSide && (
+          <p className="match-centre-note">
+            Walkover - {concedingSide === 'home' ? homeTeam.teamName : awayTeam.teamName} conceded the match
+          </p>
+        )}
+        {result && fixture.status === 4 && result.abandonedMinute && (
+          <p className="match-centre-note">Abandoned after {result.abandonedMinute} minutes</p>
+        )}
+        {fixture.status === 5 && (
+          <p className="match-centre-note">
+            Postponed{fixture.statusReason ? ` - ${fixture.statusReason}` : ''}. A new date will be arranged.
+          </p>
+        )}
+        {isRearranged(fixture) && (
+          <p className="match-centre-note">Rearranged from {formatDate(fixture.originalDate)}</p>
+        )}
+        {storedResult && !result && (
+          <p className="match-centre-note">Result awaiting confirmation by both clubs</p>
+        )}
+
+        <div className="fixture-details">
+          <div className="fixture-date">Kick-off: {formatDate(fixture.date)}</div>
+          <div className="fixture-venue">Venue: {fixture.venue}</div>
+          <div className="fixture-venue">
+            Referee: {fixture.refereeName || (fixture.referee ? 'Appointed' : 'To be confirmed')}
+          </div>
+        </div>
+      </div>
+
+      {timeline.length > 0 && (
+        <section className="league-table-section">
+          <h3>Scoring Timeline</h3>
+          <ol className="match-timeline">
+            {timeline.map((event, i) => (
+              <li key={i} className={`match-timeline-${event.side}`}>
+                <span className="match-timeline-minute">{event.minute !== null ? `${event.minute}'` : '-'}</span>
+                <span className="match-timeline-event">
+                  <strong>{SCORE_TYPE_LABELS[event.scoreType] || event.scoreType}</strong>
+                  {' '}{event.isPenaltyTry ? 'Penalty Try' : event.playerName}
+                  {' '}({event.side === 'home' ? homeTeam.teamName : awayTeam.teamName})
+                </span>
+                <span className="match-timeline-score">{event.homeScore} - {event.awayScore}</span>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      {tableImpact && (
+        <section className="league-table-section">
+          <h3>{pool ? `${pool.name} Table` : 'League Table'} After This Match</h3>
+          <div className="table-container" style={{ overflowX: 'auto' }}>
+            <table className="standings-table">
+              <thead>
+                <tr>
+                  <th>Pos</th>
+                  <th>Team</th>
+                  <th>P</th>
+                  <th title="Position change">+/-</th>
+                  <th title="Points gained from this match">Gained</th>
+                  <th>Pts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tableImpact.map(row => {
+                  const moved = row.previousPosition ? row.previousPosition - row.position : 0;
+                  const inMatch = row.teamID === fixture.homeTeam || row.teamID === fixture.awayTeam;
+
+                  return (
+                    <tr key={row.teamID} className={inMatch ? 'match-centre-highlight' : undefined}>
+                      <td className="standings-position"><strong>{row.position}</strong></td>
+                      <td className="standings-team">{getTeam(row.teamID).teamName}</td>
+                      <td>{row.played}</td>
+                      <td>{moved > 0 ? `▲${moved}` : moved < 0 ? `▼${-moved}` : '-'}</td>
+                      <td>{inMatch ? `+${row.pointsGained}` : ''}</td>
+                      <td><strong>{row.points}</strong></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default MatchCentre;
@@ -0,0 +1,78 @@
+/**
+ * @file MatchCentre.test.jsx
+ * @description Tests for MatchCentre component
+ * @module pages/MatchCentre.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import MatchCentre from './MatchCentre';
+import * as authHelpers from '../utils/authHelpers';
+
+// Mock authHelpers
+vi.mock('../utils/authHelpers', () => ({
+  publicRead: vi.fn(),
+}));
+
+const teams = [
+  { id: 1, teamName: 'Exmouth Colts' },
+  { id: 2, teamName: 'Sidmouth Colts' }
+];
+
+const fixtures = [
+  { id: 10, leagueID: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'Imperial Ground', status: 2 },
+  { id: 20, leagueID: 2, homeTeam: 2, awayTeam: 1, date: '2025-10-04 15:00:00', venue: 'Blackmore Field', status: 2, cupRound: 1 }
+];
+
+const results = [
+  { fixtureID: 10, homeScore: 20, awayScore: 10, homeScorers: '[]', awayScorers: '[]', confirmationStatus: 'confirmed' },
+  { fixtureID: 20, homeScore: 15, awayScore: 12, homeScorers: '[]', awayScorers: '[]', confirmationStatus: 'confirmed' }
+];
+
+const leagues = [
+  { id: 1, leagueName: 'Premier', leagueSeason: '2025-26' },
+  { id: 2, leagueName: 'Colts Cup', leagueSeason: '2025-26', competitionType: 'knockout' }
+];
+
+const records = (data) => ({ status_code: 200, data: { records: data } });
+
+describe('MatchCentre', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    authHelpers.publicRead.mockImplementation(async ({ table, conditions }) => {
+      if (table === 'tblfixtures' && conditions?.id) return records(fixtures.filter(f => f.id === conditions.id));
+      if (table === 'tblfixtures') return records(fixtures.filter(f => f.leagueID === conditions?.leagueID));
+      if (table === 'tblresults') return records(results);
+      if (table === 'tblteams') return records(teams);
+      if (table === 'tblleagues') return records(leagues);
+      return records([]);
+    });
+  });
+
+  const renderMatch = (id) => render(
+    <MemoryRouter initialEntries={[`/fixtures/${id}`]}>
+      <Routes>
+        <Route path="/fixtures/:id" element={<MatchCentre />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+  it('should show the league table after a league match', async () => {
+    renderMatch(10);
+
+    await waitFor(() => {
+      expect(screen.getByText('20 - 10')).toBeInTheDocument();
+    });
+    expect(screen.getByText('League Table After This Match')).toBeInTheDocument();
+  });
+
+  it('should not show a league table for a knockout cup tie', async () => {
+    renderMatch(20);
+
+    await waitFor(() => {
+      expect(screen.getByText('15 - 12')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('League Table After This Match')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,544 @@
+/**
+ * @file MyMatches.jsx
+ * @description Referee portal - appointments, availability and official match scores
+ * @module pages/MyMatches
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getUser, crudRequest } from '../utils/authHelpers';
+import { REPORT_STATUSES } from '../utils/referees';
+
+/**
+ * MyMatches component - referee's own appointments
+ *
+ * @component
+ * @description Portal for users marked as referees (tblusers.isReferee).
+ *
+ * Features:
+ * - List the fixtures the referee has been appointed to
+ * - Confirm an appointment (sets tblfixtures.refereeConfirmed)
+ * - Submit the official match score, which admins review in the Results tab
+ * - Record dates the referee is unavailable, used by the referee picker in FixturesAdmin
+ *
+ * Authority Requirement: any authenticated user with isReferee = 1
+ *
+ * @example
+ * <ProtectedRoute path="/my-matches" element={<MyMatches />} />
+ *
+ * @returns {JSX.Element} Referee portal page
+ */
+function MyMatches() {
+  const user = getUser();
+  const [isReferee, setIsReferee] = useState(false);
+  const [fixtures, setFixtures] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [availability, setAvailability] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [reportingFixture, setReportingFixture] = useState(null);
+  const [reportData, setReportData] = useState({
+    homeScore: 0,
+    awayScore: 0,
+    notes: ''
+  });
+  const [availabilityData, setAvailabilityData] = useState({
+    unavailableDate: '',
+    note: ''
+  });
+
+  /**
+   * Fetches the referee's appointments, reports and availability
+   * @async
+   * @description Re-reads the user record so a newly granted referee role is picked up
+   */
+  const fetchData = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const userResult = await crudRequest('read', {
+        table: 'tblusers',
+        conditions: { id: user.id }
+      });
+
+      const userData = userResult.status_code === 200
+        ? (userResult.data.records?.[0] || userResult.data[0])
+        : null;
+
+      if (!userData || parseInt(userData.isReferee) !== 1) {
+        setIsReferee(false);
+        return;
+      }
+      setIsReferee(true);
+
+      const fixturesResult = await crudRequest('read', {
+        table: 'tblfixtures',
+        orderBy: 'date ASC'
+      });
+
+      const teamsResult = await crudRequest('read', {
+        table: 'tblteams'
+      });
+
+      const leaguesResult = await crudRequest('read', {
+        table: 'tblleagues'
+      });
+
+      const reportsResult = await crudRequest('read', {
+        table: 'tblrefereereports'
+      });
+
+      const availabilityResult = await crudRequest('read', {
+        table: 'tblrefereeavailability'
+      });
+
+      if (fixturesResult.status_code !== 200) {
+        setError('Failed to load fixtures');
+        return;
+      }
+
+      const allFixtures = fixturesResult.data.records || fixturesResult.data;
+      const teams = teamsResult.status_code === 200 ? (teamsResult.data.records || teamsResult.data) : [];
+      const leagues = leaguesResult.status_code === 200 ? (leaguesResult.data.records || leaguesResult.data) : [];
+
+      setFixtures(allFixtures
+        .filter(f => f.referee === user.id)
+        .map(fixture => ({
+          ...fixture,
+          homeTeamName: teams.find(t => t.id === fixture.homeTeam)?.teamName || 'Unknown',
+          awayTeamName: teams.find(t => t.id === fixture.awayTeam)?.teamName || 'Unknown',
+          leagueName: leagues.find(l => l.id === fixture.leagueID)?.leagueName || 'Unknown'
+        })));
+
+      if (reportsResult.status_code === 200) {
+        const reportData = reportsResult.data.records || reportsResult.data;
+        setReports(reportData.filter(r => r.refereeID === user.id));
+      }
+
+      if (availabilityResult.status_code === 200) {
+        const availabilityRows = availabilityResult.data.records || availabilityResult.data;
+        setAvailability(availabilityRows
+          .filter(a => a.refereeID === user.id)
+          .sort((a, b) => new Date(a.unavailableDate) - new Date(b.unavailableDate)));
+      }
+    } catch (err) {
+      console.error('Error fetching referee data:', err);
+      setError('Failed to load your matches');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchData();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const formatDateForMySQL = (date) => {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    const hours = String(d.getHours()).padStart(2, '0');
+    const minutes = String(d.getMinutes()).padStart(2, '0');
+    const seconds = String(d.getSeconds()).padStart(2, '0');
+    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const handleConfirm = async (fixture) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblfixtures',
+        data: { refereeConfirmed: 1 },
+        conditions: { id: fixture.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess(`Appointment confirmed: ${fixture.homeTeamName} v ${fixture.awayTeamName}`);
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to confirm appointment');
+      }
+    } catch (err) {
+      console.error('Error confirming appointment:', err);
+      setError('Failed to confirm appointment');
+    }
+  };
+
+  const handleReport = (fixture) => {
+    setReportingFixture(fixture);
+    setReportData({ homeScore: 0, awayScore: 0, notes: '' });
+    setError('');
+    setSuccess('');
+  };
+
+  const handleReportChange = (e) => {
+    const { name, value } = e.target;
+    setReportData(prev => ({
+      ...prev,
+      [name]: name === 'notes' ? value : (parseInt(value) || 0)
+    }));
+  };
+
+  const handleReportSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('create', {
+        table: 'tblrefereereports',
+        data: {
+          fixtureID: reportingFixture.id,
+          refereeID: user.id,
+          homeScore: reportData.homeScore,
+          awayScore: reportData.awayScore,
+          notes: reportData.notes.trim(),
+          status: 'pending',
+          dateSubmitted: formatDateForMySQL(new Date())
+        }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess('Official score submitted for review');
+        setReportingFixture(null);
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to submit score');
+      }
+    } catch (err) {
+      console.error('Error submitting referee report:', err);
+      setError('Failed to submit score');
+    }
+  };
+
+  const handleAvailabilityChange = (e) => {
+    const { name, value } = e.target;
+    setAvailabilityData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddUnavailable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!availabilityData.unavailableDate) {
+      setError('Choose a date');
+      return;
+    }
+
+    if (availability.some(a => String(a.unavailableDate).substring(0, 10) === availabilityData.unavailableDate)) {
+      setError('You have already marked that date as unavailable');
+      return;
+    }
+
+    try {
+      const result = await crudRequest('create', {
+        table: 'tblrefereeavailability',
+        data: {
+          refereeID: user.id,
+          unavailableDate: availabilityData.unavailableDate,
+          note: availabilityData.note.trim()
+        }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess('Availability updated');
+        setAvailabilityData({ unavailableDate: '', note: '' });
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to update availability');
+      }
+    } catch (err) {
+      console.error('Error adding unavailable date:', err);
+      setError('Failed to update availability');
+    }
+  };
+
+  const handleRemoveUnavailable = async (entry) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('delete', {
+        table: 'tblrefereeavailability',
+        conditions: { id: entry.id }
+      });
+
+      if (result.status_code === 200) {
+        setSuccess('Availability updated');
+        await fetchData();
+      } else {
+        setError(result.message || 'Failed to update availability');
+      }
+    } catch (err) {
+      console.error('Error removing unavailable date:', err);
+      setError('Failed to update availability');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <h2>My Matches</h2>
+        <div className="admin-loading">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!isReferee) {
+    return (
+      <div className="page-content">
+        <h2>Access Denied</h2>
+        <p>My Matches is only available to referees.</p>
+      </div>
+    );
+  }
+
+  const now = new Date();
+
+  return (
+    <div className="page-content">
+      <h2>My Matches</h2>
+
+      <div className="admin-container">
+        <div className="admin-content">
+          {error && <div className="admin-error">{error}</div>}
+          {success && <div className="admin-success">{success}</div>}
+
+          {reportingFixture && (
+            <div className="admin-form darkText">
+              <h4>Official Score - {formatDate(reportingFixture.date)}</h4>
+              <p>
+                <strong>{reportingFixture.homeTeamName}</strong> vs <strong>{reportingFixture.awayTeamName}</strong>
+              </p>
+              <form onSubmit={handleReportSubmit}>
+                <div className="admin-form-group">
+                  <label>{reportingFixture.homeTeamName} Score</label>
+                  <input
+                    type="number"
+                    name="homeScore"
+                    value={reportData.homeScore}
+                    onChange={handleReportChange}
+                    min="0"
+                    required
+                  />
+                </div>
+                <div className="admin-form-group">
+                  <label>{reportingFixture.awayTeamName} Score</label>
+                  <input
+                    type="number"
+                    name="awayScore"
+                    value={reportData.awayScore}
+                    onChange={handleReportChange}
+                    min="0"
+                    required
+                  />
+                </div>
+                <div className="admin-form-group">
+                  <label>Notes</label>
+                  <textarea
+                    name="notes"
+                    value={reportData.notes}
+                    onChange={handleReportChange}
+                    rows="3"
+                    placeholder="Anything the competition admins should know"
+                  />
+                </div>
+                <div className="admin-form-actions">
+                  <button type="submit" className="admin-btn admin-btn-primary">
+                    Submit Score
+                  </button>
+                  <button
+                    type="button"
+                    className="admin-btn admin-btn-secondary"
+                    onClick={() => setReportingFixture(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+
+          <div className="admin-header">
+            <h3>Appointments</h3>
+          </div>
+
+          <div className="admin-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Match</th>
+                  <th>Venue</th>
+                  <th>League</th>
+                  <th>Appointment</th>
+                  <th>Official Score</th>
+                </tr>
+              </thead>
+              <tbody className="darkText">
+                {fixtures.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" style={{ textAlign: 'center', padding: '20px' }}>
+                      You have no appointments
+                    </td>
+                  </tr>
+                ) : (
+                  fixtures.map(fixture => {
+                    const report = reports
+                      .filter(r => r.fixtureID === fixture.id)
+                      .sort((a, b) => new Date(b.dateSubmitted) - new Date(a.dateSubmitted))[0];
+                    const hasKickedOff = new Date(fixture.date) <= now;
+
+                    return (
+                      <tr key={fixture.id}>
+                        <td>{formatDate(fixture.date)}</td>
+                        <td>
+                          <strong>{fixture.homeTeamName}</strong> v <strong>{fixture.awayTeamName}</strong>
+                          {fixture.status === 3 && <span style={{ color: '#cc0000' }}> (cancelled)</span>}
+                          {fixture.status === 5 && <span style={{ color: '#b8860b' }}> (postponed)</span>}
+                        </td>
+                        <td>{fixture.venue}</td>
+                        <td>{fixture.leagueName}</td>
+                        <td>
+                          {fixture.refereeConfirmed ? (
+                            <span style={{ color: '#00a755', fontWeight: 'bold' }}>✓ Confirmed</span>
+                          ) : (
+                            <button
+                              className="admin-btn admin-btn-primary admin-btn-small"
+                              onClick={() => handleConfirm(fixture)}
+                              disabled={fixture.status === 3}
+                            >
+                              Confirm
+                            </button>
+                          )}
+                        </td>
+                        <td>
+                          {report && report.status !== 'rejected' ? (
+                            <>
+                              <strong>{report.homeScore} - {report.awayScore}</strong>
+                              <span style={{ fontSize: '0.9em', color: '#666' }}> ({REPORT_STATUSES[report.status]})</span>
+                            </>
+                          ) : hasKickedOff && fixture.status !== 3 && fixture.status !== 5 ? (
+                            <>
+                              {report && <span style={{ fontSize: '0.9em', color: '#cc0000' }}>Rejected - </span>}
+                              <button
+                                className="admin-btn admin-btn-secondary admin-btn-small"
+                                onClick={() => handleReport(fixture)}
+                              >
+                                Submit Score
+                              </button>
+                            </>
+                          ) : (
+                            <em style={{ color: '#999' }}>After kick-off</em>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="admin-header" style={{ marginTop: '30px' }}>
+            <h3>Availability</h3>
+          </div>
+
+          <div className="admin-form darkText">
+            <h4>Mark a Date as Unavailable</h4>
+            <form onSubmit={handleAddUnavailable}>
+              <div style={{ display: 'flex', gap: '12px' }}>
+                <div className="admin-form-group" style={{ flex: 1 }}>
+                  <label>Date *</label>
+                  <input
+                    type="date"
+                    name="unavailableDate"
+                    value={availabilityData.unavailableDate}
+                    onChange={handleAvailabilityChange}
+                    required
+                  />
+                </div>
+                <div className="admin-form-group" style={{ flex: 2 }}>
+                  <label>Note</label>
+                  <input
+                    type="text"
+                    name="note"
+                    value={availabilityData.note}
+                    onChange={handleAvailabilityChange}
+                    placeholder="e.g., On holiday"
+                  />
+                </div>
+              </div>
+              <div className="admin-form-actions">
+                <button type="submit" className="admin-btn admin-btn-primary">
+                  Add Date
+                </button>
+              </div>
+            </form>
+          </div>
+
+          {availability.length === 0 ? (
+            <p style={{ color: '#666' }}>You have not marked any dates as unavailable.</p>
+          ) : (
+            <div className="admin-table-container">
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Unavailable On</th>
+                    <th>Note</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="darkText">
+                  {availability.map(entry => (
+                    <tr key={entry.id}>
+                      <td>
+                        {new Date(`${String(entry.unavailableDate).substring(0, 10)}T00:00:00`).toLocaleDateString('en-GB', {
+                          weekday: 'short',
+                          day: 'numeric',
+                          month: 'short',
+                          year: 'numeric'
+                        })}
+                      </td>
+                      <td>{entry.note || '-'}</td>
+                      <td>
+                        <button
+                          className="admin-btn admin-btn-danger admin-btn-small"
+                          onClick={() => handleRemoveUnavailable(entry)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MyMatches;
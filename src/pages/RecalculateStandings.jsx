@@ -7,6 +7,12 @@
 import React, { useState, useEffect } from 'react';
 import { crudRequest, getApiUrl } from '../utils/authHelpers';
 import { calculateLeagueStandings } from '../utils/standingsCalculator';
+import { getCurrentSeason } from '../utils/fixtureExports';
+import { DEFAULT_RULES, describeRules } from '../utils/competitionRules';
+import { isKnockout } from '../utils/knockout';
+import { getSeasons, pickSeason } from '../utils/seasons';
+import { getCurrentTables } from '../utils/pools';
+import { CLINCHED_STATUSES, getZone, getZoneLegend, getRemainingMatches, getClinchedStatuses } from '../utils/leagueZones';
 
 /**
  * RecalculateStandings component - standings recalculation utility
@@ -16,14 +22,15 @@ import { calculateLeagueStandings } from '../utils/standingsCalculator';
  * Useful for fixing data inconsistencies or updating standings after bulk result changes.
  * 
  * Features:
- * - Recalculates standings for all leagues in current season
+ * - Recalculates standings for every league in one season (the current season unless
+ *   another is chosen); leagues in a closed season are left alone
  * - Updates tblstandings with recalculated data
  * - Sends email notifications to followers about their team's standings
  * - Shows progress and results of recalculation
- * - Displays current season from config
+ * - Displays the current season
  * 
  * Process:
- * 1. Loads current season from .config.json
+ * 1. Loads the current season (tblsettings, falling back to .config.json) and the leagues
  * 2. Fetches all fixtures and results
  * 3. Calculates standings using standingsCalculator
  * 4. Updates database with new standings
@@ -41,27 +48,47 @@ function RecalculateStandings() {
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
   const [currentSeason, setCurrentSeason] = useState('Loading...');
+  const [leagues, setLeagues] = useState([]);
+  const [chosenSeason, setChosenSeason] = useState('');
 
   useEffect(() => {
-    // Load current season from config
-    const loadConfig = async () => {
-      try {
-        const response = await fetch('/.config.json');
-        const config = await response.json();
-        setCurrentSeason(config.currentSeason || '2025-26');
-      } catch (err) {
-        console.error('Failed to load config:', err);
-        setCurrentSeason('2025-26'); // fallback
+    // Load current season (set by the rollover wizard, or from config)
+    getCurrentSeason().then(setCurrentSeason);
+
+    crudRequest('read', { table: 'tblleagues' }).then(result => {
+      if (result.status_code === 200) {
+        setLeagues(result.data.records || result.data);
       }
-    };
-    loadConfig();
+    });
   }, []);
 
+  const seasons = getSeasons(leagues);
+  const season = pickSeason(seasons, chosenSeason, currentSeason);
+
+  /**
+   * Builds the legend shown under a league table in the standings email
+   * @param {Object|string|null} rules - The league's rules profile
+   * @param {boolean} showClinched - Whether any team has a clinched badge
+   * @returns {string} Legend HTML, or '' for a league without zones
+   */
+  const buildZoneLegendHTML = (rules, showClinched) => {
+    const items = getZoneLegend(rules).map(({ zone, label, places }) =>
+      `<span class="legend-item"><span class="legend-swatch zone-${zone}"></span>${label} (${places} place${places === 1 ? '' : 's'})</span>`
+    );
+
+    if (showClinched) {
+      items.push('<span class="legend-item">Promoted / Relegated / Safe: certain whatever the remaining results</span>');
+    }
+
+    return items.length > 0 ? `<p class="zone-legend">${items.join('')}</p>` : '';
+  };
+
   /**
    * Sends standings update notifications to team followers
    * @async
    * @param {string} currentSeason - Current season identifier (e.g., "2025-26")
-   * @description Emails followers their team's current league position and stats
+   * @description Emails followers their team's current league position and stats. Promotion,
+   * play-off and relegation places are shaded and clinched teams are marked, as on the Tables page.
    */
   const sendStandingsNotifications = async (currentSeason) => {
     try {
@@ -96,7 +123,7 @@ function RecalculateStandings() {
       }
 
       const allLeagues = leaguesResult.data.records || leaguesResult.data;
-      const currentSeasonLeagues = allLeagues.filter(league => league.leagueSeason === currentSeason);
+      const currentSeasonLeagues = allLeagues.filter(league => league.leagueSeason === currentSeason && !isKnockout(league));
 
       // Get standings for all current season leagues
       const standingsResult = await crudRequest('read', {
@@ -121,6 +148,21 @@ function RecalculateStandings() {
       }
 
       const teams = teamsResult.data.records || teamsResult.data;
+
+      // Get fixtures and results for head-to-head tiebreaks
+      const fixturesResult = await crudRequest('read', {
+        table: 'tblfixtures'
+      });
+      const resultsResult = await crudRequest('read', {
+        table: 'tblresults'
+      });
+      const allFixtures = fixturesResult.status_code === 200
+        ? (fixturesResult.data.records || fixturesResult.data)
+        : [];
+      const allResults = resultsResult.status_code === 200
+        ? (resultsResult.data.records || resultsResult.data)
+        : [];
+
       const teamMap = {};
       teams.forEach(team => {
         teamMap[team.id] = team.teamName;
@@ -129,25 +171,36 @@ function RecalculateStandings() {
       // Build league tables HTML
       let leagueTablesHTML = '';
 
-      for (const league of currentSeasonLeagues) {
-        // Get standings for this league
-        const leagueStandings = allStandings
-          .filter(standing => standing.leagueID === league.id)
-          .sort((a, b) => {
-            if (b.points !== a.points) return b.points - a.points;
-            if (b.pointsDifference !== a.pointsDifference) return b.pointsDifference - a.pointsDifference;
-            return b.pointsFor - a.pointsFor;
-          });
+      // One table per league, or per pool in the current phase of a league split into pools
+      const emailTables = currentSeasonLeagues.flatMap(league =>
+        getCurrentTables(league, allStandings, allFixtures, allResults).map(table => ({ league, ...table }))
+      );
 
+      for (const { league, pool, standings: leagueStandings } of emailTables) {
         if (leagueStandings.length === 0) continue;
 
+        // Zones and clinched places belong to the league as a whole, not its pools
+        const statuses = pool ? {} : getClinchedStatuses(
+          leagueStandings,
+          getRemainingMatches(allFixtures, allResults, league),
+          league.rules
+        );
+
         // Build table HTML
         let tableRows = '';
-        leagueStandings.forEach((standing, index) => {
+        leagueStandings.forEach((standing) => {
+          const tiebreakNote = standing.tiebreak
+            ? `<br><small style="color: #666; font-style: italic;">Position decided on: ${standing.tiebreak}</small>`
+            : '';
+          const zone = pool ? null : getZone(standing.position, leagueStandings.length, league.rules);
+          const status = statuses[standing.teamID];
+          const clinchedBadge = status
+            ? ` <span class="clinched clinched-${status}">${CLINCHED_STATUSES[status].badge}</span>`
+            : '';
           tableRows += `
-            <tr>
-              <td class="position-cell">${index + 1}</td>
-              <td class="team-name">${teamMap[standing.teamID] || 'Unknown'}</td>
+            <tr${zone ? ` class="zone-${zone}"` : ''}>
+              <td class="position-cell">${standing.position}</td>
+              <td class="team-name">${teamMap[standing.teamID] || 'Unknown'}${clinchedBadge}${tiebreakNote}</td>
               <td>${standing.played}</td>
               <td>${standing.won}</td>
               <td>${standing.drawn}</td>
@@ -163,7 +216,7 @@ function RecalculateStandings() {
 
         leagueTablesHTML += `
           <div class="league-section">
-            <div class="league-title">${league.leagueName}</div>
+            <div class="league-title">${league.leagueName}${pool ? ` - ${pool.name}` : ''}</div>
             <table class="standings-table">
               <thead>
                 <tr>
@@ -184,6 +237,7 @@ function RecalculateStandings() {
                 ${tableRows}
               </tbody>
             </table>
+            ${pool ? '' : buildZoneLegendHTML(league.rules, Object.keys(statuses).length > 0)}
           </div>
         `;
       }
@@ -252,21 +306,27 @@ function RecalculateStandings() {
         throw new Error('Failed to fetch leagues');
       }
 
-      const leagues = leaguesResult.data.records || leaguesResult.data;
+      // Only the chosen season, so past seasons that were never closed are not rewritten.
+      // Knockout cups have no table
+      const seasonLeagues = (leaguesResult.data.records || leaguesResult.data)
+        .filter(league => league.leagueSeason === season && !isKnockout(league));
       let successCount = 0;
       let skipCount = 0;
       let currentSeasonProcessed = null;
 
-      for (const league of leagues) {
+      for (const league of seasonLeagues) {
         console.log(`Recalculating standings for ${league.leagueName} (${league.leagueSeason})...`);
         const result = await calculateLeagueStandings(league.id, league.leagueSeason);
         
         if (result.success) {
-          if (result.message === 'Not current season') {
+          if (result.message === 'Season closed') {
             skipCount++;
           } else {
             successCount++;
-            currentSeasonProcessed = league.leagueSeason;
+            // Followers are only emailed about the current season
+            if (league.leagueSeason === currentSeason) {
+              currentSeasonProcessed = league.leagueSeason;
+            }
           }
         }
       }
@@ -276,13 +336,13 @@ function RecalculateStandings() {
         console.log('Sending standings notifications to followers...');
         try {
           await sendStandingsNotifications(currentSeasonProcessed);
-          setMessage(`Recalculation complete! Updated ${successCount} league(s), skipped ${skipCount} non-current season(s). Email notifications sent to followers.`);
+          setMessage(`Recalculation complete! Updated ${successCount} ${season} league(s), skipped ${skipCount} closed league(s). Email notifications sent to followers.`);
         } catch (emailErr) {
           console.error('Error sending notifications:', emailErr);
-          setMessage(`Recalculation complete! Updated ${successCount} league(s), skipped ${skipCount} non-current season(s). Note: Some email notifications may have failed.`);
+          setMessage(`Recalculation complete! Updated ${successCount} ${season} league(s), skipped ${skipCount} closed league(s). Note: Some email notifications may have failed.`);
         }
       } else {
-        setMessage(`Recalculation complete! Updated ${successCount} league(s), skipped ${skipCount} non-current season(s).`);
+        setMessage(`Recalculation complete! Updated ${successCount} ${season} league(s), skipped ${skipCount} closed league(s).`);
       }
     } catch (err) {
       console.error('Error recalculating standings:', err);
@@ -298,7 +358,19 @@ function RecalculateStandings() {
         <h1>Recalculate League Standings</h1>
         
         <div className="admin-section">
-          <p>This will recalculate standings for all leagues in the current season ({currentSeason}) based on completed match results.</p>
+          <p>This will recalculate standings for every league in the chosen season, based on completed match results. Leagues in a closed season are left alone. Followers are only emailed about the current season ({currentSeason}).</p>
+          {seasons.length > 1 && (
+            <div className="page-filters">
+              <label>
+                Season
+                <select value={season} onChange={(e) => setChosenSeason(e.target.value)} disabled={isProcessing}>
+                  {seasons.map(s => (
+                    <option key={s} value={s}>{s}{s === currentSeason ? ' (current)' : ''}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
           <p>Note that recalculating will trigger email notifications to all followers of the affected leagues. Please only
             proceed when you are sure all results are in as the notifications cannot be retracted and may cause confusion if based
             on incomplete data.
@@ -310,7 +382,7 @@ function RecalculateStandings() {
             className="btn btn-primary"
             style={{ marginTop: '20px' }}
           >
-            {isProcessing ? 'Recalculating...' : 'Recalculate All Standings'}
+            {isProcessing ? 'Recalculating...' : `Recalculate ${season} Standings`}
           </button>
 
           {message && (
@@ -329,13 +401,18 @@ function RecalculateStandings() {
         <div className="admin-section" style={{ marginTop: '30px' }}>
           <h3>How Standings Are Calculated</h3>
           <ul>
-            <li>Only completed matches (status = 2) are counted</li>
-            <li>Only current season ({currentSeason}) leagues are calculated</li>
-            <li>Win: 4 points</li>
-            <li>Draw: 2 points</li>
-            <li>Loss: 0 points</li>
-            <li>Bonus: +1 point for scoring 4 or more tries</li>
-            <li>Bonus: +1 point for losing by 7 points or less</li>
+            <li>Completed matches (status = 2) are counted, including walkovers</li>
+            <li>Abandoned matches are counted only if the league's rules allow it and the match was stopped at or after the rule's minute</li>
+            <li>Only confirmed results are counted; results still awaiting confirmation or disputed are left out until settled</li>
+            <li>Only the chosen season is recalculated, and leagues in a closed season are skipped, so their final tables stay frozen (close a season in Admin → Seasons)</li>
+            <li>Match and bonus points follow each league's competition rules (set in Admin → Leagues)</li>
+            <li>Teams level on points are separated by the league's tiebreakers (default: points difference, then points scored)</li>
+          </ul>
+          <p>Leagues without their own rules use the default profile:</p>
+          <ul>
+            {describeRules(DEFAULT_RULES).map(line => (
+              <li key={line}>{line}</li>
+            ))}
           </ul>
         </div>
       </div>
@@ -0,0 +1,226 @@
+/**
+ * @file Results.jsx
+ * @description Public results page with league, team and date filters
+ * @module pages/Results
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { summariseResult } from '../utils/resultSummary';
+import BonusBadges from '../components/BonusBadges';
+
+/**
+ * Results component - confirmed match results, most recent first
+ *
+ * @component
+ * @description Lists every fixture with a confirmed result (see summariseResult), showing
+ * the score, the winner in bold and any bonus points. Results can be filtered by league,
+ * team and a date range; the filters are kept in the query string
+ * (?league=&team=&from=&to=) so a filtered list can be shared. Each score links to the
+ * match centre.
+ *
+ * @example
+ * <Route path="/results" element={<Results />} />
+ *
+ * @returns {JSX.Element} Results page
+ */
+function Results() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchResults();
+  }, []);
+
+  /**
+   * Fetches fixtures, results, teams and leagues
+   * @async
+   */
+  const fetchResults = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const fixturesResult = await publicRead({ table: 'tblfixtures' });
+      const resultsResult = await publicRead({ table: 'tblresults' });
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+
+      if (fixturesResult.status_code !== 200 || resultsResult.status_code !== 200) {
+        setError('Failed to load results');
+        return;
+      }
+
+      setFixtures(fixturesResult.data.records || fixturesResult.data);
+      setResults(resultsResult.data.records || resultsResult.data);
+
+      if (teamsResult.status_code === 200) {
+        setTeams(teamsResult.data.records || teamsResult.data);
+      }
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching results:', err);
+      setError('Failed to load results. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Update a filter in the query string
+   * @param {string} key - Filter name (league, team, from or to)
+   * @param {string} value - New value, empty to clear the filter
+   */
+  const updateFilter = (key, value) => {
+    const params = Object.fromEntries(searchParams.entries());
+    if (value) {
+      params[key] = value;
+    } else {
+      delete params[key];
+    }
+    setSearchParams(params);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="fixtures-loading">Loading results...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-content">
+        <div className="fixtures-error">{error}</div>
+      </div>
+    );
+  }
+
+  const leagueID = parseInt(searchParams.get('league')) || null;
+  const teamID = parseInt(searchParams.get('team')) || null;
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+
+  const getTeamName = (id) => teams.find(t => t.id === id)?.teamName || 'Unknown Team';
+
+  const rows = fixtures
+    .filter(f => !leagueID || f.leagueID === leagueID)
+    .filter(f => !teamID || f.homeTeam === teamID || f.awayTeam === teamID)
+    // Compare the date part only, so the "to" date includes that day's matches
+    .filter(f => !from || String(f.date).substring(0, 10) >= from)
+    .filter(f => !to || String(f.date).substring(0, 10) <= to)
+    .map(f => {
+      const league = leagues.find(l => l.id === f.leagueID) || null;
+      return {
+        fixture: f,
+        league,
+        summary: summariseResult(f, results.find(r => r.fixtureID === f.id), league)
+      };
+    })
+    .filter(row => row.summary)
+    .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date));
+
+  const sortedLeagues = [...leagues].sort((a, b) =>
+    (b.leagueSeason || '').localeCompare(a.leagueSeason || '') || a.leagueName.localeCompare(b.leagueName)
+  );
+  const sortedTeams = [...teams].sort((a, b) => a.teamName.localeCompare(b.teamName));
+
+  return (
+    <div className="page-content">
+      <h2 className="page-header-title">Results</h2>
+
+      <div className="page-filters">
+        <label>
+          League
+          <select value={leagueID || ''} onChange={(e) => updateFilter('league', e.target.value)}>
+            <option value="">All leagues</option>
+            {sortedLeagues.map(l => (
+              <option key={l.id} value={l.id}>
+                {l.leagueName}{l.leagueSeason ? ` (${l.leagueSeason})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Team
+          <select value={teamID || ''} onChange={(e) => updateFilter('team', e.target.value)}>
+            <option value="">All teams</option>
+            {sortedTeams.map(team => (
+              <option key={team.id} value={team.id}>{team.teamName}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </label>
+        <Link to="/fixtures">Back to Fixtures</Link>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="no-fixtures">No results match these filters.</p>
+      ) : (
+        <div className="table-container" style={{ overflowX: 'auto' }}>
+          <table className="standings-table results-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>League</th>
+                <th>Home</th>
+                <th>Score</th>
+                <th>Away</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ fixture, league, summary }) => (
+                <tr key={fixture.id}>
+                  <td>{formatDate(fixture.date)}</td>
+                  <td>{league?.leagueName || 'Unknown League'}</td>
+                  <td className="results-home">
+                    {summary.winner === 'home' ? <strong>{getTeamName(fixture.homeTeam)}</strong> : getTeamName(fixture.homeTeam)}
+                    <BonusBadges bonuses={summary.home.bonuses} />
+                  </td>
+                  <td>
+                    <Link to={`/fixtures/${fixture.id}`} className="results-score">
+                      {summary.homeScore} - {summary.awayScore}
+                    </Link>
+                    {summary.walkover && <small className="standings-tiebreak">Walkover</small>}
+                  </td>
+                  <td className="results-away">
+                    {summary.winner === 'away' ? <strong>{getTeamName(fixture.awayTeam)}</strong> : getTeamName(fixture.awayTeam)}
+                    <BonusBadges bonuses={summary.away.bonuses} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Results;
@@ -5,7 +5,45 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { publicRead } from '../utils/authHelpers';
+import { getLeagueSanctions } from '../utils/sanctions';
+import { buildPositionHistory } from '../utils/leagueTable';
+import { getTeamForm } from '../utils/resultSummary';
+import { getCurrentSeason, generateLeagueTablesPDF } from '../utils/fixtureExports';
+import { getSeasons, pickSeason, isSeasonClosed } from '../utils/seasons';
+import { isKnockout } from '../utils/knockout';
+import { getLeagueTables } from '../utils/pools';
+import { CLINCHED_STATUSES, getZone, getZoneLegend, getRemainingMatches, getClinchedStatuses } from '../utils/leagueZones';
+import FormGuide from '../components/FormGuide';
+import PositionChart from '../components/PositionChart';
+import DataExport from '../components/DataExport';
+
+/**
+ * Legend for a league's shaded zones and clinched badges
+ * @param {Object} props - Component props
+ * @param {Object|string|null} props.rules - The league's rules profile
+ * @param {boolean} props.showClinched - Whether any team has a clinched badge
+ * @returns {JSX.Element|null} The legend, or null for a league without zones
+ */
+function ZoneLegend({ rules, showClinched }) {
+  const zones = getZoneLegend(rules);
+  if (zones.length === 0 && !showClinched) return null;
+
+  return (
+    <ul className="standings-legend">
+      {zones.map(({ zone, label, places }) => (
+        <li key={zone}>
+          <span className={`standings-legend-swatch standings-zone-${zone}`} />
+          {label} ({places} place{places === 1 ? '' : 's'})
+        </li>
+      ))}
+      {showClinched && (
+        <li>Promoted / Relegated / Safe: certain whatever the remaining results</li>
+      )}
+    </ul>
+  );
+}
 
 /**
  * Tables component - displays league standings
@@ -13,13 +51,31 @@ import { publicRead } from '../utils/authHelpers';
  * @component
  * @description Shows league tables with team rankings, organized by league.
  * Displays comprehensive statistics including:
- * - Position (calculated dynamically based on points, points difference, points for)
- * - Team name with logo
+ * - Position (calculated dynamically from points and the league's tiebreak chain)
+ * - Team name with logo, linking to the team's profile
+ * - Form guide of the team's last five league results
  * - Played, Won, Drawn, Lost, Bonus points
  * - Points For, Points Against, Points Difference
  * - Total Points
+ * - Points deducted (only for leagues with sanctions), footnoted with the reasons
+ * - A link to the league's player leaderboards
+ * - An expandable chart of each team's position after every round of the season,
+ *   rebuilt from the dated fixtures (see buildPositionHistory)
+ * - Shaded promotion, play-off and relegation places from the league's rules, with a legend
+ * - Badges for teams mathematically promoted, relegated or safe given the remaining
+ *   fixtures (open seasons only; see getClinchedStatuses)
+ * - A PDF of the season's tables, shaded the same way
+ * - CSV and Excel downloads of the season's standings, fixtures and results, by league or
+ *   team (see DataExport)
+ * - A table for each pool of a league split into pools, latest phase first (see pools.js);
+ *   pool tables have no zones, clinched badges or position charts
+ * 
+ * A season switcher (kept in the query string as ?season=) shows one season at a time,
+ * defaulting to the current season from .config.json. Leagues in a closed season show
+ * their frozen final table.
  * 
- * Sorting priority: 1) Points, 2) Points difference, 3) Points for
+ * Sorting priority: 1) Points, 2) the league's tiebreakers (default: points difference,
+ * then points for). When a tiebreaker decides a position, the rule is shown under the team.
  * 
  * @example
  * <Route path="/tables" element={<Tables />} />
@@ -27,9 +83,15 @@ import { publicRead } from '../utils/authHelpers';
  * @returns {JSX.Element} Tables page with league standings
  */
 function Tables() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [standings, setStandings] = useState([]);
   const [leagues, setLeagues] = useState([]);
   const [teams, setTeams] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [sanctions, setSanctions] = useState([]);
+  const [expandedChart, setExpandedChart] = useState(null);
+  const [currentSeason, setCurrentSeason] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -38,9 +100,11 @@ function Tables() {
   }, []);
 
   /**
-   * Fetches standings, leagues, and teams data
+   * Fetches standings, leagues, teams, fixtures, results and sanctions data
    * @async
-   * @description Loads all required data for displaying league tables
+   * @description Loads all required data for displaying league tables.
+   * Fixtures and results are needed for head-to-head tiebreaks, and sanctions
+   * for the points deduction footnotes.
    */
   const fetchStandings = async () => {
     setIsLoading(true);
@@ -62,6 +126,20 @@ function Tables() {
         table: 'tblteams'
       });
 
+      // Fetch fixtures and results (for head-to-head tiebreaks)
+      const fixturesResult = await publicRead({
+        table: 'tblfixtures'
+      });
+
+      const resultsResult = await publicRead({
+        table: 'tblresults'
+      });
+
+      // Fetch points deductions
+      const sanctionsResult = await publicRead({
+        table: 'tblsanctions'
+      });
+
       if (standingsResult.status_code === 200) {
         const standingsData = standingsResult.data.records || standingsResult.data;
         setStandings(standingsData);
@@ -76,6 +154,20 @@ function Tables() {
         const teamsData = teamsResult.data.records || teamsResult.data;
         setTeams(teamsData);
       }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      if (sanctionsResult.status_code === 200) {
+        setSanctions(sanctionsResult.data.records || sanctionsResult.data);
+      }
+
+      setCurrentSeason(await getCurrentSeason());
     } catch (err) {
       console.error('Error fetching standings:', err);
       setError('Failed to load standings data');
@@ -84,35 +176,49 @@ function Tables() {
     }
   };
 
-  // Group standings by league
-  const standingsByLeague = leagues.map(league => {
-    const leagueStandings = standings.filter(s => s.leagueID === league.id);
-    
-    // Sort standings by: 1) Points, 2) Points difference, 3) Points for
-    const sortedStandings = leagueStandings
-      .map(standing => {
+  const seasons = getSeasons(leagues);
+  const season = pickSeason(seasons, searchParams.get('season'), currentSeason);
+
+  // One table per league, or per pool for leagues split into pools (knockout cups are on the Cups page)
+  const standingsByLeague = leagues.filter(league => league.leagueSeason === season && !isKnockout(league)).flatMap(league =>
+    getLeagueTables(league, standings, fixtures, results).map(({ pool, standings: tableStandings }) => {
+      // Ranked by points, then the league's tiebreak chain
+      const sortedStandings = tableStandings.map(standing => {
         const team = teams.find(t => t.id === standing.teamID);
         return {
           ...standing,
           teamName: team?.teamName || 'Unknown',
           teamLogo: team?.teamLogo || null
         };
-      })
-      .sort((a, b) => {
-        if (b.points !== a.points) return b.points - a.points;
-        if (b.pointsDifference !== a.pointsDifference) return b.pointsDifference - a.pointsDifference;
-        return b.pointsFor - a.pointsFor;
-      })
-      .map((standing, index) => ({
-        ...standing,
-        position: index + 1  // Calculate position dynamically
-      }));
-    
-    return {
-      league,
-      standings: sortedStandings
-    };
-  }).filter(item => item.standings.length > 0);
+      });
+
+      // Number each deduction for the footnotes under the table
+      const leagueSanctions = getLeagueSanctions(sanctions, league.id)
+        .filter(sanction => !pool || pool.teams.includes(sanction.teamID))
+        .map((sanction, i) => ({
+          ...sanction,
+          footnote: i + 1,
+          teamName: teams.find(t => t.id === sanction.teamID)?.teamName || 'Unknown'
+        }));
+
+      return {
+        league,
+        pool,
+        standings: sortedStandings,
+        sanctions: leagueSanctions,
+        // A closed season's table is final, so there is nothing left to clinch
+        statuses: isSeasonClosed(league) || pool
+          ? {}
+          : getClinchedStatuses(sortedStandings, getRemainingMatches(fixtures, results, league), league.rules),
+        // Only rebuild the season round by round for the league with a chart open
+        history: expandedChart?.leagueID === league.id && !pool
+          ? buildPositionHistory(fixtures, results, league, sanctions)
+          : []
+      };
+    })
+  ).filter(item => item.standings.length > 0);
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
 
   if (isLoading) {
     return (
@@ -133,16 +239,62 @@ function Tables() {
   return (
     <div className="page-content">
       <h2 className="page-header-title">League Tables</h2>
+
+      {(seasons.length > 1 || standingsByLeague.length > 0) && (
+        <div className="page-filters">
+          {seasons.length > 1 && (
+            <label>
+              Season
+              <select value={season} onChange={(e) => setSearchParams({ season: e.target.value })}>
+                {seasons.map(s => (
+                  <option key={s} value={s}>{s}{s === currentSeason ? ' (current)' : ''}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {standingsByLeague.length > 0 && (
+            <button className="standings-pdf-btn" onClick={() => generateLeagueTablesPDF(standingsByLeague, season)}>
+              📄 Download PDF ({season})
+            </button>
+          )}
+        </div>
+      )}
+
+      {standingsByLeague.length > 0 && (
+        <DataExport
+          datasets={['standings', 'fixtures', 'results']}
+          leagues={leagues}
+          teams={teams}
+          fixtures={fixtures}
+          results={results}
+          tables={standingsByLeague}
+          season={season}
+        />
+      )}
       
       {standingsByLeague.length === 0 ? (
         <p className="no-tables">No league standings available yet.</p>
       ) : (
-        standingsByLeague.map(({ league, standings: leagueStandings }) => (
-          <div key={league.id} className="league-table-section">
+        standingsByLeague.map(({ league, pool, standings: leagueStandings, sanctions: leagueSanctions, statuses, history }) => (
+          <div key={pool ? `${league.id}-${pool.name}` : league.id} className="league-table-section">
             <h3>
               {league.leagueName}
+              {pool && <span className="standings-pool"> - {pool.name}</span>}
               {league.leagueSeason && <span style={{ fontSize: '0.9em', color: '#666', marginLeft: '10px' }}>({league.leagueSeason})</span>}
+              {isSeasonClosed(league) && (
+                <span className="standings-final" title={`Season closed ${new Date(league.seasonClosedAt).toLocaleDateString('en-GB')}`}>
+                  Final table
+                </span>
+              )}
+              <Link to={`/leaderboards?league=${league.id}`} className="standings-link">Top scorers</Link>
             </h3>
+            {pool && (
+              <p className="standings-phase">
+                {pool.phaseName}
+                {pool.carryForward === 'results' && ' - includes results against these teams from the previous phase'}
+                {pool.carryForward === 'points' && ' - includes points from the previous phase'}
+              </p>
+            )}
             
             <div className="table-container" style={{ overflowX: 'auto' }}>
               <table className="standings-table">
@@ -150,6 +302,7 @@ function Tables() {
                   <tr>
                     <th>Pos</th>
                     <th>Team</th>
+                    <th title="Last five league results, most recent on the right">Form</th>
                     <th>P</th>
                     <th>W</th>
                     <th>D</th>
@@ -158,43 +311,117 @@ function Tables() {
                     <th>A</th>
                     <th>+/-</th>
                     <th>BP</th>
+                    {leagueSanctions.length > 0 && <th title="Points deducted">Ded</th>}
                     <th>Pts</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {leagueStandings.map((standing) => (
-                    <tr key={standing.id}>
-                      <td className="standings-position"><strong>{standing.position}</strong></td>
-                      <td className="standings-team">
-                        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
-                          {standing.teamLogo && (
-                            <img 
-                              src={standing.teamLogo} 
-                              alt={`${standing.teamName} logo`}
-                              style={{ 
-                                width: '30px', 
-                                height: '30px', 
-                                objectFit: 'contain'
-                              }}
+                  {leagueStandings.map((standing) => {
+                    const isExpanded = !pool && expandedChart?.leagueID === league.id && expandedChart?.teamID === standing.teamID;
+                    const zone = pool ? null : getZone(standing.position, leagueStandings.length, league.rules);
+                    const status = statuses[standing.teamID];
+
+                    return (
+                      <React.Fragment key={standing.id}>
+                        <tr className={zone ? `standings-zone-${zone}` : undefined}>
+                          <td className="standings-position"><strong>{standing.position}</strong></td>
+                          <td className="standings-team">
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                              {standing.teamLogo && (
+                                <img 
+                                  src={standing.teamLogo} 
+                                  alt={`${standing.teamName} logo`}
+                                  style={{ 
+                                    width: '30px', 
+                                    height: '30px', 
+                                    objectFit: 'contain'
+                                  }}
+                                />
+                              )}
+                              <span>
+                                <Link to={`/teams/${standing.teamID}`} className="standings-team-link">
+                                  <strong>{standing.teamName}</strong>
+                                </Link>
+                                {status && (
+                                  <span className={`standings-clinched standings-clinched-${status}`} title={CLINCHED_STATUSES[status].label}>
+                                    {CLINCHED_STATUSES[status].badge}
+                                  </span>
+                                )}
+                                {standing.tiebreak && (
+                                  <small className="standings-tiebreak" title="Rule that decided this position">
+                                    Position decided on: {standing.tiebreak}
+                                  </small>
+                                )}
+                              </span>
+                              {!pool && (
+                                <button
+                                  className="standings-chart-toggle"
+                                  onClick={() => setExpandedChart(isExpanded ? null : { leagueID: league.id, teamID: standing.teamID })}
+                                  title={isExpanded ? 'Hide position chart' : 'Show position over the season'}
+                                  aria-expanded={isExpanded}
+                                >
+                                  📈
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                          <td>
+                            <FormGuide
+                              form={getTeamForm(standing.teamID, fixtures.filter(f => f.leagueID === league.id), results, leagues)}
+                              getTeamName={getTeamName}
                             />
+                          </td>
+                          <td>{standing.played}</td>
+                          <td>{standing.won}</td>
+                          <td>{standing.drawn}</td>
+                          <td>{standing.lost}</td>
+                          <td>{standing.pointsFor}</td>
+                          <td>{standing.pointsAgainst}</td>
+                          <td>{standing.pointsDifference}</td>
+                          <td>{standing.bonusPoints}</td>
+                          {leagueSanctions.length > 0 && (
+                            <td className="standings-deducted">
+                              {standing.pointsDeducted > 0 && (
+                                <>
+                                  -{standing.pointsDeducted}
+                                  <sup>
+                                    {leagueSanctions
+                                      .filter(s => s.teamID === standing.teamID)
+                                      .map(s => s.footnote)
+                                      .join(',')}
+                                  </sup>
+                                </>
+                              )}
+                            </td>
                           )}
-                          <span><strong>{standing.teamName}</strong></span>
-                        </div>
-                      </td>
-                      <td>{standing.played}</td>
-                      <td>{standing.won}</td>
-                      <td>{standing.drawn}</td>
-                      <td>{standing.lost}</td>
-                      <td>{standing.pointsFor}</td>
-                      <td>{standing.pointsAgainst}</td>
-                      <td>{standing.pointsDifference}</td>
-                      <td>{standing.bonusPoints}</td>
-                      <td><strong>{standing.points}</strong></td>
-                    </tr>
-                  ))}
+                          <td><strong>{standing.points}</strong></td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="position-chart-row">
+                            <td colSpan={leagueSanctions.length > 0 ? 13 : 12}>
+                              <PositionChart history={history} teamID={standing.teamID} teamCount={leagueStandings.length} />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
+
+            {!pool && <ZoneLegend rules={league.rules} showClinched={Object.keys(statuses).length > 0} />}
+
+            {leagueSanctions.length > 0 && (
+              <ol className="standings-footnotes">
+                {leagueSanctions.map(sanction => (
+                  <li key={sanction.id}>
+                    <strong>{sanction.teamName}</strong>: {sanction.pointsDeducted} point{sanction.pointsDeducted === 1 ? '' : 's'} deducted
+                    {' '}({new Date(sanction.dateApplied).toLocaleDateString('en-GB')}) - {sanction.reason}
+                  </li>
+                ))}
+              </ol>
+            )}
           </div>
         ))
       )}
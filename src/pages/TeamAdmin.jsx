@@ -7,6 +7,15 @@
 import React, { useState, useEffect } from 'react';
 import { getUser, crudRequest } from '../utils/authHelpers';
 import { updateStandingsForFixture } from '../utils/standingsCalculator';
+import { RESULT_TYPES, getLeagueRules, getWalkoverScore } from '../utils/competitionRules';
+import { CONFIRMATION_STATUSES, getConfirmationStatus, isResultConfirmed, canConfirmResult, getResultFixtureStatus } from '../utils/resultConfirmation';
+import { sendResultNotifications } from '../utils/resultNotifications';
+import { recordAudit } from '../utils/auditTrail';
+import { validateResult, calculateScorerTotal } from '../utils/resultValidator';
+import ResultValidation from '../components/admin/ResultValidation';
+import PlayerPicker from '../components/admin/PlayerPicker';
+import SquadManager from '../components/admin/SquadManager';
+import { getSquad } from '../utils/players';
 
 /**
  * TeamAdmin component - team-specific result management
@@ -17,10 +26,16 @@ import { updateStandingsForFixture } from '../utils/standingsCalculator';
  * 
  * Features:
  * - View fixtures for managed team (authorityOver)
- * - Record match results (scores, status)
- * - Add try scorers for both teams
+ * - Record match results (scores, status), including walkovers and abandoned matches
+ * - Add try scorers for both teams, checked against the score (see resultValidator.js)
  * - Edit existing results
- * - Automatically updates league standings when results are recorded
+ * - Confirm or dispute results submitted by the opposing club
+ * - Manage the team's squad; scorers are picked from the squads of both teams
+ *
+ * Results saved here are "submitted" and only count in the standings (and are only
+ * emailed to followers) once the opposing club or a full admin confirms them. The fixture
+ * keeps its status until then; confirming marks it completed or abandoned.
+ * Disputed results go to the queue in ResultsAdmin.
  * 
  * Authority Requirement: authority = 1 (team admin), can only manage fixtures
  * involving their team (specified by authorityOver field)
@@ -33,15 +48,20 @@ import { updateStandingsForFixture } from '../utils/standingsCalculator';
 function TeamAdmin() {
   const user = getUser();
   const [fixtures, setFixtures] = useState([]);
+  const [players, setPlayers] = useState([]);
   const [teamName, setTeamName] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [editingFixture, setEditingFixture] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
   const [resultData, setResultData] = useState({
     homeScore: 0,
     awayScore: 0,
     status: 2, // 0=scheduled, 1=underway, 2=completed, 3=cancelled, 4=abandoned
+    resultType: 'played', // played or walkover
+    concededBy: '', // team ID of the side that conceded a walkover
+    abandonedMinute: '', // minute an abandoned match was stopped
     homeScorers: [],
     awayScorers: []
   });
@@ -90,6 +110,22 @@ function TeamAdmin() {
         return;
       }
 
+      // Get leagues for their competition rules
+      const leaguesResult = await crudRequest('read', {
+        table: 'tblleagues'
+      });
+
+      const leagues = leaguesResult.status_code === 200 ? (leaguesResult.data.records || leaguesResult.data) : [];
+
+      // Get registered players for the scorer picker
+      const playersResult = await crudRequest('read', {
+        table: 'tblplayers'
+      });
+
+      if (playersResult.status_code === 200) {
+        setPlayers(playersResult.data.records || playersResult.data);
+      }
+
       // Get existing results
       const resultsResult = await crudRequest('read', {
         table: 'tblresults'
@@ -120,6 +156,9 @@ function TeamAdmin() {
           homeTeamName: teamMap[fixture.homeTeam] || 'Unknown',
           awayTeamName: teamMap[fixture.awayTeam] || 'Unknown',
           result: resultsMap[fixture.id] || null,
+          leagueName: leagues.find(l => l.id === fixture.leagueID)?.leagueName || 'Unknown',
+          leagueSeason: leagues.find(l => l.id === fixture.leagueID)?.leagueSeason || '',
+          leagueRules: getLeagueRules(leagues.find(l => l.id === fixture.leagueID)),
           isHomeTeam: fixture.homeTeam === user.authorityOver
         }));
 
@@ -174,25 +213,47 @@ function TeamAdmin() {
     setResultData({
       homeScore: fixture.result?.homeScore || 0,
       awayScore: fixture.result?.awayScore || 0,
-      status: fixture.status,
+      status: fixture.result && !isResultConfirmed(fixture.result) ? getResultFixtureStatus(fixture.result) : fixture.status,
+      resultType: fixture.result?.resultType || 'played',
+      concededBy: fixture.result?.concededBy || '',
+      abandonedMinute: fixture.result?.abandonedMinute ?? '',
       homeScorers: Array.isArray(homeScorers) ? homeScorers : [],
       awayScorers: Array.isArray(awayScorers) ? awayScorers : []
     });
+    setOverrideReason(fixture.result?.validationOverride || '');
     setError('');
     setSuccess('');
   };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    setResultData(prev => ({
-      ...prev,
-      [name]: name === 'status' ? parseInt(value) : (parseInt(value) || 0)
-    }));
+    setResultData(prev => {
+      const updated = { ...prev };
+
+      if (name === 'resultType') {
+        updated.resultType = value;
+      } else if (name === 'abandonedMinute' || name === 'concededBy') {
+        updated[name] = value === '' ? '' : (parseInt(value) || 0);
+      } else if (name === 'status') {
+        updated.status = parseInt(value);
+      } else {
+        updated[name] = parseInt(value) || 0;
+      }
+
+      // A walkover records the league's notional score instead of a real one
+      if (updated.status === 2 && updated.resultType === 'walkover' && updated.concededBy) {
+        const concedingSide = updated.concededBy === editingFixture.homeTeam ? 'home' : 'away';
+        Object.assign(updated, getWalkoverScore(concedingSide, editingFixture.leagueRules));
+      }
+
+      return updated;
+    });
   };
 
   // Scorer management functions
   const addScorer = (team) => {
     const newScorer = {
+      playerID: null,
       playerName: '',
       scoreType: 'try',
       points: 5,
@@ -209,6 +270,22 @@ function TeamAdmin() {
     }));
   };
 
+  /**
+   * Sets the player for a scorer row
+   * @param {'home'|'away'} team - Side the scorer played for
+   * @param {number} index - Scorer row
+   * @param {number|null} playerID - Registered player, or null for a free-text name
+   * @param {string} playerName - Player name
+   */
+  const updateScorerPlayer = (team, index, playerID, playerName) => {
+    const scorersKey = team === 'home' ? 'homeScorers' : 'awayScorers';
+    setResultData(prev => {
+      const updatedScorers = [...prev[scorersKey]];
+      updatedScorers[index] = { ...updatedScorers[index], playerID, playerName };
+      return { ...prev, [scorersKey]: updatedScorers };
+    });
+  };
+
   const removeScorer = (team, index) => {
     const scorersKey = team === 'home' ? 'homeScorers' : 'awayScorers';
     setResultData(prev => ({
@@ -240,6 +317,7 @@ function TeamAdmin() {
       // If penalty try is selected, set playerName to 'Penalty Try'
       if (field === 'isPenaltyTry' && value) {
         updatedScorers[index].playerName = 'Penalty Try';
+        updatedScorers[index].playerID = null;
         updatedScorers[index].scoreType = 'try';
         updatedScorers[index].points = 5;
       }
@@ -251,10 +329,6 @@ function TeamAdmin() {
     });
   };
 
-  const calculateTotalPoints = (scorers) => {
-    return (scorers || []).reduce((total, scorer) => total + (parseInt(scorer.points) || 0), 0);
-  };
-
   const formatDateForMySQL = (date) => {
     const d = new Date(date);
     const year = d.getFullYear();
@@ -272,8 +346,16 @@ function TeamAdmin() {
     setSuccess('');
 
     try {
-      // For cancelled (3) or abandoned (4) matches, only update fixture status
-      if (resultData.status === 3 || resultData.status === 4) {
+      const isWalkover = resultData.status === 2 && resultData.resultType === 'walkover';
+
+      if (isWalkover && !resultData.concededBy) {
+        setError('Select the team that conceded the walkover');
+        return;
+      }
+
+      // For cancelled (3) matches, or abandoned (4) matches with no minute recorded,
+      // only update fixture status
+      if (resultData.status === 3 || (resultData.status === 4 && resultData.abandonedMinute === '')) {
         const fixtureUpdateResult = await crudRequest('update', {
           table: 'tblfixtures',
           data: { status: resultData.status },
@@ -281,6 +363,13 @@ function TeamAdmin() {
         });
 
         if (fixtureUpdateResult.status_code === 200) {
+          await recordAudit({
+            entity: 'fixture',
+            recordKey: editingFixture.id,
+            action: 'update',
+            before: editingFixture,
+            after: { ...editingFixture, status: resultData.status }
+          });
           setSuccess(resultData.status === 3 ? 'Match marked as cancelled' : 'Match marked as abandoned');
           setEditingFixture(null);
           await fetchTeamData();
@@ -293,65 +382,74 @@ function TeamAdmin() {
       // For completed matches (or other statuses), save/update the result
       const operation = editingFixture.result ? 'update' : 'create';
       
-      // Convert scorers to JSON string
-      const homeScorersJSON = JSON.stringify(resultData.homeScorers || []);
-      const awayScorersJSON = JSON.stringify(resultData.awayScorers || []);
+      // Scorers that don't match the score need an override reason
+      const issues = validateResult({ ...resultData, resultType: isWalkover ? 'walkover' : 'played' });
+      if (issues.length > 0 && !overrideReason.trim()) {
+        setError('The scorers do not match the score - correct them or give an override reason');
+        return;
+      }
+
+      // Convert scorers to JSON string (walkovers have no scorers)
+      const homeScorersJSON = JSON.stringify(isWalkover ? [] : (resultData.homeScorers || []));
+      const awayScorersJSON = JSON.stringify(isWalkover ? [] : (resultData.awayScorers || []));
+
+      const resultFields = {
+        homeScore: resultData.homeScore,
+        awayScore: resultData.awayScore,
+        homeScorers: homeScorersJSON,
+        awayScorers: awayScorersJSON,
+        resultType: isWalkover ? 'walkover' : 'played',
+        concededBy: isWalkover ? resultData.concededBy : null,
+        abandonedMinute: resultData.status === 4 ? resultData.abandonedMinute : null,
+        validationOverride: issues.length > 0 ? overrideReason.trim() : null,
+        submittedBy: user.id,
+        dateSubmitted: formatDateForMySQL(new Date()),
+        submittedByTeam: user.authorityOver,
+        confirmationStatus: 'submitted',
+        confirmedBy: null,
+        disputeReason: null
+      };
       
       const requestData = operation === 'update'
         ? {
             table: 'tblresults',
-            data: {
-              homeScore: resultData.homeScore,
-              awayScore: resultData.awayScore,
-              homeScorers: homeScorersJSON,
-              awayScorers: awayScorersJSON,
-              submittedBy: user.id,
-              dateSubmitted: formatDateForMySQL(new Date())
-            },
+            data: resultFields,
             conditions: { fixtureID: editingFixture.id }
           }
         : {
             table: 'tblresults',
             data: {
               fixtureID: editingFixture.id,
-              homeScore: resultData.homeScore,
-              awayScore: resultData.awayScore,
-              homeScorers: homeScorersJSON,
-              awayScorers: awayScorersJSON,
-              submittedBy: user.id,
-              dateSubmitted: formatDateForMySQL(new Date())
+              ...resultFields
             }
           };
 
       const result = await crudRequest(operation, requestData);
 
       if (result.status_code === 200) {
-        console.log('Result saved, now updating fixture status to:', resultData.status);
-        // Update the fixture status in tblfixtures
-        const fixtureUpdateResult = await crudRequest('update', {
-          table: 'tblfixtures',
-          data: { status: resultData.status },
-          conditions: { id: editingFixture.id }
+        await recordAudit({
+          entity: 'result',
+          recordKey: editingFixture.id,
+          action: operation,
+          before: editingFixture.result,
+          after: { ...editingFixture.result, ...resultFields }
         });
 
-        console.log('Fixture update result:', fixtureUpdateResult);
-        
-        if (fixtureUpdateResult.status_code !== 200) {
-          setError('Result saved but failed to update fixture status');
-        } else {
-          // Update league standings if result is completed
-          if (resultData.status === 2) {
-            console.log('Updating standings for fixture:', editingFixture.id);
-            try {
-              await updateStandingsForFixture(editingFixture.id);
-              console.log('Standings updated successfully');
-            } catch (standingsErr) {
-              console.error('Error updating standings:', standingsErr);
-              // Don't fail the whole operation if standings update fails
-            }
+        // The fixture keeps its status until the result is confirmed (see handleConfirmResult).
+        // The result now awaits confirmation, so it only affects the standings if it
+        // replaces a confirmed result that has to come out of the table
+        if (isResultConfirmed(editingFixture.result)) {
+          console.log('Updating standings for fixture:', editingFixture.id);
+          try {
+            await updateStandingsForFixture(editingFixture.id);
+            console.log('Standings updated successfully');
+          } catch (standingsErr) {
+            console.error('Error updating standings:', standingsErr);
+            // Don't fail the whole operation if standings update fails
           }
-          setSuccess(operation === 'update' ? 'Result updated successfully' : 'Result added successfully');
         }
+        const opponent = editingFixture.isHomeTeam ? editingFixture.awayTeamName : editingFixture.homeTeamName;
+        setSuccess(`Result submitted - awaiting confirmation from ${opponent}`);
         
         setEditingFixture(null);
         // Refresh the fixtures list to show the new result
@@ -365,6 +463,137 @@ function TeamAdmin() {
     }
   };
 
+  /**
+   * Confirms a result submitted by the opposing club
+   * @async
+   * @param {Object} fixture - Fixture with a submitted or disputed result
+   * @description Updates the standings and emails followers now the result is agreed
+   */
+  const handleConfirmResult = async (fixture) => {
+    if (!window.confirm(`Confirm ${fixture.homeTeamName} ${fixture.result.homeScore} - ${fixture.result.awayScore} ${fixture.awayTeamName}?`)) {
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblresults',
+        data: { confirmationStatus: 'confirmed', confirmedBy: user.id, disputeReason: null },
+        conditions: { fixtureID: fixture.id }
+      });
+
+      if (result.status_code !== 200) {
+        setError(result.message || 'Failed to confirm result');
+        return;
+      }
+
+      await recordAudit({
+        entity: 'result',
+        recordKey: fixture.id,
+        action: 'update',
+        before: fixture.result,
+        after: { ...fixture.result, confirmationStatus: 'confirmed', disputeReason: null }
+      });
+
+      // The fixture kept its status while the result awaited confirmation
+      const fixtureStatus = getResultFixtureStatus(fixture.result);
+      if (fixture.status !== fixtureStatus) {
+        const fixtureUpdateResult = await crudRequest('update', {
+          table: 'tblfixtures',
+          data: { status: fixtureStatus },
+          conditions: { id: fixture.id }
+        });
+
+        if (fixtureUpdateResult.status_code !== 200) {
+          setError('Result confirmed but failed to update fixture status');
+          await fetchTeamData();
+          return;
+        }
+
+        await recordAudit({
+          entity: 'fixture',
+          recordKey: fixture.id,
+          action: 'update',
+          before: fixture,
+          after: { ...fixture, status: fixtureStatus }
+        });
+      }
+
+      try {
+        await updateStandingsForFixture(fixture.id);
+      } catch (standingsErr) {
+        console.error('Error updating standings:', standingsErr);
+      }
+
+      if (fixtureStatus === 2) {
+        try {
+          const teamsResult = await crudRequest('read', {
+            table: 'tblteams'
+          });
+          const teamsData = teamsResult.status_code === 200
+            ? (teamsResult.data.records || teamsResult.data)
+            : [];
+
+          await sendResultNotifications(fixture, fixture.result, teamsData);
+        } catch (notificationErr) {
+          console.error('Error sending notifications:', notificationErr);
+        }
+      }
+
+      setSuccess('Result confirmed');
+      await fetchTeamData();
+    } catch (err) {
+      console.error('Error confirming result:', err);
+      setError('Failed to confirm result');
+    }
+  };
+
+  /**
+   * Disputes a result submitted by the opposing club
+   * @async
+   * @param {Object} fixture - Fixture with a submitted result
+   * @description The dispute and its reason are shown in the ResultsAdmin queue
+   */
+  const handleDisputeResult = async (fixture) => {
+    const reason = window.prompt('Why do you dispute this result?');
+    if (reason === null) return;
+
+    if (!reason.trim()) {
+      setError('Give a reason for the dispute');
+      return;
+    }
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await crudRequest('update', {
+        table: 'tblresults',
+        data: { confirmationStatus: 'disputed', disputeReason: reason.trim() },
+        conditions: { fixtureID: fixture.id }
+      });
+
+      if (result.status_code === 200) {
+        await recordAudit({
+          entity: 'result',
+          recordKey: fixture.id,
+          action: 'update',
+          before: fixture.result,
+          after: { ...fixture.result, confirmationStatus: 'disputed', disputeReason: reason.trim() }
+        });
+        setSuccess('Result disputed - a full admin will review it');
+        await fetchTeamData();
+      } else {
+        setError(result.message || 'Failed to dispute result');
+      }
+    } catch (err) {
+      console.error('Error disputing result:', err);
+      setError('Failed to dispute result');
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-GB', {
@@ -384,6 +613,11 @@ function TeamAdmin() {
     );
   }
 
+  const isWalkover = resultData.status === 2 && resultData.resultType === 'walkover';
+  // Scorers are recorded for played matches, and for abandoned matches that may count
+  const showScorers = (resultData.status === 2 && !isWalkover) || (resultData.status === 4 && resultData.abandonedMinute !== '');
+  const scorerIssues = showScorers ? validateResult(resultData) : [];
+
   return (
     <div className="page-content">
       <h2>Team Admin - {teamName}</h2>
@@ -421,6 +655,59 @@ function TeamAdmin() {
                     <option value={4}>Abandoned</option>
                   </select>
                 </div>
+                {resultData.status === 2 && (
+                  <div className="admin-form-group">
+                    <label>Result Type</label>
+                    <select
+                      name="resultType"
+                      value={resultData.resultType}
+                      onChange={handleInputChange}
+                    >
+                      {Object.entries(RESULT_TYPES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {isWalkover && (
+                  <div className="admin-form-group">
+                    <label>Conceded By *</label>
+                    <select
+                      name="concededBy"
+                      value={resultData.concededBy}
+                      onChange={handleInputChange}
+                      required
+                    >
+                      <option value="">Select team</option>
+                      <option value={editingFixture.homeTeam}>{editingFixture.homeTeamName}</option>
+                      <option value={editingFixture.awayTeam}>{editingFixture.awayTeamName}</option>
+                    </select>
+                    <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                      The other side is awarded {editingFixture.leagueRules.walkoverPoints} points and
+                      a {editingFixture.leagueRules.walkoverScoreFor}-{editingFixture.leagueRules.walkoverScoreAgainst} win
+                      {editingFixture.leagueRules.walkoverPenalty > 0 && `; the conceding side loses ${editingFixture.leagueRules.walkoverPenalty} points`}
+                    </small>
+                  </div>
+                )}
+                {resultData.status === 4 && (
+                  <div className="admin-form-group">
+                    <label>Abandoned at Minute</label>
+                    <input
+                      type="number"
+                      name="abandonedMinute"
+                      value={resultData.abandonedMinute}
+                      onChange={handleInputChange}
+                      min="0"
+                      max="100"
+                      placeholder="Leave blank if no result should be recorded"
+                    />
+                    <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
+                      {editingFixture.leagueRules.abandonedResultEnabled
+                        ? `The score at abandonment counts as a result after ${editingFixture.leagueRules.abandonedResultMinute} minutes`
+                        : 'This league does not count abandoned matches as results'}
+                    </small>
+                  </div>
+                )}
                 <div className="admin-form-group">
                   <label>{editingFixture.homeTeamName} Score</label>
                   <input
@@ -430,7 +717,7 @@ function TeamAdmin() {
                     onChange={handleInputChange}
                     min="0"
                     required={resultData.status === 2}
-                    disabled={resultData.status === 3 || resultData.status === 4}
+                    disabled={resultData.status === 3 || isWalkover || (resultData.status === 4 && resultData.abandonedMinute === '')}
                   />
                 </div>
                 <div className="admin-form-group">
@@ -442,12 +729,12 @@ function TeamAdmin() {
                     onChange={handleInputChange}
                     min="0"
                     required={resultData.status === 2}
-                    disabled={resultData.status === 3 || resultData.status === 4}
+                    disabled={resultData.status === 3 || isWalkover || (resultData.status === 4 && resultData.abandonedMinute === '')}
                   />
                 </div>
 
                 {/* Home Team Scorers */}
-                {resultData.status === 2 && (
+                {showScorers && (
                   <div className="admin-form-group" style={{ marginTop: '20px' }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
                       <label style={{ marginBottom: 0 }}>{editingFixture.homeTeamName} Scorers</label>
@@ -476,13 +763,11 @@ function TeamAdmin() {
                             {resultData.homeScorers.map((scorer, index) => (
                               <tr key={index}>
                                 <td>
-                                  <input
-                                    type="text"
-                                    value={scorer.playerName}
-                                    onChange={(e) => updateScorer('home', index, 'playerName', e.target.value)}
-                                    placeholder="Player name"
+                                  <PlayerPicker
+                                    squad={getSquad(players, editingFixture.homeTeam)}
+                                    scorer={scorer}
+                                    onChange={(playerID, playerName) => updateScorerPlayer('home', index, playerID, playerName)}
                                     disabled={scorer.isPenaltyTry}
-                                    style={{ width: '100%', padding: '5px' }}
                                   />
                                 </td>
                                 <td>
@@ -538,7 +823,7 @@ function TeamAdmin() {
                           </tbody>
                         </table>
                         <div style={{ marginTop: '10px', fontWeight: 'bold' }}>
-                          Total Points: {calculateTotalPoints(resultData.homeScorers)}
+                          Total Points: {calculateScorerTotal(resultData.homeScorers)}
                         </div>
                       </div>
                     ) : (
@@ -548,7 +833,7 @@ function TeamAdmin() {
                 )}
 
                 {/* Away Team Scorers */}
-                {resultData.status === 2 && (
+                {showScorers && (
                   <div className="admin-form-group" style={{ marginTop: '20px' }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
                       <label style={{ marginBottom: 0 }}>{editingFixture.awayTeamName} Scorers</label>
@@ -577,13 +862,11 @@ function TeamAdmin() {
                             {resultData.awayScorers.map((scorer, index) => (
                               <tr key={index}>
                                 <td>
-                                  <input
-                                    type="text"
-                                    value={scorer.playerName}
-                                    onChange={(e) => updateScorer('away', index, 'playerName', e.target.value)}
-                                    placeholder="Player name"
+                                  <PlayerPicker
+                                    squad={getSquad(players, editingFixture.awayTeam)}
+                                    scorer={scorer}
+                                    onChange={(playerID, playerName) => updateScorerPlayer('away', index, playerID, playerName)}
                                     disabled={scorer.isPenaltyTry}
-                                    style={{ width: '100%', padding: '5px' }}
                                   />
                                 </td>
                                 <td>
@@ -639,7 +922,7 @@ function TeamAdmin() {
                           </tbody>
                         </table>
                         <div style={{ marginTop: '10px', fontWeight: 'bold' }}>
-                          Total Points: {calculateTotalPoints(resultData.awayScorers)}
+                          Total Points: {calculateScorerTotal(resultData.awayScorers)}
                         </div>
                       </div>
                     ) : (
@@ -648,6 +931,14 @@ function TeamAdmin() {
                   </div>
                 )}
 
+                <ResultValidation
+                  issues={scorerIssues}
+                  homeTeamName={editingFixture.homeTeamName}
+                  awayTeamName={editingFixture.awayTeamName}
+                  overrideReason={overrideReason}
+                  onOverrideChange={setOverrideReason}
+                />
+
                 <div className="admin-form-actions">
                   <button type="submit" className="admin-btn admin-btn-primary">
                     {editingFixture.result ? 'Update Result' : 'Add Result'}
@@ -698,12 +989,44 @@ function TeamAdmin() {
                       <td>{fixture.venue}</td>
                       <td>
                         {fixture.result ? (
-                          <strong>{fixture.result.homeScore} - {fixture.result.awayScore}</strong>
+                          <>
+                            <strong>{fixture.result.homeScore} - {fixture.result.awayScore}</strong>
+                            {fixture.result.resultType === 'walkover' && <em style={{ color: '#666' }}> (walkover)</em>}
+                            {getResultFixtureStatus(fixture.result) === 4 && (
+                              <em style={{ color: '#666' }}> (abandoned {fixture.result.abandonedMinute}&apos;)</em>
+                            )}
+                            <div style={{ fontSize: '0.9em', color: CONFIRMATION_STATUSES[getConfirmationStatus(fixture.result)].color }}>
+                              {CONFIRMATION_STATUSES[getConfirmationStatus(fixture.result)].label}
+                            </div>
+                            {fixture.result.disputeReason && (
+                              <div style={{ fontSize: '0.9em', color: '#666' }}>{fixture.result.disputeReason}</div>
+                            )}
+                          </>
                         ) : (
                           <em style={{ color: '#999' }}>No result</em>
                         )}
                       </td>
                       <td>
+                        {canConfirmResult(fixture.result, fixture, user) && (
+                          <>
+                            <button
+                              className="admin-btn admin-btn-primary admin-btn-small"
+                              onClick={() => handleConfirmResult(fixture)}
+                              style={{ marginRight: '8px' }}
+                            >
+                              Confirm
+                            </button>
+                            {getConfirmationStatus(fixture.result) === 'submitted' && (
+                              <button
+                                className="admin-btn admin-btn-danger admin-btn-small"
+                                onClick={() => handleDisputeResult(fixture)}
+                                style={{ marginRight: '8px' }}
+                              >
+                                Dispute
+                              </button>
+                            )}
+                          </>
+                        )}
                         <button
                           className="admin-btn admin-btn-secondary admin-btn-small"
                           onClick={() => handleEditResult(fixture)}
@@ -717,6 +1040,10 @@ function TeamAdmin() {
               </tbody>
             </table>
           </div>
+
+          <div style={{ marginTop: '30px' }}>
+            <SquadManager teamID={user.authorityOver} />
+          </div>
         </div>
       </div>
     </div>
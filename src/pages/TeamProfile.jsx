@@ -0,0 +1,318 @@
+/**
+ * @file TeamProfile.jsx
+ * @description Public team profile page
+ * @module pages/TeamProfile
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { publicRead } from '../utils/authHelpers';
+import { getCurrentTables } from '../utils/pools';
+import { getTeamForm } from '../utils/resultSummary';
+import { buildPlayerStats, rankLeaderboard } from '../utils/leaderboards';
+import { generateTeamCalendar } from '../utils/fixtureExports';
+import FormGuide from '../components/FormGuide';
+
+/**
+ * TeamProfile component - everything about one team
+ *
+ * @component
+ * @description Shows a team's club, logo and the league it plays in (tblteams.playsIn), with:
+ * - Its current league position and season record, ranked the same way as the Tables page
+ * - A form guide of its last five results, and those results in full
+ * - Its upcoming fixtures
+ * - Its top scorers in the league (see buildPlayerStats)
+ * - A calendar (.ics) export of its fixtures (generateTeamCalendar)
+ *
+ * @example
+ * <Route path="/teams/:id" element={<TeamProfile />} />
+ *
+ * @returns {JSX.Element} Team profile page
+ */
+function TeamProfile() {
+  const { id } = useParams();
+  const [teams, setTeams] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [fixtures, setFixtures] = useState([]);
+  const [results, setResults] = useState([]);
+  const [standings, setStandings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTeam();
+  }, []);
+
+  /**
+   * Fetches teams, leagues, fixtures, results and standings
+   * @async
+   */
+  const fetchTeam = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const teamsResult = await publicRead({ table: 'tblteams' });
+      const leaguesResult = await publicRead({ table: 'tblleagues' });
+      const fixturesResult = await publicRead({ table: 'tblfixtures' });
+      const resultsResult = await publicRead({ table: 'tblresults' });
+      const standingsResult = await publicRead({ table: 'tblstandings' });
+
+      if (teamsResult.status_code !== 200) {
+        setError('Failed to load team');
+        return;
+      }
+
+      setTeams(teamsResult.data.records || teamsResult.data);
+
+      if (leaguesResult.status_code === 200) {
+        setLeagues(leaguesResult.data.records || leaguesResult.data);
+      }
+
+      if (fixturesResult.status_code === 200) {
+        setFixtures(fixturesResult.data.records || fixturesResult.data);
+      }
+
+      if (resultsResult.status_code === 200) {
+        setResults(resultsResult.data.records || resultsResult.data);
+      }
+
+      if (standingsResult.status_code === 200) {
+        setStandings(standingsResult.data.records || standingsResult.data);
+      }
+    } catch (err) {
+      console.error('Error fetching team:', err);
+      setError('Failed to load team. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const getTeamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown Team';
+
+  if (isLoading) {
+    return (
+      <div className="page-content">
+        <div className="tables-loading">Loading team...</div>
+      </div>
+    );
+  }
+
+  const team = teams.find(t => t.id === parseInt(id));
+
+  if (error || !team) {
+    return (
+      <div className="page-content">
+        <div className="tables-error">{error || 'Team not found'}</div>
+        <p><Link to="/tables">Back to League Tables</Link></p>
+      </div>
+    );
+  }
+
+  const league = leagues.find(l => l.id === team.playsIn) || null;
+  const leagueFixtures = league ? fixtures.filter(f => f.leagueID === league.id) : [];
+
+  // Rank the league's standings as the Tables page does (by pool for a league split into
+  // pools), to find the team's position
+  const standing = league
+    ? getCurrentTables(league, standings, fixtures, results)
+        .flatMap(table => table.standings)
+        .find(s => s.teamID === team.id)
+    : null;
+
+  const recentResults = getTeamForm(team.id, leagueFixtures, results, leagues);
+  const now = new Date();
+  const upcoming = fixtures
+    .filter(f => (f.homeTeam === team.id || f.awayTeam === team.id) && f.status === 0 && new Date(f.date) >= now)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const topScorers = league
+    ? rankLeaderboard(buildPlayerStats(results, fixtures, league, team.id), 'points', 5)
+    : [];
+
+  /**
+   * Download the team's fixtures as an .ics calendar
+   */
+  const handleCalendarExport = () => {
+    const teamMap = {};
+    teams.forEach(t => {
+      teamMap[t.id] = t.teamName;
+    });
+
+    const fixturesWithLeague = fixtures.map(f => ({
+      ...f,
+      leagueName: leagues.find(l => l.id === f.leagueID)?.leagueName || 'Unknown'
+    }));
+
+    generateTeamCalendar(fixturesWithLeague, team.id, team.teamName, teamMap);
+  };
+
+  return (
+    <div className="page-content">
+      <div className="team-profile-header">
+        {team.teamLogo && (
+          <img src={team.teamLogo} alt={`${team.teamName} logo`} className="team-logo" />
+        )}
+        <div>
+          <h2 className="page-header-title">{team.teamName}</h2>
+          <div className="team-profile-club">{team.teamClub}</div>
+          {league && (
+            <div className="team-profile-league">
+              {league.leagueName}{league.leagueSeason ? ` (${league.leagueSeason})` : ''}
+              {standing && <> - <strong>{standing.position}{ordinal(standing.position)}</strong>{standing.pool && ` in ${standing.pool}`}</>}
+            </div>
+          )}
+        </div>
+        <div className="team-profile-actions">
+          <Link to={`/head-to-head?teamA=${team.id}`}>Head to head</Link>
+          <button onClick={handleCalendarExport}>
+            📅 Add fixtures to calendar
+          </button>
+        </div>
+      </div>
+
+      <section className="league-table-section">
+        <h3>
+          Season Record
+          <Link to="/tables" className="standings-link">Full table</Link>
+        </h3>
+        {standing ? (
+          <div className="table-container" style={{ overflowX: 'auto' }}>
+            <table className="standings-table">
+              <thead>
+                <tr>
+                  <th>Pos</th>
+                  <th>Form</th>
+                  <th>P</th>
+                  <th>W</th>
+                  <th>D</th>
+                  <th>L</th>
+                  <th>F</th>
+                  <th>A</th>
+                  <th>+/-</th>
+                  <th>BP</th>
+                  <th>Pts</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td className="standings-position"><strong>{standing.position}</strong></td>
+                  <td><FormGuide form={recentResults} getTeamName={getTeamName} /></td>
+                  <td>{standing.played}</td>
+                  <td>{standing.won}</td>
+                  <td>{standing.drawn}</td>
+                  <td>{standing.lost}</td>
+                  <td>{standing.pointsFor}</td>
+                  <td>{standing.pointsAgainst}</td>
+                  <td>{standing.pointsDifference}</td>
+                  <td>{standing.bonusPoints}</td>
+                  <td><strong>{standing.points}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="no-tables">No league matches played yet.</p>
+        )}
+      </section>
+
+      <section className="league-table-section">
+        <h3>Recent Results</h3>
+        {recentResults.length === 0 ? (
+          <p className="no-tables">No results yet.</p>
+        ) : (
+          <ul className="team-profile-list">
+            {recentResults.map(entry => (
+              <li key={entry.fixture.id}>
+                <span className={`form-badge form-${entry.outcome}`}>{entry.outcome}</span>
+                <Link to={`/fixtures/${entry.fixture.id}`}>
+                  {entry.teamScore} - {entry.opponentScore} {entry.isHome ? 'v' : 'at'} {getTeamName(entry.opponentID)}
+                </Link>
+                <span className="team-profile-date">{formatDate(entry.fixture.date)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="league-table-section">
+        <h3>Upcoming Fixtures</h3>
+        {upcoming.length === 0 ? (
+          <p className="no-tables">No upcoming fixtures scheduled.</p>
+        ) : (
+          <ul className="team-profile-list">
+            {upcoming.map(fixture => {
+              const isHome = fixture.homeTeam === team.id;
+              return (
+                <li key={fixture.id}>
+                  <Link to={`/fixtures/${fixture.id}`}>
+                    {isHome ? 'v' : 'at'} {getTeamName(isHome ? fixture.awayTeam : fixture.homeTeam)}
+                  </Link>
+                  <span className="team-profile-date">{formatDate(fixture.date)} - {fixture.venue}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      <section className="league-table-section">
+        <h3>
+          Top Scorers
+          {league && (
+            <Link to={`/leaderboards?league=${league.id}&team=${team.id}`} className="standings-link">All scorers</Link>
+          )}
+        </h3>
+        {topScorers.length === 0 ? (
+          <p className="no-tables">No scorers recorded yet.</p>
+        ) : (
+          <div className="table-container" style={{ overflowX: 'auto' }}>
+            <table className="standings-table">
+              <thead>
+                <tr>
+                  <th>Pos</th>
+                  <th>Player</th>
+                  <th>Tries</th>
+                  <th>Pts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topScorers.map(row => (
+                  <tr key={row.key}>
+                    <td className="standings-position"><strong>{row.position}</strong></td>
+                    <td><strong>{row.playerName}</strong></td>
+                    <td>{row.tries}</td>
+                    <td>{row.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+/**
+ * Ordinal suffix for a league position
+ * @param {number} position - League position
+ * @returns {string} "st", "nd", "rd" or "th"
+ */
+const ordinal = (position) => {
+  const tens = position % 100;
+  if (tens >= 11 && tens <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] || 'th';
+};
+
+export default TeamProfile;
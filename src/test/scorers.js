@@ -0,0 +1,12 @@
+/**
+ * @file scorers.js
+ * @description Scorer fixtures shared by the utils tests
+ * @module test/scorers
+ */
+
+/**
+ * Build a side's scorers as stored in tblresults.homeScorers / awayScorers
+ * @param {number} count - Number of tries scored
+ * @returns {string} JSON list of that many tries, 5 points each
+ */
+export const tries = (count) => JSON.stringify(Array.from({ length: count }, () => ({ scoreType: 'try', points: 5 })));
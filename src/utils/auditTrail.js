@@ -0,0 +1,218 @@
+/**
+ * @file auditTrail.js
+ * @description Versioned history of changes to results, fixture statuses and standings
+ * @module utils/auditTrail
+ *
+ * Every change is written to tblaudit as an old/new snapshot of the fields listed in
+ * AUDIT_ENTITIES, with who made it and when. The History tab of the Admin page lists the
+ * versions of a record, shows what changed between them and can restore an earlier
+ * version of a result or fixture (standings are recalculated rather than restored).
+ */
+
+import { crudRequest, getUser } from './authHelpers';
+
+/**
+ * Audited record types
+ * @type {Object<string, {label: string, table: string, fields: Array<string>, restorable: boolean}>}
+ */
+export const AUDIT_ENTITIES = {
+  result: {
+    label: 'Result',
+    table: 'tblresults',
+    fields: [
+      'homeScore', 'awayScore', 'homeScorers', 'awayScorers', 'resultType',
+      'concededBy', 'abandonedMinute', 'confirmationStatus', 'disputeReason', 'validationOverride'
+    ],
+    restorable: true
+  },
+  fixture: {
+    label: 'Fixture',
+    table: 'tblfixtures',
+    fields: ['status', 'statusReason', 'date', 'venue', 'referee'],
+    restorable: true
+  },
+  standing: {
+    label: 'Standing',
+    table: 'tblstandings',
+    fields: [
+      'played', 'won', 'drawn', 'lost', 'pointsFor', 'pointsAgainst',
+      'bonusPoints', 'pointsDeducted', 'points', 'triesFor'
+    ],
+    restorable: false
+  }
+};
+
+/**
+ * Audit actions
+ * @type {Object<string, string>}
+ */
+export const AUDIT_ACTIONS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+/**
+ * Normalise a value for comparison, so JSON strings and parsed arrays compare equal
+ * @param {*} value - Field value
+ * @returns {string} Comparable representation
+ */
+const normalise = (value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value));
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Pick the audited fields of a record
+ * @param {string} entity - Key of AUDIT_ENTITIES
+ * @param {Object|null} record - Database row, or null
+ * @returns {Object|null} Snapshot with only the audited fields
+ */
+export const pickAuditFields = (entity, record) => {
+  if (!record) return null;
+
+  return AUDIT_ENTITIES[entity].fields.reduce((snapshot, field) => {
+    snapshot[field] = record[field] ?? null;
+    return snapshot;
+  }, {});
+};
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object|null} before - Earlier snapshot
+ * @param {Object|null} after - Later snapshot
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ */
+export const diffSnapshots = (before, after) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  return fields
+    .filter(field => normalise(before?.[field]) !== normalise(after?.[field]))
+    .map(field => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null
+    }));
+};
+
+/**
+ * Format a snapshot value for display
+ * @param {*} value - Field value
+ * @returns {string} Display text; scorers are listed by name and points
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+
+  let parsed = value;
+  if (typeof value === 'string' && /^[[{]/.test(value)) {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  if (Array.isArray(parsed)) {
+    if (parsed.length === 0) return 'None';
+    return parsed
+      .map(item => item.playerName
+        ? `${item.playerName} (${item.scoreType || 'score'}, ${item.points ?? 0})`
+        : JSON.stringify(item))
+      .join(', ');
+  }
+
+  return typeof parsed === 'object' ? JSON.stringify(parsed) : String(parsed);
+};
+
+/**
+ * Build the version list for one record from its audit entries
+ * @param {Array<Object>} entries - tblaudit rows for the record
+ * @returns {Array<{version: number, snapshot: Object|null, entry: Object|null, changes: Array<Object>}>}
+ * Versions oldest first. Version 0 is the record as it was before its first audited change,
+ * and is only included when the first change was not a create.
+ */
+export const buildVersions = (entries) => {
+  const parse = (snapshot) => {
+    if (!snapshot) return null;
+    return typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  };
+
+  const sorted = [...(entries || [])].sort((a, b) =>
+    new Date(a.dateChanged) - new Date(b.dateChanged) || a.id - b.id
+  );
+
+  const versions = [];
+  const first = sorted[0];
+  if (first && parse(first.oldValues)) {
+    versions.push({ version: 0, snapshot: parse(first.oldValues), entry: null, changes: [] });
+  }
+
+  sorted.forEach((entry, index) => {
+    const before = parse(entry.oldValues);
+    const after = parse(entry.newValues);
+    versions.push({
+      version: index + 1,
+      snapshot: after,
+      entry,
+      changes: diffSnapshots(before, after)
+    });
+  });
+
+  return versions;
+};
+
+/**
+ * Record a change in tblaudit
+ * @async
+ * @param {Object} change - The change
+ * @param {string} change.entity - Key of AUDIT_ENTITIES
+ * @param {string|number} change.recordKey - Record identifier (fixture ID for results and
+ * fixtures, "leagueID-teamID" for standings)
+ * @param {string} change.action - Key of AUDIT_ACTIONS
+ * @param {Object|null} change.before - Record before the change (null when created)
+ * @param {Object|null} change.after - Record after the change (null when deleted)
+ * @returns {Promise<void>}
+ * @description Updates that change none of the audited fields are not recorded. Failures are
+ * logged rather than thrown so an audit problem never blocks saving a result.
+ */
+export const recordAudit = async ({ entity, recordKey, action, before, after }) => {
+  const beforeSnapshot = pickAuditFields(entity, before);
+  const afterSnapshot = pickAuditFields(entity, after);
+
+  if (action === 'update' && diffSnapshots(beforeSnapshot, afterSnapshot).length === 0) {
+    return;
+  }
+
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const dateChanged = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+  try {
+    const result = await crudRequest('create', {
+      table: 'tblaudit',
+      data: {
+        entity,
+        recordKey: String(recordKey),
+        action,
+        oldValues: beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+        newValues: afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+        changedBy: getUser()?.id || null,
+        dateChanged
+      }
+    });
+
+    if (result.status_code !== 200) {
+      console.error('Failed to record audit entry:', result.message);
+    }
+  } catch (err) {
+    console.error('Error recording audit entry:', err);
+  }
+};
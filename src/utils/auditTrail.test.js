@@ -0,0 +1,120 @@
+/**
+ * @file auditTrail.test.js
+ * @description Tests for the result and standings audit trail
+ * @module utils/auditTrail.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { crudRequest } from './authHelpers';
+import { pickAuditFields, diffSnapshots, formatAuditValue, buildVersions, recordAudit } from './auditTrail';
+
+vi.mock('./authHelpers', () => ({
+  crudRequest: vi.fn(),
+  getUser: vi.fn(() => ({ id: 7 }))
+}));
+
+describe('pickAuditFields', () => {
+  it('should keep only the audited fields', () => {
+    const fixture = { id: 4, homeTeam: 1, awayTeam: 2, status: 2, venue: 'Exeter', homeTeamName: 'Exeter' };
+    expect(pickAuditFields('fixture', fixture)).toEqual({ status: 2, statusReason: null, date: null, venue: 'Exeter', referee: null });
+  });
+
+  it('should return null for a missing record', () => {
+    expect(pickAuditFields('result', null)).toBeNull();
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('should list changed fields', () => {
+    expect(diffSnapshots({ homeScore: 10, awayScore: 5 }, { homeScore: 12, awayScore: 5 })).toEqual([
+      { field: 'homeScore', before: 10, after: 12 }
+    ]);
+  });
+
+  it('should treat numbers and numeric strings as equal', () => {
+    expect(diffSnapshots({ homeScore: 10 }, { homeScore: '10' })).toEqual([]);
+  });
+
+  it('should compare scorers stored as JSON strings with parsed arrays', () => {
+    const scorers = [{ playerName: 'Smith', scoreType: 'try', points: 5 }];
+    expect(diffSnapshots({ homeScorers: JSON.stringify(scorers) }, { homeScorers: scorers })).toEqual([]);
+  });
+
+  it('should report every field when a record is created', () => {
+    expect(diffSnapshots(null, { status: 2 })).toEqual([{ field: 'status', before: null, after: 2 }]);
+  });
+});
+
+describe('formatAuditValue', () => {
+  it('should list scorers by name', () => {
+    const scorers = JSON.stringify([{ playerName: 'Smith', scoreType: 'try', points: 5 }]);
+    expect(formatAuditValue(scorers)).toBe('Smith (try, 5)');
+  });
+
+  it('should show empty values as a dash', () => {
+    expect(formatAuditValue(null)).toBe('-');
+    expect(formatAuditValue('[]')).toBe('None');
+  });
+});
+
+describe('buildVersions', () => {
+  it('should number versions oldest first and include the original record', () => {
+    const entries = [
+      { id: 2, action: 'update', oldValues: '{"homeScore":12}', newValues: '{"homeScore":15}', dateChanged: '2025-09-07 10:00:00' },
+      { id: 1, action: 'update', oldValues: '{"homeScore":10}', newValues: '{"homeScore":12}', dateChanged: '2025-09-06 18:00:00' }
+    ];
+
+    const versions = buildVersions(entries);
+
+    expect(versions.map(v => v.version)).toEqual([0, 1, 2]);
+    expect(versions[0].snapshot).toEqual({ homeScore: 10 });
+    expect(versions[2].snapshot).toEqual({ homeScore: 15 });
+    expect(versions[2].changes).toEqual([{ field: 'homeScore', before: 12, after: 15 }]);
+  });
+
+  it('should start at version 1 for records created with auditing', () => {
+    const entries = [{ id: 1, action: 'create', oldValues: null, newValues: '{"homeScore":10}', dateChanged: '2025-09-06 18:00:00' }];
+    expect(buildVersions(entries).map(v => v.version)).toEqual([1]);
+  });
+});
+
+describe('recordAudit', () => {
+  beforeEach(() => {
+    crudRequest.mockReset();
+    crudRequest.mockResolvedValue({ status_code: 200 });
+  });
+
+  it('should store before and after snapshots with the user who made the change', async () => {
+    await recordAudit({
+      entity: 'fixture',
+      recordKey: 4,
+      action: 'update',
+      before: { status: 0, venue: 'Exeter' },
+      after: { status: 2, venue: 'Exeter' }
+    });
+
+    expect(crudRequest).toHaveBeenCalledWith('create', expect.objectContaining({
+      table: 'tblaudit',
+      data: expect.objectContaining({
+        entity: 'fixture',
+        recordKey: '4',
+        action: 'update',
+        oldValues: JSON.stringify({ status: 0, statusReason: null, date: null, venue: 'Exeter', referee: null }),
+        newValues: JSON.stringify({ status: 2, statusReason: null, date: null, venue: 'Exeter', referee: null }),
+        changedBy: 7
+      })
+    }));
+  });
+
+  it('should skip updates that change no audited fields', async () => {
+    await recordAudit({
+      entity: 'standing',
+      recordKey: '1-2',
+      action: 'update',
+      before: { id: 3, points: 10 },
+      after: { points: 10 }
+    });
+
+    expect(crudRequest).not.toHaveBeenCalled();
+  });
+});
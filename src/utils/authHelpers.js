@@ -152,7 +152,7 @@ export const makePublicRequest = async (endpoint, method = 'POST', body = null)
 /**
  * Public CRUD read operation (no authentication required)
  * Uses the /api/public/read endpoint for public data access
- * Allowed tables: tblfixtures, tblteams, tblleagues, tblresults, tblstandings
+ * Allowed tables: tblfixtures, tblteams, tblleagues, tblresults, tblstandings, tblsanctions
  * @param {Object} data - Request data (table, conditions, orderBy, limit, etc.)
  * @returns {Promise<Object>} The API response
  */
@@ -0,0 +1,337 @@
+/**
+ * @file competitionRules.js
+ * @description Per-league competition rules profiles used by the standings calculator
+ * @module utils/competitionRules
+ *
+ * A rules profile sets how a league awards match and bonus points and scores walkovers and
+ * abandoned matches. It also holds the tiebreak chain for teams level on points
+ * (tiebreakers.js), the promotion, play-off and relegation places (leagueZones.js) and any
+ * pool phases (pools.js).
+ * Profiles are stored as JSON in the `rules` column of tblleagues and edited in LeaguesAdmin.
+ * Leagues without a stored profile fall back to DEFAULT_RULES.
+ */
+
+import { isResultConfirmed } from './resultConfirmation';
+
+/**
+ * Try bonus point variants
+ * - none: no try bonus point is awarded
+ * - tries: bonus for scoring at least `tryBonusThreshold` tries (e.g. 4+ tries)
+ * - margin: bonus for scoring at least `tryBonusThreshold` more tries than the opponent (RFU)
+ */
+export const TRY_BONUS_TYPES = {
+  none: 'No try bonus',
+  tries: 'Tries scored (e.g. 4+ tries)',
+  margin: 'Try margin over opponent (e.g. 3 more tries)'
+};
+
+/**
+ * How a new pool phase starts when the pools split (see pools.js)
+ * - none: every team starts the phase on zero
+ * - results: results from the previous phase against teams in the same new pool are carried forward
+ * - points: each team's whole record from its previous pool is carried forward
+ */
+export const CARRY_FORWARD_TYPES = {
+  none: 'Start from zero',
+  results: 'Carry forward results against teams in the same new pool',
+  points: 'Carry forward all points from the previous pool'
+};
+
+/**
+ * Result types stored in the `resultType` column of tblresults
+ * - played: a match decided on the pitch
+ * - walkover: one side conceded; the other is awarded the league's walkover points and notional score
+ */
+export const RESULT_TYPES = {
+  played: 'Played',
+  walkover: 'Walkover / conceded'
+};
+
+/**
+ * Default rules profile - matches the original hard-coded standings rules
+ * @type {Object}
+ */
+export const DEFAULT_RULES = {
+  winPoints: 4,
+  drawPoints: 2,
+  lossPoints: 0,
+  tryBonusType: 'tries',
+  tryBonusThreshold: 4,
+  losingBonusEnabled: true,
+  losingBonusMargin: 7,
+  walkoverPoints: 5,
+  walkoverScoreFor: 25,
+  walkoverScoreAgainst: 0,
+  walkoverPenalty: 0,
+  abandonedResultEnabled: false,
+  abandonedResultMinute: 60,
+  tiebreakers: ['pointsDifference', 'pointsFor'],
+  manualOrder: [],
+  promotionPlaces: 0,
+  playoffPlaces: 0,
+  relegationPlaces: 0,
+  seeds: [],
+  phases: []
+};
+
+/**
+ * Preset rules profiles offered in LeaguesAdmin
+ * @type {Object<string, {label: string, rules: Object}>}
+ */
+export const RULES_PRESETS = {
+  standard: {
+    label: 'Standard league (4+ tries, lose by 7 or less)',
+    rules: { ...DEFAULT_RULES }
+  },
+  rfu: {
+    label: 'RFU (3 more tries than opponent, lose by 7 or less)',
+    rules: {
+      ...DEFAULT_RULES,
+      tryBonusType: 'margin',
+      tryBonusThreshold: 3,
+      tiebreakers: ['won', 'pointsDifference', 'pointsFor', 'headToHead', 'manual']
+    }
+  },
+  cup: {
+    label: 'Cup (no bonus points)',
+    rules: {
+      ...DEFAULT_RULES,
+      tryBonusType: 'none',
+      losingBonusEnabled: false
+    }
+  }
+};
+
+/**
+ * Parse a league's stored rules profile
+ * @param {Object|string|null} rules - The league's `rules` value (JSON string or object)
+ * @returns {Object} A complete rules profile with defaults applied for any missing values
+ */
+export const parseRules = (rules) => {
+  let parsed = {};
+
+  try {
+    parsed = rules
+      ? (typeof rules === 'string' ? JSON.parse(rules) : rules)
+      : {};
+  } catch (err) {
+    console.error('Error parsing league rules, using defaults:', err);
+    parsed = {};
+  }
+
+  const merged = { ...DEFAULT_RULES, ...(parsed || {}) };
+
+  // Coerce numeric fields, as form inputs and JSON may hand us strings
+  [
+    'winPoints', 'drawPoints', 'lossPoints', 'tryBonusThreshold', 'losingBonusMargin',
+    'walkoverPoints', 'walkoverScoreFor', 'walkoverScoreAgainst', 'walkoverPenalty', 'abandonedResultMinute',
+    'promotionPlaces', 'playoffPlaces', 'relegationPlaces'
+  ].forEach(field => {
+    const value = parseInt(merged[field]);
+    merged[field] = isNaN(value) ? DEFAULT_RULES[field] : value;
+  });
+
+  if (!TRY_BONUS_TYPES[merged.tryBonusType]) {
+    merged.tryBonusType = DEFAULT_RULES.tryBonusType;
+  }
+  merged.losingBonusEnabled = !!merged.losingBonusEnabled;
+  merged.abandonedResultEnabled = !!merged.abandonedResultEnabled;
+
+  // Tiebreak chain (ids from tiebreakers.js) and manual/coin-toss ordering of team IDs
+  merged.tiebreakers = Array.isArray(merged.tiebreakers) ? [...merged.tiebreakers] : [...DEFAULT_RULES.tiebreakers];
+  merged.manualOrder = Array.isArray(merged.manualOrder)
+    ? merged.manualOrder.map(id => parseInt(id)).filter(id => !isNaN(id))
+    : [];
+
+  // Knockout cup entrants, top seed first (see knockout.js)
+  merged.seeds = Array.isArray(merged.seeds)
+    ? merged.seeds.map(id => parseInt(id)).filter(id => !isNaN(id))
+    : [];
+
+  // Pool phases, first phase first, each splitting the league's teams into pools (see pools.js)
+  merged.phases = Array.isArray(merged.phases)
+    ? merged.phases.map(phase => ({
+        name: phase?.name || '',
+        carryForward: CARRY_FORWARD_TYPES[phase?.carryForward] ? phase.carryForward : 'none',
+        pools: Array.isArray(phase?.pools)
+          ? phase.pools.map(pool => ({
+              name: pool?.name || '',
+              teams: Array.isArray(pool?.teams)
+                ? pool.teams.map(id => parseInt(id)).filter(id => !isNaN(id))
+                : []
+            }))
+          : []
+      }))
+    : [];
+
+  return merged;
+};
+
+/**
+ * Get the rules profile for a league record
+ * @param {Object} league - League record from tblleagues
+ * @returns {Object} The league's rules profile
+ */
+export const getLeagueRules = (league) => parseRules(league?.rules);
+
+/**
+ * Get the side that conceded a walkover result
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @param {Object} result - Result from tblresults
+ * @returns {'home'|'away'|null} The conceding side, or null if the match was played
+ */
+export const getConcedingSide = (fixture, result) => {
+  if (result?.resultType !== 'walkover' || !result.concededBy) return null;
+  return parseInt(result.concededBy) === fixture.homeTeam ? 'home' : 'away';
+};
+
+/**
+ * Get the notional score recorded for a walkover
+ * @param {'home'|'away'} concedingSide - The side that conceded
+ * @param {Object} [rules=DEFAULT_RULES] - Rules profile to apply
+ * @returns {{homeScore: number, awayScore: number}} The notional score
+ */
+export const getWalkoverScore = (concedingSide, rules = DEFAULT_RULES) => {
+  const profile = parseRules(rules);
+  return concedingSide === 'home'
+    ? { homeScore: profile.walkoverScoreAgainst, awayScore: profile.walkoverScoreFor }
+    : { homeScore: profile.walkoverScoreFor, awayScore: profile.walkoverScoreAgainst };
+};
+
+/**
+ * Whether a fixture's result counts towards the league table
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @param {Object|null} result - The fixture's result from tblresults
+ * @param {Object} [rules=DEFAULT_RULES] - Rules profile to apply
+ * @returns {boolean} True for completed matches (including walkovers) with a confirmed result,
+ * and for abandoned matches stopped at or after the league's abandoned-result minute
+ */
+export const countsInStandings = (fixture, result, rules = DEFAULT_RULES) => {
+  if (!isResultConfirmed(result)) return false;
+  if (fixture.status === 2) return true;
+
+  if (fixture.status === 4) {
+    const profile = parseRules(rules);
+    const minute = parseInt(result.abandonedMinute);
+    return profile.abandonedResultEnabled && !isNaN(minute) && minute >= profile.abandonedResultMinute;
+  }
+
+  return false;
+};
+
+/**
+ * Calculate the league points each side earns from a single match
+ * @param {Object} match - Match details
+ * @param {number} match.homeScore - Home team score
+ * @param {number} match.awayScore - Away team score
+ * @param {number} match.homeTries - Tries scored by the home team
+ * @param {number} match.awayTries - Tries scored by the away team
+ * @param {'home'|'away'|null} [match.concededBy] - Side that conceded a walkover
+ * @param {Object} [rules=DEFAULT_RULES] - Rules profile to apply
+ * @returns {{home: Object, away: Object}} For each side: outcome ('won'|'drawn'|'lost'),
+ * matchPoints, bonusPoints and total points
+ */
+export const calculateMatchPoints = (match, rules = DEFAULT_RULES) => {
+  const profile = parseRules(rules);
+  const { homeScore, awayScore, homeTries = 0, awayTries = 0, concededBy = null } = match;
+
+  // Walkovers award fixed points, with no bonus points, and may penalise the conceding side
+  if (concededBy) {
+    const winner = { outcome: 'won', matchPoints: profile.walkoverPoints, bonusPoints: 0, points: profile.walkoverPoints };
+    const loser = { outcome: 'lost', matchPoints: -profile.walkoverPenalty, bonusPoints: 0, points: -profile.walkoverPenalty };
+    return concededBy === 'home'
+      ? { home: loser, away: winner }
+      : { home: winner, away: loser };
+  }
+
+  const sideFor = (score, oppScore, tries, oppTries) => {
+    let outcome;
+    let matchPoints;
+    let bonusPoints = 0;
+
+    if (score > oppScore) {
+      outcome = 'won';
+      matchPoints = profile.winPoints;
+    } else if (score < oppScore) {
+      outcome = 'lost';
+      matchPoints = profile.lossPoints;
+
+      // Losing bonus point (within the configured margin)
+      if (profile.losingBonusEnabled && oppScore - score <= profile.losingBonusMargin) {
+        bonusPoints++;
+      }
+    } else {
+      outcome = 'drawn';
+      matchPoints = profile.drawPoints;
+    }
+
+    // Try bonus point
+    if (profile.tryBonusType === 'tries' && tries >= profile.tryBonusThreshold) {
+      bonusPoints++;
+    } else if (profile.tryBonusType === 'margin' && tries - oppTries >= profile.tryBonusThreshold) {
+      bonusPoints++;
+    }
+
+    return {
+      outcome,
+      matchPoints,
+      bonusPoints,
+      points: matchPoints + bonusPoints
+    };
+  };
+
+  return {
+    home: sideFor(homeScore, awayScore, homeTries, awayTries),
+    away: sideFor(awayScore, homeScore, awayTries, homeTries)
+  };
+};
+
+/**
+ * Build a short human-readable list describing a rules profile
+ * @param {Object} rules - Rules profile
+ * @returns {Array<string>} Descriptions, e.g. ["Win: 4 points", ...]
+ */
+export const describeRules = (rules) => {
+  const profile = parseRules(rules);
+  const lines = [
+    `Win: ${profile.winPoints} points`,
+    `Draw: ${profile.drawPoints} points`,
+    `Loss: ${profile.lossPoints} points`
+  ];
+
+  if (profile.tryBonusType === 'tries') {
+    lines.push(`Bonus: +1 point for scoring ${profile.tryBonusThreshold} or more tries`);
+  } else if (profile.tryBonusType === 'margin') {
+    lines.push(`Bonus: +1 point for scoring ${profile.tryBonusThreshold} or more tries than the opponent`);
+  }
+
+  if (profile.losingBonusEnabled) {
+    lines.push(`Bonus: +1 point for losing by ${profile.losingBonusMargin} points or less`);
+  }
+
+  lines.push(
+    `Walkover: ${profile.walkoverPoints} points (${profile.walkoverScoreFor}-${profile.walkoverScoreAgainst})` +
+    (profile.walkoverPenalty > 0 ? `, -${profile.walkoverPenalty} for the conceding side` : '')
+  );
+
+  if (profile.abandonedResultEnabled) {
+    lines.push(`Abandoned matches count after ${profile.abandonedResultMinute} minutes`);
+  }
+
+  const zones = [
+    profile.promotionPlaces > 0 && `top ${profile.promotionPlaces} promoted`,
+    profile.playoffPlaces > 0 && `next ${profile.playoffPlaces} in the play-offs`,
+    profile.relegationPlaces > 0 && `bottom ${profile.relegationPlaces} relegated`
+  ].filter(Boolean);
+
+  if (zones.length > 0) {
+    lines.push(`Table: ${zones.join(', ')}`);
+  }
+
+  const phase = profile.phases[profile.phases.length - 1];
+  if (phase) {
+    lines.push(`${phase.name || 'Pools'}: ${phase.pools.map(pool => pool.name).join(', ')}`);
+  }
+
+  return lines;
+};
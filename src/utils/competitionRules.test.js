@@ -0,0 +1,135 @@
+/**
+ * @file competitionRules.test.js
+ * @description Tests for competition rules profiles
+ * @module utils/competitionRules.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RULES,
+  RULES_PRESETS,
+  parseRules,
+  calculateMatchPoints,
+  getConcedingSide,
+  getWalkoverScore,
+  countsInStandings,
+  describeRules
+} from './competitionRules';
+
+describe('parseRules', () => {
+  it('should return the default rules when none are stored', () => {
+    expect(parseRules(null)).toEqual(DEFAULT_RULES);
+  });
+
+  it('should parse a JSON string and fill in missing values', () => {
+    const rules = parseRules('{"winPoints": "5", "tryBonusType": "margin"}');
+    expect(rules.winPoints).toBe(5);
+    expect(rules.tryBonusType).toBe('margin');
+    expect(rules.drawPoints).toBe(DEFAULT_RULES.drawPoints);
+  });
+
+  it('should fall back to defaults for invalid JSON', () => {
+    expect(parseRules('not json')).toEqual(DEFAULT_RULES);
+  });
+});
+
+describe('calculateMatchPoints', () => {
+  it('should award the default win, loss and bonus points', () => {
+    const points = calculateMatchPoints({ homeScore: 28, awayScore: 24, homeTries: 4, awayTries: 3 });
+
+    expect(points.home).toEqual({ outcome: 'won', matchPoints: 4, bonusPoints: 1, points: 5 });
+    expect(points.away).toEqual({ outcome: 'lost', matchPoints: 0, bonusPoints: 1, points: 1 });
+  });
+
+  it('should award draw points to both sides', () => {
+    const points = calculateMatchPoints({ homeScore: 10, awayScore: 10, homeTries: 2, awayTries: 2 });
+
+    expect(points.home.outcome).toBe('drawn');
+    expect(points.home.points).toBe(2);
+    expect(points.away.points).toBe(2);
+  });
+
+  it('should use the try margin over the opponent for the RFU preset', () => {
+    const rules = RULES_PRESETS.rfu.rules;
+
+    const narrow = calculateMatchPoints({ homeScore: 30, awayScore: 20, homeTries: 4, awayTries: 2 }, rules);
+    expect(narrow.home.bonusPoints).toBe(0);
+
+    const wide = calculateMatchPoints({ homeScore: 35, awayScore: 10, homeTries: 5, awayTries: 2 }, rules);
+    expect(wide.home.bonusPoints).toBe(1);
+  });
+
+  it('should award no bonus points for the cup preset', () => {
+    const points = calculateMatchPoints(
+      { homeScore: 40, awayScore: 35, homeTries: 6, awayTries: 5 },
+      RULES_PRESETS.cup.rules
+    );
+
+    expect(points.home.bonusPoints).toBe(0);
+    expect(points.away.bonusPoints).toBe(0);
+  });
+
+  it('should respect a custom losing bonus margin', () => {
+    const rules = { ...DEFAULT_RULES, losingBonusMargin: 5 };
+    const points = calculateMatchPoints({ homeScore: 20, awayScore: 14, homeTries: 2, awayTries: 2 }, rules);
+
+    expect(points.away.bonusPoints).toBe(0);
+  });
+});
+
+describe('walkovers', () => {
+  const fixture = { homeTeam: 1, awayTeam: 2, status: 2 };
+
+  it('should find the side that conceded', () => {
+    expect(getConcedingSide(fixture, { resultType: 'walkover', concededBy: 2 })).toBe('away');
+    expect(getConcedingSide(fixture, { resultType: 'played', concededBy: null })).toBeNull();
+  });
+
+  it('should give the notional score to the side that did not concede', () => {
+    expect(getWalkoverScore('home')).toEqual({ homeScore: 0, awayScore: 25 });
+  });
+
+  it('should award walkover points and apply the conceding penalty', () => {
+    const rules = { ...DEFAULT_RULES, walkoverPenalty: 2 };
+    const points = calculateMatchPoints({ homeScore: 25, awayScore: 0, concededBy: 'away' }, rules);
+
+    expect(points.home).toEqual({ outcome: 'won', matchPoints: 5, bonusPoints: 0, points: 5 });
+    expect(points.away).toEqual({ outcome: 'lost', matchPoints: -2, bonusPoints: 0, points: -2 });
+  });
+});
+
+describe('countsInStandings', () => {
+  const abandoned = { homeTeam: 1, awayTeam: 2, status: 4 };
+
+  it('should count completed matches with a result', () => {
+    expect(countsInStandings({ status: 2 }, { homeScore: 10, awayScore: 5 })).toBe(true);
+    expect(countsInStandings({ status: 2 }, null)).toBe(false);
+  });
+
+  it('should only count confirmed results', () => {
+    expect(countsInStandings({ status: 2 }, { homeScore: 10, awayScore: 5, confirmationStatus: 'submitted' })).toBe(false);
+    expect(countsInStandings({ status: 2 }, { homeScore: 10, awayScore: 5, confirmationStatus: 'disputed' })).toBe(false);
+    expect(countsInStandings({ status: 2 }, { homeScore: 10, awayScore: 5, confirmationStatus: 'confirmed' })).toBe(true);
+  });
+
+  it('should ignore abandoned matches by default', () => {
+    expect(countsInStandings(abandoned, { abandonedMinute: 70 })).toBe(false);
+  });
+
+  it('should count abandoned matches from the configured minute', () => {
+    const rules = { ...DEFAULT_RULES, abandonedResultEnabled: true, abandonedResultMinute: 60 };
+
+    expect(countsInStandings(abandoned, { abandonedMinute: 59 }, rules)).toBe(false);
+    expect(countsInStandings(abandoned, { abandonedMinute: 60 }, rules)).toBe(true);
+    expect(countsInStandings(abandoned, { abandonedMinute: null }, rules)).toBe(false);
+  });
+});
+
+describe('describeRules', () => {
+  it('should describe the abandoned match rule in minutes played', () => {
+    const rules = { ...DEFAULT_RULES, abandonedResultEnabled: true, abandonedResultMinute: 61 };
+
+    expect(describeRules(rules)).toContain('Abandoned matches count after 61 minutes');
+    expect(describeRules(DEFAULT_RULES).some(line => line.startsWith('Abandoned'))).toBe(false);
+  });
+});
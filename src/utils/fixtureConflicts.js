@@ -0,0 +1,151 @@
+/**
+ * @file fixtureConflicts.js
+ * @description Fixture clash detection for scheduling
+ * @module utils/fixtureConflicts
+ *
+ * Checks new or edited fixtures against the existing fixture list (and against each
+ * other, for generated schedules). Used by FixturesAdmin when a fixture is saved and
+ * by FixtureGenerator before a season is created.
+ * Cancelled fixtures (status 3) and postponed ones waiting for a new date (status 5) never clash.
+ */
+
+/**
+ * Length of time a fixture occupies a venue or referee, in minutes
+ * @type {number}
+ */
+export const MATCH_DURATION_MINUTES = 120;
+
+/**
+ * Conflict types and whether they block saving ('block') or only warn ('warn').
+ * Venue clashes only warn, as some grounds have more than one pitch.
+ * @type {Object<string, {label: string, severity: string}>}
+ */
+export const CONFLICT_TYPES = {
+  team: { label: 'Team playing twice on the same day', severity: 'block' },
+  venue: { label: 'Venue double-booked', severity: 'warn' },
+  referee: { label: 'Referee has overlapping matches', severity: 'block' }
+};
+
+/**
+ * Calendar day of a fixture date, in local time
+ * @param {string|Date} date - Fixture date
+ * @returns {string} YYYY-MM-DD
+ */
+const getDay = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Whether two fixtures overlap in time
+ * @param {Object} a - Fixture
+ * @param {Object} b - Fixture
+ * @returns {boolean} True if the kick-offs are less than a match length apart
+ */
+const overlaps = (a, b) => {
+  const gap = Math.abs(new Date(a.date) - new Date(b.date));
+  return gap < MATCH_DURATION_MINUTES * 60 * 1000;
+};
+
+/**
+ * Find the conflicts between two fixtures
+ * @param {Object} fixture - Fixture being checked
+ * @param {Object} other - Fixture it may clash with
+ * @returns {Array<Object>} Conflicts as {type, severity, fixture, clashesWith, teamID?}
+ */
+const compareFixtures = (fixture, other) => {
+  const conflicts = [];
+  const conflict = (type, extra = {}) => ({
+    type,
+    severity: CONFLICT_TYPES[type].severity,
+    fixture,
+    clashesWith: other,
+    ...extra
+  });
+
+  if (getDay(fixture.date) === getDay(other.date)) {
+    [fixture.homeTeam, fixture.awayTeam]
+      .filter(teamID => teamID === other.homeTeam || teamID === other.awayTeam)
+      .forEach(teamID => conflicts.push(conflict('team', { teamID })));
+  }
+
+  if (overlaps(fixture, other)) {
+    if (fixture.venue && other.venue &&
+        fixture.venue.trim().toLowerCase() === other.venue.trim().toLowerCase()) {
+      conflicts.push(conflict('venue'));
+    }
+
+    if (fixture.referee && fixture.referee === other.referee) {
+      conflicts.push(conflict('referee'));
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Find scheduling conflicts for new or edited fixtures
+ * @param {Array<Object>} candidates - Fixtures being saved ({id?, homeTeam, awayTeam, date, venue, referee})
+ * @param {Array<Object>} existing - Fixtures already in tblfixtures
+ * @returns {Array<Object>} Conflicts as {type, severity, fixture, clashesWith, teamID?}
+ * - `fixture` is the candidate, `clashesWith` the existing fixture or earlier candidate
+ */
+export const findConflicts = (candidates, existing) => {
+  const conflicts = [];
+  // Cancelled fixtures and postponed ones still waiting for a new date take up no slot
+  const active = (fixture) => fixture.status !== 3 && fixture.status !== 5;
+
+  candidates.filter(active).forEach((fixture, index) => {
+    // An edited fixture must not clash with its own saved version
+    const others = [
+      ...existing.filter(other => active(other) && (!fixture.id || other.id !== fixture.id)),
+      ...candidates.slice(0, index).filter(active)
+    ];
+
+    others.forEach(other => {
+      conflicts.push(...compareFixtures(fixture, other));
+    });
+  });
+
+  return conflicts;
+};
+
+/**
+ * Whether any conflict should stop the fixtures being saved
+ * @param {Array<Object>} conflicts - Conflicts from findConflicts
+ * @returns {boolean} True if any conflict is blocking
+ */
+export const hasBlockingConflicts = (conflicts) => {
+  return conflicts.some(conflict => conflict.severity === 'block');
+};
+
+/**
+ * Describe a conflict for display
+ * @param {Object} conflict - Conflict from findConflicts
+ * @param {Function} getTeamName - Returns a team name for a team ID
+ * @param {Function} [getRefereeName] - Returns a referee name for a user ID
+ * @returns {string} e.g. "Exmouth is also playing in Exmouth v Sidmouth (Sat 6 Sep 2025, 15:00)"
+ */
+export const describeConflict = (conflict, getTeamName, getRefereeName = (id) => `Referee #${id}`) => {
+  const other = conflict.clashesWith;
+  const when = new Date(other.date).toLocaleString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const match = `${getTeamName(other.homeTeam)} v ${getTeamName(other.awayTeam)} (${when})`;
+
+  switch (conflict.type) {
+    case 'team':
+      return `${getTeamName(conflict.teamID)} is also playing in ${match}`;
+    case 'venue':
+      return `${other.venue} is also booked for ${match}`;
+    case 'referee':
+      return `${getRefereeName(conflict.fixture.referee)} is also refereeing ${match}`;
+    default:
+      return match;
+  }
+};
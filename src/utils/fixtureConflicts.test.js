@@ -0,0 +1,81 @@
+/**
+ * @file fixtureConflicts.test.js
+ * @description Tests for fixture clash detection
+ * @module utils/fixtureConflicts.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findConflicts, hasBlockingConflicts, describeConflict } from './fixtureConflicts';
+
+const existing = [
+  { id: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'Exmouth RFC', referee: 7, status: 0 },
+  { id: 2, homeTeam: 3, awayTeam: 4, date: '2025-09-06 12:00:00', venue: 'Sidmouth RFC', referee: null, status: 3 }
+];
+
+describe('findConflicts', () => {
+  it('should block a team playing twice on the same day', () => {
+    const conflicts = findConflicts([
+      { homeTeam: 5, awayTeam: 2, date: '2025-09-06 11:00:00', venue: 'Tiverton RFC', status: 0 }
+    ], existing);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ type: 'team', teamID: 2, severity: 'block' });
+    expect(conflicts[0].clashesWith.id).toBe(1);
+    expect(hasBlockingConflicts(conflicts)).toBe(true);
+  });
+
+  it('should warn about a venue booked at overlapping times', () => {
+    const conflicts = findConflicts([
+      { homeTeam: 5, awayTeam: 6, date: '2025-09-06 16:00:00', venue: 'exmouth rfc ', status: 0 }
+    ], existing);
+
+    expect(conflicts.map(c => c.type)).toEqual(['venue']);
+    expect(hasBlockingConflicts(conflicts)).toBe(false);
+  });
+
+  it('should block a referee with overlapping matches', () => {
+    const conflicts = findConflicts([
+      { homeTeam: 5, awayTeam: 6, date: '2025-09-06 14:00:00', venue: 'Tiverton RFC', referee: 7, status: 0 }
+    ], existing);
+
+    expect(conflicts.map(c => c.type)).toEqual(['referee']);
+  });
+
+  it('should ignore cancelled fixtures and the fixture being edited', () => {
+    const conflicts = findConflicts([
+      { id: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'Exmouth RFC', referee: 7, status: 0 },
+      { homeTeam: 3, awayTeam: 8, date: '2025-09-06 15:00:00', venue: 'Crediton RFC', status: 0 }
+    ], existing);
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should ignore postponed fixtures waiting for a new date', () => {
+    const conflicts = findConflicts([
+      { homeTeam: 5, awayTeam: 2, date: '2025-09-06 11:00:00', venue: 'Tiverton RFC', status: 0 }
+    ], existing.map(f => ({ ...f, status: 5 })));
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should check new fixtures against each other', () => {
+    const conflicts = findConflicts([
+      { homeTeam: 5, awayTeam: 6, date: '2025-09-13 15:00:00', venue: 'A', status: 0 },
+      { homeTeam: 6, awayTeam: 8, date: '2025-09-13 18:00:00', venue: 'B', status: 0 }
+    ], existing);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].teamID).toBe(6);
+  });
+});
+
+describe('describeConflict', () => {
+  it('should name the team and the fixture it clashes with', () => {
+    const [conflict] = findConflicts([
+      { homeTeam: 5, awayTeam: 2, date: '2025-09-06 11:00:00', venue: 'Tiverton RFC', status: 0 }
+    ], existing);
+    const names = { 1: 'Exmouth', 2: 'Sidmouth', 5: 'Tiverton' };
+
+    expect(describeConflict(conflict, id => names[id])).toMatch(/^Sidmouth is also playing in Exmouth v Sidmouth/);
+  });
+});
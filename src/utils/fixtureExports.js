@@ -1,12 +1,29 @@
 /**
  * @file fixtureExports.js
- * @description Utilities for exporting fixtures to PDF and iCalendar formats
+ * @description Utilities for exporting fixtures and league tables to PDF, fixtures to iCalendar,
+ * and fixtures, results and standings to CSV or Excel
  * @module utils/fixtureExports
  */
 
 import { jsPDF } from 'jspdf';
 import { createEvents } from 'ics';
 import { formatDate, formatTime } from './dateHelpers';
+import { getSetting } from './settings';
+import { CLINCHED_STATUSES, getZone, getZoneLegend } from './leagueZones';
+import { isResultConfirmed } from './resultConfirmation';
+import { getConcedingSide } from './competitionRules';
+import { SCORE_TYPE_LABELS } from './matchTimeline';
+import { parseScorers } from './players';
+
+/**
+ * Row shading for the league table zones (RGB)
+ * @type {Object<string, Array<number>>}
+ */
+const ZONE_FILLS = {
+  promotion: [220, 245, 228],
+  playoff: [227, 238, 250],
+  relegation: [253, 228, 228]
+};
 
 /**
  * Draw a table manually on PDF
@@ -15,8 +32,11 @@ import { formatDate, formatTime } from './dateHelpers';
  * @param {Array} data - Table data rows
  * @param {number} startY - Starting Y position
  * @param {Array} columnWidths - Width of each column
+ * @param {Array<Array<number>|null>} [rowFills=[]] - Background colour (RGB) for each row,
+ * replacing the alternating shading
+ * @returns {number} Y position below the table
  */
-const drawTable = (doc, headers, data, startY, columnWidths) => {
+const drawTable = (doc, headers, data, startY, columnWidths, rowFills = []) => {
   const startX = 10;
   const rowHeight = 8;
   const headerHeight = 10;
@@ -51,8 +71,12 @@ const drawTable = (doc, headers, data, startY, columnWidths) => {
       currentY = 20;
     }
     
-    // Alternate row colors
-    if (rowIndex % 2 === 0) {
+    // Alternate row colors, unless the row has its own shading
+    if (rowFills[rowIndex]) {
+      doc.setFillColor(...rowFills[rowIndex]);
+      let totalWidth = columnWidths.reduce((a, b) => a + b, 0);
+      doc.rect(startX, currentY, totalWidth, rowHeight, 'F');
+    } else if (rowIndex % 2 === 0) {
       doc.setFillColor(245, 245, 245);
       let totalWidth = columnWidths.reduce((a, b) => a + b, 0);
       doc.rect(startX, currentY, totalWidth, rowHeight, 'F');
@@ -71,6 +95,8 @@ const drawTable = (doc, headers, data, startY, columnWidths) => {
     
     currentY += rowHeight;
   });
+
+  return currentY;
 };
 
 /**
@@ -143,6 +169,89 @@ export const generateLeagueFixturesPDF = (fixtures, leagues, teams, currentSeaso
   doc.save(`Devon_RFU_Colts_Fixtures_${currentSeason}.pdf`);
 };
 
+/**
+ * Generate PDF with league tables (one page per league)
+ * @param {Array<Object>} tables - One entry per league or pool: { league, pool, standings, statuses },
+ * where pool comes from getPools (null for a whole league), standings are ranked rows with
+ * teamName and statuses come from getClinchedStatuses
+ * @param {string} season - Season identifier
+ * @description Creates a PDF document with one page per league table. Promotion, play-off and
+ * relegation places are shaded, clinched teams are marked, and a legend follows each table.
+ */
+export const generateLeagueTablesPDF = (tables, season) => {
+  const doc = new jsPDF();
+
+  tables.forEach(({ league, pool = null, standings, statuses = {} }, leagueIndex) => {
+    if (leagueIndex > 0) {
+      doc.addPage();
+    }
+
+    // Title
+    doc.setFontSize(18);
+    doc.setFont(undefined, 'bold');
+    doc.text(`${league.leagueName}${pool ? ` ${pool.name}` : ''} - ${league.leagueSeason}`, 105, 20, { align: 'center' });
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'normal');
+    doc.text('Devon RFU Colts League Table', 105, 28, { align: 'center' });
+
+    const tableData = standings.map(standing => {
+      const status = statuses[standing.teamID];
+      return [
+        standing.position,
+        status ? `${standing.teamName} (${CLINCHED_STATUSES[status].badge})` : standing.teamName,
+        standing.played,
+        standing.won,
+        standing.drawn,
+        standing.lost,
+        standing.pointsFor,
+        standing.pointsAgainst,
+        standing.pointsDifference,
+        standing.bonusPoints,
+        standing.points
+      ];
+    });
+
+    // Zones belong to the league as a whole, so pool tables are not shaded
+    const rowFills = standings.map(standing =>
+      pool ? null : ZONE_FILLS[getZone(standing.position, standings.length, league.rules)] || null
+    );
+
+    const columnWidths = [12, 68, 11, 11, 11, 11, 13, 13, 13, 12, 15];
+    let currentY = drawTable(
+      doc,
+      ['Pos', 'Team', 'P', 'W', 'D', 'L', 'PF', 'PA', 'PD', 'BP', 'Pts'],
+      tableData,
+      35,
+      columnWidths,
+      rowFills
+    );
+
+    // Legend
+    doc.setFontSize(9);
+    currentY += 8;
+    (pool ? [] : getZoneLegend(league.rules)).forEach(({ zone, label, places }) => {
+      doc.setFillColor(...ZONE_FILLS[zone]);
+      doc.rect(10, currentY - 4, 6, 5, 'F');
+      doc.text(`${label} (${places} place${places === 1 ? '' : 's'})`, 19, currentY);
+      currentY += 7;
+    });
+
+    if (Object.keys(statuses).length > 0) {
+      doc.text('Promoted / Relegated / Safe: certain whatever the remaining results', 10, currentY);
+    }
+
+    // Footer
+    const pageHeight = doc.internal.pageSize.height;
+    doc.setFontSize(8);
+    doc.setTextColor(128);
+    doc.text(`Generated: ${new Date().toLocaleDateString()}`, 105, pageHeight - 10, { align: 'center' });
+    doc.setTextColor(0);
+  });
+
+  doc.save(`Devon_RFU_Colts_Tables_${season}.pdf`);
+};
+
 /**
  * Generate iCalendar (.ics) file for a specific team's fixtures
  * @param {Array} fixtures - Array of fixture objects
@@ -217,11 +326,171 @@ export const generateTeamCalendar = (fixtures, teamId, teamName, teamMap) => {
 };
 
 /**
- * Get current season from config
+ * Fixture status labels for spreadsheet exports
+ * @type {Object<number, string>}
+ */
+const STATUS_LABELS = {
+  0: 'Scheduled',
+  1: 'Underway',
+  2: 'Completed',
+  3: 'Cancelled',
+  4: 'Abandoned',
+  5: 'Postponed'
+};
+
+/**
+ * Describe a side's scorers in one cell
+ * @param {Array<Object>|string|null} scorers - Scorers stored with a result
+ * @returns {string} e.g. "John Smith (Try 23'); Tom Jones (Conversion 24')"
+ */
+const describeScorers = (scorers) => parseScorers(scorers)
+  .map(scorer => {
+    const type = SCORE_TYPE_LABELS[scorer.scoreType] || scorer.scoreType;
+    const minute = scorer.minute || scorer.minute === 0 ? ` ${scorer.minute}'` : '';
+    return `${scorer.isPenaltyTry ? 'Penalty Try' : scorer.playerName || 'Unknown'} (${type}${minute})`;
+  })
+  .join('; ');
+
+/**
+ * Select fixtures for a spreadsheet export
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} leagues - Leagues from tblleagues
+ * @param {Object} [filters={}] - Filters; empty values include everything
+ * @param {string} [filters.season] - Only fixtures in this season's leagues
+ * @param {number|string} [filters.leagueID] - Only this league's fixtures
+ * @param {number|string} [filters.teamID] - Only fixtures this team plays in
+ * @returns {Array<Object>} Matching fixtures, earliest first
+ */
+export const filterExportFixtures = (fixtures, leagues, { season = '', leagueID = '', teamID = '' } = {}) => {
+  const seasonLeagues = new Set(
+    (leagues || []).filter(league => !season || league.leagueSeason === season).map(league => league.id)
+  );
+
+  return (fixtures || [])
+    .filter(fixture => seasonLeagues.has(fixture.leagueID))
+    .filter(fixture => !leagueID || fixture.leagueID === parseInt(leagueID))
+    .filter(fixture => !teamID || fixture.homeTeam === parseInt(teamID) || fixture.awayTeam === parseInt(teamID))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Build the fixtures spreadsheet
+ * @param {Array<Object>} fixtures - Fixtures to export (see filterExportFixtures)
+ * @param {Array<Object>} teams - Teams from tblteams
+ * @param {Array<Object>} leagues - Leagues from tblleagues
+ * @returns {Array<Array<string|number>>} Headings, then one row per fixture. Dates are written
+ * YYYY-MM-DD and kick-offs HH:MM so other tools can read them.
+ */
+export const buildFixturesSheet = (fixtures, teams, leagues) => {
+  const teamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  return [
+    ['Fixture ID', 'Date', 'Kick-off', 'League', 'Season', 'Home Team', 'Away Team', 'Venue', 'Referee', 'Status', 'Notes'],
+    ...fixtures.map(fixture => {
+      const league = leagues.find(l => l.id === fixture.leagueID);
+      const date = String(fixture.date || '');
+      return [
+        fixture.id,
+        date.slice(0, 10),
+        date.slice(11, 16),
+        league?.leagueName || 'Unknown',
+        league?.leagueSeason || '',
+        teamName(fixture.homeTeam),
+        teamName(fixture.awayTeam),
+        fixture.venue || '',
+        fixture.refereeName || '',
+        STATUS_LABELS[fixture.status] || '',
+        fixture.statusReason || ''
+      ];
+    })
+  ];
+};
+
+/**
+ * Build the results spreadsheet, with each side's scorers
+ * @param {Array<Object>} fixtures - Fixtures to export (see filterExportFixtures)
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Array<Object>} teams - Teams from tblteams
+ * @param {Array<Object>} leagues - Leagues from tblleagues
+ * @returns {Array<Array<string|number>>} Headings, then one row per fixture with a confirmed
+ * result (results still awaiting confirmation or in dispute are left out)
+ */
+export const buildResultsSheet = (fixtures, results, teams, leagues) => {
+  const teamName = (teamID) => teams.find(t => t.id === teamID)?.teamName || 'Unknown';
+
+  const rows = fixtures.flatMap(fixture => {
+    const result = (results || []).find(r => r.fixtureID === fixture.id);
+    if (!result || !isResultConfirmed(result) || ![2, 4].includes(fixture.status)) return [];
+
+    const league = leagues.find(l => l.id === fixture.leagueID);
+    const concededBy = getConcedingSide(fixture, result);
+    const outcome = concededBy
+      ? `Walkover (${teamName(concededBy === 'home' ? fixture.homeTeam : fixture.awayTeam)} conceded)`
+      : fixture.status === 4
+        ? `Abandoned${result.abandonedMinute ? ` (${result.abandonedMinute} min)` : ''}`
+        : 'Played';
+
+    return [[
+      fixture.id,
+      String(fixture.date || '').slice(0, 10),
+      league?.leagueName || 'Unknown',
+      league?.leagueSeason || '',
+      teamName(fixture.homeTeam),
+      parseInt(result.homeScore) || 0,
+      parseInt(result.awayScore) || 0,
+      teamName(fixture.awayTeam),
+      outcome,
+      describeScorers(result.homeScorers),
+      describeScorers(result.awayScorers)
+    ]];
+  });
+
+  return [
+    ['Fixture ID', 'Date', 'League', 'Season', 'Home Team', 'Home Score', 'Away Score', 'Away Team', 'Result', 'Home Scorers', 'Away Scorers'],
+    ...rows
+  ];
+};
+
+/**
+ * Build the standings spreadsheet
+ * @param {Array<Object>} tables - One entry per league or pool, as for generateLeagueTablesPDF
+ * @param {number|string} [teamID=''] - Only this team's rows
+ * @returns {Array<Array<string|number>>} Headings, then one row per team per table
+ */
+export const buildStandingsSheet = (tables, teamID = '') => [
+  ['League', 'Season', 'Pool', 'Pos', 'Team', 'P', 'W', 'D', 'L', 'PF', 'PA', 'PD', 'BP', 'Deducted', 'Pts'],
+  ...tables.flatMap(({ league, pool = null, standings }) => standings
+    .filter(standing => !teamID || standing.teamID === parseInt(teamID))
+    .map(standing => [
+      league.leagueName,
+      league.leagueSeason,
+      pool ? pool.name : '',
+      standing.position,
+      standing.teamName,
+      standing.played,
+      standing.won,
+      standing.drawn,
+      standing.lost,
+      standing.pointsFor,
+      standing.pointsAgainst,
+      standing.pointsDifference,
+      standing.bonusPoints,
+      standing.pointsDeducted || 0,
+      standing.points
+    ]))
+];
+
+/**
+ * Get current season
  * @async
  * @returns {Promise<string>} Current season identifier
+ * @description The season set by the season rollover wizard (tblsettings) wins; otherwise
+ * the currentSeason in .config.json is used.
  */
 export const getCurrentSeason = async () => {
+  const storedSeason = await getSetting('currentSeason');
+  if (storedSeason) return storedSeason;
+
   try {
     const response = await fetch('/.config.json');
     const config = await response.json();
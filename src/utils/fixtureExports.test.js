@@ -0,0 +1,104 @@
+/**
+ * @file fixtureExports.test.js
+ * @description Tests for the fixtures, results and standings spreadsheet exports
+ * @module utils/fixtureExports.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { filterExportFixtures, buildFixturesSheet, buildResultsSheet, buildStandingsSheet } from './fixtureExports';
+
+const teams = [
+  { id: 1, teamName: 'Exmouth Colts' },
+  { id: 2, teamName: 'Sidmouth Colts' },
+  { id: 3, teamName: 'Crediton Colts' }
+];
+
+const leagues = [
+  { id: 10, leagueName: 'Premier', leagueSeason: '2025-26' },
+  { id: 11, leagueName: 'Premier', leagueSeason: '2024-25' }
+];
+
+const fixtures = [
+  { id: 101, leagueID: 10, homeTeam: 2, awayTeam: 3, date: '2025-09-13 14:30:00', venue: 'Blackmore Field', status: 5, statusReason: 'Frozen pitch' },
+  { id: 100, leagueID: 10, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'Imperial Ground', refereeName: 'Alan Ward', status: 2 },
+  { id: 102, leagueID: 10, homeTeam: 3, awayTeam: 1, date: '2025-09-20 15:00:00', venue: 'Crediton RFC', status: 2 },
+  { id: 90, leagueID: 11, homeTeam: 1, awayTeam: 3, date: '2024-09-07 15:00:00', venue: 'Imperial Ground', status: 2 }
+];
+
+describe('filterExportFixtures', () => {
+  it('should filter by season, league and team, earliest first', () => {
+    expect(filterExportFixtures(fixtures, leagues, { season: '2025-26' }).map(f => f.id)).toEqual([100, 101, 102]);
+    expect(filterExportFixtures(fixtures, leagues, { teamID: '1' }).map(f => f.id)).toEqual([90, 100, 102]);
+    expect(filterExportFixtures(fixtures, leagues, { leagueID: '11', teamID: '2' })).toEqual([]);
+  });
+});
+
+describe('buildFixturesSheet', () => {
+  it('should write one row per fixture with readable dates and statuses', () => {
+    const rows = buildFixturesSheet(filterExportFixtures(fixtures, leagues, { season: '2025-26' }), teams, leagues);
+
+    expect(rows[0]).toEqual(['Fixture ID', 'Date', 'Kick-off', 'League', 'Season', 'Home Team', 'Away Team', 'Venue', 'Referee', 'Status', 'Notes']);
+    expect(rows[1]).toEqual([100, '2025-09-06', '15:00', 'Premier', '2025-26', 'Exmouth Colts', 'Sidmouth Colts', 'Imperial Ground', 'Alan Ward', 'Completed', '']);
+    expect(rows[2]).toEqual([101, '2025-09-13', '14:30', 'Premier', '2025-26', 'Sidmouth Colts', 'Crediton Colts', 'Blackmore Field', '', 'Postponed', 'Frozen pitch']);
+  });
+});
+
+describe('buildResultsSheet', () => {
+  it('should include confirmed results with each side\'s scorers', () => {
+    const results = [
+      {
+        fixtureID: 100,
+        homeScore: 12,
+        awayScore: 7,
+        resultType: 'played',
+        confirmationStatus: 'confirmed',
+        homeScorers: JSON.stringify([
+          { playerName: 'Tom Jones', scoreType: 'try', points: 5, minute: 12 },
+          { playerName: 'Tom Jones', scoreType: 'conversion', points: 2, minute: 13 },
+          { playerName: '', scoreType: 'try', points: 5, minute: 70, isPenaltyTry: true }
+        ]),
+        awayScorers: [{ playerName: 'Sam Hill', scoreType: 'try', points: 5 }, { playerName: 'Sam Hill', scoreType: 'conversion', points: 2 }]
+      },
+      { fixtureID: 102, homeScore: 20, awayScore: 0, resultType: 'played', confirmationStatus: 'disputed' }
+    ];
+
+    const rows = buildResultsSheet(filterExportFixtures(fixtures, leagues, { season: '2025-26' }), results, teams, leagues);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[1]).toEqual([
+      100, '2025-09-06', 'Premier', '2025-26', 'Exmouth Colts', 12, 7, 'Sidmouth Colts', 'Played',
+      "Tom Jones (Try 12'); Tom Jones (Conversion 13'); Penalty Try (Try 70')",
+      'Sam Hill (Try); Sam Hill (Conversion)'
+    ]);
+  });
+
+  it('should describe walkovers', () => {
+    const results = [{ fixtureID: 102, homeScore: 0, awayScore: 20, resultType: 'walkover', concededBy: 3, confirmationStatus: 'confirmed' }];
+
+    const rows = buildResultsSheet([fixtures[2]], results, teams, leagues);
+
+    expect(rows[1][8]).toBe('Walkover (Crediton Colts conceded)');
+    expect(rows[1][9]).toBe('');
+  });
+});
+
+describe('buildStandingsSheet', () => {
+  const tables = [
+    {
+      league: leagues[0],
+      pool: { name: 'Pool A' },
+      standings: [
+        { teamID: 1, teamName: 'Exmouth Colts', position: 1, played: 2, won: 2, drawn: 0, lost: 0, pointsFor: 40, pointsAgainst: 10, pointsDifference: 30, bonusPoints: 1, pointsDeducted: 0, points: 9 },
+        { teamID: 3, teamName: 'Crediton Colts', position: 2, played: 2, won: 0, drawn: 0, lost: 2, pointsFor: 10, pointsAgainst: 40, pointsDifference: -30, bonusPoints: 0, pointsDeducted: 5, points: -5 }
+      ]
+    }
+  ];
+
+  it('should write one row per team, optionally for one team', () => {
+    const rows = buildStandingsSheet(tables);
+
+    expect(rows).toHaveLength(3);
+    expect(rows[2]).toEqual(['Premier', '2025-26', 'Pool A', 2, 'Crediton Colts', 2, 0, 0, 2, 10, 40, -30, 0, 5, -5]);
+    expect(buildStandingsSheet(tables, '1').slice(1).map(row => row[4])).toEqual(['Exmouth Colts']);
+  });
+});
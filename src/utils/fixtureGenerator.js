@@ -0,0 +1,117 @@
+/**
+ * @file fixtureGenerator.js
+ * @description Round-robin fixture generation for a league season
+ * @module utils/fixtureGenerator
+ *
+ * Used by the fixture generator in FixturesAdmin. Schedules are built with the
+ * circle method: one team stays fixed while the others rotate, so every team meets
+ * every other team once per round-robin. Odd team counts get a bye each round.
+ */
+
+/**
+ * Generate the rounds of a round-robin schedule
+ * @param {Array<number>} teamIDs - Teams taking part
+ * @param {boolean} [double=false] - Double round-robin (everyone plays home and away)
+ * @returns {Array<{round: number, matches: Array<{homeTeam: number, awayTeam: number}>, bye: number|null}>}
+ * Rounds in order, each with its matches and the team with a bye (if any)
+ */
+export const generateRoundRobin = (teamIDs, double = false) => {
+  if (!teamIDs || teamIDs.length < 2) return [];
+
+  // A null entry stands in for the bye when there is an odd number of teams
+  const slots = teamIDs.length % 2 === 0 ? [...teamIDs] : [null, ...teamIDs];
+  const slotCount = slots.length;
+  const rounds = [];
+
+  for (let r = 0; r < slotCount - 1; r++) {
+    const matches = [];
+    let bye = null;
+
+    for (let i = 0; i < slotCount / 2; i++) {
+      const first = slots[i];
+      const second = slots[slotCount - 1 - i];
+
+      if (first === null || second === null) {
+        bye = first === null ? second : first;
+        continue;
+      }
+
+      // Alternate the fixed team's venue each round, and the other pairs
+      // by position, so home and away games are spread evenly
+      const firstAtHome = i === 0 ? r % 2 === 0 : i % 2 === 1;
+      matches.push(firstAtHome
+        ? { homeTeam: first, awayTeam: second }
+        : { homeTeam: second, awayTeam: first });
+    }
+
+    rounds.push({ round: r + 1, matches, bye });
+
+    // Rotate every slot except the first
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (double) {
+    // Second half repeats the first with home and away reversed
+    const firstHalf = rounds.length;
+    for (let r = 0; r < firstHalf; r++) {
+      rounds.push({
+        round: firstHalf + r + 1,
+        matches: rounds[r].matches.map(m => ({ homeTeam: m.awayTeam, awayTeam: m.homeTeam })),
+        bye: rounds[r].bye
+      });
+    }
+  }
+
+  return rounds;
+};
+
+/**
+ * List the Saturdays on or after a start date
+ * @param {string} startDate - First date to consider (YYYY-MM-DD)
+ * @param {number} count - Number of Saturdays to return
+ * @returns {Array<string>} Saturdays as YYYY-MM-DD strings
+ */
+export const getSaturdays = (startDate, count) => {
+  const saturdays = [];
+  if (!startDate) return saturdays;
+
+  const date = new Date(`${startDate}T00:00:00`);
+  date.setDate(date.getDate() + ((6 - date.getDay() + 7) % 7));
+
+  while (saturdays.length < count) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    saturdays.push(`${year}-${month}-${day}`);
+    date.setDate(date.getDate() + 7);
+  }
+
+  return saturdays;
+};
+
+/**
+ * Assign each round of a schedule to a match date
+ * @param {Array<Object>} rounds - Rounds from generateRoundRobin
+ * @param {Array<string>} dates - Available match dates (YYYY-MM-DD), one per round
+ * @returns {Array<Object>} Rounds with a `date` added, or an empty array if there are
+ * fewer dates than rounds
+ */
+export const scheduleRounds = (rounds, dates) => {
+  if (dates.length < rounds.length) return [];
+  return rounds.map((round, i) => ({ ...round, date: dates[i] }));
+};
+
+/**
+ * Default venue for a home team
+ * @param {number} teamID - Home team
+ * @param {Array<Object>} teams - Teams from tblteams
+ * @param {Array<Object>} fixtures - Existing fixtures from tblfixtures
+ * @returns {string} The venue of the team's latest home fixture, or its club name
+ * @description Shared by the season generator, the cup draw and the spreadsheet import.
+ */
+export const getDefaultVenue = (teamID, teams, fixtures) => {
+  const lastHomeFixture = (fixtures || [])
+    .filter(f => f.homeTeam === teamID && f.venue)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+  return lastHomeFixture?.venue || (teams || []).find(t => t.id === teamID)?.teamClub || '';
+};
@@ -0,0 +1,84 @@
+/**
+ * @file fixtureGenerator.test.js
+ * @description Tests for round-robin fixture generation
+ * @module utils/fixtureGenerator.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateRoundRobin, getSaturdays, scheduleRounds, getDefaultVenue } from './fixtureGenerator';
+
+const countHomeGames = (rounds) => {
+  const home = {};
+  rounds.forEach(round => round.matches.forEach(match => {
+    home[match.homeTeam] = (home[match.homeTeam] || 0) + 1;
+  }));
+  return home;
+};
+
+describe('generateRoundRobin', () => {
+  it('should pair every team with every other team once', () => {
+    const rounds = generateRoundRobin([1, 2, 3, 4, 5, 6]);
+    const pairings = new Set();
+    rounds.forEach(round => round.matches.forEach(match => {
+      pairings.add([match.homeTeam, match.awayTeam].sort().join('-'));
+    }));
+
+    expect(rounds).toHaveLength(5);
+    expect(pairings.size).toBe(15);
+  });
+
+  it('should give one bye per round for an odd number of teams', () => {
+    const rounds = generateRoundRobin([1, 2, 3, 4, 5]);
+    const byes = rounds.map(round => round.bye);
+
+    expect(rounds).toHaveLength(5);
+    expect(rounds.every(round => round.matches.length === 2)).toBe(true);
+    expect(new Set(byes).size).toBe(5);
+  });
+
+  it('should balance home and away games', () => {
+    const home = Object.values(countHomeGames(generateRoundRobin([1, 2, 3, 4, 5, 6, 7, 8, 9, 10])));
+    expect(Math.max(...home) - Math.min(...home)).toBeLessThanOrEqual(1);
+  });
+
+  it('should reverse home and away in the second half of a double round-robin', () => {
+    const rounds = generateRoundRobin([1, 2, 3, 4], true);
+
+    expect(rounds).toHaveLength(6);
+    expect(rounds[3].matches[0]).toEqual({
+      homeTeam: rounds[0].matches[0].awayTeam,
+      awayTeam: rounds[0].matches[0].homeTeam
+    });
+    expect(Object.values(countHomeGames(rounds))).toEqual([3, 3, 3, 3]);
+  });
+});
+
+describe('getSaturdays', () => {
+  it('should start from the first Saturday on or after the start date', () => {
+    expect(getSaturdays('2025-09-03', 3)).toEqual(['2025-09-06', '2025-09-13', '2025-09-20']);
+    expect(getSaturdays('2025-09-06', 1)).toEqual(['2025-09-06']);
+  });
+});
+
+describe('scheduleRounds', () => {
+  it('should return nothing when there are not enough dates', () => {
+    const rounds = generateRoundRobin([1, 2, 3, 4]);
+    expect(scheduleRounds(rounds, ['2025-09-06'])).toEqual([]);
+    expect(scheduleRounds(rounds, getSaturdays('2025-09-06', 3))[2].date).toBe('2025-09-20');
+  });
+});
+
+describe('getDefaultVenue', () => {
+  const teams = [{ id: 1, teamClub: 'Exmouth RFC' }, { id: 2, teamClub: 'Sidmouth RFC' }];
+  const fixtures = [
+    { homeTeam: 1, venue: 'Imperial Ground', date: '2025-09-06 15:00:00' },
+    { homeTeam: 1, venue: 'Imperial Ground Pitch 2', date: '2025-09-20 15:00:00' },
+    { homeTeam: 2, venue: '', date: '2025-09-13 15:00:00' }
+  ];
+
+  it('should use the venue of the latest home fixture, then the club name', () => {
+    expect(getDefaultVenue(1, teams, fixtures)).toBe('Imperial Ground Pitch 2');
+    expect(getDefaultVenue(2, teams, fixtures)).toBe('Sidmouth RFC');
+    expect(getDefaultVenue(3, teams, fixtures)).toBe('');
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * @file fixtureImport.js
+ * @description Importing a season's fixtures from a spreadsheet
+ * @module utils/fixtureImport
+ *
+ * Used by the fixture import in FixturesAdmin. The spreadsheet's columns are mapped to the
+ * fields in IMPORT_FIELDS, team and league names are matched to tblteams and tblleagues
+ * even when they are spelt a little differently, and every row is checked for unknown
+ * names, bad dates, duplicates and clashes before anything is saved.
+ */
+
+import { findConflicts, describeConflict } from './fixtureConflicts';
+import { getPhases } from './pools';
+import { getDefaultVenue } from './fixtureGenerator';
+
+/**
+ * Fields that can be imported, with the column headings they are recognised by
+ * @type {Object<string, {label: string, required: boolean, headings: Array<string>}>}
+ */
+export const IMPORT_FIELDS = {
+  league: { label: 'League', required: false, headings: ['league', 'competition', 'division'] },
+  homeTeam: { label: 'Home Team', required: true, headings: ['home', 'home team', 'home side', 'home club'] },
+  awayTeam: { label: 'Away Team', required: true, headings: ['away', 'away team', 'away side', 'away club'] },
+  date: { label: 'Date', required: true, headings: ['date', 'match date', 'fixture date'] },
+  time: { label: 'Kick-off Time', required: false, headings: ['time', 'kick off', 'kickoff', 'ko', 'kick off time'] },
+  venue: { label: 'Venue', required: false, headings: ['venue', 'ground', 'location', 'pitch'] }
+};
+
+/**
+ * Lowest similarity (0 to 1) at which a name is matched automatically
+ * @type {number}
+ */
+export const MATCH_THRESHOLD = 0.75;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words that clubs add or drop from team names without changing the team
+const NOISE_WORDS = ['the', 'rfc', 'rufc', 'rfu', 'rugby', 'club', 'fc', 'colts', 'u18', 'u18s'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Normalise a heading or name for comparison
+ * @param {string} value - Heading or name
+ * @returns {string} Lower case words without punctuation or noise words
+ */
+const normalise = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !NOISE_WORDS.includes(word))
+  .join(' ');
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character insertions, deletions, substitutions and
+ * swaps of neighbouring characters between them
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+/**
+ * Score how alike two names are
+ * @param {string} a - Name from the spreadsheet
+ * @param {string} b - Name in the database
+ * @returns {number} 1 for the same name once normalised, down to 0 for nothing in common
+ * @description A name whose words all appear in the other scores at least 0.8, so "Exmouth"
+ * matches "Exmouth Colts" and "Tiverton" matches "Tiverton RFC Colts".
+ */
+export const nameSimilarity = (a, b) => {
+  const left = normalise(a);
+  const right = normalise(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const distance = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+  const leftWords = left.split(' ');
+  const rightWords = right.split(' ');
+  const contained = leftWords.every(word => rightWords.includes(word)) ||
+    rightWords.every(word => leftWords.includes(word));
+
+  return contained ? Math.max(distance, 0.8) : distance;
+};
+
+/**
+ * Find the closest name in a list
+ * @param {string} input - Name from the spreadsheet
+ * @param {Array<Object>} items - Teams or leagues
+ * @param {Function} getName - Returns an item's name
+ * @returns {{item: Object|null, score: number}} The closest item and its similarity; the
+ * item is null if nothing reaches MATCH_THRESHOLD
+ */
+export const matchName = (input, items, getName) => {
+  let best = { item: null, score: 0 };
+
+  (items || []).forEach(item => {
+    const score = nameSimilarity(input, getName(item));
+    if (score > best.score) best = { item, score };
+  });
+
+  return best.score >= MATCH_THRESHOLD ? best : { item: null, score: best.score, suggestion: best.item };
+};
+
+/**
+ * Guess which column holds each field from the heading row
+ * @param {Array<string>} headings - Heading row
+ * @returns {Object<string, number|string>} Field key to column index, or '' when no column
+ * matches; each column is used at most once
+ */
+export const guessColumnMapping = (headings) => {
+  const names = (headings || []).map(heading => String(heading ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+  const used = new Set();
+  const mapping = {};
+
+  // Exact headings first, so "Home Team" is not taken by a looser match for another field
+  const find = (field, test) => names.findIndex((name, index) =>
+    !used.has(index) && IMPORT_FIELDS[field].headings.some(heading => test(name, heading))
+  );
+
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    const index = find(field, (name, heading) => name === heading);
+    mapping[field] = index === -1 ? '' : index;
+    if (index !== -1) used.add(index);
+  });
+
+  Object.keys(IMPORT_FIELDS).filter(field => mapping[field] === '').forEach(field => {
+    const index = find(field, (name, heading) => name.split(' ').includes(heading) || name.startsWith(heading));
+    mapping[field] = index === -1 ? '' : index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+};
+
+/**
+ * Read a date cell
+ * @param {string|number} value - Cell value: an Excel serial date, or text such as
+ * "06/09/2025", "2025-09-06" or "Sat 6 Sep 2025"
+ * @returns {string|null} YYYY-MM-DD, or null if the cell is not a valid date. Day-first
+ * (UK) order is assumed for numeric dates.
+ */
+export const parseImportDate = (value) => {
+  if (typeof value === 'number') {
+    if (value < 1) return null;
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  let year;
+  let month;
+  let day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/))) {
+    [day, month, year] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = text.match(/(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*\.?,?[\s-]+(\d{2}|\d{4})\b/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2]) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Read a kick-off time cell
+ * @param {string|number} value - Cell value: an Excel time (fraction of a day, or the time
+ * part of a date), or text such as "15:00", "3pm", "2.30pm" or "1430"
+ * @returns {string|null} HH:MM, or null if the cell holds no time
+ */
+export const parseImportTime = (value) => {
+  if (typeof value === 'number') {
+    const minutes = Math.round((value % 1) * 1440);
+    if (minutes === 0 && value >= 1) return null;
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  let hours;
+  let minutes = 0;
+  let match;
+
+  if ((match = text.match(/(\d{1,2}):(\d{2})/) || text.match(/^(\d{1,2})\.(\d{2})\s*(am|pm)?$/))) {
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+  } else if ((match = text.match(/^(\d{1,2})\s*(am|pm)$/))) {
+    hours = Number(match[1]);
+  } else if ((match = text.match(/^(\d{2})(\d{2})$/))) {
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+  } else {
+    return null;
+  }
+
+  const meridiem = text.match(/(am|pm)$/)?.[1];
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * List the names in a column that need matching by hand
+ * @param {Array<Array<string|number>>} rows - Data rows (without the heading row)
+ * @param {number|string} column - Column index, or '' if the field is not mapped
+ * @param {Array<Object>} items - Teams or leagues
+ * @param {Function} getName - Returns an item's name
+ * @returns {Array<{name: string, item: Object|null, score: number, suggestion: Object|undefined}>}
+ * Each distinct name that is not an exact match, in the order first seen
+ */
+export const getUnmatchedNames = (rows, column, items, getName) => {
+  if (column === '' || column === undefined) return [];
+
+  const names = [...new Set(rows.map(row => String(row[column] ?? '').trim()).filter(Boolean))];
+  return names
+    .map(name => ({ name, ...matchName(name, items, getName) }))
+    .filter(match => match.score < 1);
+};
+
+/**
+ * Turn spreadsheet rows into fixtures, noting anything that stops a row being imported
+ * @param {Array<Array<string|number>>} rows - Data rows (without the heading row)
+ * @param {Object<string, number|string>} mapping - Field key to column index (see guessColumnMapping)
+ * @param {Object} options - Import options
+ * @param {Array<Object>} options.teams - Teams from tblteams
+ * @param {Array<Object>} options.leagues - Leagues that fixtures can be imported into
+ * @param {Array<Object>} [options.fixtures=[]] - Existing fixtures, for default venues
+ * @param {number|string} [options.defaultLeagueID] - League for rows with no league
+ * @param {string} [options.defaultTime='15:00'] - Kick-off for rows with no time
+ * @param {Object<string, number|string>} [options.teamChoices={}] - Team ID chosen by hand for
+ * a spreadsheet name ('' leaves the name unmatched)
+ * @param {Object<string, number|string>} [options.leagueChoices={}] - League ID chosen by hand
+ * for a spreadsheet name
+ * @param {number} [options.firstRow=2] - Spreadsheet row number of the first data row
+ * @returns {Array<{row: number, fixture: Object, issues: Array<{severity: string, message: string}>}>}
+ * One entry per row. Issues are 'error' (the row is skipped), 'warn' or 'info'.
+ */
+export const buildImportRows = (rows, mapping, options) => {
+  const {
+    teams,
+    leagues,
+    fixtures = [],
+    defaultLeagueID = '',
+    defaultTime = '15:00',
+    teamChoices = {},
+    leagueChoices = {},
+    firstRow = 2
+  } = options;
+
+  const cell = (row, field) => mapping[field] === '' || mapping[field] === undefined
+    ? ''
+    : row[mapping[field]] ?? '';
+
+  const resolve = (input, choices, items, getName) => {
+    if (input in choices) {
+      const chosen = items.find(item => item.id === parseInt(choices[input])) || null;
+      return { item: chosen, score: chosen ? 1 : 0 };
+    }
+    return matchName(input, items, getName);
+  };
+
+  return rows.map((row, index) => {
+    const issues = [];
+    const error = (message) => issues.push({ severity: 'error', message });
+
+    // League: the row's own league, or the default league
+    const leagueInput = String(cell(row, 'league')).trim();
+    let league = null;
+    if (leagueInput) {
+      const found = resolve(leagueInput, leagueChoices, leagues, l => l.leagueName);
+      league = found.item;
+      if (!league) error(`Unknown league "${leagueInput}"`);
+    } else {
+      league = leagues.find(l => l.id === parseInt(defaultLeagueID)) || null;
+      if (!league) error('No league - choose a default league or map a league column');
+    }
+
+    // Teams
+    const teamIDs = ['homeTeam', 'awayTeam'].map(field => {
+      const input = String(cell(row, field)).trim();
+      if (!input) {
+        error(`No ${IMPORT_FIELDS[field].label.toLowerCase()}`);
+        return null;
+      }
+
+      const found = resolve(input, teamChoices, teams, t => t.teamName);
+      if (!found.item) {
+        error(`Unknown team "${input}"`);
+        return null;
+      }
+      if (found.score < 1) {
+        issues.push({ severity: 'info', message: `"${input}" matched to ${found.item.teamName}` });
+      }
+      return found.item.id;
+    });
+    const [homeTeam, awayTeam] = teamIDs;
+
+    if (homeTeam && homeTeam === awayTeam) {
+      error('Home and away teams are the same');
+    }
+
+    if (league && homeTeam && awayTeam) {
+      const leagueTeams = teams.filter(t => t.playsIn === league.id).map(t => t.id);
+      const outsiders = teamIDs.filter(teamID => leagueTeams.length > 0 && !leagueTeams.includes(teamID));
+      outsiders.forEach(teamID => issues.push({
+        severity: 'warn',
+        message: `${teams.find(t => t.id === teamID).teamName} does not play in ${league.leagueName}`
+      }));
+    }
+
+    // Date and kick-off; a date cell may carry the time as well
+    const dateValue = cell(row, 'date');
+    const date = parseImportDate(dateValue);
+    if (!date) {
+      error(String(dateValue).trim() ? `Unrecognised date "${dateValue}"` : 'No date');
+    }
+
+    const timeValue = cell(row, 'time');
+    const dateTime = typeof dateValue === 'number' || String(dateValue).includes(':')
+      ? parseImportTime(dateValue)
+      : null;
+    const time = String(timeValue).trim() ? parseImportTime(timeValue) : (dateTime || defaultTime);
+    if (!time) {
+      error(`Unrecognised kick-off time "${timeValue}"`);
+    }
+
+    const phases = getPhases(league);
+    const venue = String(cell(row, 'venue')).trim() || (homeTeam ? getDefaultVenue(homeTeam, teams, fixtures) : '');
+
+    return {
+      row: firstRow + index,
+      fixture: {
+        homeTeam,
+        awayTeam,
+        date: date && time ? `${date} ${time}:00` : null,
+        venue,
+        leagueID: league?.id || null,
+        phase: phases.length > 0 ? phases.length : null,
+        status: 0
+      },
+      issues
+    };
+  });
+};
+
+/**
+ * Format a stored fixture date as a MySQL datetime, so its day can be compared
+ * @param {Date|string} date - Date object or datetime string
+ * @returns {string} YYYY-MM-DD HH:MM:SS in local time
+ */
+const formatSQLDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+/**
+ * Check imported rows for duplicates and clashes
+ * @param {Array<Object>} importRows - Rows from buildImportRows
+ * @param {Array<Object>} existing - Fixtures already in tblfixtures
+ * @param {Function} getTeamName - Returns a team name for a team ID
+ * @returns {Array<Object>} The rows with duplicate and clash issues added
+ * @description An exact duplicate (same league, home team, away team and day) of an existing
+ * fixture or an earlier row is an error; the same pairing on another date is a warning.
+ * Clashes are found with findConflicts: blocking clashes are errors, venue clashes warnings.
+ */
+export const validateImport = (importRows, existing, getTeamName) => {
+  const day = (date) => String(date).slice(0, 10);
+  const samePairing = (a, b) => a.leagueID === b.leagueID && a.homeTeam === b.homeTeam && a.awayTeam === b.awayTeam;
+  const formatDay = (date) => new Date(`${day(date)}T00:00:00`).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+  const rows = importRows.map(row => ({ ...row, issues: [...row.issues] }));
+  const isValid = (row) => !row.issues.some(issue => issue.severity === 'error');
+
+  rows.forEach((row, index) => {
+    if (!isValid(row)) return;
+    const { fixture } = row;
+
+    const saved = existing.filter(f => samePairing(f, fixture));
+    const earlier = rows.slice(0, index).filter(other => isValid(other) && samePairing(other.fixture, fixture));
+    const sameDay = earlier.find(other => day(other.fixture.date) === day(fixture.date));
+
+    if (saved.some(f => day(formatSQLDate(f.date)) === day(fixture.date))) {
+      row.issues.push({ severity: 'error', message: 'Already in the fixture list' });
+    } else if (sameDay) {
+      row.issues.push({ severity: 'error', message: `Duplicate of row ${sameDay.row}` });
+    } else if (saved.length > 0) {
+      row.issues.push({ severity: 'warn', message: `This match is already in the fixture list on ${formatDay(formatSQLDate(saved[0].date))}` });
+    } else if (earlier.length > 0) {
+      row.issues.push({ severity: 'warn', message: `This match is also on row ${earlier[0].row}` });
+    }
+  });
+
+  const candidates = rows.filter(isValid);
+  const conflicts = findConflicts(candidates.map(row => row.fixture), existing);
+
+  conflicts.forEach(conflict => {
+    const row = candidates.find(candidate => candidate.fixture === conflict.fixture);
+    const clashRow = candidates.find(candidate => candidate.fixture === conflict.clashesWith);
+    const message = describeConflict(conflict, getTeamName) + (clashRow ? ` (row ${clashRow.row})` : '');
+    row.issues.push({ severity: conflict.severity === 'block' ? 'error' : 'warn', message });
+  });
+
+  return rows;
+};
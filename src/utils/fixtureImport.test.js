@@ -0,0 +1,129 @@
+/**
+ * @file fixtureImport.test.js
+ * @description Tests for importing fixtures from a spreadsheet
+ * @module utils/fixtureImport.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  nameSimilarity,
+  matchName,
+  guessColumnMapping,
+  parseImportDate,
+  parseImportTime,
+  getUnmatchedNames,
+  buildImportRows,
+  validateImport
+} from './fixtureImport';
+
+const teams = [
+  { id: 1, teamName: 'Exmouth Colts', teamClub: 'Exmouth RFC', playsIn: 1 },
+  { id: 2, teamName: 'Sidmouth Colts', teamClub: 'Sidmouth RFC', playsIn: 1 },
+  { id: 3, teamName: 'Crediton Colts', teamClub: 'Crediton RFC', playsIn: 1 },
+  { id: 4, teamName: 'Tiverton Colts', teamClub: 'Tiverton RFC', playsIn: 2 }
+];
+const leagues = [
+  { id: 1, leagueName: 'Devon Colts Premier', leagueSeason: '2025-26' },
+  { id: 2, leagueName: 'Devon Colts Championship', leagueSeason: '2025-26' }
+];
+const getTeamName = (id) => teams.find(t => t.id === id)?.teamName || 'Unknown';
+
+describe('name matching', () => {
+  it('should ignore noise words, punctuation and small spelling slips', () => {
+    expect(nameSimilarity('Exmouth RFC Colts', 'Exmouth Colts')).toBe(1);
+    expect(nameSimilarity('Exmouth', 'Exmouth Colts')).toBe(1);
+    expect(matchName('Sidmuoth', teams, t => t.teamName).item.id).toBe(2);
+    expect(matchName('Okehampton', teams, t => t.teamName).item).toBeNull();
+  });
+
+  it('should list the names that are not exact matches', () => {
+    const rows = [['Exmouth'], ['Credditon'], ['Okehampton'], ['Credditon']];
+
+    expect(getUnmatchedNames(rows, 0, teams, t => t.teamName).map(m => [m.name, m.item?.id || null])).toEqual([
+      ['Credditon', 3],
+      ['Okehampton', null]
+    ]);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('should map columns by their headings', () => {
+    expect(guessColumnMapping(['Division', 'Date', 'KO', 'Home Team', 'Away Team', 'Ground'])).toEqual({
+      league: 0, homeTeam: 3, awayTeam: 4, date: 1, time: 2, venue: 5
+    });
+    expect(guessColumnMapping(['Home', 'Away', 'Match Date']).time).toBe('');
+  });
+});
+
+describe('parseImportDate and parseImportTime', () => {
+  it('should read UK, ISO, written and Excel dates', () => {
+    expect(parseImportDate('06/09/2025')).toBe('2025-09-06');
+    expect(parseImportDate('6.9.25')).toBe('2025-09-06');
+    expect(parseImportDate('2025-09-06 15:00:00')).toBe('2025-09-06');
+    expect(parseImportDate('Sat 6th September 2025')).toBe('2025-09-06');
+    expect(parseImportDate(45906.625)).toBe('2025-09-06');
+    expect(parseImportDate('31/02/2025')).toBeNull();
+    expect(parseImportDate('TBC')).toBeNull();
+  });
+
+  it('should read kick-off times', () => {
+    expect(parseImportTime('15:00')).toBe('15:00');
+    expect(parseImportTime('2.30pm')).toBe('14:30');
+    expect(parseImportTime('3pm')).toBe('15:00');
+    expect(parseImportTime('1430')).toBe('14:30');
+    expect(parseImportTime(0.625)).toBe('15:00');
+    expect(parseImportTime('06.09.2025 11:00')).toBe('11:00');
+    expect(parseImportTime(45906)).toBeNull();
+  });
+});
+
+describe('buildImportRows and validateImport', () => {
+  const mapping = { league: '', homeTeam: 0, awayTeam: 1, date: 2, time: 3, venue: 4 };
+  const build = (rows, options = {}) => buildImportRows(rows, mapping, { teams, leagues, defaultLeagueID: 1, ...options });
+  const messages = (row) => row.issues.map(issue => `${issue.severity}: ${issue.message}`);
+
+  it('should build fixtures with default league, time and venue', () => {
+    const [row] = build([['Exmouht', 'Sidmouth RFC', '06/09/2025', '', '']], {
+      fixtures: [{ id: 9, homeTeam: 1, venue: 'Imperial Recreation Ground', date: '2025-04-01 15:00:00' }]
+    });
+
+    expect(row.row).toBe(2);
+    expect(row.fixture).toEqual({
+      homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'Imperial Recreation Ground',
+      leagueID: 1, phase: null, status: 0
+    });
+    expect(messages(row)).toEqual(['info: "Exmouht" matched to Exmouth Colts']);
+  });
+
+  it('should report unknown names and bad dates, and use names matched by hand', () => {
+    const [row] = build([['Okehampton', 'Tiverton', 'next week', '', 'X']]);
+    expect(messages(row)).toEqual([
+      'error: Unknown team "Okehampton"',
+      'error: Unrecognised date "next week"'
+    ]);
+
+    const [outsider] = build([['Exmouth', 'Tiverton', '13/09/2025', '', 'X']]);
+    expect(messages(outsider)).toEqual(['warn: Tiverton Colts does not play in Devon Colts Premier']);
+
+    const [chosen] = build([['Okehampton', 'Crediton', '13/09/2025', '14:00', 'X']], { teamChoices: { Okehampton: 2 } });
+    expect(chosen.fixture).toMatchObject({ homeTeam: 2, awayTeam: 3, date: '2025-09-13 14:00:00' });
+    expect(chosen.issues).toEqual([]);
+  });
+
+  it('should flag duplicates and clashes', () => {
+    const existing = [{ id: 5, leagueID: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'A', status: 0 }];
+    const rows = validateImport(build([
+      ['Exmouth', 'Sidmouth', '06/09/2025', '15:00', 'A'],
+      ['Crediton', 'Exmouth', '13/09/2025', '15:00', 'B'],
+      ['Crediton', 'Exmouth', '13/09/2025', '15:00', 'B'],
+      ['Sidmouth', 'Crediton', '13/09/2025', '15:00', 'B'],
+      ['Exmouth', 'Sidmouth', '20/12/2025', '15:00', 'A']
+    ]), existing, getTeamName);
+
+    expect(messages(rows[0])).toEqual(['error: Already in the fixture list']);
+    expect(messages(rows[1])).toEqual([]);
+    expect(messages(rows[2])).toEqual(['error: Duplicate of row 3']);
+    expect(messages(rows[3])[0]).toMatch(/^error: Crediton Colts is also playing in Crediton Colts v Exmouth Colts .* \(row 3\)$/);
+    expect(messages(rows[4])[0]).toMatch(/^warn: This match is already in the fixture list on Sat,? 6 Sept? 2025$/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @file followerEmails.js
+ * @description Emails to the followers of the two teams in a fixture
+ * @module utils/followerEmails
+ *
+ * Followers are users with authority 0 whose authorityOver is the team they follow. Each
+ * follower gets their own copy of an HTML template from public/templates, with {{placeholder}}
+ * values filled in. Used by the result (resultNotifications.js) and postponement
+ * (postponements.js) notifications.
+ *
+ * Placeholder values are escaped, as team names, venues and postponement reasons are typed in
+ * by admins. HTML fragments go in separately and must escape their own text with escapeHTML.
+ */
+
+import { crudRequest, getApiUrl } from './authHelpers';
+
+/**
+ * Escape text for use in an email's HTML
+ * @param {string|number|null} value - Text to escape
+ * @returns {string} Text with &, <, > and " replaced by entities ('' for null or undefined)
+ */
+export const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email followers of both teams in a fixture
+ * @async
+ * @param {Object} fixture - Fixture enriched with homeTeamName, awayTeamName, leagueName and leagueSeason
+ * @param {Array<Object>} teamsData - Teams from tblteams, used for logos
+ * @param {Object} email - What to send
+ * @param {string} email.template - Template path, e.g. "/templates/result-notification.html"
+ * @param {string} email.subject - Email subject
+ * @param {Object<string, string|number>} [email.placeholders={}] - Text for the template's own
+ * placeholders, escaped when filled in. firstName, teamName (the team the follower follows),
+ * homeTeamName, awayTeamName, homeTeamLogo, awayTeamLogo, leagueName, leagueSeason and venue are
+ * always filled in.
+ * @param {Object<string, string>} [email.html={}] - Ready-made HTML for placeholders, filled in as is
+ * @returns {Promise<number>} Number of followers emailed (0 when there are none)
+ * @throws {Error} If the template cannot be loaded; a failed send is logged and skipped
+ */
+export const emailFixtureFollowers = async (fixture, teamsData, { template, subject, placeholders = {}, html = {} }) => {
+  const usersResult = await crudRequest('read', {
+    table: 'tblusers'
+  });
+
+  if (usersResult.status_code !== 200) {
+    console.error('Failed to fetch users for notifications');
+    return 0;
+  }
+
+  const allUsers = usersResult.data.records || usersResult.data;
+  const followers = allUsers.filter(user =>
+    user.authority === 0 &&
+    (user.authorityOver === fixture.homeTeam || user.authorityOver === fixture.awayTeam)
+  );
+
+  if (followers.length === 0) {
+    console.log('No followers to notify for this fixture');
+    return 0;
+  }
+
+  const templateResponse = await fetch(template);
+  const emailTemplate = await templateResponse.text();
+
+  const logo = (teamID, teamName) => {
+    const team = (teamsData || []).find(t => t.id === teamID);
+    return team?.teamLogo ? `<img src="${escapeHTML(team.teamLogo)}" alt="${escapeHTML(teamName)}" class="team-logo" />` : '';
+  };
+
+  const shared = {
+    homeTeamName: escapeHTML(fixture.homeTeamName),
+    awayTeamName: escapeHTML(fixture.awayTeamName),
+    homeTeamLogo: logo(fixture.homeTeam, fixture.homeTeamName),
+    awayTeamLogo: logo(fixture.awayTeam, fixture.awayTeamName),
+    leagueName: escapeHTML(fixture.leagueName),
+    leagueSeason: escapeHTML(fixture.leagueSeason),
+    venue: escapeHTML(fixture.venue),
+    ...Object.fromEntries(Object.entries(placeholders).map(([key, value]) => [key, escapeHTML(value)])),
+    ...html
+  };
+
+  for (const follower of followers) {
+    const values = {
+      ...shared,
+      firstName: escapeHTML(follower.firstName),
+      teamName: escapeHTML(follower.authorityOver === fixture.homeTeam ? fixture.homeTeamName : fixture.awayTeamName)
+    };
+
+    const personalizedEmail = Object.entries(values).reduce(
+      (body, [key, value]) => body.replace(new RegExp(`{{${key}}}`, 'g'), () => value),
+      emailTemplate
+    );
+
+    const emailResponse = await fetch(`${getApiUrl()}/api/email/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        recipients: [follower.login],
+        subject,
+        htmlBody: personalizedEmail
+      })
+    });
+
+    const emailResult = await emailResponse.json();
+    if (emailResult.status_code === 200) {
+      console.log(`Notification sent to ${follower.login}`);
+    } else {
+      console.error(`Failed to send notification to ${follower.login}:`, emailResult.message);
+    }
+  }
+
+  return followers.length;
+};
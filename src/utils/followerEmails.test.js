@@ -0,0 +1,92 @@
+/**
+ * @file followerEmails.test.js
+ * @description Tests for emailing the followers of a fixture's teams
+ * @module utils/followerEmails.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { emailFixtureFollowers, escapeHTML } from './followerEmails';
+import * as authHelpers from './authHelpers';
+
+vi.mock('./authHelpers', () => ({
+  crudRequest: vi.fn(),
+  getApiUrl: () => 'http://localhost:3000',
+}));
+
+const fixture = {
+  homeTeam: 1,
+  awayTeam: 2,
+  homeTeamName: 'Exmouth Colts',
+  awayTeamName: 'Sidmouth Colts',
+  leagueName: 'Premier',
+  leagueSeason: '2025-26',
+  venue: 'Imperial Ground'
+};
+
+const users = [
+  { login: 'amy@example.com', firstName: 'Amy', authority: 0, authorityOver: 1 },
+  { login: 'ben@example.com', firstName: 'Ben', authority: 0, authorityOver: 2 },
+  { login: 'club@example.com', firstName: 'Club', authority: 1, authorityOver: 1 },
+  { login: 'cat@example.com', firstName: 'Cat', authority: 0, authorityOver: 3 }
+];
+
+describe('emailFixtureFollowers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    authHelpers.crudRequest.mockResolvedValue({ status_code: 200, data: { records: users } });
+    globalThis.fetch = vi.fn(async (url) => url.endsWith('.html')
+      ? { text: async () => '<p>{{firstName}} follows {{teamName}}: {{homeTeamName}} v {{awayTeamName}} {{headline}}</p>' }
+      : { json: async () => ({ status_code: 200 }) });
+  });
+
+  it('should send each follower of either team a personalised email', async () => {
+    const sent = await emailFixtureFollowers(fixture, [], {
+      template: '/templates/fixture-postponed.html',
+      subject: 'Match Postponed',
+      placeholders: { headline: 'Match $1 Postponed' }
+    });
+
+    const emails = globalThis.fetch.mock.calls
+      .filter(([url]) => url.endsWith('/api/email/send'))
+      .map(([, options]) => JSON.parse(options.body));
+
+    expect(sent).toBe(2);
+    expect(emails.map(email => email.recipients)).toEqual([['amy@example.com'], ['ben@example.com']]);
+    expect(emails[1]).toMatchObject({
+      subject: 'Match Postponed',
+      htmlBody: '<p>Ben follows Sidmouth Colts: Exmouth Colts v Sidmouth Colts Match $1 Postponed</p>'
+    });
+  });
+
+  it('should escape text placeholders but fill in HTML as is', async () => {
+    globalThis.fetch = vi.fn(async (url) => url.endsWith('.html')
+      ? { text: async () => '<p>{{venue}}: {{reason}} {{reasonSection}}</p>' }
+      : { json: async () => ({ status_code: 200 }) });
+
+    await emailFixtureFollowers({ ...fixture, venue: 'Fox & Hounds' }, [], {
+      template: '/templates/fixture-postponed.html',
+      subject: 'Match Postponed',
+      placeholders: { reason: '<script>alert("x")</script>' },
+      html: { reasonSection: '<p>Frozen</p>' }
+    });
+
+    const [, options] = globalThis.fetch.mock.calls.find(([url]) => url.endsWith('/api/email/send'));
+    expect(JSON.parse(options.body).htmlBody)
+      .toBe('<p>Fox &amp; Hounds: &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; <p>Frozen</p></p>');
+  });
+
+  it('should not load the template when nobody follows either team', async () => {
+    authHelpers.crudRequest.mockResolvedValue({ status_code: 200, data: { records: users.slice(2) } });
+
+    expect(await emailFixtureFollowers(fixture, [], { template: '/templates/x.html', subject: 'x' })).toBe(0);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('escapeHTML', () => {
+  it('should escape markup characters', () => {
+    expect(escapeHTML('Tom "Tank" <Jones> & co')).toBe('Tom &quot;Tank&quot; &lt;Jones&gt; &amp; co');
+    expect(escapeHTML(null)).toBe('');
+    expect(escapeHTML(5)).toBe('5');
+  });
+});
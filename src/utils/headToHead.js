@@ -0,0 +1,69 @@
+/**
+ * @file headToHead.js
+ * @description Head-to-head record between two teams across all seasons
+ * @module utils/headToHead
+ */
+
+import { getTeamForm } from './resultSummary';
+
+/**
+ * Create an empty aggregate record
+ * @returns {Object} Won, drawn, lost, points for and against
+ */
+const createRecord = () => ({ won: 0, drawn: 0, lost: 0, pointsFor: 0, pointsAgainst: 0 });
+
+/**
+ * Build the head-to-head record between two teams
+ * @param {number} teamAID - First team ID
+ * @param {number} teamBID - Second team ID
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures (every season)
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Array<Object>} leagues - Leagues from tblleagues (their rules decide which results count)
+ * @returns {Object} { meetings, teamA, teamB, biggestWins: {teamA, teamB} } where meetings are
+ * most recent first from team A's side (see getTeamForm), teamA/teamB are aggregate records,
+ * and biggestWins holds each team's widest winning margin (the most recent on a tie) or null
+ */
+export const buildHeadToHead = (teamAID, teamBID, fixtures, results, leagues) => {
+  const meetingFixtures = (fixtures || []).filter(f =>
+    (f.homeTeam === teamAID && f.awayTeam === teamBID) ||
+    (f.homeTeam === teamBID && f.awayTeam === teamAID)
+  );
+
+  const meetings = getTeamForm(teamAID, meetingFixtures, results, leagues, Infinity).map(meeting => ({
+    ...meeting,
+    margin: Math.abs(meeting.teamScore - meeting.opponentScore)
+  }));
+
+  const teamA = createRecord();
+  const teamB = createRecord();
+  const biggestWins = { teamA: null, teamB: null };
+
+  meetings.forEach(meeting => {
+    teamA.pointsFor += meeting.teamScore;
+    teamA.pointsAgainst += meeting.opponentScore;
+    teamB.pointsFor += meeting.opponentScore;
+    teamB.pointsAgainst += meeting.teamScore;
+
+    if (meeting.outcome === 'D') {
+      teamA.drawn++;
+      teamB.drawn++;
+      return;
+    }
+
+    const winner = meeting.outcome === 'W' ? 'teamA' : 'teamB';
+    if (winner === 'teamA') {
+      teamA.won++;
+      teamB.lost++;
+    } else {
+      teamB.won++;
+      teamA.lost++;
+    }
+
+    // Meetings are most recent first, so only a strictly wider margin replaces one
+    if (!biggestWins[winner] || meeting.margin > biggestWins[winner].margin) {
+      biggestWins[winner] = meeting;
+    }
+  });
+
+  return { meetings, teamA, teamB, biggestWins };
+};
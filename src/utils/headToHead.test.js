@@ -0,0 +1,64 @@
+/**
+ * @file headToHead.test.js
+ * @description Tests for head-to-head records
+ * @module utils/headToHead.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildHeadToHead } from './headToHead';
+
+const leagues = [{ id: 1, rules: null }, { id: 2, rules: null }];
+
+const fixtures = [
+  { id: 1, leagueID: 1, homeTeam: 1, awayTeam: 2, date: '2024-09-07 15:00:00', status: 2 },
+  { id: 2, leagueID: 1, homeTeam: 2, awayTeam: 1, date: '2024-11-02 15:00:00', status: 2 },
+  { id: 3, leagueID: 2, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', status: 2 },
+  { id: 4, leagueID: 2, homeTeam: 2, awayTeam: 1, date: '2025-10-04 15:00:00', status: 2 },
+  { id: 5, leagueID: 2, homeTeam: 2, awayTeam: 1, date: '2025-11-01 15:00:00', status: 3 },
+  { id: 6, leagueID: 2, homeTeam: 1, awayTeam: 3, date: '2025-11-08 15:00:00', status: 2 }
+];
+
+const results = [
+  { fixtureID: 1, homeScore: 30, awayScore: 10 },
+  { fixtureID: 2, homeScore: 12, awayScore: 12 },
+  { fixtureID: 3, homeScore: 20, awayScore: 0 },
+  { fixtureID: 4, homeScore: 25, awayScore: 17 },
+  { fixtureID: 6, homeScore: 50, awayScore: 0 }
+];
+
+describe('buildHeadToHead', () => {
+  it('should list every counting meeting across seasons, most recent first', () => {
+    const { meetings } = buildHeadToHead(1, 2, fixtures, results, leagues);
+
+    expect(meetings.map(m => [m.fixture.id, m.outcome, m.teamScore, m.opponentScore])).toEqual([
+      [4, 'L', 17, 25],
+      [3, 'W', 20, 0],
+      [2, 'D', 12, 12],
+      [1, 'W', 30, 10]
+    ]);
+  });
+
+  it('should aggregate both teams\' records', () => {
+    const { teamA, teamB } = buildHeadToHead(1, 2, fixtures, results, leagues);
+
+    expect(teamA).toEqual({ won: 2, drawn: 1, lost: 1, pointsFor: 79, pointsAgainst: 47 });
+    expect(teamB).toEqual({ won: 1, drawn: 1, lost: 2, pointsFor: 47, pointsAgainst: 79 });
+  });
+
+  it('should keep the most recent of equal biggest margins', () => {
+    const { biggestWins } = buildHeadToHead(1, 2, fixtures, results, leagues);
+
+    expect(biggestWins.teamA.fixture.id).toBe(3);
+    expect(biggestWins.teamA.margin).toBe(20);
+    expect(biggestWins.teamB.fixture.id).toBe(4);
+  });
+
+  it('should return an empty record when the teams have never met', () => {
+    expect(buildHeadToHead(2, 3, fixtures, results, leagues)).toEqual({
+      meetings: [],
+      teamA: { won: 0, drawn: 0, lost: 0, pointsFor: 0, pointsAgainst: 0 },
+      teamB: { won: 0, drawn: 0, lost: 0, pointsFor: 0, pointsAgainst: 0 },
+      biggestWins: { teamA: null, teamB: null }
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @file knockout.js
+ * @description Knockout cup competitions: seeding, byes, draws and deciding ties
+ * @module utils/knockout
+ *
+ * A knockout cup is a row in tblleagues with competitionType 'knockout'. Its entrants are
+ * stored in seed order in the `seeds` list of its rules profile, and each tie is a fixture
+ * with `cupRound` set (1 = first round). Cup fixtures never feed a league table: the
+ * standings calculator, Tables and the standings email skip knockout competitions.
+ *
+ * Ties are decided the way rugby cups are: the higher score wins, a level score goes to the
+ * side that scored more tries, and if tries are level too the away side progresses.
+ */
+
+import { parseRules, getConcedingSide } from './competitionRules';
+import { isResultConfirmed } from './resultConfirmation';
+import { countTries } from './leagueTable';
+
+/**
+ * Competition types stored in the `competitionType` column of tblleagues
+ * @type {Object<string, string>}
+ */
+export const COMPETITION_TYPES = {
+  league: 'League',
+  knockout: 'Knockout cup'
+};
+
+/**
+ * How a knockout tie was decided
+ * @type {Object<string, string>}
+ */
+export const TIE_DECIDERS = {
+  score: 'Won on the score',
+  walkover: 'Walkover',
+  tries: 'Level score - won on tries',
+  away: 'Level score and tries - away side progresses'
+};
+
+/**
+ * Check whether a competition is a knockout cup
+ * @param {Object} league - Competition from tblleagues
+ * @returns {boolean} True for knockout cups
+ */
+export const isKnockout = (league) => league?.competitionType === 'knockout';
+
+/**
+ * Number of rounds needed for a number of entrants
+ * @param {number} entrants - Teams entered
+ * @returns {number} Rounds up to and including the final (0 for fewer than two teams)
+ */
+export const getRoundCount = (entrants) => (entrants < 2 ? 0 : Math.ceil(Math.log2(entrants)));
+
+/**
+ * Name a cup round
+ * @param {number} round - Round number (1 = first round)
+ * @param {number} totalRounds - Rounds in the competition
+ * @returns {string} "Final", "Semi-finals", "Quarter-finals" or "Round N"
+ */
+export const getRoundName = (round, totalRounds) => {
+  const fromFinal = totalRounds - round;
+  if (fromFinal === 0) return 'Final';
+  if (fromFinal === 1) return 'Semi-finals';
+  if (fromFinal === 2) return 'Quarter-finals';
+  return `Round ${round}`;
+};
+
+/**
+ * Seed numbers in bracket order, so the top seeds can only meet in the later rounds
+ * @param {number} size - Bracket size (a power of two)
+ * @returns {Array<number>} Seed numbers, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for eight
+ */
+export const getBracketOrder = (size) => {
+  let order = [1];
+
+  while (order.length < size) {
+    const count = order.length * 2;
+    order = order.flatMap(seed => [seed, count + 1 - seed]);
+  }
+
+  return order;
+};
+
+/**
+ * Pair neighbouring teams into ties
+ * @param {Array<number|null>} slots - Team IDs in draw order; null is an empty slot
+ * @returns {{ties: Array<{homeTeam: number, awayTeam: number}>, byes: Array<number>}} Ties with
+ * the first team of each pair at home, and the teams drawn against an empty slot (or left
+ * over from an odd number) who go through with a bye
+ */
+export const pairTeams = (slots) => {
+  const ties = [];
+  const byes = [];
+
+  for (let i = 0; i < slots.length; i += 2) {
+    const home = slots[i] ?? null;
+    const away = slots[i + 1] ?? null;
+
+    if (home !== null && away !== null) {
+      ties.push({ homeTeam: home, awayTeam: away });
+    } else if (home !== null || away !== null) {
+      byes.push(home ?? away);
+    }
+  }
+
+  return { ties, byes };
+};
+
+/**
+ * Seeded teams in first-round bracket order
+ * @param {Array<number>} seeds - Team IDs, top seed first
+ * @returns {Array<number|null>} Bracket slots; null where a seed number has no team, giving
+ * the team it would have played a bye. Byes therefore go to the top seeds.
+ */
+export const getFirstRoundSlots = (seeds) => {
+  const size = 2 ** getRoundCount(seeds.length);
+  return getBracketOrder(size).map(seed => seeds[seed - 1] ?? null);
+};
+
+/**
+ * Make the first round draw from the seeding
+ * @param {Array<number>} seeds - Team IDs, top seed first
+ * @returns {{ties: Array<Object>, byes: Array<number>}} First-round ties (higher seed at home) and byes
+ */
+export const drawFirstRound = (seeds) => pairTeams(getFirstRoundSlots(seeds));
+
+/**
+ * Make the draw for a later round
+ * @param {Array<number>} teamIDs - Teams through to the round, in bracket order
+ * @param {Function} [shuffle] - For an open draw, shuffles a copy of the teams (first drawn
+ * is at home); without it the bracket is followed, neighbouring winners meeting
+ * @returns {{ties: Array<Object>, byes: Array<number>}} The round's ties and byes
+ */
+export const drawNextRound = (teamIDs, shuffle) => pairTeams(shuffle ? shuffle([...teamIDs]) : teamIDs);
+
+/**
+ * Shuffle a list for an open draw (Fisher-Yates)
+ * @param {Array} list - Items to shuffle, in place
+ * @returns {Array} The shuffled list
+ */
+export const shuffleDraw = (list) => {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+};
+
+/**
+ * Decide a knockout tie
+ * @param {Object} fixture - Cup fixture from tblfixtures
+ * @param {Object|null} result - The fixture's result from tblresults
+ * @returns {{winner: number, decidedBy: string}|null} The team that progresses and a key of
+ * TIE_DECIDERS, or null until the match is completed with a confirmed result
+ */
+export const getTieWinner = (fixture, result) => {
+  if (fixture.status !== 2 || !result || !isResultConfirmed(result)) return null;
+
+  const conceding = getConcedingSide(fixture, result);
+  if (conceding) {
+    return { winner: conceding === 'home' ? fixture.awayTeam : fixture.homeTeam, decidedBy: 'walkover' };
+  }
+
+  const homeScore = parseInt(result.homeScore) || 0;
+  const awayScore = parseInt(result.awayScore) || 0;
+  if (homeScore !== awayScore) {
+    return { winner: homeScore > awayScore ? fixture.homeTeam : fixture.awayTeam, decidedBy: 'score' };
+  }
+
+  const homeTries = countTries(result.homeScorers);
+  const awayTries = countTries(result.awayScorers);
+  if (homeTries !== awayTries) {
+    return { winner: homeTries > awayTries ? fixture.homeTeam : fixture.awayTeam, decidedBy: 'tries' };
+  }
+
+  return { winner: fixture.awayTeam, decidedBy: 'away' };
+};
+
+/**
+ * Build a cup's bracket from its seeding, fixtures and results
+ * @param {Object} cup - Knockout competition from tblleagues
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @returns {{rounds: Array<Object>, nextRound: number|null, nextEntrants: Array<number>, winner: number|null}}
+ * Every round from the first to the final, each with { round, name, ties, byes, drawn,
+ * complete }, where ties carry the fixture, result, winner and decidedBy. nextRound is the
+ * round ready to be drawn (the previous round is complete) with the teams in it, in bracket
+ * order; winner is the cup winner once the final is decided.
+ * @description Cancelled cup fixtures are ignored. Byes in a drawn round are the teams
+ * through to it that have no tie.
+ */
+export const buildBracket = (cup, fixtures, results) => {
+  const seeds = parseRules(cup.rules).seeds;
+  const cupFixtures = fixtures.filter(f => f.leagueID === cup.id && f.cupRound && f.status !== 3);
+  const totalRounds = Math.max(getRoundCount(seeds.length), ...cupFixtures.map(f => parseInt(f.cupRound)));
+
+  const rounds = [];
+  let entrants = getFirstRoundSlots(seeds).filter(id => id !== null);
+  let nextRound = null;
+  let nextEntrants = [];
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const ties = cupFixtures
+      .filter(f => parseInt(f.cupRound) === round)
+      .map(fixture => {
+        const result = results.find(r => r.fixtureID === fixture.id) || null;
+        return { fixture, result, ...(getTieWinner(fixture, result) || { winner: null, decidedBy: null }) };
+      });
+    const drawn = ties.length > 0;
+    const playing = ties.flatMap(t => [t.fixture.homeTeam, t.fixture.awayTeam]);
+    const byes = drawn ? entrants.filter(id => !playing.includes(id)) : [];
+    const complete = drawn && ties.every(t => t.winner);
+
+    // Show ties in bracket order, by the position of their first entrant
+    const position = (tie) => Math.min(
+      ...[tie.fixture.homeTeam, tie.fixture.awayTeam].map(id => (entrants.includes(id) ? entrants.indexOf(id) : Infinity))
+    );
+    ties.sort((a, b) => position(a) - position(b));
+
+    rounds.push({ round, name: getRoundName(round, totalRounds), ties, byes, drawn, complete });
+
+    if (!drawn && nextRound === null && (round === 1 || rounds[round - 2].complete)) {
+      nextRound = round;
+      nextEntrants = entrants;
+    }
+
+    // Teams through to the next round keep their bracket position
+    const through = [];
+    entrants.forEach(id => {
+      if (byes.includes(id)) {
+        through.push(id);
+        return;
+      }
+      const tie = ties.find(t => t.fixture.homeTeam === id || t.fixture.awayTeam === id);
+      if (tie?.winner && !through.includes(tie.winner)) {
+        through.push(tie.winner);
+      }
+    });
+    entrants = through;
+  }
+
+  const final = rounds[rounds.length - 1];
+  const winner = final?.complete && final.ties.length === 1 ? final.ties[0].winner : null;
+
+  return { rounds, nextRound, nextEntrants, winner };
+};
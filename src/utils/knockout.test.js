@@ -0,0 +1,118 @@
+/**
+ * @file knockout.test.js
+ * @description Tests for knockout cup seeding, draws and tie deciders
+ * @module utils/knockout.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getRoundName,
+  getBracketOrder,
+  drawFirstRound,
+  drawNextRound,
+  getTieWinner,
+  buildBracket
+} from './knockout';
+import { tries } from '../test/scorers';
+
+describe('getRoundName', () => {
+  it('should name the last three rounds', () => {
+    expect(getRoundName(4, 4)).toBe('Final');
+    expect(getRoundName(3, 4)).toBe('Semi-finals');
+    expect(getRoundName(2, 4)).toBe('Quarter-finals');
+    expect(getRoundName(1, 4)).toBe('Round 1');
+  });
+});
+
+describe('drawFirstRound', () => {
+  it('should keep the top seeds apart until the final', () => {
+    expect(getBracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+
+  it('should give byes to the top seeds', () => {
+    const { ties, byes } = drawFirstRound([11, 12, 13, 14, 15, 16]);
+
+    expect(byes).toEqual([11, 12]);
+    expect(ties).toEqual([
+      { homeTeam: 14, awayTeam: 15 },
+      { homeTeam: 13, awayTeam: 16 }
+    ]);
+  });
+});
+
+describe('drawNextRound', () => {
+  it('should follow the bracket, or pair the teams in the order drawn', () => {
+    expect(drawNextRound([1, 2, 3, 4]).ties).toEqual([
+      { homeTeam: 1, awayTeam: 2 },
+      { homeTeam: 3, awayTeam: 4 }
+    ]);
+    expect(drawNextRound([1, 2, 3], list => list.reverse())).toEqual({
+      ties: [{ homeTeam: 3, awayTeam: 2 }],
+      byes: [1]
+    });
+  });
+});
+
+describe('getTieWinner', () => {
+  const fixture = { id: 1, homeTeam: 10, awayTeam: 20, status: 2 };
+
+  it('should decide on the score, then tries, then the away side', () => {
+    expect(getTieWinner(fixture, { homeScore: 20, awayScore: 15 })).toEqual({ winner: 10, decidedBy: 'score' });
+    expect(getTieWinner(fixture, { homeScore: 15, awayScore: 15, homeScorers: tries(3), awayScorers: tries(1) }))
+      .toEqual({ winner: 10, decidedBy: 'tries' });
+    expect(getTieWinner(fixture, { homeScore: 10, awayScore: 10, homeScorers: tries(2), awayScorers: tries(2) }))
+      .toEqual({ winner: 20, decidedBy: 'away' });
+  });
+
+  it('should send the other side through on a walkover', () => {
+    expect(getTieWinner(fixture, { homeScore: 0, awayScore: 25, resultType: 'walkover', concededBy: 10 }))
+      .toEqual({ winner: 20, decidedBy: 'walkover' });
+  });
+
+  it('should wait for a completed match with a confirmed result', () => {
+    expect(getTieWinner({ ...fixture, status: 0 }, null)).toBeNull();
+    expect(getTieWinner(fixture, { homeScore: 20, awayScore: 15, confirmationStatus: 'submitted' })).toBeNull();
+  });
+});
+
+describe('buildBracket', () => {
+  const cup = { id: 5, competitionType: 'knockout', rules: JSON.stringify({ seeds: [1, 2, 3] }) };
+
+  it('should offer the first round for the draw before any ties exist', () => {
+    const bracket = buildBracket(cup, [], []);
+
+    expect(bracket.rounds.map(r => r.name)).toEqual(['Semi-finals', 'Final']);
+    expect(bracket.nextRound).toBe(1);
+    expect(bracket.nextEntrants).toEqual([1, 2, 3]);
+  });
+
+  it('should carry winners and byes through to the next round and find the winner', () => {
+    const fixtures = [
+      { id: 1, leagueID: 5, cupRound: 1, homeTeam: 2, awayTeam: 3, status: 2 },
+      { id: 2, leagueID: 5, cupRound: 2, homeTeam: 1, awayTeam: 3, status: 2 },
+      { id: 3, leagueID: 9, homeTeam: 1, awayTeam: 2, status: 2 }
+    ];
+    const results = [
+      { fixtureID: 1, homeScore: 5, awayScore: 12 }
+    ];
+
+    const drawnFinal = buildBracket(cup, fixtures, results);
+    expect(drawnFinal.rounds[0].byes).toEqual([1]);
+    expect(drawnFinal.rounds[0].ties[0].winner).toBe(3);
+    expect(drawnFinal.nextRound).toBeNull();
+    expect(drawnFinal.winner).toBeNull();
+
+    const decided = buildBracket(cup, fixtures, [...results, { fixtureID: 2, homeScore: 20, awayScore: 3 }]);
+    expect(decided.winner).toBe(1);
+  });
+
+  it('should wait for every tie before offering the next draw', () => {
+    const fixtures = [
+      { id: 1, leagueID: 5, cupRound: 1, homeTeam: 2, awayTeam: 3, status: 0 }
+    ];
+
+    expect(buildBracket(cup, fixtures, []).nextRound).toBeNull();
+    expect(buildBracket(cup, [{ ...fixtures[0], status: 2 }], [{ fixtureID: 1, homeScore: 7, awayScore: 3 }]))
+      .toMatchObject({ nextRound: 2, nextEntrants: [1, 2] });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @file leaderboards.js
+ * @description Player scoring statistics built from the scorers stored with each result
+ * @module utils/leaderboards
+ *
+ * Only results that count in the league table are used (see countsInStandings), so
+ * unconfirmed results and abandoned matches that were not given a result are left out.
+ * Scorers linked to a registered player are grouped by player ID; free-text scorers by
+ * team and name. Penalty tries are not credited to a player.
+ */
+
+import { countsInStandings } from './competitionRules';
+import { normaliseName, parseScorers } from './players';
+
+/**
+ * Leaderboards shown on the Leaderboards page
+ * @type {Object<string, {label: string, field: string, unit: string}>}
+ */
+export const LEADERBOARDS = {
+  points: { label: 'Top Points Scorers', field: 'points', unit: 'Pts' },
+  tries: { label: 'Top Try Scorers', field: 'tries', unit: 'Tries' },
+  kickers: { label: 'Top Kickers', field: 'kickingPoints', unit: 'Pts' }
+};
+
+/**
+ * Score types that count as kicking points
+ * @type {Array<string>}
+ */
+const KICK_TYPES = ['conversion', 'penalty', 'dropGoal'];
+
+/**
+ * Build per-player scoring statistics for a league
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Object} league - League from tblleagues (its rules decide which results count)
+ * @param {number|null} [teamID=null] - Only include this team's players
+ * @returns {Array<Object>} One row per player with playerID, playerName, teamID, points,
+ * tries, conversions, penalties, dropGoals, kickingPoints and matches (matches scored in)
+ */
+export const buildPlayerStats = (results, fixtures, league, teamID = null) => {
+  const stats = {};
+
+  (fixtures || [])
+    .filter(fixture => fixture.leagueID === league.id)
+    .forEach(fixture => {
+      const result = (results || []).find(r => r.fixtureID === fixture.id);
+      if (!result || !countsInStandings(fixture, result, league.rules)) return;
+
+      [[result.homeScorers, fixture.homeTeam], [result.awayScorers, fixture.awayTeam]].forEach(([scorers, scorerTeam]) => {
+        if (teamID && scorerTeam !== teamID) return;
+
+        const scoredInMatch = new Set();
+
+        parseScorers(scorers)
+          .filter(s => !s.isPenaltyTry && normaliseName(s.playerName))
+          .forEach(s => {
+            const key = s.playerID ? `player:${s.playerID}` : `${scorerTeam}:${normaliseName(s.playerName)}`;
+
+            if (!stats[key]) {
+              stats[key] = {
+                key,
+                playerID: s.playerID || null,
+                playerName: s.playerName.trim(),
+                teamID: scorerTeam,
+                points: 0,
+                tries: 0,
+                conversions: 0,
+                penalties: 0,
+                dropGoals: 0,
+                kickingPoints: 0,
+                matches: 0
+              };
+            }
+
+            const row = stats[key];
+            const points = parseInt(s.points) || 0;
+
+            row.points += points;
+            if (s.scoreType === 'try') row.tries++;
+            if (s.scoreType === 'conversion') row.conversions++;
+            if (s.scoreType === 'penalty') row.penalties++;
+            if (s.scoreType === 'dropGoal') row.dropGoals++;
+            if (KICK_TYPES.includes(s.scoreType)) row.kickingPoints += points;
+
+            if (!scoredInMatch.has(key)) {
+              scoredInMatch.add(key);
+              row.matches++;
+            }
+          });
+      });
+    });
+
+  return Object.values(stats);
+};
+
+/**
+ * Rank players on one statistic
+ * @param {Array<Object>} stats - Rows from buildPlayerStats
+ * @param {string} field - Statistic to rank on, e.g. 'points' or 'tries'
+ * @param {number} [limit=10] - Number of rows to return (players tied with the last row are kept)
+ * @returns {Array<Object>} Rows with the statistic above zero, highest first, each with a
+ * position (tied players share a position)
+ */
+export const rankLeaderboard = (stats, field, limit = 10) => {
+  const sorted = (stats || [])
+    .filter(row => row[field] > 0)
+    .sort((a, b) => b[field] - a[field] || a.playerName.localeCompare(b.playerName));
+
+  const ranked = sorted.map((row, i) => ({
+    ...row,
+    position: i > 0 && sorted[i - 1][field] === row[field] ? null : i + 1
+  }));
+
+  // Carry shared positions down to tied rows
+  ranked.forEach((row, i) => {
+    if (row.position === null) row.position = ranked[i - 1].position;
+  });
+
+  if (ranked.length <= limit) return ranked;
+
+  const cutOff = ranked[limit - 1][field];
+  return ranked.filter((row, i) => i < limit || row[field] === cutOff);
+};
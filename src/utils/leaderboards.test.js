@@ -0,0 +1,99 @@
+/**
+ * @file leaderboards.test.js
+ * @description Tests for player scoring leaderboards
+ * @module utils/leaderboards.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildPlayerStats, rankLeaderboard } from './leaderboards';
+
+const league = { id: 1, rules: null };
+
+const fixtures = [
+  { id: 10, leagueID: 1, homeTeam: 1, awayTeam: 2, status: 2 },
+  { id: 11, leagueID: 1, homeTeam: 2, awayTeam: 1, status: 2 },
+  { id: 12, leagueID: 1, homeTeam: 1, awayTeam: 2, status: 2 },
+  { id: 13, leagueID: 2, homeTeam: 1, awayTeam: 2, status: 2 }
+];
+
+const results = [
+  {
+    fixtureID: 10,
+    confirmationStatus: 'confirmed',
+    homeScorers: JSON.stringify([
+      { playerID: 7, playerName: 'John Smith', scoreType: 'try', points: 5 },
+      { playerID: 7, playerName: 'John Smith', scoreType: 'try', points: 5 },
+      { playerName: 'Tom Jones', scoreType: 'conversion', points: 2 },
+      { playerName: 'Penalty Try', scoreType: 'try', points: 7, isPenaltyTry: true }
+    ]),
+    awayScorers: JSON.stringify([{ playerName: 'Sam Smith', scoreType: 'penalty', points: 3 }])
+  },
+  {
+    fixtureID: 11,
+    confirmationStatus: 'confirmed',
+    homeScorers: '[]',
+    awayScorers: JSON.stringify([
+      { playerID: 7, playerName: 'John Smith', scoreType: 'dropGoal', points: 3 },
+      { playerName: 'tom jones', scoreType: 'penalty', points: 3 }
+    ])
+  },
+  {
+    fixtureID: 12,
+    confirmationStatus: 'submitted',
+    homeScorers: JSON.stringify([{ playerName: 'Tom Jones', scoreType: 'try', points: 5 }]),
+    awayScorers: '[]'
+  },
+  {
+    fixtureID: 13,
+    homeScorers: JSON.stringify([{ playerName: 'Tom Jones', scoreType: 'try', points: 5 }]),
+    awayScorers: '[]'
+  }
+];
+
+describe('buildPlayerStats', () => {
+  const stats = buildPlayerStats(results, fixtures, league);
+  const find = (name) => stats.find(row => row.playerName.toLowerCase() === name.toLowerCase());
+
+  it('should total points, tries and kicks per player across matches', () => {
+    expect(find('John Smith')).toMatchObject({
+      playerID: 7, teamID: 1, points: 13, tries: 2, dropGoals: 1, kickingPoints: 3, matches: 2
+    });
+  });
+
+  it('should group unlinked scorers by team and name, ignoring case', () => {
+    expect(find('Tom Jones')).toMatchObject({ points: 5, conversions: 1, penalties: 1, kickingPoints: 5, matches: 2 });
+  });
+
+  it('should skip penalty tries, unconfirmed results and other leagues', () => {
+    expect(find('Penalty Try')).toBeUndefined();
+    expect(find('Tom Jones').tries).toBe(0);
+    expect(stats).toHaveLength(3);
+  });
+
+  it('should filter by team', () => {
+    expect(buildPlayerStats(results, fixtures, league, 2).map(row => row.playerName)).toEqual(['Sam Smith']);
+  });
+});
+
+describe('rankLeaderboard', () => {
+  const stats = [
+    { playerName: 'A', points: 10, tries: 2 },
+    { playerName: 'B', points: 8, tries: 0 },
+    { playerName: 'C', points: 8, tries: 1 },
+    { playerName: 'D', points: 3, tries: 0 }
+  ];
+
+  it('should sort highest first and share positions between tied players', () => {
+    expect(rankLeaderboard(stats, 'points').map(row => [row.playerName, row.position])).toEqual([
+      ['A', 1], ['B', 2], ['C', 2], ['D', 4]
+    ]);
+  });
+
+  it('should leave out players with nothing in the statistic', () => {
+    expect(rankLeaderboard(stats, 'tries').map(row => row.playerName)).toEqual(['A', 'C']);
+  });
+
+  it('should keep players tied with the last place in the limit', () => {
+    expect(rankLeaderboard(stats, 'points', 2).map(row => row.playerName)).toEqual(['A', 'B', 'C']);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @file leagueTable.js
+ * @description Builds league tables from fixtures and results without touching the database
+ * @module utils/leagueTable
+ *
+ * standingsCalculator.js uses buildStandings to write tblstandings; the public pages use it
+ * to show how the table looked at a point in the season (e.g. a match's table impact, or
+ * each team's position round by round).
+ */
+
+import { getLeagueRules, calculateMatchPoints, countsInStandings, getConcedingSide } from './competitionRules';
+import { rankStandings, buildMatchList } from './tiebreakers';
+import { getLeagueSanctions, applySanctions } from './sanctions';
+
+/**
+ * Create an empty standings row
+ * @param {number} teamID - Team ID
+ * @returns {Object} Row with every statistic at zero
+ */
+export const createStandingRow = (teamID) => ({
+  teamID,
+  played: 0,
+  won: 0,
+  drawn: 0,
+  lost: 0,
+  pointsFor: 0,
+  pointsAgainst: 0,
+  pointsDifference: 0,
+  bonusPoints: 0,
+  points: 0,
+  triesFor: 0
+});
+
+/**
+ * Count the tries in a scorer list
+ * @param {Array<Object>|string|null} scorers - Scorers, as stored in tblresults or parsed
+ * @returns {number} Number of tries (penalty tries included)
+ */
+export const countTries = (scorers) => {
+  try {
+    const list = scorers ? (typeof scorers === 'string' ? JSON.parse(scorers) : scorers) : [];
+    return Array.isArray(list) ? list.filter(s => s.scoreType === 'try').length : 0;
+  } catch (err) {
+    console.error('Error parsing scorers for bonus points:', err);
+    return 0;
+  }
+};
+
+/**
+ * Build a league's ranked standings
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - League from tblleagues (its rules profile decides points and tiebreaks)
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @returns {Array<Object>} Standings rows in table order, each with `position` and `tiebreak`
+ * @description Only completed matches, plus abandoned matches the league's rules count as a
+ * result, are included. Points deductions are subtracted before teams are ranked. Teams with
+ * a deduction but no matches yet still get a row.
+ */
+export const buildStandings = (fixtures, results, league, sanctions = []) => {
+  const rules = getLeagueRules(league);
+
+  const resultsMap = {};
+  (results || []).forEach(result => {
+    resultsMap[result.fixtureID] = result;
+  });
+
+  const leagueFixtures = (fixtures || []).filter(
+    f => f.leagueID === league.id && countsInStandings(f, resultsMap[f.id], rules)
+  );
+  const leagueSanctions = getLeagueSanctions(sanctions || [], league.id);
+
+  const standings = {};
+  leagueFixtures.forEach(fixture => {
+    standings[fixture.homeTeam] = standings[fixture.homeTeam] || createStandingRow(fixture.homeTeam);
+    standings[fixture.awayTeam] = standings[fixture.awayTeam] || createStandingRow(fixture.awayTeam);
+  });
+  leagueSanctions.forEach(sanction => {
+    standings[sanction.teamID] = standings[sanction.teamID] || createStandingRow(sanction.teamID);
+  });
+
+  leagueFixtures.forEach(fixture => {
+    const result = resultsMap[fixture.id];
+    const homeTeam = standings[fixture.homeTeam];
+    const awayTeam = standings[fixture.awayTeam];
+
+    const homeScore = parseInt(result.homeScore) || 0;
+    const awayScore = parseInt(result.awayScore) || 0;
+    const homeTries = countTries(result.homeScorers);
+    const awayTries = countTries(result.awayScorers);
+
+    homeTeam.played++;
+    awayTeam.played++;
+    homeTeam.pointsFor += homeScore;
+    homeTeam.pointsAgainst += awayScore;
+    awayTeam.pointsFor += awayScore;
+    awayTeam.pointsAgainst += homeScore;
+    homeTeam.triesFor += homeTries;
+    awayTeam.triesFor += awayTries;
+
+    // Award match and bonus points using the league's rules profile
+    const matchPoints = calculateMatchPoints({
+      homeScore,
+      awayScore,
+      homeTries,
+      awayTries,
+      concededBy: getConcedingSide(fixture, result)
+    }, rules);
+
+    [[homeTeam, matchPoints.home], [awayTeam, matchPoints.away]].forEach(([team, awarded]) => {
+      team[awarded.outcome]++;
+      team.bonusPoints += awarded.bonusPoints;
+      team.points += awarded.points;
+    });
+
+    homeTeam.pointsDifference = homeTeam.pointsFor - homeTeam.pointsAgainst;
+    awayTeam.pointsDifference = awayTeam.pointsFor - awayTeam.pointsAgainst;
+  });
+
+  const matches = buildMatchList(leagueFixtures, results || [], league.id, rules);
+  return rankStandings(applySanctions(Object.values(standings), leagueSanctions), rules, matches);
+};
+
+/**
+ * Show how one match changed its league table
+ * @param {Object} fixture - The match (from tblfixtures)
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - The match's league
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @param {Function} [buildTable=buildStandings] - Builds the table from (fixtures, results,
+ * league, sanctions); a pool passes its own (see getPoolTableImpact in pools.js)
+ * @returns {Array<Object>|null} The table just after the match, each row with
+ * `previousPosition` (null if the team had no row before) and `pointsGained`; null when
+ * the match does not count in the table
+ * @description The table "before" contains every counting match up to the match's date
+ * (other matches on the same day are treated as already played) and the deductions applied
+ * by then; the table "after" adds the match itself.
+ */
+export const getTableImpact = (fixture, fixtures, results, league, sanctions = [], buildTable = buildStandings) => {
+  const result = (results || []).find(r => r.fixtureID === fixture.id);
+  if (!countsInStandings(fixture, result, getLeagueRules(league))) return null;
+
+  const kickOff = new Date(fixture.date);
+  const earlier = (fixtures || []).filter(f => f.id !== fixture.id && new Date(f.date) <= kickOff);
+  const applied = (sanctions || []).filter(s => !s.dateApplied || new Date(s.dateApplied) <= kickOff);
+
+  const before = buildTable(earlier, results, league, applied);
+  const after = buildTable([...earlier, fixture], results, league, applied);
+
+  return after.map(row => {
+    const previous = before.find(b => b.teamID === row.teamID);
+    return {
+      ...row,
+      previousPosition: previous ? previous.position : null,
+      pointsGained: row.points - (previous ? previous.points : 0)
+    };
+  });
+};
+
+/**
+ * Work out every team's league position after each round of the season
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - League from tblleagues
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @returns {Array<{date: string, positions: Object<number, number>}>} One entry per match day
+ * (YYYY-MM-DD, oldest first) mapping team IDs to their position once that day's counting
+ * matches, and the deductions applied by then, are included. Teams without a row yet are absent.
+ * @description Positions are not stored historically, so they are rebuilt from the dated
+ * fixtures. A round is every counting match played on the same day.
+ */
+export const buildPositionHistory = (fixtures, results, league, sanctions = []) => {
+  const rules = getLeagueRules(league);
+  const day = (date) => String(date).substring(0, 10);
+
+  const counted = (fixtures || []).filter(f =>
+    f.leagueID === league.id && countsInStandings(f, (results || []).find(r => r.fixtureID === f.id), rules)
+  );
+  const dates = [...new Set(counted.map(f => day(f.date)))].sort();
+
+  return dates.map(date => {
+    const played = counted.filter(f => day(f.date) <= date);
+    const applied = (sanctions || []).filter(s => !s.dateApplied || day(s.dateApplied) <= date);
+    const positions = {};
+    buildStandings(played, results, league, applied).forEach(row => {
+      positions[row.teamID] = row.position;
+    });
+    return { date, positions };
+  });
+};
@@ -0,0 +1,79 @@
+/**
+ * @file leagueTable.test.js
+ * @description Tests for building league tables from fixtures and results
+ * @module utils/leagueTable.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildStandings, getTableImpact, buildPositionHistory } from './leagueTable';
+import { tries } from '../test/scorers';
+
+const league = { id: 1, rules: null };
+
+const fixtures = [
+  { id: 1, leagueID: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', status: 2 },
+  { id: 2, leagueID: 1, homeTeam: 3, awayTeam: 1, date: '2025-09-13 15:00:00', status: 2 },
+  { id: 3, leagueID: 1, homeTeam: 2, awayTeam: 3, date: '2025-09-20 15:00:00', status: 2 },
+  { id: 4, leagueID: 1, homeTeam: 1, awayTeam: 3, date: '2025-09-27 15:00:00', status: 0 },
+  { id: 5, leagueID: 2, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', status: 2 }
+];
+
+const results = [
+  { fixtureID: 1, homeScore: 20, awayScore: 15, homeScorers: tries(4), awayScorers: tries(3) },
+  { fixtureID: 2, homeScore: 10, awayScore: 30, homeScorers: '[]', awayScorers: '[]' },
+  { fixtureID: 3, homeScore: 12, awayScore: 12, homeScorers: '[]', awayScorers: '[]', confirmationStatus: 'submitted' },
+  { fixtureID: 5, homeScore: 50, awayScore: 0, homeScorers: '[]', awayScorers: '[]' }
+];
+
+describe('buildStandings', () => {
+  const table = buildStandings(fixtures, results, league);
+  const row = (teamID) => table.find(r => r.teamID === teamID);
+
+  it('should total results and award match and bonus points', () => {
+    expect(row(1)).toMatchObject({ played: 2, won: 2, pointsFor: 50, pointsAgainst: 25, triesFor: 4, bonusPoints: 1, points: 9 });
+    expect(row(2)).toMatchObject({ played: 1, lost: 1, bonusPoints: 1, points: 1 });
+  });
+
+  it('should skip unconfirmed results, unplayed fixtures and other leagues', () => {
+    expect(row(3)).toMatchObject({ played: 1, lost: 1, points: 0 });
+  });
+
+  it('should rank teams and apply deductions', () => {
+    const sanctions = [{ id: 1, leagueID: 1, teamID: 1, pointsDeducted: 10, dateApplied: '2025-09-01' }];
+    expect(buildStandings(fixtures, results, league, sanctions).map(r => [r.teamID, r.position])).toEqual([
+      [2, 1], [3, 2], [1, 3]
+    ]);
+  });
+});
+
+describe('getTableImpact', () => {
+  it('should compare the table before and after the match', () => {
+    const impact = getTableImpact(fixtures[1], fixtures, results, league);
+
+    expect(impact.find(r => r.teamID === 1)).toMatchObject({ position: 1, previousPosition: 1, pointsGained: 4 });
+    expect(impact.find(r => r.teamID === 3)).toMatchObject({ position: 3, previousPosition: null, pointsGained: 0 });
+  });
+
+  it('should return null for a match that does not count', () => {
+    expect(getTableImpact(fixtures[2], fixtures, results, league)).toBeNull();
+    expect(getTableImpact(fixtures[3], fixtures, results, league)).toBeNull();
+  });
+});
+
+describe('buildPositionHistory', () => {
+  it('should give each team\'s position after every match day', () => {
+    expect(buildPositionHistory(fixtures, results, league)).toEqual([
+      { date: '2025-09-06', positions: { 1: 1, 2: 2 } },
+      { date: '2025-09-13', positions: { 1: 1, 2: 2, 3: 3 } }
+    ]);
+  });
+
+  it('should apply deductions from the day they were made', () => {
+    const sanctions = [{ id: 1, leagueID: 1, teamID: 1, pointsDeducted: 10, dateApplied: '2025-09-10' }];
+
+    expect(buildPositionHistory(fixtures, results, league, sanctions).map(h => h.positions)).toEqual([
+      { 1: 1, 2: 2 },
+      { 1: 3, 2: 1, 3: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @file leagueZones.js
+ * @description Promotion, play-off and relegation zones, and which teams are certain of them
+ * @module utils/leagueZones
+ *
+ * Each league's rules profile sets how many places at the top are promoted, how many after
+ * those go into the play-offs, and how many at the bottom are relegated (see competitionRules.js).
+ * The Tables page, the standings email and the league tables PDF shade those zones, and mark
+ * teams whose fate no longer depends on the remaining fixtures.
+ */
+
+import { parseRules, countsInStandings } from './competitionRules';
+
+/**
+ * Table zones, in the order they appear in legends
+ * @type {Object<string, string>}
+ */
+export const LEAGUE_ZONES = {
+  promotion: 'Promotion',
+  playoff: 'Play-offs',
+  relegation: 'Relegation'
+};
+
+/**
+ * Markers for teams whose zone can no longer change: a short badge and its meaning
+ * @type {Object<string, {badge: string, label: string}>}
+ */
+export const CLINCHED_STATUSES = {
+  promoted: { badge: 'Promoted', label: 'Mathematically promoted' },
+  relegated: { badge: 'Relegated', label: 'Mathematically relegated' },
+  safe: { badge: 'Safe', label: 'Mathematically safe' }
+};
+
+/**
+ * Get the zone a table position falls in
+ * @param {number} position - Position in the table (1 = top)
+ * @param {number} teamCount - Teams in the league
+ * @param {Object|string|null} rules - The league's rules profile
+ * @returns {string|null} A key of LEAGUE_ZONES, or null for mid-table. In a league too small
+ * for every zone, promotion and then the play-offs take priority over relegation.
+ */
+export const getZone = (position, teamCount, rules) => {
+  const profile = parseRules(rules);
+
+  if (position <= profile.promotionPlaces) return 'promotion';
+  if (position <= profile.promotionPlaces + profile.playoffPlaces) return 'playoff';
+  if (position > teamCount - profile.relegationPlaces) return 'relegation';
+  return null;
+};
+
+/**
+ * List the zones a league uses, for table legends
+ * @param {Object|string|null} rules - The league's rules profile
+ * @returns {Array<{zone: string, label: string, places: number}>} Zones with at least one place
+ */
+export const getZoneLegend = (rules) => {
+  const profile = parseRules(rules);
+  const places = {
+    promotion: profile.promotionPlaces,
+    playoff: profile.playoffPlaces,
+    relegation: profile.relegationPlaces
+  };
+
+  return Object.entries(LEAGUE_ZONES)
+    .filter(([zone]) => places[zone] > 0)
+    .map(([zone, label]) => ({ zone, label, places: places[zone] }));
+};
+
+/**
+ * Count each team's league matches still to be decided
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - League from tblleagues
+ * @returns {Object<number, number>} Team ID to matches remaining. Scheduled, underway and
+ * postponed fixtures count, as do completed ones whose result is not yet confirmed.
+ */
+export const getRemainingMatches = (fixtures, results, league) => {
+  const remaining = {};
+
+  fixtures
+    .filter(f => f.leagueID === league.id)
+    .filter(f => f.status === 0 || f.status === 1 || f.status === 5 ||
+      (f.status === 2 && !countsInStandings(f, (results || []).find(r => r.fixtureID === f.id), league.rules)))
+    .forEach(fixture => {
+      remaining[fixture.homeTeam] = (remaining[fixture.homeTeam] || 0) + 1;
+      remaining[fixture.awayTeam] = (remaining[fixture.awayTeam] || 0) + 1;
+    });
+
+  return remaining;
+};
+
+/**
+ * Work out which teams are certain of promotion, relegation or safety
+ * @param {Array<Object>} standings - Ranked standings rows (teamID, points, position)
+ * @param {Object<number, number>} remaining - Matches remaining per team (see getRemainingMatches)
+ * @param {Object|string|null} rules - The league's rules profile
+ * @returns {Object<number, string>} Team ID to a key of CLINCHED_STATUSES; undecided teams are left out
+ * @description Each team's final points are bounded by winning every remaining match with a
+ * bonus point and losing every one (walkover penalties included). A team is promoted when
+ * too few others can reach its lowest total to push it out of the promotion places, relegated
+ * when too many others are already certain to finish above its highest total, and safe when
+ * too few can reach its lowest total to push it into the relegation places. Level totals are
+ * treated as going against the team, as tiebreaks cannot be predicted. Once every match has
+ * been decided the table positions are final.
+ */
+export const getClinchedStatuses = (standings, remaining, rules) => {
+  const profile = parseRules(rules);
+  const teamCount = standings.length;
+  const bonus = profile.tryBonusType === 'none' ? 0 : 1;
+  const best = Math.max(
+    profile.winPoints + bonus,
+    profile.drawPoints + bonus,
+    profile.lossPoints + bonus + (profile.losingBonusEnabled ? 1 : 0),
+    profile.walkoverPoints
+  );
+  const worst = Math.min(profile.winPoints, profile.drawPoints, profile.lossPoints, -profile.walkoverPenalty);
+  const finished = standings.every(s => !remaining[s.teamID]);
+
+  const ranges = standings.map(s => ({
+    teamID: s.teamID,
+    position: s.position,
+    min: s.points + (remaining[s.teamID] || 0) * worst,
+    max: s.points + (remaining[s.teamID] || 0) * best
+  }));
+
+  const statuses = {};
+
+  ranges.forEach(team => {
+    const others = ranges.filter(o => o.teamID !== team.teamID);
+    const lowest = finished ? team.position : others.filter(o => o.max >= team.min).length + 1;
+    const highest = finished ? team.position : others.filter(o => o.min > team.max).length + 1;
+
+    if (profile.promotionPlaces > 0 && lowest <= profile.promotionPlaces) {
+      statuses[team.teamID] = 'promoted';
+    } else if (profile.relegationPlaces > 0 && highest > teamCount - profile.relegationPlaces) {
+      statuses[team.teamID] = 'relegated';
+    } else if (profile.relegationPlaces > 0 && lowest <= teamCount - profile.relegationPlaces) {
+      statuses[team.teamID] = 'safe';
+    }
+  });
+
+  return statuses;
+};
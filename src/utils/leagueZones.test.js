@@ -0,0 +1,83 @@
+/**
+ * @file leagueZones.test.js
+ * @description Tests for league table zones and clinched positions
+ * @module utils/leagueZones.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getZone, getZoneLegend, getRemainingMatches, getClinchedStatuses } from './leagueZones';
+
+const rules = { promotionPlaces: 1, playoffPlaces: 1, relegationPlaces: 1 };
+
+describe('getZone', () => {
+  it('should place the top, play-off and bottom positions in their zones', () => {
+    expect(getZone(1, 6, rules)).toBe('promotion');
+    expect(getZone(2, 6, rules)).toBe('playoff');
+    expect(getZone(3, 6, rules)).toBeNull();
+    expect(getZone(6, 6, rules)).toBe('relegation');
+  });
+
+  it('should have no zones for a league on the default rules', () => {
+    expect(getZone(1, 6, null)).toBeNull();
+    expect(getZoneLegend(null)).toEqual([]);
+  });
+});
+
+describe('getRemainingMatches', () => {
+  it('should count scheduled fixtures and unconfirmed results', () => {
+    const fixtures = [
+      { id: 1, leagueID: 1, homeTeam: 10, awayTeam: 20, status: 0 },
+      { id: 2, leagueID: 1, homeTeam: 10, awayTeam: 30, status: 2 },
+      { id: 3, leagueID: 1, homeTeam: 20, awayTeam: 30, status: 2 },
+      { id: 4, leagueID: 1, homeTeam: 20, awayTeam: 30, status: 3 },
+      { id: 5, leagueID: 2, homeTeam: 10, awayTeam: 20, status: 0 }
+    ];
+    const results = [
+      { fixtureID: 2, homeScore: 10, awayScore: 5, confirmationStatus: 'submitted' },
+      { fixtureID: 3, homeScore: 10, awayScore: 5 }
+    ];
+
+    expect(getRemainingMatches(fixtures, results, { id: 1, rules: null })).toEqual({ 10: 2, 20: 1, 30: 1 });
+  });
+
+  it('should count postponed fixtures as still to be played', () => {
+    const fixtures = [{ id: 1, leagueID: 1, homeTeam: 10, awayTeam: 20, status: 5 }];
+
+    expect(getRemainingMatches(fixtures, [], { id: 1, rules: null })).toEqual({ 10: 1, 20: 1 });
+  });
+});
+
+describe('getClinchedStatuses', () => {
+  const standings = [
+    { teamID: 1, position: 1, points: 40 },
+    { teamID: 2, position: 2, points: 30 },
+    { teamID: 3, position: 3, points: 20 },
+    { teamID: 4, position: 4, points: 5 }
+  ];
+
+  it('should mark teams whose zone the remaining matches cannot change', () => {
+    // Default rules: a team can take at most 5 points from a match
+    const statuses = getClinchedStatuses(standings, { 1: 1, 2: 1, 3: 1, 4: 1 }, { promotionPlaces: 1, relegationPlaces: 1 });
+
+    expect(statuses).toEqual({ 1: 'promoted', 2: 'safe', 3: 'safe', 4: 'relegated' });
+  });
+
+  it('should leave teams undecided while they can still be caught', () => {
+    const statuses = getClinchedStatuses(standings, { 1: 2, 2: 2, 3: 4, 4: 4 }, { promotionPlaces: 1, relegationPlaces: 1 });
+
+    expect(statuses[1]).toBe('safe');
+    expect(statuses[2]).toBe('safe');
+    expect(statuses[3]).toBeUndefined();
+    expect(statuses[4]).toBeUndefined();
+  });
+
+  it('should treat level points as undecided until the season is over', () => {
+    const level = [
+      { teamID: 1, position: 1, points: 30 },
+      { teamID: 2, position: 2, points: 30 }
+    ];
+
+    expect(getClinchedStatuses(level, { 1: 1, 2: 1 }, { promotionPlaces: 1 })).toEqual({});
+    expect(getClinchedStatuses(level, {}, { promotionPlaces: 1 })).toEqual({ 1: 'promoted' });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @file matchTimeline.js
+ * @description Scoring timeline for a match, built from the scorers stored with its result
+ * @module utils/matchTimeline
+ */
+
+import { parseScorers } from './players';
+
+/**
+ * Display labels for scorer score types
+ * @type {Object<string, string>}
+ */
+export const SCORE_TYPE_LABELS = {
+  try: 'Try',
+  conversion: 'Conversion',
+  penalty: 'Penalty',
+  dropGoal: 'Drop Goal'
+};
+
+/**
+ * Build the scoring timeline for a result
+ * @param {Object|null} result - Result from tblresults
+ * @returns {Array<Object>} Scoring events in minute order, each a scorer with `side`
+ * ('home'|'away'), `minute` (null if not recorded) and the running `homeScore`/`awayScore`.
+ * Events without a minute come last, in the order they were entered.
+ */
+export const buildTimeline = (result) => {
+  if (!result) return [];
+
+  const events = [
+    ...parseScorers(result.homeScorers).map((scorer, index) => ({ ...scorer, side: 'home', index })),
+    ...parseScorers(result.awayScorers).map((scorer, index) => ({ ...scorer, side: 'away', index }))
+  ].map(event => {
+    const minute = parseInt(event.minute);
+    return { ...event, minute: isNaN(minute) ? null : minute };
+  });
+
+  events.sort((a, b) => {
+    if (a.minute === null || b.minute === null) {
+      if (a.minute !== b.minute) return a.minute === null ? 1 : -1;
+    } else if (a.minute !== b.minute) {
+      return a.minute - b.minute;
+    }
+    // Same minute: keep entry order, home side first
+    return a.index - b.index || (a.side === 'home' ? -1 : 1);
+  });
+
+  let homeScore = 0;
+  let awayScore = 0;
+
+  return events.map(entry => {
+    const { index: _index, ...event } = entry;
+    const points = parseInt(event.points) || 0;
+    if (event.side === 'home') {
+      homeScore += points;
+    } else {
+      awayScore += points;
+    }
+    return { ...event, homeScore, awayScore };
+  });
+};
@@ -0,0 +1,39 @@
+/**
+ * @file matchTimeline.test.js
+ * @description Tests for the match scoring timeline
+ * @module utils/matchTimeline.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildTimeline } from './matchTimeline';
+
+describe('buildTimeline', () => {
+  it('should order both sides by minute with a running score', () => {
+    const timeline = buildTimeline({
+      homeScorers: JSON.stringify([
+        { playerName: 'A', scoreType: 'try', points: 5, minute: 30 },
+        { playerName: 'A', scoreType: 'conversion', points: 2, minute: 31 }
+      ]),
+      awayScorers: JSON.stringify([{ playerName: 'B', scoreType: 'penalty', points: 3, minute: '12' }])
+    });
+
+    expect(timeline.map(e => [e.side, e.minute, e.homeScore, e.awayScore])).toEqual([
+      ['away', 12, 0, 3],
+      ['home', 30, 5, 3],
+      ['home', 31, 7, 3]
+    ]);
+  });
+
+  it('should put events without a minute last', () => {
+    const timeline = buildTimeline({
+      homeScorers: [{ playerName: 'A', scoreType: 'try', points: 5, minute: '' }],
+      awayScorers: [{ playerName: 'B', scoreType: 'try', points: 5, minute: 70 }]
+    });
+
+    expect(timeline.map(e => [e.playerName, e.minute])).toEqual([['B', 70], ['A', null]]);
+  });
+
+  it('should return an empty timeline without a result', () => {
+    expect(buildTimeline(null)).toEqual([]);
+  });
+});
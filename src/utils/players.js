@@ -0,0 +1,153 @@
+/**
+ * @file players.js
+ * @description Player registry helpers - squads and matching free-text scorer names
+ * @module utils/players
+ *
+ * Players are registered per team in tblplayers and picked in the scorer rows of the
+ * result forms, which store the player's ID alongside the name in the scorers JSON.
+ * Results entered before the registry existed only have free-text names; the name
+ * matching here is used by the migration tool in the Players tab to link them.
+ */
+
+/**
+ * Get a player's display name
+ * @param {Object} player - Player from tblplayers
+ * @returns {string} "First Last"
+ */
+export const getPlayerName = (player) => {
+  if (!player) return '';
+  return `${player.firstName} ${player.lastName}`.trim();
+};
+
+/**
+ * Get a team's squad
+ * @param {Array<Object>} players - Players from tblplayers
+ * @param {number} teamID - Team ID
+ * @param {boolean} [includeInactive=false] - Include players no longer in the squad
+ * @returns {Array<Object>} Players sorted by squad number, then name
+ */
+export const getSquad = (players, teamID, includeInactive = false) => {
+  return (players || [])
+    .filter(p => p.teamID === teamID && (includeInactive || parseInt(p.active) !== 0))
+    .sort((a, b) => {
+      const aNumber = parseInt(a.squadNumber);
+      const bNumber = parseInt(b.squadNumber);
+      if (!isNaN(aNumber) && !isNaN(bNumber) && aNumber !== bNumber) return aNumber - bNumber;
+      if (isNaN(aNumber) !== isNaN(bNumber)) return isNaN(aNumber) ? 1 : -1;
+      return `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`);
+    });
+};
+
+/**
+ * Normalise a name for comparison
+ * @param {string} name - Name as typed
+ * @returns {string} Lower case, without punctuation or repeated spaces
+ */
+export const normaliseName = (name) => {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Match a free-text scorer name to a registered player
+ * @param {string} name - Scorer name, e.g. "John Smith", "J. Smith" or "Smith"
+ * @param {Array<Object>} squad - Players to match against (normally the team's squad)
+ * @returns {{player: Object|null, match: 'exact'|'initial'|'surname'|null, candidates: Array<Object>}}
+ * The matched player when exactly one player fits, otherwise null with the candidates found
+ */
+export const matchPlayerName = (name, squad) => {
+  const target = normaliseName(name);
+  const none = { player: null, match: null, candidates: [] };
+  if (!target) return none;
+
+  const parts = target.split(' ');
+  const surname = parts[parts.length - 1];
+  const firstPart = parts.length > 1 ? parts[0] : '';
+
+  const attempts = [
+    ['exact', p => normaliseName(getPlayerName(p)) === target],
+    ['initial', p => firstPart.length === 1 &&
+      normaliseName(p.lastName) === surname &&
+      normaliseName(p.firstName).startsWith(firstPart)],
+    ['surname', p => parts.length === 1 && normaliseName(p.lastName) === surname]
+  ];
+
+  for (const [match, test] of attempts) {
+    const candidates = (squad || []).filter(test);
+    if (candidates.length === 1) return { player: candidates[0], match, candidates };
+    if (candidates.length > 1) return { player: null, match: null, candidates };
+  }
+
+  return none;
+};
+
+/**
+ * Parse scorers stored as a JSON string (tblresults) or already parsed
+ * @param {Array<Object>|string|null} scorers - Scorers
+ * @returns {Array<Object>} Scorers array (empty when missing or unreadable)
+ */
+export const parseScorers = (scorers) => {
+  if (!scorers) return [];
+  if (Array.isArray(scorers)) return scorers;
+
+  try {
+    const parsed = JSON.parse(scorers);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Collect scorer names that are not yet linked to a registered player
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @returns {Array<{teamID: number, playerName: string, count: number}>} One entry per team and
+ * name (compared case-insensitively), most frequent first. Penalty tries are skipped.
+ */
+export const collectUnlinkedScorers = (results, fixtures) => {
+  const found = {};
+
+  (results || []).forEach(result => {
+    const fixture = (fixtures || []).find(f => f.id === result.fixtureID);
+    if (!fixture) return;
+
+    [[result.homeScorers, fixture.homeTeam], [result.awayScorers, fixture.awayTeam]].forEach(([scorers, teamID]) => {
+      parseScorers(scorers)
+        .filter(s => !s.playerID && !s.isPenaltyTry && normaliseName(s.playerName))
+        .forEach(s => {
+          const key = `${teamID}:${normaliseName(s.playerName)}`;
+          if (!found[key]) {
+            found[key] = { teamID, playerName: s.playerName.trim(), count: 0 };
+          }
+          found[key].count++;
+        });
+    });
+  });
+
+  return Object.values(found).sort((a, b) => b.count - a.count || a.playerName.localeCompare(b.playerName));
+};
+
+/**
+ * Link free-text scorers to registered players
+ * @param {Array<Object>|string|null} scorers - Scorers
+ * @param {Object<string, Object>} links - Players keyed by normalised scorer name
+ * @returns {{scorers: Array<Object>, linked: number}} Updated scorers (named after the player)
+ * and how many were linked
+ */
+export const linkScorers = (scorers, links) => {
+  let linked = 0;
+
+  const updated = parseScorers(scorers).map(scorer => {
+    const player = !scorer.playerID && !scorer.isPenaltyTry ? links[normaliseName(scorer.playerName)] : null;
+    if (!player) return scorer;
+
+    linked++;
+    return { ...scorer, playerID: player.id, playerName: getPlayerName(player) };
+  });
+
+  return { scorers: updated, linked };
+};
@@ -0,0 +1,92 @@
+/**
+ * @file players.test.js
+ * @description Tests for the player registry helpers
+ * @module utils/players.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getSquad, matchPlayerName, parseScorers, collectUnlinkedScorers, linkScorers } from './players';
+
+const players = [
+  { id: 1, teamID: 1, firstName: 'John', lastName: 'Smith', squadNumber: 9, active: 1 },
+  { id: 2, teamID: 1, firstName: 'Tom', lastName: 'Jones', squadNumber: null, active: 1 },
+  { id: 3, teamID: 1, firstName: 'Jack', lastName: 'Brown', squadNumber: 2, active: 0 },
+  { id: 4, teamID: 1, firstName: 'James', lastName: 'Brown', squadNumber: 3, active: 1 },
+  { id: 5, teamID: 2, firstName: 'Sam', lastName: 'Smith', squadNumber: 1, active: 1 }
+];
+
+describe('getSquad', () => {
+  it('should list active players by squad number, unnumbered last', () => {
+    expect(getSquad(players, 1).map(p => p.id)).toEqual([4, 1, 2]);
+  });
+
+  it('should include inactive players when asked', () => {
+    expect(getSquad(players, 1, true).map(p => p.id)).toEqual([3, 4, 1, 2]);
+  });
+});
+
+describe('matchPlayerName', () => {
+  const squad = getSquad(players, 1, true);
+
+  it('should match full names regardless of case and punctuation', () => {
+    expect(matchPlayerName('john  SMITH', squad)).toMatchObject({ player: { id: 1 }, match: 'exact' });
+  });
+
+  it('should match an initial and surname', () => {
+    expect(matchPlayerName('J. Smith', squad)).toMatchObject({ player: { id: 1 }, match: 'initial' });
+  });
+
+  it('should match a unique surname', () => {
+    expect(matchPlayerName('Jones', squad)).toMatchObject({ player: { id: 2 }, match: 'surname' });
+  });
+
+  it('should return candidates when the name is ambiguous', () => {
+    const result = matchPlayerName('J Brown', squad);
+    expect(result.player).toBeNull();
+    expect(result.candidates.map(p => p.id)).toEqual([3, 4]);
+  });
+
+  it('should return no match for unknown names', () => {
+    expect(matchPlayerName('Nobody', squad)).toEqual({ player: null, match: null, candidates: [] });
+  });
+});
+
+describe('parseScorers', () => {
+  it('should read stored JSON or parsed lists, and treat anything else as no scorers', () => {
+    const scorers = [{ playerName: 'John Smith', scoreType: 'try', points: 5 }];
+    expect(parseScorers(JSON.stringify(scorers))).toEqual(scorers);
+    expect(parseScorers(scorers)).toBe(scorers);
+    expect(parseScorers(null)).toEqual([]);
+    expect(parseScorers('not json')).toEqual([]);
+    expect(parseScorers('{"playerName": "John Smith"}')).toEqual([]);
+  });
+});
+
+describe('collectUnlinkedScorers', () => {
+  it('should count unlinked names per team, skipping linked scorers and penalty tries', () => {
+    const fixtures = [{ id: 10, homeTeam: 1, awayTeam: 2 }, { id: 11, homeTeam: 2, awayTeam: 1 }];
+    const results = [
+      {
+        fixtureID: 10,
+        homeScorers: JSON.stringify([{ playerName: 'J Smith' }, { playerName: 'Jones', playerID: 2 }]),
+        awayScorers: JSON.stringify([{ playerName: 'Penalty Try', isPenaltyTry: true }])
+      },
+      { fixtureID: 11, homeScorers: '[]', awayScorers: JSON.stringify([{ playerName: 'j smith' }]) }
+    ];
+
+    expect(collectUnlinkedScorers(results, fixtures)).toEqual([
+      { teamID: 1, playerName: 'J Smith', count: 2 }
+    ]);
+  });
+});
+
+describe('linkScorers', () => {
+  it('should add player IDs and registered names to matching scorers', () => {
+    const scorers = JSON.stringify([{ playerName: 'J Smith', points: 5 }, { playerName: 'Unknown', points: 2 }]);
+    const { scorers: updated, linked } = linkScorers(scorers, { 'j smith': players[0] });
+
+    expect(linked).toBe(1);
+    expect(updated[0]).toEqual({ playerName: 'John Smith', playerID: 1, points: 5 });
+    expect(updated[1]).toEqual({ playerName: 'Unknown', points: 2 });
+  });
+});
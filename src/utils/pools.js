@@ -0,0 +1,281 @@
+/**
+ * @file pools.js
+ * @description Pool phases within a league: pool tables, carrying results forward and splitting pools
+ * @module utils/pools
+ *
+ * A league can be played in phases, each splitting its teams into pools (e.g. a pool phase of
+ * Pool A and Pool B, then a Championship and a Plate). Phases are stored in the `phases` list
+ * of the league's rules profile, first phase first, and each fixture records its phase in
+ * tblfixtures.phase (1 = first phase; fixtures without one belong to the first phase).
+ *
+ * Every pool has its own table, built from the phase's fixtures between teams in that pool and
+ * stored in tblstandings with the pool's name in the `pool` column. When the pools split, the
+ * new phase chooses what is carried forward (CARRY_FORWARD_TYPES in competitionRules.js).
+ * Leagues without phases keep a single table, with `pool` left empty.
+ */
+
+import { getLeagueRules } from './competitionRules';
+import { buildStandings, createStandingRow, getTableImpact } from './leagueTable';
+import { rankStandings, buildMatchList } from './tiebreakers';
+
+// Standings columns added together when a team's points are carried forward
+const CARRIED_FIELDS = [
+  'played', 'won', 'drawn', 'lost', 'pointsFor', 'pointsAgainst', 'pointsDifference',
+  'bonusPoints', 'points', 'triesFor'
+];
+
+/**
+ * Get a league's pool phases
+ * @param {Object} league - League from tblleagues
+ * @returns {Array<Object>} Phases as {name, carryForward, pools: [{name, teams}]}, first phase first
+ */
+export const getPhases = (league) => getLeagueRules(league).phases;
+
+/**
+ * Check whether a league is split into pools
+ * @param {Object} league - League from tblleagues
+ * @returns {boolean} True when the league has at least one pool phase
+ */
+export const hasPools = (league) => getPhases(league).length > 0;
+
+/**
+ * Get the phase a fixture belongs to
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @returns {number} Phase number, 1 for fixtures without one
+ */
+export const getFixturePhase = (fixture) => parseInt(fixture.phase) || 1;
+
+/**
+ * List every pool in a league
+ * @param {Object} league - League from tblleagues
+ * @returns {Array<Object>} Pools as {name, teams, phase, phaseName, carryForward}, latest phase first
+ */
+export const getPools = (league) => getPhases(league)
+  .map((phase, i) => phase.pools.map(pool => ({
+    ...pool,
+    phase: i + 1,
+    phaseName: phase.name,
+    carryForward: phase.carryForward
+  })))
+  .reverse()
+  .flat();
+
+/**
+ * Get the fixtures that count in a pool's table
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Object} league - League from tblleagues
+ * @param {Object} pool - Pool from getPools
+ * @returns {Array<Object>} The phase's fixtures between teams in the pool, plus the previous
+ * phase's fixtures between them when the phase carries results forward
+ */
+export const getPoolTableFixtures = (fixtures, league, pool) => {
+  const inPool = (fixture, phase) => fixture.leagueID === league.id &&
+    getFixturePhase(fixture) === phase &&
+    pool.teams.includes(fixture.homeTeam) &&
+    pool.teams.includes(fixture.awayTeam);
+
+  return (fixtures || []).filter(f =>
+    inPool(f, pool.phase) || (pool.carryForward === 'results' && inPool(f, pool.phase - 1))
+  );
+};
+
+/**
+ * Build the ranked table of one pool
+ * @param {Object} pool - Pool from getPools
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - League from tblleagues
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @returns {Array<Object>} Every team in the pool has a row, even before it has played
+ * @description Points deductions apply in every pool table the team plays in. When the phase
+ * carries points forward, each team starts from its row in its previous pool before
+ * deductions, so a sanction is never counted twice.
+ */
+export const buildPoolTable = (pool, fixtures, results, league, sanctions = []) => {
+  const rules = getLeagueRules(league);
+  const poolFixtures = getPoolTableFixtures(fixtures, league, pool);
+  const poolSanctions = (sanctions || []).filter(s => pool.teams.includes(s.teamID));
+  const built = buildStandings(poolFixtures, results, league, poolSanctions);
+
+  const rows = pool.teams.map(teamID => ({
+    pointsDeducted: 0,
+    ...(built.find(row => row.teamID === teamID) || createStandingRow(teamID))
+  }));
+
+  if (pool.carryForward === 'points') {
+    const previousTables = getPools(league)
+      .filter(p => p.phase === pool.phase - 1)
+      .map(p => buildPoolTable(p, fixtures, results, league));
+
+    rows.forEach(row => {
+      const carried = previousTables.flat().find(r => r.teamID === row.teamID);
+      if (!carried) return;
+      CARRIED_FIELDS.forEach(field => {
+        row[field] += carried[field];
+      });
+    });
+  }
+
+  return rankStandings(rows, rules, buildMatchList(poolFixtures, results || [], league.id, rules));
+};
+
+/**
+ * Build the ranked table of every pool in a league
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - League from tblleagues
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @returns {Array<{pool: Object, standings: Array<Object>}>} One table per pool, latest phase
+ * first (see buildPoolTable)
+ */
+export const buildPoolStandings = (fixtures, results, league, sanctions = []) => getPools(league).map(pool => ({
+  pool,
+  standings: buildPoolTable(pool, fixtures, results, league, sanctions)
+}));
+
+/**
+ * Get the pool a fixture is played in
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @param {Object} league - The fixture's league
+ * @returns {Object|null} The pool of the fixture's phase holding both teams, or null
+ */
+export const getFixturePool = (fixture, league) => getPools(league).find(pool =>
+  pool.phase === getFixturePhase(fixture) &&
+  pool.teams.includes(fixture.homeTeam) &&
+  pool.teams.includes(fixture.awayTeam)
+) || null;
+
+/**
+ * Show how one match changed the table it counts in
+ * @param {Object} fixture - The match (from tblfixtures)
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Object} league - The match's league
+ * @param {Array<Object>} [sanctions=[]] - Sanctions from tblsanctions
+ * @returns {Array<Object>|null} As getTableImpact, using the fixture's pool table for a league
+ * split into pools; null when the match is in no pool or does not count
+ */
+export const getPoolTableImpact = (fixture, fixtures, results, league, sanctions = []) => {
+  if (!hasPools(league)) return getTableImpact(fixture, fixtures, results, league, sanctions);
+
+  const pool = getFixturePool(fixture, league);
+  if (!pool) return null;
+
+  return getTableImpact(fixture, fixtures, results, league, sanctions,
+    (played, playedResults, poolLeague, applied) => buildPoolTable(pool, played, playedResults, poolLeague, applied));
+};
+
+/**
+ * Rank a league's stored standings into the tables to show
+ * @param {Object} league - League from tblleagues
+ * @param {Array<Object>} standings - Rows from tblstandings (any league)
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures, for head-to-head tiebreaks
+ * @param {Array<Object>} results - Results from tblresults
+ * @returns {Array<{pool: Object|null, standings: Array<Object>}>} One table per pool, latest
+ * phase first, or a single table with `pool` null for a league without pools
+ */
+export const getLeagueTables = (league, standings, fixtures, results) => {
+  const rules = getLeagueRules(league);
+  const leagueStandings = standings.filter(s => s.leagueID === league.id);
+
+  if (!hasPools(league)) {
+    return [{
+      pool: null,
+      standings: rankStandings(
+        leagueStandings.filter(s => !s.pool),
+        rules,
+        buildMatchList(fixtures, results, league.id, rules)
+      )
+    }];
+  }
+
+  return getPools(league).map(pool => ({
+    pool,
+    standings: rankStandings(
+      leagueStandings.filter(s => s.pool === pool.name),
+      rules,
+      buildMatchList(getPoolTableFixtures(fixtures, league, pool), results, league.id, rules)
+    )
+  }));
+};
+
+/**
+ * Rank a league's stored standings into the tables of its current phase
+ * @param {Object} league - League from tblleagues
+ * @param {Array<Object>} standings - Rows from tblstandings (any league)
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures, for head-to-head tiebreaks
+ * @param {Array<Object>} results - Results from tblresults
+ * @returns {Array<{pool: Object|null, standings: Array<Object>}>} The latest phase's pool
+ * tables in order, or the league's single table
+ */
+export const getCurrentTables = (league, standings, fixtures, results) => {
+  const phase = getPhases(league).length;
+  return getLeagueTables(league, standings, fixtures, results).filter(({ pool }) => !pool || pool.phase === phase);
+};
+
+/**
+ * Suggest the next phase's pools from the finishing positions in the current pools
+ * @param {Array<{standings: Array<Object>}>} tables - The current phase's pool tables
+ * @param {Array<{name: string, fromPosition: number, toPosition: number}>} splits - New pools,
+ * each taking the teams that finished between two positions in every current pool
+ * @returns {Array<{name: string, teams: Array<number>}>} New pools, teams ordered by finishing
+ * position and then points
+ * @example
+ * // Top two of each pool into the Championship, the rest into the Plate
+ * suggestPoolSplit(tables, [
+ *   { name: 'Championship', fromPosition: 1, toPosition: 2 },
+ *   { name: 'Plate', fromPosition: 3, toPosition: 99 }
+ * ]);
+ */
+export const suggestPoolSplit = (tables, splits) => splits.map(split => ({
+  name: split.name,
+  teams: tables
+    .flatMap(table => table.standings)
+    .filter(row => row.position >= split.fromPosition && row.position <= split.toPosition)
+    .sort((a, b) => (a.position - b.position) || (b.points - a.points))
+    .map(row => row.teamID)
+}));
+
+/**
+ * Check a phase's pools before it is saved
+ * @param {Object} phase - Phase as {name, pools: [{name, teams}]}
+ * @param {Array<Object>} [otherPhases=[]] - The league's other phases
+ * @returns {string|null} What is wrong, or null if the phase can be saved
+ */
+export const validatePhase = (phase, otherPhases = []) => {
+  if (!phase.name.trim()) return 'Give the phase a name';
+  if (phase.pools.length === 0) return 'Add at least one pool';
+
+  // Pool names identify the pool's rows in tblstandings, so they must be unique in the league
+  const usedNames = otherPhases.flatMap(p => p.pools.map(pool => pool.name.trim().toLowerCase()));
+  const seenTeams = new Set();
+
+  for (const pool of phase.pools) {
+    const name = pool.name.trim().toLowerCase();
+    if (!name) return 'Every pool needs a name';
+    if (usedNames.includes(name)) return `The pool name "${pool.name}" is already used in this league`;
+    usedNames.push(name);
+
+    if (pool.teams.length < 2) return `${pool.name} needs at least two teams`;
+    if (pool.teams.some(teamID => seenTeams.has(teamID))) return 'A team can only be in one pool per phase';
+    pool.teams.forEach(teamID => seenTeams.add(teamID));
+  }
+
+  return null;
+};
+
+/**
+ * Play each pool's round-robin side by side
+ * @param {Array<Array<Object>>} poolRounds - Rounds for each pool, from generateRoundRobin
+ * @returns {Array<Object>} Combined rounds as {round, matches, byes}; round N holds every
+ * pool's Nth round
+ */
+export const mergePoolRounds = (poolRounds) => {
+  const count = Math.max(0, ...poolRounds.map(rounds => rounds.length));
+
+  return Array.from({ length: count }, (_, i) => ({
+    round: i + 1,
+    matches: poolRounds.flatMap(rounds => rounds[i]?.matches || []),
+    byes: poolRounds.map(rounds => rounds[i]?.bye).filter(Boolean)
+  }));
+};
@@ -0,0 +1,147 @@
+/**
+ * @file pools.test.js
+ * @description Tests for pool tables, carrying results forward and splitting pools
+ * @module utils/pools.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getPools, buildPoolStandings, getFixturePool, getPoolTableImpact, suggestPoolSplit, validatePhase, mergePoolRounds } from './pools';
+
+const poolPhase = {
+  name: 'Pool phase',
+  pools: [
+    { name: 'Pool A', teams: [1, 2, 3] },
+    { name: 'Pool B', teams: [4, 5, 6] }
+  ]
+};
+
+const leagueWith = (nextPhase) => ({
+  id: 1,
+  rules: JSON.stringify({ phases: nextPhase ? [poolPhase, nextPhase] : [poolPhase] })
+});
+
+// Pool phase: 1 and 4 win their pools, 2 and 5 are second
+const fixtures = [
+  { id: 1, leagueID: 1, homeTeam: 1, awayTeam: 2, status: 2 },
+  { id: 2, leagueID: 1, homeTeam: 2, awayTeam: 3, status: 2 },
+  { id: 3, leagueID: 1, homeTeam: 4, awayTeam: 5, status: 2, phase: 1 },
+  { id: 4, leagueID: 1, homeTeam: 5, awayTeam: 6, status: 2, phase: 1 },
+  { id: 5, leagueID: 1, homeTeam: 1, awayTeam: 4, status: 2, phase: 2 }
+];
+const results = [
+  { fixtureID: 1, homeScore: 20, awayScore: 10 },
+  { fixtureID: 2, homeScore: 15, awayScore: 10 },
+  { fixtureID: 3, homeScore: 30, awayScore: 0 },
+  { fixtureID: 4, homeScore: 12, awayScore: 10 },
+  { fixtureID: 5, homeScore: 7, awayScore: 3 }
+];
+
+const championship = (carryForward) => ({
+  name: 'Championship',
+  carryForward,
+  pools: [{ name: 'Cup', teams: [1, 2, 4, 5] }, { name: 'Plate', teams: [3, 6] }]
+});
+
+const getTable = (tables, name) => tables.find(t => t.pool.name === name).standings;
+
+describe('buildPoolStandings', () => {
+  it('should build a table for each pool from its own matches', () => {
+    const tables = buildPoolStandings(fixtures, results, leagueWith(null));
+
+    expect(tables.map(t => t.pool.name)).toEqual(['Pool A', 'Pool B']);
+    expect(getTable(tables, 'Pool A').map(row => [row.teamID, row.played])).toEqual([[1, 1], [2, 2], [3, 1]]);
+  });
+
+  it('should start every team on zero when nothing is carried forward', () => {
+    const tables = buildPoolStandings(fixtures, results, leagueWith(championship('none')));
+
+    expect(getPools(leagueWith(championship('none')))[0].name).toBe('Cup');
+    expect(getTable(tables, 'Cup').map(row => [row.teamID, row.played, row.points])).toEqual([
+      [1, 1, 4], [4, 1, 1], [2, 0, 0], [5, 0, 0]
+    ]);
+  });
+
+  it('should carry forward results against teams in the same new pool', () => {
+    const cup = getTable(buildPoolStandings(fixtures, results, leagueWith(championship('results'))), 'Cup');
+
+    // 1 beat 2 and 4; 4 beat 5; 2 v 3 and 5 v 6 are left behind with the Plate teams
+    expect(cup.find(row => row.teamID === 1)).toMatchObject({ played: 2, won: 2 });
+    expect(cup.find(row => row.teamID === 2)).toMatchObject({ played: 1, lost: 1 });
+    expect(cup.find(row => row.teamID === 4)).toMatchObject({ played: 2, won: 1, lost: 1 });
+  });
+
+  it('should carry forward whole pool records, with deductions applied once', () => {
+    const sanctions = [{ id: 1, leagueID: 1, teamID: 2, pointsDeducted: 3 }];
+    const tables = buildPoolStandings(fixtures, results, leagueWith(championship('points')), sanctions);
+    const cup = getTable(tables, 'Cup');
+
+    expect(cup.find(row => row.teamID === 2)).toMatchObject({ played: 2, won: 1, lost: 1, points: 1, pointsDeducted: 3 });
+    expect(getTable(tables, 'Pool A').find(row => row.teamID === 2)).toMatchObject({ points: 1 });
+    expect(cup[0]).toMatchObject({ teamID: 1, played: 2, points: 8 });
+  });
+});
+
+describe('getPoolTableImpact', () => {
+  const dated = fixtures.map(f => ({ ...f, date: `2025-09-${String(6 + f.id).padStart(2, '0')} 15:00:00` }));
+
+  it('should show the table of the pool the match was played in', () => {
+    const league = leagueWith(null);
+    const impact = getPoolTableImpact(dated[2], dated, results, league);
+
+    expect(getFixturePool(dated[2], league).name).toBe('Pool B');
+    expect(impact.map(row => row.teamID).sort()).toEqual([4, 5, 6]);
+    expect(impact.find(row => row.teamID === 4)).toMatchObject({ position: 1, pointsGained: 4 });
+  });
+
+  it('should include points carried into the next phase', () => {
+    const league = leagueWith(championship('points'));
+    const impact = getPoolTableImpact(dated[4], dated, results, league);
+    const row = (teamID) => impact.find(r => r.teamID === teamID);
+
+    expect(impact.map(r => r.teamID).sort()).toEqual([1, 2, 4, 5]);
+    expect(row(1)).toMatchObject({ played: 2, pointsGained: 4 });
+    expect(row(4)).toMatchObject({ played: 2, pointsGained: 1 });
+  });
+
+  it('should give no table for a match outside every pool', () => {
+    expect(getPoolTableImpact({ ...dated[0], awayTeam: 4 }, dated, results, leagueWith(null))).toBeNull();
+  });
+});
+
+describe('suggestPoolSplit', () => {
+  it('should send the same finishing positions from every pool into each new pool', () => {
+    const tables = buildPoolStandings(fixtures, results, leagueWith(null));
+
+    expect(suggestPoolSplit(tables, [
+      { name: 'Cup', fromPosition: 1, toPosition: 2 },
+      { name: 'Plate', fromPosition: 3, toPosition: 99 }
+    ])).toEqual([
+      { name: 'Cup', teams: [1, 4, 2, 5] },
+      { name: 'Plate', teams: [3, 6] }
+    ]);
+  });
+});
+
+describe('validatePhase', () => {
+  it('should reject duplicate pool names and teams in two pools', () => {
+    expect(validatePhase(championship('none'), [poolPhase])).toBeNull();
+    expect(validatePhase({ name: 'Finals', pools: [{ name: 'pool a', teams: [1, 2] }] }, [poolPhase]))
+      .toBe('The pool name "pool a" is already used in this league');
+    expect(validatePhase({ name: 'Finals', pools: [{ name: 'X', teams: [1, 2] }, { name: 'Y', teams: [2, 3] }] }))
+      .toBe('A team can only be in one pool per phase');
+  });
+});
+
+describe('mergePoolRounds', () => {
+  it('should play every pool\'s rounds on the same dates', () => {
+    const merged = mergePoolRounds([
+      [{ round: 1, matches: [{ homeTeam: 1, awayTeam: 2 }], bye: 3 }],
+      [{ round: 1, matches: [{ homeTeam: 4, awayTeam: 5 }], bye: null }, { round: 2, matches: [{ homeTeam: 5, awayTeam: 4 }], bye: null }]
+    ]);
+
+    expect(merged).toEqual([
+      { round: 1, matches: [{ homeTeam: 1, awayTeam: 2 }, { homeTeam: 4, awayTeam: 5 }], byes: [3] },
+      { round: 2, matches: [{ homeTeam: 5, awayTeam: 4 }], byes: [] }
+    ]);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * @file postponements.js
+ * @description Postponing and rearranging fixtures, keeping the history of their dates
+ * @module utils/postponements
+ *
+ * A postponed fixture has status 5 and waits in the "to be rearranged" list until it is given
+ * a new date. The first date a fixture was arranged for is kept in tblfixtures.originalDate,
+ * and every postponement and move is logged in tblfixturedates: a postponement is logged
+ * with no new date, which is filled in when the match is rearranged.
+ */
+
+import { crudRequest } from './authHelpers';
+import { recordAudit } from './auditTrail';
+import { emailFixtureFollowers, escapeHTML } from './followerEmails';
+
+/**
+ * Format a date as a MySQL datetime
+ * @param {Date|string} date - Date object or datetime string
+ * @returns {string} MySQL datetime string (YYYY-MM-DD HH:MM:SS)
+ */
+const toMySQL = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+/**
+ * Format a date for display
+ * @param {Date|string} date - Date object or datetime string
+ * @returns {string} e.g. "Sat 10 Jan 2026, 14:30"
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * List the postponed fixtures waiting for a new date
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @returns {Array<Object>} Postponed fixtures, the longest-waiting first
+ */
+export const getToBeRearranged = (fixtures) => (fixtures || [])
+  .filter(f => f.status === 5)
+  .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+/**
+ * Check whether a fixture is being played on a different date from the one first arranged
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @returns {boolean} True for a rearranged fixture that is no longer postponed
+ */
+export const isRearranged = (fixture) => fixture.status !== 5 &&
+  Boolean(fixture.originalDate) &&
+  toMySQL(fixture.originalDate) !== toMySQL(fixture.date);
+
+/**
+ * Get the logged date changes of one fixture
+ * @param {number} fixtureID - Fixture ID
+ * @param {Array<Object>} history - Rows from tblfixturedates
+ * @returns {Array<Object>} The fixture's postponements and moves, oldest first
+ */
+export const getDateHistory = (fixtureID, history) => (history || [])
+  .filter(entry => entry.fixtureID === fixtureID)
+  .sort((a, b) => new Date(a.dateChanged) - new Date(b.dateChanged) || a.id - b.id);
+
+/**
+ * Describe a logged date change
+ * @param {Object} entry - Row from tblfixturedates
+ * @returns {string} e.g. "Postponed from Sat 10 Jan 2026, 14:30 (Frozen pitch), rearranged
+ * for Sat 7 Feb 2026, 14:30"
+ */
+export const describeDateChange = (entry) => {
+  const from = `${entry.postponed ? 'Postponed' : 'Moved'} from ${formatDate(entry.previousDate)}`;
+  const reason = entry.reason ? ` (${entry.reason})` : '';
+
+  if (!entry.newDate) return `${from}${reason}, to be rearranged`;
+  return `${from}${reason}, ${entry.postponed ? 'rearranged for' : 'to'} ${formatDate(entry.newDate)}`;
+};
+
+/**
+ * Log a postponement in tblfixturedates
+ * @async
+ * @param {Object} fixture - Fixture as it was before it was postponed
+ * @param {string} reason - Why the match was postponed
+ * @returns {Promise<{success: boolean, message: string}>} Result of logging
+ */
+export const recordPostponement = async (fixture, reason) => {
+  try {
+    const result = await crudRequest('create', {
+      table: 'tblfixturedates',
+      data: {
+        fixtureID: fixture.id,
+        previousDate: toMySQL(fixture.date),
+        newDate: null,
+        reason: reason || null,
+        postponed: 1,
+        dateChanged: toMySQL(new Date())
+      }
+    });
+
+    if (result.status_code !== 200) {
+      throw new Error(result.message || 'Failed to log the postponement');
+    }
+
+    return { success: true, message: 'Postponement logged' };
+  } catch (error) {
+    console.error('Error logging postponement:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Log a fixture's new date in tblfixturedates
+ * @async
+ * @param {Object} fixture - Fixture as it was before its date changed
+ * @param {Date|string} newDate - The new date
+ * @param {Array<Object>} history - Rows from tblfixturedates
+ * @returns {Promise<{success: boolean, message: string}>} Result of logging
+ * @description Completes the fixture's open postponement if it has one, otherwise logs a move
+ */
+export const recordDateChange = async (fixture, newDate, history) => {
+  const open = getDateHistory(fixture.id, history).filter(entry => !entry.newDate).pop();
+
+  try {
+    const result = open
+      ? await crudRequest('update', {
+          table: 'tblfixturedates',
+          data: { newDate: toMySQL(newDate) },
+          conditions: { id: open.id }
+        })
+      : await crudRequest('create', {
+          table: 'tblfixturedates',
+          data: {
+            fixtureID: fixture.id,
+            previousDate: toMySQL(fixture.date),
+            newDate: toMySQL(newDate),
+            reason: null,
+            postponed: 0,
+            dateChanged: toMySQL(new Date())
+          }
+        });
+
+    if (result.status_code !== 200) {
+      throw new Error(result.message || 'Failed to log the new date');
+    }
+
+    return { success: true, message: 'Date change logged' };
+  } catch (error) {
+    console.error('Error logging date change:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Postpone a fixture
+ * @async
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @param {string} reason - Why the match was postponed, shown on the public Fixtures page
+ * @returns {Promise<{success: boolean, message: string}>} Result of postponing
+ * @description Sets status 5, keeps the first arranged date in originalDate and logs the
+ * postponement. The fixture keeps its date until it is rearranged.
+ */
+export const postponeFixture = async (fixture, reason) => {
+  const data = {
+    status: 5,
+    statusReason: reason.trim() || null,
+    originalDate: toMySQL(fixture.originalDate || fixture.date)
+  };
+
+  try {
+    const result = await crudRequest('update', {
+      table: 'tblfixtures',
+      data,
+      conditions: { id: fixture.id }
+    });
+
+    if (result.status_code !== 200) {
+      throw new Error(result.message || 'Failed to postpone the fixture');
+    }
+
+    await recordAudit({
+      entity: 'fixture',
+      recordKey: fixture.id,
+      action: 'update',
+      before: { ...fixture, date: toMySQL(fixture.date) },
+      after: { ...fixture, date: toMySQL(fixture.date), ...data }
+    });
+
+    const logged = await recordPostponement(fixture, data.statusReason);
+    if (!logged.success) {
+      throw new Error(`The fixture is postponed, but its history could not be updated: ${logged.message}`);
+    }
+
+    return { success: true, message: 'Fixture postponed' };
+  } catch (error) {
+    console.error('Error postponing fixture:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Rearrange a postponed fixture for a new date
+ * @async
+ * @param {Object} fixture - Postponed fixture from tblfixtures
+ * @param {Date|string} newDate - The new date and kick-off time
+ * @param {Array<Object>} history - Rows from tblfixturedates
+ * @returns {Promise<{success: boolean, message: string}>} Result of rearranging
+ * @description Moves the fixture back to scheduled on its new date and completes its open
+ * postponement in the history. The postponement reason stays in the history.
+ */
+export const rearrangeFixture = async (fixture, newDate, history) => {
+  const data = {
+    date: toMySQL(newDate),
+    status: 0,
+    statusReason: null,
+    originalDate: toMySQL(fixture.originalDate || fixture.date)
+  };
+
+  try {
+    const result = await crudRequest('update', {
+      table: 'tblfixtures',
+      data,
+      conditions: { id: fixture.id }
+    });
+
+    if (result.status_code !== 200) {
+      throw new Error(result.message || 'Failed to rearrange the fixture');
+    }
+
+    await recordAudit({
+      entity: 'fixture',
+      recordKey: fixture.id,
+      action: 'update',
+      before: { ...fixture, date: toMySQL(fixture.date) },
+      after: { ...fixture, ...data }
+    });
+
+    const logged = await recordDateChange(fixture, newDate, history);
+    if (!logged.success) {
+      throw new Error(`The fixture is rearranged, but its history could not be updated: ${logged.message}`);
+    }
+
+    return { success: true, message: `Fixture rearranged for ${formatDate(newDate)}` };
+  } catch (error) {
+    console.error('Error rearranging fixture:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Email a postponement or a new date to followers of both teams
+ * @async
+ * @param {Object} fixture - Fixture after the change, enriched with homeTeamName,
+ * awayTeamName, leagueName and leagueSeason
+ * @param {string} change - 'postponed' or 'rearranged'
+ * @param {Object|string} previousDate - The date the match was arranged for before the change
+ * @param {Array<Object>} teamsData - Teams from tblteams, used for logos
+ * @returns {Promise<void>}
+ * @description Failures are logged rather than thrown so they never fail a fixture change
+ */
+export const sendPostponementNotifications = async (fixture, change, previousDate, teamsData) => {
+  try {
+    const postponed = change === 'postponed';
+    const headline = postponed ? 'Match Postponed' : 'Match Rearranged';
+
+    const sent = await emailFixtureFollowers(fixture, teamsData, {
+      template: '/templates/fixture-postponed.html',
+      subject: `${headline}: ${fixture.homeTeamName} vs ${fixture.awayTeamName}`,
+      placeholders: {
+        headline,
+        change: postponed ? 'has been postponed' : 'has a new date',
+        previousDate: formatDate(previousDate),
+        newDate: postponed ? 'To be rearranged' : formatDate(fixture.date)
+      },
+      html: {
+        reasonSection: postponed && fixture.statusReason
+          ? `<p><strong>Reason:</strong> ${escapeHTML(fixture.statusReason)}</p>`
+          : ''
+      }
+    });
+
+    console.log(`Sent ${sent} ${change} notification(s)`);
+  } catch (err) {
+    console.error('Error sending postponement notifications:', err);
+  }
+};
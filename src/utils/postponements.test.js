@@ -0,0 +1,116 @@
+/**
+ * @file postponements.test.js
+ * @description Tests for postponing and rearranging fixtures
+ * @module utils/postponements.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { crudRequest } from './authHelpers';
+import {
+  getToBeRearranged,
+  isRearranged,
+  getDateHistory,
+  describeDateChange,
+  postponeFixture,
+  rearrangeFixture
+} from './postponements';
+
+vi.mock('./authHelpers', () => ({
+  crudRequest: vi.fn(),
+  getApiUrl: vi.fn(() => '')
+}));
+
+vi.mock('./auditTrail', () => ({
+  recordAudit: vi.fn()
+}));
+
+const fixture = { id: 9, homeTeam: 1, awayTeam: 2, date: '2026-01-10 14:30:00', status: 0, originalDate: null };
+
+describe('getToBeRearranged', () => {
+  it('should list postponed fixtures, the longest-waiting first', () => {
+    const fixtures = [
+      { id: 1, date: '2026-01-17 14:30:00', status: 5 },
+      fixture,
+      { id: 3, date: '2026-01-03 14:30:00', status: 5 },
+      { id: 4, date: '2026-01-03 14:30:00', status: 3 }
+    ];
+
+    expect(getToBeRearranged(fixtures).map(f => f.id)).toEqual([3, 1]);
+  });
+});
+
+describe('isRearranged', () => {
+  it('should only flag fixtures played on a new date', () => {
+    expect(isRearranged(fixture)).toBe(false);
+    expect(isRearranged({ ...fixture, status: 5, originalDate: '2026-01-03 14:30:00' })).toBe(false);
+    expect(isRearranged({ ...fixture, originalDate: '2026-01-03 14:30:00' })).toBe(true);
+    expect(isRearranged({ ...fixture, originalDate: '2026-01-10 14:30:00' })).toBe(false);
+  });
+});
+
+describe('describeDateChange', () => {
+  it('should describe postponements and moves', () => {
+    expect(describeDateChange({ previousDate: '2026-01-10 14:30:00', newDate: null, reason: 'Frozen pitch', postponed: 1 }))
+      .toMatch(/^Postponed from .*10 Jan 2026.* \(Frozen pitch\), to be rearranged$/);
+    expect(describeDateChange({ previousDate: '2026-01-10 14:30:00', newDate: '2026-02-07 12:00:00', reason: null, postponed: 0 }))
+      .toMatch(/^Moved from .*10 Jan 2026.*, to .*7 Feb 2026/);
+  });
+});
+
+describe('postponeFixture', () => {
+  beforeEach(() => {
+    crudRequest.mockReset();
+    crudRequest.mockResolvedValue({ status_code: 200 });
+  });
+
+  it('should keep the first arranged date and log the postponement', async () => {
+    const result = await postponeFixture(fixture, ' Frozen pitch ');
+
+    expect(result.success).toBe(true);
+    expect(crudRequest).toHaveBeenCalledWith('update', {
+      table: 'tblfixtures',
+      data: { status: 5, statusReason: 'Frozen pitch', originalDate: '2026-01-10 14:30:00' },
+      conditions: { id: 9 }
+    });
+    expect(crudRequest.mock.calls[1][1]).toMatchObject({
+      table: 'tblfixturedates',
+      data: { fixtureID: 9, previousDate: '2026-01-10 14:30:00', newDate: null, reason: 'Frozen pitch', postponed: 1 }
+    });
+  });
+
+  it('should report a failed update', async () => {
+    crudRequest.mockResolvedValue({ status_code: 500, message: 'Database error' });
+
+    expect(await postponeFixture(fixture, '')).toEqual({ success: false, message: 'Database error' });
+  });
+});
+
+describe('rearrangeFixture', () => {
+  beforeEach(() => {
+    crudRequest.mockReset();
+    crudRequest.mockResolvedValue({ status_code: 200 });
+  });
+
+  it('should schedule the new date and complete the open postponement', async () => {
+    const postponed = { ...fixture, date: '2026-01-17 14:30:00', status: 5, statusReason: 'Waterlogged', originalDate: '2026-01-10 14:30:00' };
+    const history = [
+      { id: 1, fixtureID: 9, previousDate: '2026-01-10 14:30:00', newDate: '2026-01-17 14:30:00', postponed: 1, dateChanged: '2026-01-09 18:00:00' },
+      { id: 2, fixtureID: 9, previousDate: '2026-01-17 14:30:00', newDate: null, postponed: 1, dateChanged: '2026-01-16 18:00:00' }
+    ];
+
+    const result = await rearrangeFixture(postponed, new Date(2026, 1, 7, 12, 0), history);
+
+    expect(result.success).toBe(true);
+    expect(getDateHistory(9, history).map(entry => entry.id)).toEqual([1, 2]);
+    expect(crudRequest).toHaveBeenCalledWith('update', {
+      table: 'tblfixtures',
+      data: { date: '2026-02-07 12:00:00', status: 0, statusReason: null, originalDate: '2026-01-10 14:30:00' },
+      conditions: { id: 9 }
+    });
+    expect(crudRequest).toHaveBeenCalledWith('update', {
+      table: 'tblfixturedates',
+      data: { newDate: '2026-02-07 12:00:00' },
+      conditions: { id: 2 }
+    });
+  });
+});
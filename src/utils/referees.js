@@ -0,0 +1,63 @@
+/**
+ * @file referees.js
+ * @description Referee availability and appointment helpers
+ * @module utils/referees
+ *
+ * Referees are users with `isReferee` set. They record dates they cannot officiate in
+ * tblrefereeavailability (from the My Matches page), and FixturesAdmin uses
+ * getRefereeAvailability() so admins only appoint referees who are free.
+ */
+
+import { findConflicts } from './fixtureConflicts';
+
+/**
+ * Referee report statuses stored in tblrefereereports
+ * @type {Object<string, string>}
+ */
+export const REPORT_STATUSES = {
+  pending: 'Awaiting review',
+  accepted: 'Accepted',
+  rejected: 'Rejected'
+};
+
+/**
+ * Get the users who can be appointed as referees
+ * @param {Array<Object>} users - Users from tblusers
+ * @returns {Array<Object>} Referees sorted by name
+ */
+export const getReferees = (users) => {
+  return (users || [])
+    .filter(u => parseInt(u.isReferee) === 1)
+    .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+};
+
+/**
+ * Check whether a referee is free to take a fixture
+ * @param {number} refereeID - Referee's user ID
+ * @param {Object} fixture - Fixture being assigned ({id?, date, ...})
+ * @param {Array<Object>} availability - Rows from tblrefereeavailability
+ * @param {Array<Object>} fixtures - Existing fixtures, checked for overlapping appointments
+ * @returns {{available: boolean, reason: string|null}} Availability and, if unavailable, why
+ */
+export const getRefereeAvailability = (refereeID, fixture, availability, fixtures) => {
+  if (!fixture.date) return { available: true, reason: null };
+
+  const d = new Date(fixture.date);
+  const day = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+  const unavailable = (availability || []).find(
+    a => a.refereeID === refereeID && String(a.unavailableDate).substring(0, 10) === day
+  );
+  if (unavailable) {
+    return { available: false, reason: unavailable.note ? `Unavailable: ${unavailable.note}` : 'Unavailable' };
+  }
+
+  const overlapping = findConflicts([{ ...fixture, referee: refereeID, status: 0 }], fixtures)
+    .find(conflict => conflict.type === 'referee');
+  if (overlapping) {
+    const kickOff = new Date(overlapping.clashesWith.date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    return { available: false, reason: `Already appointed at ${kickOff}` };
+  }
+
+  return { available: true, reason: null };
+};
@@ -0,0 +1,53 @@
+/**
+ * @file referees.test.js
+ * @description Tests for referee availability
+ * @module utils/referees.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getReferees, getRefereeAvailability } from './referees';
+
+const fixtures = [
+  { id: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', venue: 'A', referee: 7, status: 0 }
+];
+
+const availability = [
+  { id: 1, refereeID: 8, unavailableDate: '2025-09-06', note: 'On holiday' }
+];
+
+describe('getReferees', () => {
+  it('should return only referees, sorted by name', () => {
+    const users = [
+      { id: 1, firstName: 'Sam', lastName: 'Young', isReferee: 1 },
+      { id: 2, firstName: 'Alex', lastName: 'Brown', isReferee: 0 },
+      { id: 3, firstName: 'Jo', lastName: 'Adams', isReferee: '1' }
+    ];
+
+    expect(getReferees(users).map(u => u.id)).toEqual([3, 1]);
+  });
+});
+
+describe('getRefereeAvailability', () => {
+  const fixture = { homeTeam: 3, awayTeam: 4, date: '2025-09-06 14:30:00', venue: 'B' };
+
+  it('should report dates the referee marked as unavailable', () => {
+    expect(getRefereeAvailability(8, fixture, availability, fixtures)).toEqual({
+      available: false,
+      reason: 'Unavailable: On holiday'
+    });
+  });
+
+  it('should report overlapping appointments', () => {
+    const result = getRefereeAvailability(7, fixture, availability, fixtures);
+    expect(result.available).toBe(false);
+    expect(result.reason).toMatch(/^Already appointed at/);
+  });
+
+  it('should not clash with the fixture being edited', () => {
+    expect(getRefereeAvailability(7, fixtures[0], availability, fixtures).available).toBe(true);
+  });
+
+  it('should allow a free referee', () => {
+    expect(getRefereeAvailability(9, fixture, availability, fixtures)).toEqual({ available: true, reason: null });
+  });
+});
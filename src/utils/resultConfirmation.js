@@ -0,0 +1,65 @@
+/**
+ * @file resultConfirmation.js
+ * @description Two-sided result confirmation rules
+ * @module utils/resultConfirmation
+ *
+ * A result entered by a team admin is "submitted" until the opposing club's admin or a
+ * full admin confirms it. Either can instead dispute it, which sends it to the queue in
+ * ResultsAdmin. Only confirmed results count in standings and trigger follower emails.
+ * Results saved before confirmation existed have no status and are treated as confirmed.
+ *
+ * The fixture keeps its status while a result awaits confirmation; confirming the result
+ * moves the fixture to the status the result implies (see getResultFixtureStatus).
+ */
+
+/**
+ * Confirmation statuses stored in tblresults.confirmationStatus
+ * @type {Object<string, {label: string, color: string}>}
+ */
+export const CONFIRMATION_STATUSES = {
+  submitted: { label: 'Awaiting confirmation', color: '#ff9900' },
+  confirmed: { label: 'Confirmed', color: '#00a755' },
+  disputed: { label: 'Disputed', color: '#cc0000' }
+};
+
+/**
+ * Get a result's confirmation status
+ * @param {Object|null} result - Result from tblresults
+ * @returns {string|null} 'submitted', 'confirmed' or 'disputed', or null if there is no result
+ */
+export const getConfirmationStatus = (result) => {
+  if (!result) return null;
+  return CONFIRMATION_STATUSES[result.confirmationStatus] ? result.confirmationStatus : 'confirmed';
+};
+
+/**
+ * Check whether a result has been confirmed
+ * @param {Object|null} result - Result from tblresults
+ * @returns {boolean} True if the result is confirmed
+ */
+export const isResultConfirmed = (result) => getConfirmationStatus(result) === 'confirmed';
+
+/**
+ * Get the fixture status a result puts its fixture in once confirmed
+ * @param {Object} result - Result from tblresults
+ * @returns {number} 4 (abandoned) if the result records the minute the match was stopped,
+ * otherwise 2 (completed), which includes walkovers
+ */
+export const getResultFixtureStatus = (result) =>
+  result.abandonedMinute != null && result.abandonedMinute !== '' ? 4 : 2;
+
+/**
+ * Check whether a user may confirm or dispute a submitted result
+ * @param {Object|null} result - Result from tblresults
+ * @param {Object} fixture - Fixture the result belongs to
+ * @param {Object} user - Logged in user
+ * @returns {boolean} True for a full admin, or the admin of the opposing club
+ */
+export const canConfirmResult = (result, fixture, user) => {
+  if (!result || !user || getConfirmationStatus(result) === 'confirmed') return false;
+  if (user.authority === 2) return true;
+
+  return user.authority === 1 &&
+    (user.authorityOver === fixture.homeTeam || user.authorityOver === fixture.awayTeam) &&
+    user.authorityOver !== result.submittedByTeam;
+};
@@ -0,0 +1,63 @@
+/**
+ * @file resultConfirmation.test.js
+ * @description Tests for two-sided result confirmation
+ * @module utils/resultConfirmation.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getConfirmationStatus, isResultConfirmed, canConfirmResult, getResultFixtureStatus } from './resultConfirmation';
+
+const fixture = { id: 1, homeTeam: 1, awayTeam: 2 };
+const submitted = { fixtureID: 1, confirmationStatus: 'submitted', submittedByTeam: 1 };
+
+describe('getConfirmationStatus', () => {
+  it('should treat results without a status as confirmed', () => {
+    expect(getConfirmationStatus({ homeScore: 10 })).toBe('confirmed');
+    expect(isResultConfirmed({ homeScore: 10 })).toBe(true);
+  });
+
+  it('should return null when there is no result', () => {
+    expect(getConfirmationStatus(null)).toBeNull();
+    expect(isResultConfirmed(null)).toBe(false);
+  });
+
+  it('should return the stored status', () => {
+    expect(getConfirmationStatus(submitted)).toBe('submitted');
+    expect(isResultConfirmed(submitted)).toBe(false);
+  });
+});
+
+describe('canConfirmResult', () => {
+  it('should let the opposing club confirm', () => {
+    expect(canConfirmResult(submitted, fixture, { authority: 1, authorityOver: 2 })).toBe(true);
+  });
+
+  it('should not let the submitting club confirm its own result', () => {
+    expect(canConfirmResult(submitted, fixture, { authority: 1, authorityOver: 1 })).toBe(false);
+  });
+
+  it('should not let other clubs confirm', () => {
+    expect(canConfirmResult(submitted, fixture, { authority: 1, authorityOver: 3 })).toBe(false);
+  });
+
+  it('should let a full admin confirm', () => {
+    expect(canConfirmResult(submitted, fixture, { authority: 2, authorityOver: 0 })).toBe(true);
+  });
+
+  it('should not offer confirmation once confirmed', () => {
+    const confirmed = { ...submitted, confirmationStatus: 'confirmed' };
+    expect(canConfirmResult(confirmed, fixture, { authority: 2 })).toBe(false);
+  });
+});
+
+describe('getResultFixtureStatus', () => {
+  it('should complete played matches and walkovers', () => {
+    expect(getResultFixtureStatus({ ...submitted, resultType: 'played', abandonedMinute: null })).toBe(2);
+    expect(getResultFixtureStatus({ ...submitted, resultType: 'walkover' })).toBe(2);
+  });
+
+  it('should abandon matches stopped at a recorded minute', () => {
+    expect(getResultFixtureStatus({ ...submitted, abandonedMinute: 65 })).toBe(4);
+    expect(getResultFixtureStatus({ ...submitted, abandonedMinute: '0' })).toBe(4);
+  });
+});
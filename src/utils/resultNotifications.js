@@ -0,0 +1,69 @@
+/**
+ * @file resultNotifications.js
+ * @description Result notification emails for followers of the teams in a fixture
+ * @module utils/resultNotifications
+ *
+ * Sent when a result is confirmed, from ResultsAdmin or by the confirming club in TeamAdmin.
+ * Followers are found and emailed by followerEmails.js.
+ */
+
+import { parseScorers } from './players';
+import { emailFixtureFollowers, escapeHTML } from './followerEmails';
+
+/**
+ * Email a match result to followers of both teams
+ * @async
+ * @param {Object} fixture - Fixture enriched with homeTeamName, awayTeamName, leagueName and leagueSeason
+ * @param {Object} result - Result with homeScore, awayScore, homeScorers and awayScorers
+ * @param {Array<Object>} teamsData - Teams from tblteams, used for logos
+ * @returns {Promise<void>}
+ * @description Failures are logged rather than thrown so they never fail a result submission
+ */
+export const sendResultNotifications = async (fixture, result, teamsData) => {
+  try {
+    // Format date
+    const matchDate = new Date(fixture.date).toLocaleDateString('en-GB', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    // Build scorers sections
+    const buildScorersSection = (scorers, teamName) => {
+      if (!scorers || scorers.length === 0) return '';
+
+      const scorersHTML = scorers.map(scorer =>
+        `<div class="scorer-item">
+          <strong>${escapeHTML(scorer.name)}</strong> - ${escapeHTML(scorer.points)} points (${escapeHTML(scorer.type)}${scorer.minute ? ` at ${escapeHTML(scorer.minute)}'` : ''})
+        </div>`
+      ).join('');
+
+      return `
+        <div class="scorers-section">
+          <h3>${escapeHTML(teamName)} Scorers:</h3>
+          ${scorersHTML}
+        </div>
+      `;
+    };
+
+    const sent = await emailFixtureFollowers(fixture, teamsData, {
+      template: '/templates/result-notification.html',
+      subject: `Match Result: ${fixture.homeTeamName} vs ${fixture.awayTeamName}`,
+      placeholders: {
+        homeScore: result.homeScore,
+        awayScore: result.awayScore,
+        matchDate
+      },
+      html: {
+        homeScorersSection: buildScorersSection(parseScorers(result.homeScorers), fixture.homeTeamName),
+        awayScorersSection: buildScorersSection(parseScorers(result.awayScorers), fixture.awayTeamName)
+      }
+    });
+
+    console.log(`Sent ${sent} result notification(s)`);
+  } catch (err) {
+    console.error('Error sending result notifications:', err);
+    // Don't throw - we don't want to fail the result submission if email fails
+  }
+};
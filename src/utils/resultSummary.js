@@ -0,0 +1,113 @@
+/**
+ * @file resultSummary.js
+ * @description Summaries of match results and form guides for the public pages
+ * @module utils/resultSummary
+ */
+
+import { getLeagueRules, calculateMatchPoints, getConcedingSide, countsInStandings } from './competitionRules';
+import { isResultConfirmed } from './resultConfirmation';
+import { countTries } from './leagueTable';
+
+/**
+ * Bonus point badges shown next to a team's score
+ * @type {Object<string, {label: string, title: string}>}
+ */
+export const BONUS_BADGES = {
+  try: { label: 'TBP', title: 'Try bonus point' },
+  losing: { label: 'LBP', title: 'Losing bonus point' }
+};
+
+/**
+ * Summarise a fixture's result
+ * @param {Object} fixture - Fixture from tblfixtures
+ * @param {Object|null} result - The fixture's result from tblresults
+ * @param {Object|null} league - The fixture's league (its rules decide bonus points)
+ * @returns {Object|null} Null when there is no confirmed result, otherwise
+ * { homeScore, awayScore, winner ('home'|'away'|'draw'), walkover (conceding side or null),
+ *   home: {points, bonuses}, away: {points, bonuses} } where bonuses are keys of BONUS_BADGES
+ */
+export const summariseResult = (fixture, result, league) => {
+  if (!result || !isResultConfirmed(result)) return null;
+
+  const rules = getLeagueRules(league);
+  const homeScore = parseInt(result.homeScore) || 0;
+  const awayScore = parseInt(result.awayScore) || 0;
+  const concededBy = getConcedingSide(fixture, result);
+
+  const matchPoints = calculateMatchPoints({
+    homeScore,
+    awayScore,
+    homeTries: countTries(result.homeScorers),
+    awayTries: countTries(result.awayScorers),
+    concededBy
+  }, rules);
+
+  // calculateMatchPoints only counts bonus points; work out which ones were earned
+  const bonusesFor = (awarded, score, oppScore) => {
+    const losing = awarded.outcome === 'lost' && awarded.bonusPoints > 0 &&
+      rules.losingBonusEnabled && oppScore - score <= rules.losingBonusMargin;
+    const bonuses = [];
+    if (awarded.bonusPoints - (losing ? 1 : 0) > 0) bonuses.push('try');
+    if (losing) bonuses.push('losing');
+    return bonuses;
+  };
+
+  const winner = concededBy
+    ? (concededBy === 'home' ? 'away' : 'home')
+    : homeScore > awayScore ? 'home' : awayScore > homeScore ? 'away' : 'draw';
+
+  return {
+    homeScore,
+    awayScore,
+    winner,
+    walkover: concededBy,
+    home: { points: matchPoints.home.points, bonuses: bonusesFor(matchPoints.home, homeScore, awayScore) },
+    away: { points: matchPoints.away.points, bonuses: bonusesFor(matchPoints.away, awayScore, homeScore) }
+  };
+};
+
+/**
+ * Form guide outcomes
+ * @type {Object<string, string>}
+ */
+export const FORM_OUTCOMES = {
+  W: 'Won',
+  D: 'Drawn',
+  L: 'Lost'
+};
+
+/**
+ * Get a team's most recent results, for a form guide
+ * @param {number} teamID - Team ID
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures (filter to one league for a league form guide)
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {Array<Object>} leagues - Leagues from tblleagues (their rules decide which results count)
+ * @param {number} [limit=5] - Number of results to return
+ * @returns {Array<Object>} Most recent first, each { fixture, outcome ('W'|'D'|'L'), isHome,
+ * opponentID, teamScore, opponentScore }. Only results that count in the league table are used.
+ */
+export const getTeamForm = (teamID, fixtures, results, leagues, limit = 5) => {
+  return (fixtures || [])
+    .filter(f => f.homeTeam === teamID || f.awayTeam === teamID)
+    .map(fixture => {
+      const league = (leagues || []).find(l => l.id === fixture.leagueID) || null;
+      const result = (results || []).find(r => r.fixtureID === fixture.id);
+      if (!countsInStandings(fixture, result, getLeagueRules(league))) return null;
+
+      const summary = summariseResult(fixture, result, league);
+      const isHome = fixture.homeTeam === teamID;
+      const side = isHome ? 'home' : 'away';
+
+      return {
+        fixture,
+        outcome: summary.winner === 'draw' ? 'D' : summary.winner === side ? 'W' : 'L',
+        isHome,
+        opponentID: isHome ? fixture.awayTeam : fixture.homeTeam,
+        teamScore: isHome ? summary.homeScore : summary.awayScore,
+        opponentScore: isHome ? summary.awayScore : summary.homeScore
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.fixture.date) - new Date(a.fixture.date))
+    .slice(0, limit);
+};
@@ -0,0 +1,77 @@
+/**
+ * @file resultSummary.test.js
+ * @description Tests for public result summaries
+ * @module utils/resultSummary.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { summariseResult, getTeamForm } from './resultSummary';
+import { tries } from '../test/scorers';
+
+const fixture = { id: 1, homeTeam: 1, awayTeam: 2, status: 2 };
+const league = { id: 1, rules: null };
+
+describe('summariseResult', () => {
+  it('should return null without a confirmed result', () => {
+    expect(summariseResult(fixture, null, league)).toBeNull();
+    expect(summariseResult(fixture, { homeScore: 10, awayScore: 5, confirmationStatus: 'submitted' }, league)).toBeNull();
+  });
+
+  it('should pick the winner and the bonus points earned', () => {
+    const summary = summariseResult(fixture, {
+      homeScore: 27, awayScore: 22, homeScorers: tries(4), awayScorers: tries(4)
+    }, league);
+
+    expect(summary).toMatchObject({
+      homeScore: 27,
+      awayScore: 22,
+      winner: 'home',
+      walkover: null,
+      home: { points: 5, bonuses: ['try'] },
+      away: { points: 2, bonuses: ['try', 'losing'] }
+    });
+  });
+
+  it('should report a draw without bonuses', () => {
+    expect(summariseResult(fixture, { homeScore: 10, awayScore: 10 }, league)).toMatchObject({
+      winner: 'draw', home: { bonuses: [] }, away: { bonuses: [] }
+    });
+  });
+
+  it('should give a walkover to the side that did not concede', () => {
+    const summary = summariseResult(fixture, {
+      homeScore: 0, awayScore: 25, resultType: 'walkover', concededBy: 1
+    }, league);
+
+    expect(summary).toMatchObject({ winner: 'away', walkover: 'home', away: { points: 5, bonuses: [] } });
+  });
+});
+
+describe('getTeamForm', () => {
+  const fixtures = [
+    { id: 1, leagueID: 1, homeTeam: 1, awayTeam: 2, date: '2025-09-06 15:00:00', status: 2 },
+    { id: 2, leagueID: 1, homeTeam: 3, awayTeam: 1, date: '2025-09-13 15:00:00', status: 2 },
+    { id: 3, leagueID: 1, homeTeam: 1, awayTeam: 3, date: '2025-09-20 15:00:00', status: 2 },
+    { id: 4, leagueID: 1, homeTeam: 2, awayTeam: 1, date: '2025-09-27 15:00:00', status: 4 },
+    { id: 5, leagueID: 1, homeTeam: 2, awayTeam: 3, date: '2025-10-04 15:00:00', status: 2 }
+  ];
+  const results = [
+    { fixtureID: 1, homeScore: 20, awayScore: 10 },
+    { fixtureID: 2, homeScore: 15, awayScore: 15 },
+    { fixtureID: 3, homeScore: 5, awayScore: 12 },
+    { fixtureID: 4, homeScore: 0, awayScore: 30, abandonedMinute: 20 },
+    { fixtureID: 5, homeScore: 5, awayScore: 0 }
+  ];
+
+  it('should list the team\'s counting results, most recent first', () => {
+    expect(getTeamForm(1, fixtures, results, [league]).map(f => [f.outcome, f.teamScore, f.opponentScore, f.isHome])).toEqual([
+      ['L', 5, 12, true],
+      ['D', 15, 15, false],
+      ['W', 20, 10, true]
+    ]);
+  });
+
+  it('should limit the number of results', () => {
+    expect(getTeamForm(1, fixtures, results, [league], 2).map(f => f.fixture.id)).toEqual([3, 2]);
+  });
+});
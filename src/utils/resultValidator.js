@@ -0,0 +1,93 @@
+/**
+ * @file resultValidator.js
+ * @description Consistency checks for a result's scorer breakdown
+ * @module utils/resultValidator
+ *
+ * Shared by ResultsAdmin and TeamAdmin. A result with issues can only be saved with an
+ * override reason (tblresults.validationOverride), and the Scorer Check report in
+ * ResultsAdmin lists stored results that still have issues.
+ * Scorers are optional: a side with no scorers listed is not checked.
+ */
+
+import { parseScorers } from './players';
+
+/**
+ * Issue types reported by validateResult
+ * @type {Object<string, string>}
+ */
+export const RESULT_ISSUES = {
+  totalMismatch: 'Scorers do not add up to the score',
+  conversionsExceedTries: 'More conversions than tries',
+  missingPlayerName: 'Scorer without a player name'
+};
+
+/**
+ * Total the points in a scorer list
+ * @param {Array<Object>|string|null} scorers - Scorers
+ * @returns {number} Sum of the scorers' points
+ */
+export const calculateScorerTotal = (scorers) => {
+  return parseScorers(scorers).reduce((total, scorer) => total + (parseInt(scorer.points) || 0), 0);
+};
+
+/**
+ * Check one side's scorers against its score
+ * @param {number} score - The side's final score
+ * @param {Array<Object>|string|null} scorers - The side's scorers
+ * @param {'home'|'away'} side - Which side is being checked
+ * @returns {Array<{code: string, side: string, message: string}>} Issues found
+ */
+const validateSide = (score, scorers, side) => {
+  const list = parseScorers(scorers);
+  if (list.length === 0) return [];
+
+  const issues = [];
+  const finalScore = parseInt(score) || 0;
+  const total = calculateScorerTotal(list);
+
+  if (total !== finalScore) {
+    issues.push({
+      code: 'totalMismatch',
+      side,
+      message: `Scorers add up to ${total} but the score is ${finalScore}`
+    });
+  }
+
+  const tries = list.filter(s => s.scoreType === 'try').length;
+  const conversions = list.filter(s => s.scoreType === 'conversion').length;
+
+  if (conversions > tries) {
+    issues.push({
+      code: 'conversionsExceedTries',
+      side,
+      message: `${conversions} conversion(s) but only ${tries} tr${tries === 1 ? 'y' : 'ies'}`
+    });
+  }
+
+  const unnamed = list.filter(s => !s.isPenaltyTry && !(s.playerName || '').trim()).length;
+  if (unnamed > 0) {
+    issues.push({
+      code: 'missingPlayerName',
+      side,
+      message: `${unnamed} scorer(s) without a player name`
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Check a result's scorer breakdown against its final score
+ * @param {Object} result - Result with homeScore, awayScore, homeScorers, awayScorers and
+ * optionally resultType
+ * @returns {Array<{code: string, side: 'home'|'away', message: string}>} Issues found;
+ * empty when the result is consistent. Walkovers are not checked.
+ */
+export const validateResult = (result) => {
+  if (!result || result.resultType === 'walkover') return [];
+
+  return [
+    ...validateSide(result.homeScore, result.homeScorers, 'home'),
+    ...validateSide(result.awayScore, result.awayScorers, 'away')
+  ];
+};
@@ -0,0 +1,75 @@
+/**
+ * @file resultValidator.test.js
+ * @description Tests for scorer breakdown validation
+ * @module utils/resultValidator.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateResult, calculateScorerTotal } from './resultValidator';
+
+const scorer = (playerName, scoreType, points) => ({ playerName, scoreType, points, minute: '', isPenaltyTry: false });
+
+describe('calculateScorerTotal', () => {
+  it('should total scorers stored as arrays or JSON strings', () => {
+    const scorers = [scorer('Smith', 'try', 5), scorer('Jones', 'conversion', 2)];
+    expect(calculateScorerTotal(scorers)).toBe(7);
+    expect(calculateScorerTotal(JSON.stringify(scorers))).toBe(7);
+    expect(calculateScorerTotal(null)).toBe(0);
+  });
+});
+
+describe('validateResult', () => {
+  it('should accept scorers that add up to the score', () => {
+    const result = {
+      homeScore: 12,
+      awayScore: 3,
+      homeScorers: [scorer('Smith', 'try', 5), scorer('Smith', 'try', 5), scorer('Jones', 'conversion', 2)],
+      awayScorers: [scorer('Brown', 'penalty', 3)]
+    };
+    expect(validateResult(result)).toEqual([]);
+  });
+
+  it('should report scorers that do not add up to the score', () => {
+    const result = {
+      homeScore: 27,
+      awayScore: 0,
+      homeScorers: [scorer('Smith', 'try', 5), scorer('Jones', 'try', 5), scorer('Jones', 'conversion', 2),
+        scorer('Jones', 'conversion', 2), scorer('Jones', 'penalty', 3), scorer('Lee', 'dropGoal', 2)],
+      awayScorers: []
+    };
+
+    const issues = validateResult(result);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ code: 'totalMismatch', side: 'home' });
+    expect(issues[0].message).toBe('Scorers add up to 19 but the score is 27');
+  });
+
+  it('should report more conversions than tries', () => {
+    const result = {
+      homeScore: 0,
+      awayScore: 9,
+      homeScorers: [],
+      awayScorers: [scorer('Brown', 'try', 5), scorer('Brown', 'conversion', 2), scorer('Brown', 'conversion', 2)]
+    };
+
+    expect(validateResult(result).map(i => i.code)).toEqual(['conversionsExceedTries']);
+  });
+
+  it('should report scorers without a name, except penalty tries', () => {
+    const result = {
+      homeScore: 10,
+      awayScore: 0,
+      homeScorers: [scorer('', 'try', 5), { ...scorer('Penalty Try', 'try', 5), isPenaltyTry: true, playerName: '' }],
+      awayScorers: []
+    };
+
+    const issues = validateResult(result);
+    expect(issues.map(i => i.code)).toEqual(['missingPlayerName']);
+    expect(issues[0].message).toBe('1 scorer(s) without a player name');
+  });
+
+  it('should not check walkovers or sides without scorers', () => {
+    expect(validateResult({ homeScore: 25, awayScore: 0, resultType: 'walkover' })).toEqual([]);
+    expect(validateResult({ homeScore: 25, awayScore: 10, homeScorers: '[]', awayScorers: null })).toEqual([]);
+  });
+});
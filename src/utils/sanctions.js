@@ -0,0 +1,43 @@
+/**
+ * @file sanctions.js
+ * @description Points deductions (sanctions) applied to league standings
+ * @module utils/sanctions
+ *
+ * Sanctions are stored in tblsanctions and managed from the Sanctions tab of the
+ * Admin page. The standings calculator deducts them after match and bonus points
+ * have been awarded, so they are reapplied on every recalculation.
+ */
+
+/**
+ * Get the sanctions for a league, oldest first
+ * @param {Array<Object>} sanctions - Sanctions from tblsanctions
+ * @param {number} leagueID - League to filter by
+ * @returns {Array<Object>} The league's sanctions in the order they were applied
+ */
+export const getLeagueSanctions = (sanctions, leagueID) => {
+  return (sanctions || [])
+    .filter(s => s.leagueID === leagueID)
+    .sort((a, b) => new Date(a.dateApplied) - new Date(b.dateApplied));
+};
+
+/**
+ * Deduct sanctioned points from standings rows
+ * @param {Array<Object>} standings - Standings rows (teamID, points, ...)
+ * @param {Array<Object>} sanctions - Sanctions for the same league
+ * @returns {Array<Object>} New rows with `pointsDeducted` set and `points` reduced
+ */
+export const applySanctions = (standings, sanctions) => {
+  const deductions = {};
+  (sanctions || []).forEach(sanction => {
+    deductions[sanction.teamID] = (deductions[sanction.teamID] || 0) + (parseInt(sanction.pointsDeducted) || 0);
+  });
+
+  return standings.map(team => {
+    const pointsDeducted = deductions[team.teamID] || 0;
+    return {
+      ...team,
+      pointsDeducted,
+      points: (team.points || 0) - pointsDeducted
+    };
+  });
+};
@@ -0,0 +1,39 @@
+/**
+ * @file sanctions.test.js
+ * @description Tests for points deductions
+ * @module utils/sanctions.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getLeagueSanctions, applySanctions } from './sanctions';
+
+const sanctions = [
+  { id: 1, leagueID: 1, teamID: 10, pointsDeducted: 5, dateApplied: '2025-11-20 00:00:00' },
+  { id: 2, leagueID: 2, teamID: 20, pointsDeducted: 3, dateApplied: '2025-10-01 00:00:00' },
+  { id: 3, leagueID: 1, teamID: 10, pointsDeducted: '2', dateApplied: '2025-10-15 00:00:00' }
+];
+
+describe('getLeagueSanctions', () => {
+  it('should return only the league\'s sanctions, oldest first', () => {
+    expect(getLeagueSanctions(sanctions, 1).map(s => s.id)).toEqual([3, 1]);
+  });
+});
+
+describe('applySanctions', () => {
+  it('should deduct the total sanctioned points from each team', () => {
+    const standings = [
+      { teamID: 10, points: 20 },
+      { teamID: 11, points: 18 }
+    ];
+
+    const result = applySanctions(standings, getLeagueSanctions(sanctions, 1));
+
+    expect(result[0]).toEqual({ teamID: 10, points: 13, pointsDeducted: 7 });
+    expect(result[1]).toEqual({ teamID: 11, points: 18, pointsDeducted: 0 });
+  });
+
+  it('should allow points to go below zero', () => {
+    const result = applySanctions([{ teamID: 10, points: 2 }], [sanctions[0]]);
+    expect(result[0].points).toBe(-3);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file seasonRollover.js
+ * @description Starting a new season: cloning leagues, moving teams and switching the current season
+ * @module utils/seasonRollover
+ *
+ * Used by the season rollover wizard (Admin → Seasons). Leagues are cloned into the new
+ * season with their rules, each team's playsIn is pointed at its new league, and the
+ * current season is saved to tblsettings so the site switches without editing .config.json.
+ */
+
+import { crudRequest } from './authHelpers';
+import { parseRules } from './competitionRules';
+import { saveSetting } from './settings';
+
+/**
+ * Team moves suggested between seasons
+ * @type {Object<string, string>}
+ */
+export const TEAM_MOVES = {
+  promoted: 'Promoted',
+  relegated: 'Relegated',
+  stays: 'Stays'
+};
+
+/**
+ * Work out the season after a given one
+ * @param {string} season - Season identifier, "2025-26" or "2025"
+ * @returns {string} The next season in the same format ("2026-27" or "2026"), or '' when
+ * the format is not recognised
+ */
+export const getNextSeason = (season) => {
+  const split = /^(\d{4})-(\d{2})$/.exec(season || '');
+  if (split) {
+    const start = parseInt(split[1]) + 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  const single = /^(\d{4})$/.exec(season || '');
+  return single ? String(parseInt(single[1]) + 1) : '';
+};
+
+/**
+ * Suggest promotion and relegation from the final tables
+ * @param {Array<number>} tiers - League IDs from the top division down
+ * @param {Object<number, Array<number>>} tables - Each league's team IDs in finishing order
+ * @param {number} places - Teams swapped between each pair of neighbouring leagues
+ * @returns {Object<number, {fromLeagueID: number, toLeagueID: number, position: number, move: string}>}
+ * Keyed by team ID; toLeagueID is the old league whose clone the team should join, and move
+ * is a key of TEAM_MOVES. The top division has no promotion and the bottom no relegation;
+ * a team in both zones of a small league is promoted.
+ */
+export const suggestTeamMoves = (tiers, tables, places) => {
+  const moves = {};
+
+  tiers.forEach((leagueID, tier) => {
+    const teamIDs = tables[leagueID] || [];
+
+    teamIDs.forEach((teamID, index) => {
+      const position = index + 1;
+      let move = 'stays';
+      let toLeagueID = leagueID;
+
+      if (tier > 0 && position <= places) {
+        move = 'promoted';
+        toLeagueID = tiers[tier - 1];
+      } else if (tier < tiers.length - 1 && position > teamIDs.length - places) {
+        move = 'relegated';
+        toLeagueID = tiers[tier + 1];
+      }
+
+      moves[teamID] = { fromLeagueID: leagueID, toLeagueID, position, move };
+    });
+  });
+
+  return moves;
+};
+
+/**
+ * Copy a league's rules into the new season
+ * @param {Object|string|null} rules - The old league's rules profile
+ * @returns {string|null} JSON for tblleagues.rules, or null for leagues on the default rules.
+ * Manual tiebreak orderings, pool phases and cup seeds are dropped, as they were decided
+ * between last season's teams; the new season sets up its own pools and draw.
+ */
+export const cloneLeagueRules = (rules) => {
+  if (!rules) return null;
+  return JSON.stringify({ ...parseRules(rules), manualOrder: [], phases: [], seeds: [] });
+};
+
+/**
+ * Start a new season
+ * @async
+ * @param {Object} plan - What the wizard decided
+ * @param {string} plan.toSeason - The new season
+ * @param {Array<Object>} plan.leagues - Leagues (from tblleagues) to clone into the new season
+ * @param {Object<number, number|string>} plan.assignments - Team ID to the old league ID whose
+ * clone the team joins; '' leaves the team without a league
+ * @returns {Promise<{success: boolean, message: string}>} Result of the rollover
+ * @description Creates the new leagues, moves every assigned team (tblteams.playsIn), then
+ * saves the new current season. Close the old season first (closeSeason) to freeze its tables.
+ */
+export const rolloverSeason = async ({ toSeason, leagues, assignments }) => {
+  try {
+    for (const league of leagues) {
+      const result = await crudRequest('create', {
+        table: 'tblleagues',
+        data: {
+          leagueName: league.leagueName,
+          leagueSeason: toSeason,
+          rules: cloneLeagueRules(league.rules)
+        }
+      });
+
+      if (result.status_code !== 200) {
+        throw new Error(`Failed to create ${league.leagueName} for ${toSeason}`);
+      }
+    }
+
+    // The API does not return new IDs, so find the clones by name
+    const leaguesResult = await crudRequest('read', {
+      table: 'tblleagues'
+    });
+
+    if (leaguesResult.status_code !== 200) {
+      throw new Error('Failed to fetch the new leagues');
+    }
+
+    const newLeagues = (leaguesResult.data.records || leaguesResult.data).filter(l => l.leagueSeason === toSeason);
+    const newLeagueIDs = {};
+    leagues.forEach(league => {
+      newLeagueIDs[league.id] = newLeagues.find(l => l.leagueName === league.leagueName)?.id || 0;
+    });
+
+    for (const [teamID, oldLeagueID] of Object.entries(assignments)) {
+      const result = await crudRequest('update', {
+        table: 'tblteams',
+        data: { playsIn: oldLeagueID ? newLeagueIDs[oldLeagueID] || 0 : 0 },
+        conditions: { id: parseInt(teamID) }
+      });
+
+      if (result.status_code !== 200) {
+        throw new Error(`Failed to move team ${teamID}`);
+      }
+    }
+
+    const saved = await saveSetting('currentSeason', toSeason);
+    if (!saved.success) {
+      throw new Error(`Leagues and teams are ready, but the current season could not be switched: ${saved.message}`);
+    }
+
+    return { success: true, message: `The ${toSeason} season has started with ${leagues.length} league(s)` };
+  } catch (error) {
+    console.error('Error rolling over season:', error);
+    return { success: false, message: error.message };
+  }
+};
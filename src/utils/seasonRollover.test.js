@@ -0,0 +1,70 @@
+/**
+ * @file seasonRollover.test.js
+ * @description Tests for the season rollover helpers
+ * @module utils/seasonRollover.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getNextSeason, suggestTeamMoves, cloneLeagueRules } from './seasonRollover';
+
+describe('getNextSeason', () => {
+  it('should move either season format on by a year', () => {
+    expect(getNextSeason('2025-26')).toBe('2026-27');
+    expect(getNextSeason('2099-00')).toBe('2100-01');
+    expect(getNextSeason('2025')).toBe('2026');
+  });
+
+  it('should return an empty string for an unknown format', () => {
+    expect(getNextSeason('Spring 2025')).toBe('');
+    expect(getNextSeason('')).toBe('');
+  });
+});
+
+describe('suggestTeamMoves', () => {
+  const tables = {
+    10: [1, 2, 3, 4],
+    20: [5, 6, 7, 8],
+    30: [9, 10, 11]
+  };
+
+  it('should swap the top and bottom places between neighbouring leagues', () => {
+    const moves = suggestTeamMoves([10, 20, 30], tables, 1);
+
+    expect(moves[1]).toEqual({ fromLeagueID: 10, toLeagueID: 10, position: 1, move: 'stays' });
+    expect(moves[4]).toMatchObject({ toLeagueID: 20, move: 'relegated' });
+    expect(moves[5]).toMatchObject({ toLeagueID: 10, move: 'promoted' });
+    expect(moves[8]).toMatchObject({ toLeagueID: 30, move: 'relegated' });
+    expect(moves[9]).toMatchObject({ toLeagueID: 20, move: 'promoted' });
+    expect(moves[11]).toMatchObject({ toLeagueID: 30, move: 'stays' });
+  });
+
+  it('should promote rather than relegate a team in both zones', () => {
+    const moves = suggestTeamMoves([10, 30], { 10: [1, 2], 30: [9, 10] }, 2);
+
+    expect(moves[9].move).toBe('promoted');
+    expect(moves[10].move).toBe('promoted');
+    expect(moves[1].move).toBe('relegated');
+  });
+
+  it('should keep everyone in place with no places to swap', () => {
+    const moves = suggestTeamMoves([10, 20], tables, 0);
+    expect(Object.values(moves).every(m => m.move === 'stays')).toBe(true);
+  });
+});
+
+describe('cloneLeagueRules', () => {
+  it('should keep the rules but drop the manual tiebreak order', () => {
+    const cloned = JSON.parse(cloneLeagueRules(JSON.stringify({ winPoints: 5, manualOrder: [3, 1] })));
+    expect(cloned).toMatchObject({ winPoints: 5, manualOrder: [] });
+  });
+
+  it('should drop last season\'s pool phases and cup seeds', () => {
+    const phases = [{ name: 'Pool phase', carryForward: 'none', pools: [{ name: 'Pool A', teams: [1, 2] }] }];
+    const cloned = JSON.parse(cloneLeagueRules(JSON.stringify({ winPoints: 5, phases, seeds: [2, 1] })));
+    expect(cloned).toMatchObject({ winPoints: 5, phases: [], seeds: [] });
+  });
+
+  it('should leave default-rules leagues on the defaults', () => {
+    expect(cloneLeagueRules(null)).toBeNull();
+  });
+});
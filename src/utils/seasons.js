@@ -0,0 +1,57 @@
+/**
+ * @file seasons.js
+ * @description Seasons for the public season switchers and the admin close season action
+ * @module utils/seasons
+ *
+ * A season is the leagueSeason shared by a set of tblleagues rows. Closing a season stamps
+ * tblleagues.seasonClosedAt on each of its leagues; calculateLeagueStandings leaves closed
+ * leagues alone, so their rows in tblstandings become the archived final tables.
+ */
+
+/**
+ * List the seasons that have leagues, most recent first
+ * @param {Array<Object>} leagues - Leagues from tblleagues
+ * @returns {Array<string>} Distinct season identifiers (e.g. "2025-26")
+ */
+export const getSeasons = (leagues) => {
+  return [...new Set((leagues || []).map(l => l.leagueSeason).filter(Boolean))]
+    .sort((a, b) => b.localeCompare(a));
+};
+
+/**
+ * Pick the season to show
+ * @param {Array<string>} seasons - Seasons from getSeasons
+ * @param {string|null} requested - Season asked for (e.g. from the query string)
+ * @param {string} currentSeason - Current season from .config.json
+ * @returns {string} The requested season if it exists, otherwise the current season,
+ * otherwise the most recent one ('' when there are no seasons)
+ */
+export const pickSeason = (seasons, requested, currentSeason) => {
+  if (requested && seasons.includes(requested)) return requested;
+  if (seasons.includes(currentSeason)) return currentSeason;
+  return seasons[0] || '';
+};
+
+/**
+ * Whether a league's season has been closed
+ * @param {Object|null} league - League from tblleagues
+ * @returns {boolean} True once the season is closed and its standings are frozen
+ */
+export const isSeasonClosed = (league) => Boolean(league?.seasonClosedAt);
+
+/**
+ * Summarise a season's leagues for the admin seasons list
+ * @param {string} season - Season identifier
+ * @param {Array<Object>} leagues - Leagues from tblleagues
+ * @returns {{season: string, leagues: Array<Object>, closed: boolean, closedAt: string|null}}
+ * A season is closed once every one of its leagues is; closedAt is the latest closing date
+ */
+export const getSeasonStatus = (season, leagues) => {
+  const seasonLeagues = (leagues || []).filter(l => l.leagueSeason === season);
+  const closed = seasonLeagues.length > 0 && seasonLeagues.every(isSeasonClosed);
+  const closedAt = closed
+    ? seasonLeagues.map(l => l.seasonClosedAt).sort().pop()
+    : null;
+
+  return { season, leagues: seasonLeagues, closed, closedAt };
+};
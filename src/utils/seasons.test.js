@@ -0,0 +1,52 @@
+/**
+ * @file seasons.test.js
+ * @description Tests for season listing and closed seasons
+ * @module utils/seasons.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getSeasons, pickSeason, isSeasonClosed, getSeasonStatus } from './seasons';
+
+const leagues = [
+  { id: 1, leagueName: 'Colts A', leagueSeason: '2024-25', seasonClosedAt: '2025-05-10 12:00:00' },
+  { id: 2, leagueName: 'Colts B', leagueSeason: '2024-25', seasonClosedAt: '2025-05-12 09:00:00' },
+  { id: 3, leagueName: 'Colts A', leagueSeason: '2025-26', seasonClosedAt: null },
+  { id: 4, leagueName: 'Colts B', leagueSeason: '2025-26', seasonClosedAt: '2026-05-01 10:00:00' },
+  { id: 5, leagueName: 'Colts A', leagueSeason: '2023-24' }
+];
+
+describe('getSeasons', () => {
+  it('should list each season once, most recent first', () => {
+    expect(getSeasons(leagues)).toEqual(['2025-26', '2024-25', '2023-24']);
+    expect(getSeasons([])).toEqual([]);
+  });
+});
+
+describe('pickSeason', () => {
+  const seasons = ['2025-26', '2024-25'];
+
+  it('should prefer the requested season, then the current one, then the latest', () => {
+    expect(pickSeason(seasons, '2024-25', '2025-26')).toBe('2024-25');
+    expect(pickSeason(seasons, '1999-00', '2025-26')).toBe('2025-26');
+    expect(pickSeason(seasons, null, '2026-27')).toBe('2025-26');
+    expect(pickSeason([], null, '2025-26')).toBe('');
+  });
+});
+
+describe('isSeasonClosed', () => {
+  it('should be closed once seasonClosedAt is set', () => {
+    expect(isSeasonClosed(leagues[0])).toBe(true);
+    expect(isSeasonClosed(leagues[2])).toBe(false);
+    expect(isSeasonClosed(leagues[4])).toBe(false);
+    expect(isSeasonClosed(null)).toBe(false);
+  });
+});
+
+describe('getSeasonStatus', () => {
+  it('should only close a season when every league is closed', () => {
+    expect(getSeasonStatus('2024-25', leagues)).toMatchObject({ closed: true, closedAt: '2025-05-12 09:00:00' });
+    expect(getSeasonStatus('2025-26', leagues)).toMatchObject({ closed: false, closedAt: null });
+    expect(getSeasonStatus('2025-26', leagues).leagues.map(l => l.id)).toEqual([3, 4]);
+    expect(getSeasonStatus('2030-31', leagues)).toMatchObject({ closed: false, leagues: [] });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @file settings.js
+ * @description Site settings stored in the database, so they can change without a redeploy
+ * @module utils/settings
+ *
+ * Settings are key/value rows in tblsettings. The public pages read them, so tblsettings
+ * must be in the backend's public read allowed list. Anything not stored falls back to
+ * public/.config.json.
+ */
+
+import { crudRequest, publicRead } from './authHelpers';
+
+/**
+ * Read a setting
+ * @async
+ * @param {string} key - Setting key (e.g. "currentSeason")
+ * @returns {Promise<string|null>} The stored value, or null when it is not set or cannot be read
+ */
+export const getSetting = async (key) => {
+  try {
+    const result = await publicRead({ table: 'tblsettings' });
+    if (result.status_code !== 200) return null;
+
+    const settings = result.data.records || result.data;
+    return settings.find(s => s.settingKey === key)?.settingValue || null;
+  } catch (error) {
+    console.error(`Failed to load setting ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Save a setting, creating it if it does not exist yet
+ * @async
+ * @param {string} key - Setting key
+ * @param {string} value - New value
+ * @returns {Promise<{success: boolean, message: string}>} Result of saving
+ */
+export const saveSetting = async (key, value) => {
+  try {
+    const existingResult = await crudRequest('read', {
+      table: 'tblsettings'
+    });
+
+    if (existingResult.status_code !== 200) {
+      throw new Error('Failed to fetch settings');
+    }
+
+    const existing = (existingResult.data.records || existingResult.data).find(s => s.settingKey === key);
+
+    const result = existing
+      ? await crudRequest('update', {
+          table: 'tblsettings',
+          data: { settingValue: value },
+          conditions: { settingKey: key }
+        })
+      : await crudRequest('create', {
+          table: 'tblsettings',
+          data: { settingKey: key, settingValue: value }
+        });
+
+    if (result.status_code !== 200) {
+      throw new Error(result.message || `Failed to save ${key}`);
+    }
+
+    return { success: true, message: 'Setting saved' };
+  } catch (error) {
+    console.error(`Error saving setting ${key}:`, error);
+    return { success: false, message: error.message };
+  }
+};
@@ -0,0 +1,331 @@
+/**
+ * @file spreadsheets.js
+ * @description Reading and writing CSV and Excel (.xlsx) spreadsheets
+ * @module utils/spreadsheets
+ *
+ * Spreadsheets are read into rows of cell values, first row first. CSV cells are strings.
+ * Excel cells keep their stored type, so dates and times arrive as Excel serial numbers
+ * (days since 30 December 1899, with the time as the fraction of a day). An .xlsx file is a
+ * zip of XML parts; the first worksheet is read.
+ *
+ * Rows are written the same way: numbers stay numbers in an .xlsx file, everything else is text.
+ */
+
+import { unzipSync, zipSync, strFromU8, strToU8 } from 'fflate';
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells. Quoted cells may contain the delimiter,
+ * line breaks and doubled quotes; blank lines are dropped.
+ * @description The delimiter is a comma unless the first line has more semicolons or tabs
+ * (as saved by some European and spreadsheet exports).
+ */
+export const parseCSV = (text) => {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/)[0] || '';
+  const count = (char) => firstLine.split(char).length - 1;
+  const delimiter = [';', '\t'].find(char => count(char) > count(',')) || ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse an XML part of an .xlsx file
+ * @param {Object<string, Uint8Array>} files - Unzipped parts
+ * @param {string} path - Part path, e.g. "xl/workbook.xml"
+ * @returns {Document|null} Parsed XML, or null if the part is missing
+ */
+const readPart = (files, path) => {
+  if (!files[path]) return null;
+  return new DOMParser().parseFromString(strFromU8(files[path]), 'application/xml');
+};
+
+/**
+ * Column index of a cell reference
+ * @param {string} ref - Cell reference, e.g. "C12"
+ * @returns {number} Zero-based column index (A = 0)
+ */
+const columnIndex = (ref) => {
+  const letters = ref.replace(/[0-9]/g, '');
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Text of an element's <t> runs
+ * @param {Element} element - Shared string or inline string
+ * @returns {string} Concatenated text
+ */
+const runText = (element) => [...element.getElementsByTagNameNS('*', 't')].map(t => t.textContent).join('');
+
+/**
+ * Read the first worksheet of an .xlsx file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Array<Array<string|number>>} Rows of cells. Numbers (including dates and times)
+ * stay numbers, booleans become 'TRUE' or 'FALSE', empty cells are ''; blank rows are dropped.
+ * @throws {Error} If the file is not an Excel workbook
+ */
+export const readXLSX = (data) => {
+  let files;
+  try {
+    files = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+  } catch {
+    throw new Error('This file is not an Excel (.xlsx) workbook');
+  }
+
+  const workbook = readPart(files, 'xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('This file is not an Excel (.xlsx) workbook');
+  }
+
+  // Find the first sheet's part through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const firstSheet = workbook.getElementsByTagNameNS('*', 'sheet')[0];
+  const rels = readPart(files, 'xl/_rels/workbook.xml.rels');
+  if (firstSheet && rels) {
+    const relID = firstSheet.getAttribute('r:id');
+    const rel = [...rels.getElementsByTagNameNS('*', 'Relationship')].find(r => r.getAttribute('Id') === relID);
+    const target = rel?.getAttribute('Target');
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheet = readPart(files, sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const sharedStrings = readPart(files, 'xl/sharedStrings.xml');
+  const strings = sharedStrings ? [...sharedStrings.getElementsByTagNameNS('*', 'si')].map(runText) : [];
+
+  const rows = [...sheet.getElementsByTagNameNS('*', 'row')].map(rowElement => {
+    const row = [];
+
+    [...rowElement.getElementsByTagNameNS('*', 'c')].forEach((cellElement, i) => {
+      const ref = cellElement.getAttribute('r');
+      const index = ref ? columnIndex(ref) : i;
+      const type = cellElement.getAttribute('t');
+      const raw = cellElement.getElementsByTagNameNS('*', 'v')[0]?.textContent ?? '';
+
+      let value;
+      if (type === 's') {
+        value = strings[parseInt(raw)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = runText(cellElement);
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      } else if (type === 'str' || type === 'e' || type === 'd' || raw === '') {
+        value = raw;
+      } else {
+        value = Number(raw);
+      }
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    });
+
+    return row;
+  });
+
+  return rows.filter(r => r.some(value => String(value).trim() !== ''));
+};
+
+/**
+ * Read a spreadsheet chosen in a file input
+ * @async
+ * @param {File} file - CSV or .xlsx file
+ * @returns {Promise<Array<Array<string|number>>>} Rows of cells
+ * @throws {Error} If the file cannot be read
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    return readXLSX(await file.arrayBuffer());
+  }
+
+  if (name.endsWith('.xls')) {
+    throw new Error('Older .xls workbooks cannot be read - save the file as .xlsx or CSV');
+  }
+
+  return parseCSV(await file.text());
+};
+
+/**
+ * Stop a text cell being run as a formula when the file is opened in a spreadsheet
+ * @param {string|number|null} value - Cell value
+ * @returns {string|number|null} Text starting with =, +, -, @, a tab or a carriage return gets a
+ * leading apostrophe; numbers, and text that is just a number (e.g. "-12"), are unchanged
+ */
+export const escapeFormula = (value) => {
+  if (typeof value !== 'string' || /^[-+]?\d+(\.\d+)?$/.test(value.trim())) return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {Array<Array<string|number|null>>} rows - Rows of cells
+ * @returns {string} CSV with Windows line endings. Cells containing a comma, quote or line
+ * break are quoted; null and undefined cells are empty. Text that would start a formula is
+ * escaped (see escapeFormula), as team names, venues and notes are typed in by users.
+ */
+export const toCSV = (rows) => {
+  const quote = (value) => {
+    const text = String(escapeFormula(value) ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(quote).join(',')).join('\r\n');
+};
+
+/**
+ * Escape text for an XML part
+ * @param {string} text - Text
+ * @returns {string} Text with markup characters escaped and anything outside ASCII written as a
+ * character reference, so each part can be stored one byte per character
+ */
+const escapeXML = (text) => [...String(text)].map(char => {
+  const code = char.codePointAt(0);
+  if (char === '&') return '&amp;';
+  if (char === '<') return '&lt;';
+  if (char === '>') return '&gt;';
+  if (char === '"') return '&quot;';
+  if (code < 32 && char !== '\n' && char !== '\t') return '';
+  return code > 126 ? `&#${code};` : char;
+}).join('');
+
+/**
+ * Cell reference for a row and column
+ * @param {number} rowIndex - Zero-based row index
+ * @param {number} colIndex - Zero-based column index
+ * @returns {string} Cell reference, e.g. "C12"
+ */
+const cellRef = (rowIndex, colIndex) => {
+  let letters = '';
+  for (let n = colIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${rowIndex + 1}`;
+};
+
+/**
+ * Build an Excel (.xlsx) workbook with one worksheet
+ * @param {Array<Array<string|number|null>>} rows - Rows of cells; the first row is shown in bold
+ * @param {string} [sheetName='Sheet1'] - Worksheet name (cut to Excel's 31 characters)
+ * @returns {Uint8Array} Workbook file contents
+ * @description Text is written as inline strings, which Excel never runs as formulas, so no
+ * escaping is needed.
+ */
+export const buildXLSX = (rows, sheetName = 'Sheet1') => {
+  const name = escapeXML(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+  const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const style = r === 0 ? ' s="1"' : '';
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${cellRef(r, c)}"${style}><v>${value}</v></c>`;
+      }
+      return `<c r="${cellRef(r, c)}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  const parts = {
+    '[Content_Types].xml': `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels': `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>',
+    'xl/workbook.xml': `${header}<workbook xmlns="${main}" xmlns:r="${rel}">` +
+      `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': `${header}<styleSheet xmlns="${main}">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+    'xl/worksheets/sheet1.xml': `${header}<worksheet xmlns="${main}"><sheetData>${sheetRows}</sheetData></worksheet>`
+  };
+
+  // Every part is ASCII (see escapeXML), so each character is stored as one byte
+  const files = {};
+  Object.entries(parts).forEach(([path, xml]) => {
+    files[path] = strToU8(xml, true);
+  });
+
+  return zipSync(files);
+};
+
+/**
+ * Download rows as a CSV or Excel file
+ * @param {Array<Array<string|number|null>>} rows - Rows of cells, headings first
+ * @param {string} fileName - File name without the extension
+ * @param {string} [format='csv'] - 'csv' or 'xlsx'
+ * @param {string} [sheetName=fileName] - Worksheet name for an .xlsx file
+ * @description CSV files start with a byte order mark so Excel reads accented names correctly.
+ */
+export const downloadSpreadsheet = (rows, fileName, format = 'csv', sheetName = fileName) => {
+  const blob = format === 'xlsx'
+    ? new Blob([buildXLSX(rows, sheetName)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+    : new Blob(['\uFEFF' + toCSV(rows)], { type: 'text/csv;charset=utf-8' });
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${fileName.replace(/\s+/g, '_')}.${format === 'xlsx' ? 'xlsx' : 'csv'}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
@@ -0,0 +1,116 @@
+/**
+ * @file spreadsheets.test.js
+ * @description Tests for reading and writing CSV and Excel spreadsheets
+ * @module utils/spreadsheets.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { parseCSV, readXLSX, toCSV, buildXLSX, escapeFormula } from './spreadsheets';
+
+describe('parseCSV', () => {
+  it('should handle quoted cells, doubled quotes and Windows line endings', () => {
+    const text = '﻿Date,Home,Away,Venue\r\n06/09/2025,Exmouth,"Sidmouth, Seaton",\r\n\r\n13/09/2025,"The ""Chiefs""",Crediton,"Pitch 2\nBack field"\r\n';
+
+    expect(parseCSV(text)).toEqual([
+      ['Date', 'Home', 'Away', 'Venue'],
+      ['06/09/2025', 'Exmouth', 'Sidmouth, Seaton', ''],
+      ['13/09/2025', 'The "Chiefs"', 'Crediton', 'Pitch 2\nBack field']
+    ]);
+  });
+
+  it('should read semicolon-separated files', () => {
+    expect(parseCSV('Home;Away\nExmouth;Sidmouth')).toEqual([['Home', 'Away'], ['Exmouth', 'Sidmouth']]);
+  });
+});
+
+describe('readXLSX', () => {
+  // TextEncoder output comes from another realm under jsdom, which fflate would not recognise
+  const xml = (text) => Uint8Array.from(strToU8(text));
+
+  const workbook = (sheetXML) => zipSync({
+    'xl/workbook.xml': xml(
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets><sheet name="Fixtures" sheetId="1" r:id="rId1"/></sheets></workbook>'
+    ),
+    'xl/_rels/workbook.xml.rels': xml(
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="worksheet" Target="worksheets/fixtures.xml"/></Relationships>'
+    ),
+    'xl/sharedStrings.xml': xml(
+      '<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<si><t>Date</t></si><si><t>Home</t></si><si><r><t>Exe</t></r><r><t>ter</t></r></si></sst>'
+    ),
+    'xl/worksheets/fixtures.xml': xml(
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetXML}</sheetData></worksheet>`
+    )
+  });
+
+  it('should read shared strings, inline strings and numbers from the first sheet', () => {
+    const rows = readXLSX(workbook(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+      '<row r="2"><c r="A2"><v>45906.625</v></c><c r="B2" t="s"><v>2</v></c><c r="D2" t="inlineStr"><is><t>Pitch 1</t></is></c></row>' +
+      '<row r="3"><c r="A3"/></row>'
+    ));
+
+    expect(rows).toEqual([
+      ['Date', 'Home'],
+      [45906.625, 'Exeter', '', 'Pitch 1']
+    ]);
+  });
+
+  it('should reject files that are not workbooks', () => {
+    expect(() => readXLSX(xml('Date,Home'))).toThrow('This file is not an Excel (.xlsx) workbook');
+  });
+});
+
+describe('toCSV', () => {
+  it('should quote cells that need it and read back the same rows', () => {
+    const rows = [
+      ['Home Team', 'Home Scorers', 'Home Score'],
+      ['Exmouth Colts', 'Tom "TJ" Jones (Try 5\'); Sam Hill (Conversion 6\')', 7],
+      ['Sidmouth, Seaton', null, 0]
+    ];
+
+    const csv = toCSV(rows);
+
+    expect(csv.split('\r\n')[2]).toBe('"Sidmouth, Seaton",,0');
+    expect(parseCSV(csv)).toEqual(rows.map(row => row.map(value => String(value ?? ''))));
+  });
+});
+
+describe('escapeFormula', () => {
+  it('should stop text starting a formula, but leave numbers alone', () => {
+    expect(escapeFormula('=HYPERLINK("http://example.com","Exmouth")')).toBe('\'=HYPERLINK("http://example.com","Exmouth")');
+    expect(escapeFormula('+44 1395 000000')).toBe('\'+44 1395 000000');
+    expect(escapeFormula('-Sidmouth')).toBe('\'-Sidmouth');
+    expect(escapeFormula('@SUM(A1:A2)')).toBe('\'@SUM(A1:A2)');
+    expect(escapeFormula('Exmouth = best')).toBe('Exmouth = best');
+    expect(escapeFormula('-12')).toBe('-12');
+    expect(escapeFormula(-30)).toBe(-30);
+  });
+
+  it('should be applied to every text cell written as CSV', () => {
+    expect(toCSV([['=1+1', 'Imperial Ground', -30, '@Pitch 2']])).toBe("'=1+1,Imperial Ground,-30,'@Pitch 2");
+  });
+});
+
+describe('buildXLSX', () => {
+  it('should write a workbook that reads back with numbers kept as numbers', () => {
+    const rows = [
+      ['League', 'Team', 'Pts'],
+      ['Premier & Cup', 'Ottery St Mary <Colts>', 21],
+      ['Premier & Cup', 'Exmouth', -2]
+    ];
+
+    expect(readXLSX(buildXLSX(rows, 'Standings'))).toEqual(rows);
+  });
+
+  it('should keep accented names and tidy the sheet name', () => {
+    const files = unzipSync(buildXLSX([['Équipe Créditon']], 'Results [2025/26]'));
+
+    expect(strFromU8(files['xl/workbook.xml'])).toContain('name="Results  2025 26 "');
+    expect(readXLSX(zipSync(files))).toEqual([['Équipe Créditon']]);
+  });
+});
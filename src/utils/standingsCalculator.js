@@ -4,30 +4,18 @@
  * @module utils/standingsCalculator
  * 
  * Calculates team standings (points, wins, losses, etc.) from fixture results.
- * Implements rugby union scoring rules including bonus points.
- * Only calculates standings for the current season.
+ * Implements rugby union scoring rules including bonus points, using each
+ * league's configurable rules profile.
+ * Leagues whose season has been closed are never recalculated, so their standings stay
+ * frozen as the season's final tables (see seasons.js).
  */
 
 import { crudRequest } from './authHelpers';
-
-// Load current season from config
-let CURRENT_SEASON = '2025-26'; // Default fallback
-
-// Fetch config on module load
-fetch('/.config.json')
-  .then(response => response.json())
-  .then(config => {
-    CURRENT_SEASON = config.currentSeason || CURRENT_SEASON;
-  })
-  .catch(error => {
-    console.warn('Could not load current season from config.json, using default:', error);
-  });
-
-/**
- * Get the current season from config
- * @returns {string} The current season identifier (e.g., "2025-26")
- */
-export const getCurrentSeason = () => CURRENT_SEASON;
+import { buildStandings } from './leagueTable';
+import { recordAudit } from './auditTrail';
+import { isSeasonClosed } from './seasons';
+import { isKnockout } from './knockout';
+import { hasPools, buildPoolStandings } from './pools';
 
 /**
  * Calculate standings for a specific league
@@ -36,19 +24,46 @@ export const getCurrentSeason = () => CURRENT_SEASON;
  * @param {string} leagueSeason - The season to calculate for (e.g., "2025-26")
  * @returns {Promise<{success: boolean, message: string}>} Result of calculation
  * @description Recalculates league standings from all completed fixtures.
- * Implements rugby union scoring:
+ * Match and bonus points are awarded using the league's rules profile
+ * (see competitionRules.js). Leagues without a stored profile use the default
+ * rugby union scoring:
  * - Win: 4 points
  * - Draw: 2 points
  * - Loss within 7 points: 1 bonus point
  * - 4+ tries scored: 1 bonus point
- * Only calculates for current season.
+ * - Walkover: 5 points and a notional 25-0 score
+ * Abandoned matches only count when the league's rules allow it and the match was
+ * stopped at or after the configured minute.
+ * Points deductions from tblsanctions are then subtracted before teams are ranked.
+ * The table itself is built by buildStandings (leagueTable.js).
+ * Leagues split into pools get one table per pool (see pools.js), each stored with the
+ * pool's name in tblstandings.pool.
+ * Leagues in a closed season are skipped, leaving their final table untouched, as are
+ * knockout cups, which have no table.
  */
 export const calculateLeagueStandings = async (leagueID, leagueSeason) => {
   try {
-    // Only calculate for current season
-    if (leagueSeason !== CURRENT_SEASON) {
-      console.log(`Skipping standings calculation for ${leagueSeason} (not current season)`);
-      return { success: true, message: 'Not current season' };
+    // Get the league's rules profile
+    const leaguesResult = await crudRequest('read', {
+      table: 'tblleagues'
+    });
+
+    if (leaguesResult.status_code !== 200) {
+      throw new Error('Failed to fetch leagues');
+    }
+
+    const allLeagues = leaguesResult.data.records || leaguesResult.data;
+    const league = allLeagues.find(l => l.id === leagueID) || { id: leagueID, rules: null };
+
+    // A closed season's standings are its archived final table
+    if (isSeasonClosed(league)) {
+      console.log(`Skipping standings calculation for ${league.leagueName} (${leagueSeason} season closed)`);
+      return { success: true, message: 'Season closed' };
+    }
+
+    // Cup ties are decided one by one (see knockout.js), not in a table
+    if (isKnockout(league)) {
+      return { success: true, message: 'Knockout competition' };
     }
 
     // Get all fixtures for this league
@@ -61,7 +76,6 @@ export const calculateLeagueStandings = async (leagueID, leagueSeason) => {
     }
 
     const allFixtures = fixturesResult.data.records || fixturesResult.data;
-    const leagueFixtures = allFixtures.filter(f => f.leagueID === leagueID && f.status === 2); // Only completed matches
 
     // Get all results
     const resultsResult = await crudRequest('read', {
@@ -73,127 +87,25 @@ export const calculateLeagueStandings = async (leagueID, leagueSeason) => {
     }
 
     const allResults = resultsResult.data.records || resultsResult.data;
-    
-    // Create a map of results by fixtureID
-    const resultsMap = {};
-    allResults.forEach(result => {
-      resultsMap[result.fixtureID] = result;
-    });
-
-    // Get all teams in this league (from fixtures)
-    const teamIDs = new Set();
-    leagueFixtures.forEach(fixture => {
-      teamIDs.add(fixture.homeTeam);
-      teamIDs.add(fixture.awayTeam);
-    });
 
-    // Initialize standings for each team
-    const standings = {};
-    teamIDs.forEach(teamID => {
-      standings[teamID] = {
-        teamID,
-        played: 0,
-        won: 0,
-        drawn: 0,
-        lost: 0,
-        pointsFor: 0,
-        pointsAgainst: 0,
-        pointsDifference: 0,
-        bonusPoints: 0,
-        points: 0
-      };
+    // Get points deductions
+    const sanctionsResult = await crudRequest('read', {
+      table: 'tblsanctions'
     });
 
-    // Calculate standings from completed fixtures with results
-    leagueFixtures.forEach(fixture => {
-      const result = resultsMap[fixture.id];
-      if (!result) return; // Skip if no result
-
-      const homeTeam = standings[fixture.homeTeam];
-      const awayTeam = standings[fixture.awayTeam];
-
-      const homeScore = parseInt(result.homeScore) || 0;
-      const awayScore = parseInt(result.awayScore) || 0;
-
-      // Update played
-      homeTeam.played++;
-      awayTeam.played++;
-
-      // Update points for/against
-      homeTeam.pointsFor += homeScore;
-      homeTeam.pointsAgainst += awayScore;
-      awayTeam.pointsFor += awayScore;
-      awayTeam.pointsAgainst += homeScore;
-
-      // Determine win/draw/loss and award match points
-      if (homeScore > awayScore) {
-        // Home win
-        homeTeam.won++;
-        homeTeam.points += 4;
-        awayTeam.lost++;
-        
-        // Losing bonus point (within 7 points)
-        if (awayScore + 7 >= homeScore) {
-          awayTeam.bonusPoints++;
-          awayTeam.points++;
-        }
-      } else if (awayScore > homeScore) {
-        // Away win
-        awayTeam.won++;
-        awayTeam.points += 4;
-        homeTeam.lost++;
-        
-        // Losing bonus point (within 7 points)
-        if (homeScore + 7 >= awayScore) {
-          homeTeam.bonusPoints++;
-          homeTeam.points++;
-        }
-      } else {
-        // Draw
-        homeTeam.drawn++;
-        awayTeam.drawn++;
-        homeTeam.points += 2;
-        awayTeam.points += 2;
-      }
-
-      // Check for 4+ tries bonus point
-      try {
-        const homeScorers = result.homeScorers ? 
-          (typeof result.homeScorers === 'string' ? JSON.parse(result.homeScorers) : result.homeScorers) : [];
-        const awayScorers = result.awayScorers ? 
-          (typeof result.awayScorers === 'string' ? JSON.parse(result.awayScorers) : result.awayScorers) : [];
-
-        const homeTries = homeScorers.filter(s => s.scoreType === 'try').length;
-        const awayTries = awayScorers.filter(s => s.scoreType === 'try').length;
-
-        if (homeTries >= 4) {
-          homeTeam.bonusPoints++;
-          homeTeam.points++;
-        }
-        if (awayTries >= 4) {
-          awayTeam.bonusPoints++;
-          awayTeam.points++;
-        }
-      } catch (err) {
-        console.error('Error parsing scorers for bonus points:', err);
-      }
+    if (sanctionsResult.status_code !== 200) {
+      throw new Error('Failed to fetch sanctions');
+    }
 
-      // Calculate points difference
-      homeTeam.pointsDifference = homeTeam.pointsFor - homeTeam.pointsAgainst;
-      awayTeam.pointsDifference = awayTeam.pointsFor - awayTeam.pointsAgainst;
-    });
+    const allSanctions = sanctionsResult.data.records || sanctionsResult.data;
 
-    // Sort teams by: 1) Points, 2) Points difference, 3) Points for
-    const sortedTeams = Object.values(standings).sort((a, b) => {
-      if (b.points !== a.points) return b.points - a.points;
-      if (b.pointsDifference !== a.pointsDifference) return b.pointsDifference - a.pointsDifference;
-      return b.pointsFor - a.pointsFor;
-    });
-
-    // Assign positions
-    sortedTeams.forEach((team, index) => {
-      team.position = index + 1;
-    });
+    // Build the table (or each pool's table), deduct sanctioned points and rank on the
+    // league's tiebreak chain
+    const sortedTeams = hasPools(league)
+      ? buildPoolStandings(allFixtures, allResults, league, allSanctions).flatMap(({ pool, standings }) =>
+          standings.map(team => ({ ...team, pool: pool.name }))
+        )
+      : buildStandings(allFixtures, allResults, league, allSanctions);
 
     // Update tblstandings table
     for (const team of sortedTeams) {
@@ -207,12 +119,13 @@ export const calculateLeagueStandings = async (leagueID, leagueSeason) => {
         : [];
 
       const existing = existingStandings.find(
-        s => s.leagueID === leagueID && s.teamID === team.teamID
+        s => s.leagueID === leagueID && s.teamID === team.teamID && (s.pool || null) === (team.pool || null)
       );
 
       const standingData = {
         leagueID,
         teamID: team.teamID,
+        pool: team.pool || null,
         played: team.played,
         won: team.won,
         drawn: team.drawn,
@@ -221,9 +134,19 @@ export const calculateLeagueStandings = async (leagueID, leagueSeason) => {
         pointsAgainst: team.pointsAgainst,
         pointsDifference: team.pointsDifference,
         bonusPoints: team.bonusPoints,
-        points: team.points
+        points: team.points,
+        triesFor: team.triesFor,
+        pointsDeducted: team.pointsDeducted
       };
 
+      await recordAudit({
+        entity: 'standing',
+        recordKey: team.pool ? `${leagueID}-${team.teamID}-${team.pool}` : `${leagueID}-${team.teamID}`,
+        action: existing ? 'update' : 'create',
+        before: existing || null,
+        after: standingData
+      });
+
       if (existing) {
         // Update existing standing
         await crudRequest('update', {
@@ -296,3 +219,59 @@ export const updateStandingsForFixture = async (fixtureID) => {
     return { success: false, message: error.message };
   }
 };
+
+/**
+ * Close a season, freezing its final league tables
+ * @async
+ * @param {string} season - The season to close (e.g., "2024-25")
+ * @returns {Promise<{success: boolean, message: string}>} Result of closing
+ * @description Recalculates every open league in the season one last time, so the final
+ * tables include every confirmed result, then sets tblleagues.seasonClosedAt on each of them.
+ * From then on calculateLeagueStandings leaves those leagues alone, so later result edits
+ * or sanctions can no longer change the archived tables.
+ */
+export const closeSeason = async (season) => {
+  try {
+    const leaguesResult = await crudRequest('read', {
+      table: 'tblleagues'
+    });
+
+    if (leaguesResult.status_code !== 200) {
+      throw new Error('Failed to fetch leagues');
+    }
+
+    const leagues = (leaguesResult.data.records || leaguesResult.data)
+      .filter(l => l.leagueSeason === season && !isSeasonClosed(l));
+
+    if (leagues.length === 0) {
+      return { success: false, message: `No open leagues in the ${season} season` };
+    }
+
+    // Final recalculation before the tables are frozen
+    for (const league of leagues) {
+      const result = await calculateLeagueStandings(league.id, league.leagueSeason);
+      if (!result.success) {
+        throw new Error(`${league.leagueName}: ${result.message}`);
+      }
+    }
+
+    const closedAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+    for (const league of leagues) {
+      const result = await crudRequest('update', {
+        table: 'tblleagues',
+        data: { seasonClosedAt: closedAt },
+        conditions: { id: league.id }
+      });
+
+      if (result.status_code !== 200) {
+        throw new Error(`Failed to close ${league.leagueName}`);
+      }
+    }
+
+    return { success: true, message: `Closed the ${season} season (${leagues.length} league(s))` };
+  } catch (error) {
+    console.error('Error closing season:', error);
+    return { success: false, message: error.message };
+  }
+};
@@ -0,0 +1,179 @@
+/**
+ * @file tiebreakers.js
+ * @description Shared league table ranking with a configurable tiebreak chain
+ * @module utils/tiebreakers
+ *
+ * Every place that ranks teams (standingsCalculator, Tables, standings emails) uses
+ * rankStandings() so that positions are always decided the same way.
+ * Teams are ranked on league points first, then each tiebreaker in the league's
+ * rules profile is applied in order to any teams still level.
+ */
+
+import { parseRules, countsInStandings } from './competitionRules';
+
+/**
+ * Build a map of teamID to value for a group of standings
+ * @param {Array<Object>} group - Standings rows
+ * @param {Function} getValue - Value accessor for a row
+ * @returns {Map<number, number>} teamID to value
+ */
+const mapTeams = (group, getValue) => {
+  const values = new Map();
+  group.forEach(team => values.set(team.teamID, getValue(team)));
+  return values;
+};
+
+/**
+ * Match points earned by each team in matches played only between teams in the group
+ * @param {Array<Object>} group - Tied standings rows
+ * @param {Array<Object>} matches - Completed matches ({homeTeam, awayTeam, homeScore, awayScore})
+ * @param {Object} rules - League rules profile (win/draw/loss points)
+ * @returns {Map<number, number>} teamID to head-to-head match points
+ */
+const headToHeadPoints = (group, matches, rules) => {
+  const values = mapTeams(group, () => 0);
+
+  matches.forEach(match => {
+    if (!values.has(match.homeTeam) || !values.has(match.awayTeam)) return;
+
+    const homeScore = parseInt(match.homeScore) || 0;
+    const awayScore = parseInt(match.awayScore) || 0;
+
+    if (homeScore > awayScore) {
+      values.set(match.homeTeam, values.get(match.homeTeam) + rules.winPoints);
+      values.set(match.awayTeam, values.get(match.awayTeam) + rules.lossPoints);
+    } else if (awayScore > homeScore) {
+      values.set(match.awayTeam, values.get(match.awayTeam) + rules.winPoints);
+      values.set(match.homeTeam, values.get(match.homeTeam) + rules.lossPoints);
+    } else {
+      values.set(match.homeTeam, values.get(match.homeTeam) + rules.drawPoints);
+      values.set(match.awayTeam, values.get(match.awayTeam) + rules.drawPoints);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Available tiebreakers, keyed by the id stored in a league's rules profile.
+ * Each `value` function returns a map of teamID to a number, where higher ranks first.
+ * @type {Object<string, {label: string, value: Function}>}
+ */
+export const TIEBREAKERS = {
+  won: {
+    label: 'Matches won',
+    value: (group) => mapTeams(group, team => team.won || 0)
+  },
+  pointsDifference: {
+    label: 'Points difference',
+    value: (group) => mapTeams(group, team => team.pointsDifference || 0)
+  },
+  pointsFor: {
+    label: 'Points scored',
+    value: (group) => mapTeams(group, team => team.pointsFor || 0)
+  },
+  triesFor: {
+    label: 'Tries scored',
+    value: (group) => mapTeams(group, team => team.triesFor || 0)
+  },
+  headToHead: {
+    label: 'Head-to-head record',
+    value: (group, context) => headToHeadPoints(group, context.matches, context.rules)
+  },
+  manual: {
+    label: 'Coin toss / manual ordering',
+    value: (group, context) => mapTeams(group, team => {
+      const index = context.rules.manualOrder.indexOf(team.teamID);
+      return index === -1 ? -Infinity : -index;
+    })
+  }
+};
+
+/**
+ * Get the tiebreak chain from a rules profile, ignoring unknown ids
+ * @param {Object|string|null} rules - League rules profile
+ * @returns {Array<string>} Tiebreaker ids in order
+ */
+export const getTiebreakers = (rules) => {
+  return parseRules(rules).tiebreakers.filter(id => TIEBREAKERS[id]);
+};
+
+/**
+ * Build the list of matches counting towards a league table, used for head-to-head tiebreaks
+ * @param {Array<Object>} fixtures - Fixtures from tblfixtures
+ * @param {Array<Object>} results - Results from tblresults
+ * @param {number} leagueID - League to build matches for
+ * @param {Object|string|null} [rules] - League rules profile, decides whether abandoned matches count
+ * @returns {Array<Object>} Matches as {homeTeam, awayTeam, homeScore, awayScore}
+ */
+export const buildMatchList = (fixtures, results, leagueID, rules) => {
+  const resultsMap = {};
+  results.forEach(result => {
+    resultsMap[result.fixtureID] = result;
+  });
+
+  return fixtures
+    .filter(f => f.leagueID === leagueID && countsInStandings(f, resultsMap[f.id], rules))
+    .map(f => ({
+      homeTeam: f.homeTeam,
+      awayTeam: f.awayTeam,
+      homeScore: resultsMap[f.id].homeScore,
+      awayScore: resultsMap[f.id].awayScore
+    }));
+};
+
+/**
+ * Rank league standings using points and the league's tiebreak chain
+ * @param {Array<Object>} standings - Standings rows (teamID, points, pointsDifference, pointsFor, ...)
+ * @param {Object|string|null} rules - League rules profile
+ * @param {Array<Object>} [matches=[]] - Completed league matches, needed for head-to-head
+ * @returns {Array<Object>} New array of rows in table order, each with `position` and
+ * `tiebreak` (label of the rule that decided the position, or null if points decided it)
+ */
+export const rankStandings = (standings, rules, matches = []) => {
+  const profile = parseRules(rules);
+  const context = { rules: profile, matches };
+  const chain = ['points', ...getTiebreakers(profile)];
+
+  const resolve = (group, index, reason) => {
+    if (group.length === 1) {
+      return [{ ...group[0], tiebreak: reason }];
+    }
+
+    // Chain exhausted - teams remain level, keep their current order
+    if (index >= chain.length) {
+      return group.map(team => ({ ...team, tiebreak: null }));
+    }
+
+    const id = chain[index];
+    const values = id === 'points'
+      ? mapTeams(group, team => team.points || 0)
+      : TIEBREAKERS[id].value(group, context);
+
+    // `|| 0` keeps the sort stable when comparing two unranked (-Infinity) values
+    const sorted = [...group].sort((a, b) => (values.get(b.teamID) - values.get(a.teamID)) || 0);
+
+    // Split into sub-groups of teams with equal values
+    const subGroups = [];
+    sorted.forEach(team => {
+      const last = subGroups[subGroups.length - 1];
+      if (last && values.get(last[0].teamID) === values.get(team.teamID)) {
+        last.push(team);
+      } else {
+        subGroups.push([team]);
+      }
+    });
+
+    if (subGroups.length === 1) {
+      return resolve(group, index + 1, reason);
+    }
+
+    const label = id === 'points' ? null : TIEBREAKERS[id].label;
+    return subGroups.flatMap(subGroup => resolve(subGroup, index + 1, label));
+  };
+
+  return resolve([...standings], 0, null).map((team, i) => ({
+    ...team,
+    position: i + 1
+  }));
+};
@@ -0,0 +1,95 @@
+/**
+ * @file tiebreakers.test.js
+ * @description Tests for league table ranking and tiebreakers
+ * @module utils/tiebreakers.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import { rankStandings, buildMatchList } from './tiebreakers';
+
+const row = (teamID, points, pointsDifference = 0, pointsFor = 0, extra = {}) => ({
+  teamID,
+  points,
+  pointsDifference,
+  pointsFor,
+  won: 0,
+  triesFor: 0,
+  ...extra
+});
+
+describe('rankStandings', () => {
+  it('should rank on points without recording a tiebreak', () => {
+    const ranked = rankStandings([row(1, 5), row(2, 10), row(3, 8)], null);
+
+    expect(ranked.map(t => t.teamID)).toEqual([2, 3, 1]);
+    expect(ranked.map(t => t.position)).toEqual([1, 2, 3]);
+    expect(ranked.every(t => t.tiebreak === null)).toBe(true);
+  });
+
+  it('should use points difference then points scored by default', () => {
+    const ranked = rankStandings([
+      row(1, 10, 5, 50),
+      row(2, 10, 12, 40),
+      row(3, 10, 5, 60)
+    ], null);
+
+    expect(ranked.map(t => t.teamID)).toEqual([2, 3, 1]);
+    expect(ranked[0].tiebreak).toBe('Points difference');
+    expect(ranked[1].tiebreak).toBe('Points scored');
+    expect(ranked[2].tiebreak).toBe('Points scored');
+  });
+
+  it('should apply the head-to-head record between tied teams', () => {
+    const matches = [
+      { homeTeam: 1, awayTeam: 2, homeScore: 10, awayScore: 20 },
+      { homeTeam: 1, awayTeam: 3, homeScore: 30, awayScore: 0 }
+    ];
+    const rules = { tiebreakers: ['headToHead', 'pointsDifference'] };
+
+    const ranked = rankStandings([row(1, 10, 20), row(2, 10, 5), row(3, 4)], rules, matches);
+
+    expect(ranked.map(t => t.teamID)).toEqual([2, 1, 3]);
+    expect(ranked[0].tiebreak).toBe('Head-to-head record');
+    expect(ranked[2].tiebreak).toBeNull();
+  });
+
+  it('should fall back to the manual order as a final tiebreak', () => {
+    const rules = { tiebreakers: ['pointsDifference', 'manual'], manualOrder: [3, 1] };
+
+    const ranked = rankStandings([row(1, 10), row(3, 10)], rules);
+
+    expect(ranked.map(t => t.teamID)).toEqual([3, 1]);
+    expect(ranked[0].tiebreak).toBe('Coin toss / manual ordering');
+  });
+
+  it('should rank on tries scored when configured', () => {
+    const rules = { tiebreakers: ['triesFor'] };
+
+    const ranked = rankStandings([
+      row(1, 10, 0, 0, { triesFor: 6 }),
+      row(2, 10, 0, 0, { triesFor: 9 })
+    ], rules);
+
+    expect(ranked.map(t => t.teamID)).toEqual([2, 1]);
+    expect(ranked[0].tiebreak).toBe('Tries scored');
+  });
+});
+
+describe('buildMatchList', () => {
+  it('should only include completed league fixtures with results', () => {
+    const fixtures = [
+      { id: 1, leagueID: 1, homeTeam: 1, awayTeam: 2, status: 2 },
+      { id: 2, leagueID: 1, homeTeam: 2, awayTeam: 1, status: 0 },
+      { id: 3, leagueID: 2, homeTeam: 3, awayTeam: 4, status: 2 },
+      { id: 4, leagueID: 1, homeTeam: 1, awayTeam: 3, status: 2 }
+    ];
+    const results = [
+      { fixtureID: 1, homeScore: 12, awayScore: 7 },
+      { fixtureID: 3, homeScore: 5, awayScore: 5 }
+    ];
+
+    expect(buildMatchList(fixtures, results, 1)).toEqual([
+      { homeTeam: 1, awayTeam: 2, homeScore: 12, awayScore: 7 }
+    ]);
+  });
+});